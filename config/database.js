@@ -3,7 +3,8 @@ const mongoose = require("mongoose");
 
 dotenv.config({ path: "config.env" });
 
-const dbConnection = () => {
+// Resolves once connected, so startup work can wait for the database
+const dbConnection = () =>
   mongoose
     .connect(process.env.MONGODB_URI)
     .then((conn) => {
@@ -13,6 +14,5 @@ const dbConnection = () => {
       console.error(`Error connecting to MongoDB: ${err.message}`);
       process.exit(1);
     });
-};
 
 module.exports = dbConnection;
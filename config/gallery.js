@@ -0,0 +1,24 @@
+/**
+ * Gallery Configuration
+ * Facets returned with gallery browsing and search results.
+ */
+
+const galleryConfig = {
+  // Price ranges, min is inclusive and max exclusive, null means no upper bound
+  priceRanges: [
+    { key: "free", min: 0, max: 0.01 },
+    { key: "under_50", min: 0.01, max: 50 },
+    { key: "50_100", min: 50, max: 100 },
+    { key: "100_250", min: 100, max: 250 },
+    { key: "250_500", min: 250, max: 500 },
+    { key: "500_plus", min: 500, max: null },
+  ],
+
+  // Width to height ratios within this distance of 1 count as square
+  squareTolerance: 0.05,
+
+  // Most values returned for the tag and seller facets
+  facetLimit: 20,
+};
+
+module.exports = galleryConfig;
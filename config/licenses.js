@@ -0,0 +1,50 @@
+/**
+ * Licenses Configuration
+ * License tiers an upload can be sold under and their default terms.
+ * Sellers can override the price, terms and download limit of each tier.
+ */
+
+const licensesConfig = {
+  // Tiers in the order they are offered, priceMultiplier applies to the base price
+  tiers: {
+    personal: {
+      name: "Personal",
+      priceMultiplier: 1,
+      downloadLimit: 3,
+      terms:
+        "Non-commercial use only: personal projects, prints for private display and personal social media. No resale, advertising or client work.",
+    },
+    commercial: {
+      name: "Commercial",
+      priceMultiplier: 3,
+      downloadLimit: 10,
+      terms:
+        "Use in marketing, advertising, websites and client work for a single organization, with up to 500,000 print or digital impressions. No resale of the file itself.",
+    },
+    extended: {
+      name: "Extended",
+      priceMultiplier: 10,
+      downloadLimit: null,
+      terms:
+        "Unlimited impressions and use in products for resale (merchandise, templates, prints), in addition to every commercial use. The file itself can't be redistributed.",
+    },
+    editorial: {
+      name: "Editorial",
+      priceMultiplier: 1.5,
+      downloadLimit: 3,
+      terms:
+        "Use in news, education and commentary only, credited to the photographer. No advertising, promotional or merchandise use.",
+    },
+  },
+
+  // Tier bought when an order item doesn't name one
+  defaultTier: "personal",
+
+  // Tiers created for an upload that only sets a base price
+  defaultOffered: ["personal", "commercial", "extended"],
+
+  // Prefix of the license IDs printed on certificates
+  licenseIdPrefix: "SKY",
+};
+
+module.exports = licensesConfig;
@@ -0,0 +1,83 @@
+/**
+ * Permissions Configuration
+ * Named permissions checked by can() and the roles seeded by default.
+ * Roles are stored in the database so a master can edit them at runtime.
+ */
+
+const permissionsConfig = {
+  // Every permission the API checks
+  permissions: {
+    "users.read": "View and search user accounts",
+    "users.manage": "Activate, deactivate, unlock and delete user accounts",
+    "users.promote": "Change the role of a user",
+    "users.erase": "Apply account erasures whose cooling-off period is over",
+    "roles.manage": "Create and edit roles and their permissions",
+    "uploads.moderate": "Review, approve, reject and feature uploads",
+    "orders.read": "View every order",
+    "orders.manage": "Update the status of orders",
+    "orders.refund": "Mark orders as refunded",
+    "coupons.manage": "Create, edit and delete coupon codes",
+    "missions.work": "Apply to, start and complete missions",
+    "missions.manage": "Create missions and accept applications",
+    "earnings.manage": "Review and process payouts",
+    "blog.manage": "Write and publish blog posts",
+    "pages.manage": "Edit CMS pages and the menu",
+    "faqs.manage": "Manage help center FAQs",
+    "testimonials.manage": "Review and publish testimonials",
+    "services.manage": "Manage services and booking inquiries",
+    "notifications.send": "Send notifications to users and view their stats",
+    "notifications.broadcast": "Send system notifications to every user",
+    "settings.read": "Read settings by category",
+    "settings.write": "Change, import and reset settings",
+    "settings.security": "Change settings in the security category",
+    "audit.read": "Query the audit log",
+    "partners.apply": "Apply to become a partner",
+    "partners.review": "Review partner applications",
+  },
+
+  // Roles created by Role.initializeDefaults, master always gets every permission
+  defaultRoles: {
+    user: {
+      description: "Customers browsing, buying and uploading media",
+      permissions: ["partners.apply"],
+    },
+    partner: {
+      description: "Verified photographers working on missions",
+      permissions: ["missions.work"],
+    },
+    admin: {
+      description: "Staff running the marketplace day to day",
+      permissions: [
+        "users.read",
+        "users.manage",
+        "uploads.moderate",
+        "orders.read",
+        "orders.manage",
+        "orders.refund",
+        "coupons.manage",
+        "missions.manage",
+        "earnings.manage",
+        "blog.manage",
+        "pages.manage",
+        "faqs.manage",
+        "testimonials.manage",
+        "services.manage",
+        "notifications.send",
+        "settings.read",
+        "partners.review",
+      ],
+    },
+    master: {
+      description: "Full system access",
+      permissions: "*",
+    },
+  },
+
+  // Role whose permissions can't be edited, so the system can't be locked out
+  superRole: "master",
+
+  // How long the permissions of a role are cached, in milliseconds
+  cacheTtl: 60 * 1000,
+};
+
+module.exports = permissionsConfig;
@@ -34,8 +34,10 @@ const securityConfig = {
 
   // Account locking settings
   accountLocking: {
-    maxLoginAttempts: 5,
-    lockDuration: 2 * 60 * 60 * 1000, // 2 hours in milliseconds
+    maxLoginAttempts: 5, // overridden by the max_login_attempts setting
+    lockDuration: 15 * 60 * 1000, // first lockout, doubled for each one after it
+    maxLockDuration: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+    unlockTokenExpires: 24 * 60 * 60 * 1000, // self-service unlock link
     resetAttemptsOnSuccess: true,
   },
 
@@ -68,6 +70,9 @@ const securityConfig = {
     // تنظيف سجل تسجيل الدخول
     loginHistoryRetention: 30 * 24 * 60 * 60 * 1000, // 30 يوم
     maxLoginHistoryEntries: 10,
+
+    // Emailed code asked on login while the account is flagged
+    loginChallengeExpires: 10 * 60 * 1000, // 10 minutes
   },
 
   // إعدادات Rate Limiting
@@ -166,6 +171,8 @@ const securityConfig = {
     // مستويات الرؤية
     visibilityLevels: ["public", "private", "friends"],
     defaultVisibility: "public",
+    // Days before a requested account erasure is applied, the owner can cancel until then
+    erasureCoolingOffDays: 14,
   },
 
   // إعدادات الصيانة
@@ -223,6 +230,61 @@ const securityConfig = {
       enabled: true,
       methods: ["email"],
     },
+
+    // Alert on a login from a device and IP never seen before
+    newDeviceAlert: {
+      enabled: true,
+      methods: ["email", "notification"],
+      secureAccountLinkExpires: 7 * 24 * 60 * 60, // seconds, "this wasn't me" link
+    },
+  },
+
+  // Personal access tokens for scripts and integrations
+  apiTokens: {
+    prefix: "sks_", // tells protect() a token apart from a login JWT
+    maxActivePerUser: 20,
+    defaultExpiresInDays: 90,
+    maxExpiresInDays: 365,
+    lastUsedUpdateInterval: 60 * 1000, // at most one write per minute and token
+
+    // Scopes a token can be granted
+    scopes: {
+      "uploads:write": "Create, update and delete your uploads",
+      "missions:read": "Read open missions and your missions",
+      "missions:write": "Apply to, start and complete missions",
+      "orders:read": "Read your orders",
+    },
+
+    // The only routes a token can call, every other protected route rejects it
+    routes: [
+      { method: "POST", path: "/api/uploads", scope: "uploads:write" },
+      { method: "PUT", path: "/api/uploads/:id", scope: "uploads:write" },
+      { method: "DELETE", path: "/api/uploads/:id", scope: "uploads:write" },
+      { method: "GET", path: "/api/missions/open", scope: "missions:read" },
+      {
+        method: "GET",
+        path: "/api/missions/my-missions",
+        scope: "missions:read",
+      },
+      { method: "GET", path: "/api/missions/:id", scope: "missions:read" },
+      {
+        method: "POST",
+        path: "/api/missions/:id/apply",
+        scope: "missions:write",
+      },
+      {
+        method: "POST",
+        path: "/api/missions/:id/start",
+        scope: "missions:write",
+      },
+      {
+        method: "POST",
+        path: "/api/missions/:id/complete",
+        scope: "missions:write",
+      },
+      { method: "GET", path: "/api/orders", scope: "orders:read" },
+      { method: "GET", path: "/api/orders/:id", scope: "orders:read" },
+    ],
   },
 
   // إعدادات المصادقة الثنائية
@@ -0,0 +1,106 @@
+const asyncHandler = require("express-async-handler");
+const ApiToken = require("../models/ApiToken");
+const Notification = require("../models/Notification");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const securityConfig = require("../config/security");
+
+const {
+  scopes: SCOPES,
+  maxActivePerUser,
+  defaultExpiresInDays,
+} = securityConfig.apiTokens;
+
+// @desc    Get my API tokens and the scopes they can be granted
+// @route   GET /api/auth/tokens
+// @access  Private
+exports.getApiTokens = asyncHandler(async (req, res, next) => {
+  const tokens = await ApiToken.findActive(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        tokens,
+        scopes: Object.entries(SCOPES).map(([scope, description]) => ({
+          scope,
+          description,
+        })),
+      },
+      "API tokens retrieved successfully"
+    )
+  );
+});
+
+// @desc    Create an API token
+// @route   POST /api/auth/tokens
+// @access  Private
+exports.createApiToken = asyncHandler(async (req, res, next) => {
+  const activeCount = await ApiToken.countDocuments({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (activeCount >= maxActivePerUser) {
+    return next(
+      new ApiError(
+        `You can have at most ${maxActivePerUser} active API tokens`,
+        400,
+        "token_limit_reached"
+      )
+    );
+  }
+
+  const expiresInDays = req.body.expiresInDays || defaultExpiresInDays;
+
+  const { apiToken, token } = await ApiToken.generate({
+    user: req.user._id,
+    name: req.body.name,
+    scopes: req.body.scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  await Notification.createNotification({
+    user: req.user._id,
+    title: "API Token Created",
+    message: `A new API token "${apiToken.name}" was created with access to ${apiToken.scopes.join(", ")}. If this wasn't you, revoke it and change your password`,
+    type: "account",
+    priority: "high",
+    data: { apiTokenId: apiToken._id },
+  });
+
+  // The plain token is only ever returned here
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { token, apiToken },
+        "API token created, copy it now as it won't be shown again"
+      )
+    );
+});
+
+// @desc    Revoke an API token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+exports.revokeApiToken = asyncHandler(async (req, res, next) => {
+  const apiToken = await ApiToken.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!apiToken) {
+    return next(
+      new ApiError("API token not found", 404, "api_token_not_found")
+    );
+  }
+
+  await apiToken.revoke();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, null, "API token revoked successfully"));
+});
@@ -0,0 +1,73 @@
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const AuditLog = require("../models/AuditLog");
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit
+// @access  Private/Master
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const { actor, action, targetType, targetId, requestId, startDate, endDate } =
+    req.query;
+
+  const query = {};
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (targetType) query["target.type"] = targetType;
+  if (targetId) query["target.id"] = targetId;
+  if (requestId) query.requestId = requestId;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate("actor", "firstName lastName email")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Audit log retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get one audit log entry
+// @route   GET /api/admin/audit/:id
+// @access  Private/Master
+exports.getAuditLog = asyncHandler(async (req, res, next) => {
+  const entry = await AuditLog.findById(req.params.id).populate(
+    "actor",
+    "firstName lastName email role"
+  );
+
+  if (!entry) {
+    return next(
+      new ApiError("Audit log entry not found", 404, "audit_entry_not_found")
+    );
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, entry, "Audit log entry retrieved successfully")
+    );
+});
@@ -1,10 +1,16 @@
 const asyncHandler = require("express-async-handler");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const Role = require("../models/Role");
+const Notification = require("../models/Notification");
 const jwt = require("jsonwebtoken");
 const generateToken = require("../utils/generateToken");
 const ApiError = require("../utils/ApiError");
 const crypto = require("crypto");
 const sendEmail = require("../utils/sendEmail");
+const UserSecurity = require("../utils/userSecurity");
+const securityConfig = require("../config/security");
 const passport = require("passport");
 
 // Options for the refresh token cookie
@@ -19,45 +25,239 @@ const refreshTokenCookieOptions = {
   // domain: ".yourdomain.com" // استخدمها بس لو عندك custom domain وعايز تشارك بين ساب-دومينز
 };
 
-// Send access and refresh tokens in the response
-const sendResponse = async (req, res, user, code) => {
-  const token = generateToken(user._id);
+// Lifetime of the login challenge issued to two-factor accounts
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // seconds
+
+// Lifetime of the emailed code challenge of flagged accounts
+const LOGIN_CHALLENGE_TTL =
+  securityConfig.suspiciousActivity.loginChallengeExpires / 1000; // seconds
+
+// Lifetime of the confirm and cancel links sent for an email change
+const EMAIL_CHANGE_TTL = 24 * 60 * 60 * 1000; // ms
+
+// Challenges have no userId claim, so protect() never accepts them as an
+// access token even though they are signed with the same secret
+const createChallengeToken = (user, purpose, expiresIn) =>
+  jwt.sign(
+    { sub: String(user._id), purpose },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn }
+  );
+
+// Decode a challenge token, null when invalid, expired or made for another purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Request headers end up in alert emails, keep them from injecting markup
+const stripMarkup = (value) => String(value).replace(/[<>"'&]/g, "");
+
+// Issue a refresh token for a device session and store its hash
+// A new session is started on login, refreshes rotate the existing one
+const issueRefreshToken = async (req, user, session = null) => {
+  const deviceSession = session || Session.startFor(user, req);
   const refreshToken = jwt.sign(
-    { userId: user._id },
+    {
+      userId: user._id,
+      sid: deviceSession._id,
+      jti: crypto.randomBytes(16).toString("hex"),
+    },
     process.env.REFRESH_TOKEN_SECRET,
     { expiresIn: process.env.REFRESH_TOKEN_EXPIRES }
   );
 
-  const updatedData = req
-    ? {
-        refreshToken,
-        lastLoginAt: new Date(Date.now()),
-        lastLoginIP: req.ip,
-        loginHistory: [
-          {
-            ip: req.ip,
-            userAgent: req.get("User-Agent"),
-            timestamp: new Date(Date.now()),
-            success: true,
-          },
-          ...user.loginHistory,
-        ],
-      }
-    : { refreshToken };
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  const rotated = await deviceSession.rotate(refreshToken, expiresAt, req);
+  if (!rotated) {
+    throw new ApiError(
+      "Refresh token was already used, please log in again",
+      401,
+      "refresh_token_reused"
+    );
+  }
+
+  return refreshToken;
+};
+
+// Alert the owner of a login from a new device, with a "this wasn't me" link
+const sendNewDeviceAlert = async (req, user) => {
+  const { methods, secureAccountLinkExpires } =
+    securityConfig.alerts.newDeviceAlert;
+  const device = stripMarkup(req.get("User-Agent") || "Unknown device");
+  const ip = stripMarkup(req.ip);
+
+  if (methods.includes("notification")) {
+    await Notification.createNotification({
+      user: user._id,
+      title: "New Login",
+      message: `New sign-in from ${device} (IP ${ip}). If this wasn't you, secure your account from the link we emailed you`,
+      type: "account",
+      priority: "high",
+      data: { ip, userAgent: device },
+    });
+  }
+
+  if (methods.includes("email")) {
+    const token = createChallengeToken(
+      user,
+      "secure_account",
+      secureAccountLinkExpires
+    );
+
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: "New login to your account - Skyshot",
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>New login to your account</h2>
+          <p>Dear ${user.firstName} ${user.lastName},</p>
+          <p>Your account was just used from a device we haven't seen before:</p>
+          <p>Device: ${device}<br/>IP address: ${ip}<br/>Time: ${new Date().toUTCString()}</p>
+          <p>If this was you, you can ignore this email. If it wasn't, click the link below to sign out every device and reset your password:</p>
+          <a href="${process.env.FRONTEND_URL}/secure-account?token=${token}" 
+             style="background-color: #dc3545; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+            This wasn't me
+          </a>
+          <p>Best regards,<br/>Skyshot Team</p>
+        </div>
+      `,
+      });
+    } catch (error) {
+      // The in-app notification still reaches the owner
+      console.error("Failed to send new device alert:", error.message);
+    }
+  }
+};
 
-  // Update user document with the new refresh token
-  const updated = await User.findByIdAndUpdate(user._id, updatedData, {
-    new: true,
+// Record a successful login on the user
+const recordLogin = async (req, user) => {
+  const ip = req.ip;
+  const userAgent = req.get("User-Agent");
+  const newDevice = user.isNewLoginDevice({ ip, userAgent });
+
+  const updated = await user.recordLoginAttempt({
+    ip,
+    userAgent,
+    success: true,
   });
   if (process.env.NODE_ENV === "development") {
     console.log("User document updated:", updated);
   }
 
+  if (newDevice && securityConfig.alerts.newDeviceAlert.enabled) {
+    await sendNewDeviceAlert(req, user);
+  }
+};
+
+// Error returned until a secured account resets its password
+const passwordResetRequiredError = () =>
+  new ApiError(
+    "Your account was secured after a suspicious login, reset your password to sign in again",
+    403,
+    "password_reset_required"
+  );
+
+// Email the code that confirms a login of a flagged account
+const sendLoginChallengeCode = async (user) => {
+  const code = user.createLoginChallengeCode(
+    securityConfig.suspiciousActivity.loginChallengeExpires
+  );
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Confirm your login - Skyshot",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Confirm your login</h2>
+          <p>Dear ${user.firstName} ${user.lastName},</p>
+          <p>We noticed unusual activity on your account. Use this code to finish signing in:</p>
+          <b style="font-size: 24px; letter-spacing: 4px;">${code}</b>
+          <p>This code will expire in ${LOGIN_CHALLENGE_TTL / 60} minutes.</p>
+          <p>If you didn't try to sign in, reset your password.</p>
+          <p>Best regards,<br/>Skyshot Team</p>
+        </div>
+      `,
+    });
+  } catch (error) {
+    throw new ApiError(
+      "Failed to send login confirmation code",
+      500,
+      "email_send_error"
+    );
+  }
+};
+
+// Error returned while an account is locked
+const accountLockedError = (lockUntil) =>
+  new ApiError(
+    `Account is locked due to too many failed login attempts. Try again after ${new Date(
+      lockUntil
+    ).toISOString()} or use the unlock link sent to your email`,
+    423,
+    "account_locked"
+  );
+
+// Email the self-service unlock link and notify the owner of the lockout
+const sendUnlockEmail = async (user) => {
+  const unlockToken = user.createUnlockToken(
+    securityConfig.accountLocking.unlockTokenExpires
+  );
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Account Locked - Skyshot",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Your account was locked</h2>
+          <p>Dear ${user.firstName} ${user.lastName},</p>
+          <p>We locked your account after several failed login attempts. If this was you, click the link below to unlock it now:</p>
+          <a href="${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}&userId=${user._id}" 
+             style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+            Unlock Account
+          </a>
+          <p>If this wasn't you, we recommend changing your password.</p>
+          <p>Best regards,<br/>Skyshot Team</p>
+        </div>
+      `,
+    });
+  } catch (error) {
+    // The lock expires on its own, the email is only a shortcut
+    console.error("Failed to send unlock email:", error.message);
+  }
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Account Locked",
+    message:
+      "Your account was locked after several failed login attempts. Check your email to unlock it",
+    type: "account",
+    priority: "urgent",
+  });
+};
+
+// Send access and refresh tokens in the response
+const sendResponse = async (req, res, user, code, session = null) => {
+  const token = generateToken(user._id);
+  const refreshToken = await issueRefreshToken(req, user, session);
+
+  if (!session) {
+    await recordLogin(req, user);
+  }
+
   // Set refresh token cookie and send JWT in the response
   res.cookie("refreshToken", refreshToken, refreshTokenCookieOptions);
 
   user.password = undefined; // Exclude password from response
-  user.refreshToken = undefined; // Exclude refresh token from response
 
   res.status(code).json({ status: "success", token, data: user });
 };
@@ -66,51 +266,8 @@ const sendResponse = async (req, res, user, code) => {
 // @route   POST /api/auth/signup
 // @access  Public
 exports.signup = asyncHandler(async (req, res, next) => {
-  const { firstName, lastName, email, password, role } = req.body;
-
-  if (role === "admin" || role === "master") {
-    return next(
-      new ApiError(
-        "You can't create a user with this role",
-        403,
-        "roleForbidden"
-      )
-    );
-  }
-
-  if (role === "partner") {
-    if (!req.body.phone) {
-      return next(
-        new ApiError(
-          "Phone number is required for partners",
-          400,
-          "phone_required_for_partners"
-        )
-      );
-    }
-
-    if (!req.body.country || !req.body.birthDate) {
-      return next(
-        new ApiError(
-          "Country and birth date are required for partners",
-          400,
-          "country_birth_required_for_partners"
-        )
-      );
-    }
-
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      phone: req.body.phone,
-      country: req.body.country,
-      birthDate: req.body.birthDate,
-      role,
-    });
-    return sendResponse(req, res, user, 201);
-  }
+  // Everyone signs up as a user, partners apply through /api/partner-applications
+  const { firstName, lastName, email, password } = req.body;
 
   const user = await User.create({
     firstName,
@@ -123,24 +280,183 @@ exports.signup = asyncHandler(async (req, res, next) => {
     console.log("User created:", req.body);
   }
 
-  sendResponse(req, res, user, 201);
+  await sendResponse(req, res, user, 201);
 });
 
+// Count a wrong challenge code towards the lockout, like a wrong password
+const rejectChallengeCode = async (req, user, error) => {
+  const result = await UserSecurity.registerFailedAttempt(user, req);
+  if (!result.locked) return error;
+
+  if (result.newlyLocked) {
+    await sendUnlockEmail(user);
+  }
+  return accountLockedError(result.lockUntil);
+};
+
 // @desc    Authenticate user
 // @route   POST /api/auth/login
 // @access  Public
 exports.login = asyncHandler(async (req, res, next) => {
-  // Verify user existence and password match
-  const user = await User.findOne({ email: req.body.email });
+  // Verify credentials against the lockout policy
+  const { success, user, reason, lockUntil, newlyLocked } =
+    await UserSecurity.secureLogin(req.body.email, req.body.password, req);
 
-  if (!user || !(await user.comparePassword(req.body.password))) {
+  if (!success) {
+    if (reason !== "account_locked") {
+      return next(
+        new ApiError("Incorrect email or password", 401, "invalidCredentials")
+      );
+    }
+
+    if (newlyLocked) {
+      await sendUnlockEmail(user);
+    }
+    return next(accountLockedError(lockUntil));
+  }
+
+  if (user.passwordResetRequired) {
+    return next(passwordResetRequiredError());
+  }
+
+  // Accounts with two-factor authentication finish the login with a code
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: "two_factor_required",
+      challengeToken: createChallengeToken(
+        user,
+        "two_factor_challenge",
+        TWO_FACTOR_CHALLENGE_TTL
+      ),
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+    });
+  }
+
+  // Flagged accounts confirm the login with a code sent by email
+  if (user.suspiciousActivity) {
+    await sendLoginChallengeCode(user);
+
+    return res.status(200).json({
+      status: "login_challenge_required",
+      challengeToken: createChallengeToken(
+        user,
+        "login_challenge",
+        LOGIN_CHALLENGE_TTL
+      ),
+      expiresIn: LOGIN_CHALLENGE_TTL,
+    });
+  }
+
+  // Generate and send authentication tokens
+  await sendResponse(req, res, user, 201);
+});
+
+// @desc    Finish a login with a two-factor or recovery code
+// @route   POST /api/auth/2fa/challenge
+// @access  Public
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const decoded = verifyChallengeToken(challengeToken, "two_factor_challenge");
+  if (!decoded) {
     return next(
-      new ApiError("Incorrect email or password", 401, "invalidCredentials")
+      new ApiError(
+        "Login challenge is invalid or expired, please log in again",
+        401,
+        "invalid_two_factor_challenge"
+      )
     );
   }
 
-  // Generate and send authentication tokens
-  sendResponse(req, res, user, 201);
+  const user = await User.findById(decoded.sub).select("+twoFactorSecret");
+  if (!user || !user.twoFactorEnabled) {
+    return next(
+      new ApiError(
+        "Login challenge is invalid or expired, please log in again",
+        401,
+        "invalid_two_factor_challenge"
+      )
+    );
+  }
+
+  if (user.isLocked) {
+    return next(accountLockedError(user.lockUntil));
+  }
+
+  if (user.passwordResetRequired) {
+    return next(passwordResetRequiredError());
+  }
+
+  const verified = code
+    ? await user.verifyTwoFactorCode(code)
+    : await user.useRecoveryCode(recoveryCode);
+
+  if (!verified) {
+    return next(
+      await rejectChallengeCode(
+        req,
+        user,
+        new ApiError(
+          "Invalid authentication code",
+          401,
+          "invalid_two_factor_code"
+        )
+      )
+    );
+  }
+
+  // A second factor is as strong as the emailed code of a flagged account
+  if (user.suspiciousActivity) {
+    await user.clearSuspiciousActivity();
+  }
+
+  req.session.twoFactorVerified = true;
+  await sendResponse(req, res, user, 201);
+});
+
+// @desc    Finish the login of a flagged account with the emailed code
+// @route   POST /api/auth/login/challenge
+// @access  Public
+exports.verifyLoginChallenge = asyncHandler(async (req, res, next) => {
+  const decoded = verifyChallengeToken(
+    req.body.challengeToken,
+    "login_challenge"
+  );
+  const user = decoded ? await User.findById(decoded.sub) : null;
+
+  if (!user) {
+    return next(
+      new ApiError(
+        "Login challenge is invalid or expired, please log in again",
+        401,
+        "invalid_login_challenge"
+      )
+    );
+  }
+
+  if (user.isLocked) {
+    return next(accountLockedError(user.lockUntil));
+  }
+
+  if (user.passwordResetRequired) {
+    return next(passwordResetRequiredError());
+  }
+
+  if (!(await user.passLoginChallenge(req.body.code))) {
+    return next(
+      await rejectChallengeCode(
+        req,
+        user,
+        new ApiError(
+          "Invalid or expired confirmation code",
+          401,
+          "invalid_login_challenge_code"
+        )
+      )
+    );
+  }
+
+  await sendResponse(req, res, user, 201);
 });
 
 // @desc    Start Google OAuth
@@ -169,43 +485,43 @@ exports.googleCallback = asyncHandler(async (req, res, next) => {
       );
     }
 
-    try {
-      const token = generateToken(user._id);
-      const refreshToken = jwt.sign(
-        { userId: user._id },
-        process.env.REFRESH_TOKEN_SECRET,
-        { expiresIn: process.env.REFRESH_TOKEN_EXPIRES }
+    if (user.passwordResetRequired) {
+      return res.redirect(
+        `${process.env.FRONTEND_URL}/auth?error=password_reset_required`
+      );
+    }
+
+    // The frontend finishes the login through /api/auth/2fa/challenge
+    if (user.twoFactorEnabled) {
+      return res.redirect(
+        `${process.env.FRONTEND_URL}/auth/two-factor?challenge=${createChallengeToken(
+          user,
+          "two_factor_challenge",
+          TWO_FACTOR_CHALLENGE_TTL
+        )}`
       );
+    }
 
-      const updatedData = {
-        refreshToken,
-        lastLoginAt: new Date(Date.now()),
-        lastLoginIP: req.ip,
-        loginHistory: [
-          {
-            ip: req.ip,
-            userAgent: req.get("User-Agent"),
-            timestamp: new Date(Date.now()),
-            success: true,
-          },
-          ...user.loginHistory,
-        ],
-      };
-
-      // Update user document with the new refresh token
-      const updated = await User.findByIdAndUpdate(user._id, updatedData, {
-        new: true,
-      });
-      if (process.env.NODE_ENV === "development") {
-        console.log("User document updated:", updated);
+    try {
+      // The frontend finishes the login through /api/auth/login/challenge
+      if (user.suspiciousActivity) {
+        await sendLoginChallengeCode(user);
+        return res.redirect(
+          `${process.env.FRONTEND_URL}/auth/verify-login?challenge=${createChallengeToken(
+            user,
+            "login_challenge",
+            LOGIN_CHALLENGE_TTL
+          )}`
+        );
       }
 
+      const token = generateToken(user._id);
+      const refreshToken = await issueRefreshToken(req, user);
+      await recordLogin(req, user);
+
       // Set refresh token cookie and send JWT in the response
       res.cookie("refreshToken", refreshToken, refreshTokenCookieOptions);
 
-      user.password = undefined; // Exclude password from response
-      user.refreshToken = undefined; // Exclude refresh token from response
-
       res.redirect(`${process.env.FRONTEND_URL}/auth/success?token=${token}`);
     } catch (error) {
       console.error("Token generation error:", error);
@@ -231,16 +547,56 @@ exports.refreshAccessToken = asyncHandler(async (req, res, next) => {
   }
 
   const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-  const user = await User.findById(decoded.userId);
+  const session = decoded.sid
+    ? await Session.findById(decoded.sid).select("+tokenHash")
+    : null;
+
+  if (
+    !session ||
+    !session.isActive() ||
+    session.user.toString() !== decoded.userId
+  ) {
+    return next(
+      new ApiError(
+        "Session expired, please log in again",
+        401,
+        "session_revoked"
+      )
+    );
+  }
+
+  // A token that was already rotated is being replayed: the session may be
+  // stolen, so it is revoked for both the attacker and the real device
+  if (!session.matchesToken(refreshToken)) {
+    await session.revoke("token_reuse");
+    await Notification.createNotification({
+      user: session.user,
+      title: "Session Signed Out",
+      message:
+        "We signed out one of your devices because its login was used from somewhere else. If this wasn't you, change your password",
+      type: "account",
+      priority: "high",
+      data: { sessionId: session._id, userAgent: session.userAgent },
+    });
+
+    return next(
+      new ApiError(
+        "Refresh token was already used, please log in again",
+        401,
+        "refresh_token_reused"
+      )
+    );
+  }
 
-  if (!user || user.refreshToken !== refreshToken) {
+  const user = await User.findById(decoded.userId);
+  if (!user) {
     return next(
       new ApiError("Invalid refresh token", 403, "invalid_refresh_token")
     );
   }
 
   // Rotate refresh token and issue new tokens
-  sendResponse(null, res, user, 200);
+  await sendResponse(req, res, user, 200, session);
 });
 
 // @desc    Log out user (Enhanced version)
@@ -258,32 +614,29 @@ exports.logout = asyncHandler(async (req, res, next) => {
         process.env.REFRESH_TOKEN_SECRET
       );
 
-      // حذف الـ refresh token من قاعدة البيانات
-      const updatedUser = await User.findOneAndUpdate(
-        {
-          _id: decoded.userId,
-          refreshToken,
-        },
-        {
-          refreshToken: null,
-          lastLogoutAt: new Date(),
-        },
-        { new: true }
+      // End the device session of this refresh token
+      const session = await Session.findOneAndUpdate(
+        { _id: decoded.sid, user: decoded.userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "logout" }
       );
 
-      if (updatedUser) {
+      if (session) {
         logoutSuccess = true;
-        console.log(`User ${updatedUser.email} logged out successfully`);
+        await User.findByIdAndUpdate(decoded.userId, {
+          lastLogoutAt: new Date(),
+        });
       }
     } catch (error) {
       // Token غير صالح أو منتهي الصلاحية
       console.warn("Invalid refresh token during logout:", error.message);
-
-      // حذف أي token غير صالح من قاعدة البيانات
-      await User.updateMany({ refreshToken }, { refreshToken: null });
     }
   }
 
+  // The next login has to pass the two-factor step again
+  if (req.session) {
+    req.session.twoFactorVerified = null;
+  }
+
   // حذف الـ cookie في جميع الحالات
   res.cookie("refreshToken", "", {
     ...refreshTokenCookieOptions,
@@ -310,6 +663,74 @@ exports.getMe = asyncHandler(async (req, res, next) => {
   res.status(200).json({ status: "success", data: user });
 });
 
+// Routes reachable with a personal access token, matched on the full path
+const API_TOKEN_ROUTES = securityConfig.apiTokens.routes.map((route) => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/:[^/]+/g, "[^/]+")}/?$`),
+}));
+
+// Scope a personal access token needs for this request, null if none can call it
+const findRouteScope = (req) => {
+  const path = req.originalUrl.split("?")[0];
+  const route = API_TOKEN_ROUTES.find(
+    ({ method, pattern }) => method === req.method && pattern.test(path)
+  );
+  return route ? route.scope : null;
+};
+
+// Attach the authenticated user and the permissions of their role
+const attachUser = async (req, user) => {
+  req.user = user;
+  req.permissions = await Role.getPermissions(user.role);
+};
+
+// Authenticate a request made with a personal access token
+const authenticateApiToken = async (req, token, next) => {
+  const apiToken = await ApiToken.findByToken(token);
+  if (!apiToken || !apiToken.isActive()) {
+    return next(
+      new ApiError("Invalid or expired API token", 401, "invalid_api_token")
+    );
+  }
+
+  const scope = findRouteScope(req);
+  if (!scope) {
+    return next(
+      new ApiError(
+        "This route can't be used with an API token",
+        403,
+        "api_token_not_allowed"
+      )
+    );
+  }
+  if (!apiToken.hasScope(scope)) {
+    return next(
+      new ApiError(
+        `API token is missing the ${scope} scope`,
+        403,
+        "insufficient_scope"
+      )
+    );
+  }
+
+  const currentUser = await User.findById(apiToken.user);
+  if (!currentUser) {
+    return next(
+      new ApiError(
+        "User associated with token no longer exists",
+        401,
+        "user_not_found"
+      )
+    );
+  }
+
+  await apiToken.touch(req.ip);
+
+  await attachUser(req, currentUser);
+  req.apiToken = apiToken;
+  next();
+};
+
 // @desc    Protect routes with authentication
 exports.protect = asyncHandler(async (req, res, next) => {
   const refreshToken = req.cookies.refreshToken;
@@ -331,6 +752,11 @@ exports.protect = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Scripts and integrations send a personal access token instead of a login
+  if (ApiToken.isApiToken(accessToken)) {
+    return authenticateApiToken(req, accessToken, next);
+  }
+
   // Extract and validate refresh token from cookies
   if (!refreshToken) {
     return next(
@@ -373,6 +799,20 @@ exports.protect = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Devices signed out from another session lose access immediately
+  const session = decodedRefresh.sid
+    ? await Session.findById(decodedRefresh.sid)
+    : null;
+  if (!session || !session.isActive()) {
+    return next(
+      new ApiError(
+        "Session expired, please log in again",
+        401,
+        "session_revoked"
+      )
+    );
+  }
+
   // Check if password was changed after token issuance
   if (currentUser.passwordChangedAt) {
     const passChangedTimestamp = parseInt(
@@ -393,23 +833,58 @@ exports.protect = asyncHandler(async (req, res, next) => {
     console.log("Current user:", currentUser);
   }
 
-  // Attach user to request object
-  req.user = currentUser;
+  // Attach user and device session to request object
+  await attachUser(req, currentUser);
+  req.sessionId = session._id;
+  next();
+});
+
+// @desc    Attach the current user when a valid access token is sent
+// @route   Middleware (public routes with per-user data)
+// @access  Public
+exports.optionalAuth = asyncHandler(async (req, res, next) => {
+  const { authorization } = req.headers;
+  if (!authorization || !authorization.startsWith("Bearer")) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(
+      authorization.split(" ")[1],
+      process.env.ACCESS_TOKEN_SECRET
+    );
+    const currentUser = await User.findById(decoded.userId);
+
+    if (
+      currentUser &&
+      !(
+        currentUser.passwordChangedAt &&
+        parseInt(currentUser.passwordChangedAt.getTime() / 1000, 10) >
+          decoded.iat
+      )
+    ) {
+      await attachUser(req, currentUser);
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous requests
+  }
+
   next();
 });
 
 
-// @desc    Authorize user roles
+// @desc    Authorize a permission
 // @route   Middleware
 // @access  Private
 /**
- * @param {...("user" |"admin" | "partner" | "manager")} roles
- * @returns {void}
+ * @param {string} permission - Permission name from config/permissions.js
+ * @returns {Function} Middleware rejecting users whose role lacks it
  */
-exports.allowedTo = (...roles) =>
+exports.can = (permission) =>
   asyncHandler(async (req, res, next) => {
-    // Validate user role against permitted roles
-    if (!roles.includes(req.user.role)) {
+    // Permissions come from the role of the user
+    // (API token requests carry the role of the token owner)
+    if (!req.permissions || !req.permissions.has(permission)) {
       return next(
         new ApiError(
           "You do not have permission to perform this action",
@@ -422,7 +897,6 @@ exports.allowedTo = (...roles) =>
   });
 
 
-
 // @desc    Update my account data
 // @route   PUT /api/auth/editMe
 // @access  Private
@@ -430,7 +904,7 @@ exports.editMe = asyncHandler(async (req, res, next) => {
   if (req.body.password) {
     return next(
       new ApiError(
-        "This route is not for password updates. Please use reset password route.",
+        "This route is not for password updates. Please use change password route.",
         400,
         "invalid_route"
       )
@@ -440,7 +914,7 @@ exports.editMe = asyncHandler(async (req, res, next) => {
   if (req.body.email) {
     return next(
       new ApiError(
-        "This route is not for email updates. Please use verify email route.",
+        "This route is not for email updates. Please use change email route.",
         400,
         "invalid_route"
       )
@@ -472,6 +946,230 @@ exports.editMe = asyncHandler(async (req, res, next) => {
   res.status(200).json({ data: updatedUser, status: "success" });
 });
 
+// @desc    Change password of the logged in user
+// @route   PATCH /api/auth/password
+// @access  Private
+exports.changePassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user.password) {
+    return next(
+      new ApiError(
+        "This account has no password, use forgot password to set one",
+        400,
+        "password_not_set"
+      )
+    );
+  }
+
+  // comparePassword throws on locked accounts
+  if (user.isLocked) {
+    return next(accountLockedError(user.lockUntil));
+  }
+
+  if (!(await user.comparePassword(req.body.currentPassword))) {
+    return next(
+      new ApiError("Current password is incorrect", 401, "invalid_password")
+    );
+  }
+
+  // passwordChangedAt is set on save, so older access tokens stop working
+  user.password = req.body.password;
+  await user.save();
+
+  // Keep this device signed in and sign out every other one
+  await Session.revokeAllForUser(user._id, "password_change", req.sessionId);
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Password Changed",
+    message:
+      "Your password was changed and your other devices were signed out. If this wasn't you, reset your password immediately",
+    type: "account",
+    priority: "high",
+  });
+
+  // Issue fresh tokens for the current device
+  const session = await Session.findById(req.sessionId).select("+tokenHash");
+  await sendResponse(req, res, user, 200, session);
+});
+
+// @desc    Request an email change
+// @route   POST /api/auth/email
+// @access  Private
+exports.requestEmailChange = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  const newEmail = req.body.email.toLowerCase();
+
+  // comparePassword throws on locked accounts
+  if (user.password && user.isLocked) {
+    return next(accountLockedError(user.lockUntil));
+  }
+
+  // The password is optional only for accounts without one (social sign-in)
+  if (
+    user.password &&
+    (!req.body.password || !(await user.comparePassword(req.body.password)))
+  ) {
+    return next(
+      new ApiError("Current password is incorrect", 401, "invalid_password")
+    );
+  }
+
+  if (newEmail === user.email) {
+    return next(
+      new ApiError("This is already your email address", 400, "same_email")
+    );
+  }
+
+  const { confirmToken, cancelToken } = user.createEmailChangeTokens(
+    newEmail,
+    EMAIL_CHANGE_TTL
+  );
+  await user.save({ validateBeforeSave: false });
+
+  // The change only applies once the new address is confirmed
+  try {
+    await sendEmail({
+      email: newEmail,
+      subject: "Confirm your new email - Skyshot",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Confirm your new email</h2>
+          <p>Dear ${user.firstName} ${user.lastName},</p>
+          <p>Please click the link below to use this address for your Skyshot account:</p>
+          <a href="${process.env.FRONTEND_URL}/confirm-email-change?token=${confirmToken}&userId=${user._id}" 
+             style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+            Confirm Email
+          </a>
+          <p>This link will expire in 24 hours.</p>
+          <p>If you didn't request this, please ignore this email.</p>
+          <p>Best regards,<br/>Skyshot Team</p>
+        </div>
+      `,
+    });
+  } catch (error) {
+    user.clearEmailChange();
+    await user.save({ validateBeforeSave: false });
+
+    return next(
+      new ApiError("Failed to send confirmation email", 500, "email_send_error")
+    );
+  }
+
+  // Let the current address stop a change it did not ask for
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Email change requested - Skyshot",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Email change requested</h2>
+          <p>Dear ${user.firstName} ${user.lastName},</p>
+          <p>We received a request to change the email of your Skyshot account to ${newEmail}.</p>
+          <p>If this wasn't you, click the link below to cancel it and change your password:</p>
+          <a href="${process.env.FRONTEND_URL}/cancel-email-change?token=${cancelToken}&userId=${user._id}" 
+             style="background-color: #dc3545; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+            Cancel Email Change
+          </a>
+          <p>Best regards,<br/>Skyshot Team</p>
+        </div>
+      `,
+    });
+  } catch (error) {
+    console.error("Failed to send email change notice:", error.message);
+  }
+
+  res.status(200).json({
+    status: "success",
+    message: "Confirmation link sent to your new email address",
+    data: {
+      pendingEmail: user.pendingEmail,
+      expiresAt: user.emailChangeExpires,
+    },
+  });
+});
+
+// @desc    Confirm an email change from the link sent to the new address
+// @route   POST /api/auth/email/confirm
+// @access  Public
+exports.confirmEmailChange = asyncHandler(async (req, res, next) => {
+  const { token, userId } = req.body;
+
+  const user = await User.findById(userId).select("+emailChangeToken");
+
+  if (!user || !user.verifyEmailChangeToken(token)) {
+    return next(
+      new ApiError(
+        "Invalid or expired confirmation link",
+        400,
+        "invalid_email_change_token"
+      )
+    );
+  }
+
+  // Someone may have registered the address since the request
+  const taken = await User.exists({
+    email: user.pendingEmail,
+    _id: { $ne: user._id },
+  });
+  if (taken) {
+    user.clearEmailChange();
+    await user.save({ validateBeforeSave: false });
+
+    return next(
+      new ApiError("Email address is already in use", 409, "email_in_use")
+    );
+  }
+
+  // Opening the link proves the new address, so it counts as verified
+  user.email = user.pendingEmail;
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.clearEmailChange();
+  await user.save({ validateBeforeSave: false });
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Email Changed",
+    message: `Your account email is now ${user.email}`,
+    type: "account",
+    priority: "high",
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Email changed successfully",
+  });
+});
+
+// @desc    Cancel a pending email change from the link sent to the old address
+// @route   POST /api/auth/email/cancel
+// @access  Public
+exports.cancelEmailChange = asyncHandler(async (req, res, next) => {
+  const { token, userId } = req.body;
+
+  const user = await User.findById(userId).select("+emailChangeCancelToken");
+
+  if (!user || !user.verifyEmailChangeToken(token, "cancel")) {
+    return next(
+      new ApiError(
+        "Invalid or expired cancellation link",
+        400,
+        "invalid_email_change_token"
+      )
+    );
+  }
+
+  user.clearEmailChange();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: "success",
+    message: "Email change cancelled",
+  });
+});
+
 // @desc    Upload avatar
 // @route   POST /api/auth/upload-avatar
 // @access  Private
@@ -522,7 +1220,6 @@ exports.uploadAvatar = asyncHandler(async (req, res, next) => {
 
   // Remove sensitive data from response
   updatedUser.password = undefined;
-  updatedUser.refreshToken = undefined;
 
   res.status(200).json({
     data: updatedUser,
@@ -649,6 +1346,85 @@ exports.verifyEmail = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Unlock a locked account with the link sent by email
+// @route   POST /api/auth/unlock-account
+// @access  Public
+exports.unlockAccount = asyncHandler(async (req, res, next) => {
+  const { token, userId } = req.body;
+
+  const user = await User.findById(userId);
+
+  if (!user || !user.verifyUnlockToken(token)) {
+    return next(
+      new ApiError(
+        "Invalid or expired unlock link",
+        400,
+        "invalid_unlock_token"
+      )
+    );
+  }
+
+  await user.resetLoginAttempts();
+
+  res.status(200).json({
+    status: "success",
+    message: "Account unlocked successfully, you can log in again",
+  });
+});
+
+// @desc    Secure the account from the "this wasn't me" link of a login alert
+// @route   POST /api/auth/secure-account
+// @access  Public
+exports.secureAccount = asyncHandler(async (req, res, next) => {
+  const decoded = verifyChallengeToken(req.body.token, "secure_account");
+  const user = decoded ? await User.findById(decoded.sub) : null;
+
+  // A password reset after the alert already secured the account
+  if (
+    !user ||
+    (user.passwordChangedAt &&
+      user.passwordChangedAt.getTime() / 1000 > decoded.iat)
+  ) {
+    return next(
+      new ApiError(
+        "Invalid or expired link",
+        400,
+        "invalid_secure_account_token"
+      )
+    );
+  }
+
+  // Sign out every device and integration, then wait for a password reset
+  await Session.revokeAllForUser(user._id, "account_secured");
+  await ApiToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await User.updateOne(
+    { _id: user._id },
+    {
+      passwordResetRequired: true,
+      suspiciousActivity: true,
+      lastLogoutAt: new Date(),
+    }
+  );
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Account Secured",
+    message:
+      "All devices and API tokens were signed out. Reset your password to sign in again",
+    type: "account",
+    priority: "urgent",
+  });
+
+  res.status(200).json({
+    status: "success",
+    message:
+      "All devices were signed out. Reset your password to sign in again",
+  });
+});
+
 //  ------------------------- PASSWORD RESET CYCLE -------------------------
 
 // @desc    Initiate password reset process
@@ -763,8 +1539,17 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   user.passwordResetCode = undefined;
   user.passwordResetExpires = undefined;
   user.passwordResetVerified = undefined;
+  user.passwordResetRequired = false;
   await user.save();
 
+  // Sign out every device that used the old password
+  await Session.revokeAllForUser(user._id, "password_reset");
+
+  // The emailed reset code proves the owner, like the login challenge
+  if (user.suspiciousActivity) {
+    await user.clearSuspiciousActivity();
+  }
+
   // Generate and send new authentication tokens
-  sendResponse(null, res, user, 200);
+  await sendResponse(req, res, user, 200);
 });
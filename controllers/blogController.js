@@ -0,0 +1,441 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Blog = require("../models/Blog");
+
+// Fields admins can set when creating or updating a post
+const EDITABLE_FIELDS = [
+  "title",
+  "slug",
+  "content",
+  "excerpt",
+  "featuredImage",
+  "category",
+  "tags",
+  "featured",
+  "metaTitle",
+  "metaDescription",
+  "language",
+  "translations",
+];
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+// Public listings never carry the comment threads
+const LIST_PROJECTION = "-comments -content";
+
+// @desc    Get published blog posts
+// @route   GET /api/blog
+// @access  Public
+exports.getPosts = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const { category, tag, language, featured } = req.query;
+
+  const filters = {};
+  if (category) filters.category = category;
+  if (tag) filters.tags = tag;
+  if (language) filters.language = language;
+  if (featured === "true") filters.featured = true;
+
+  const posts = await Blog.findPublished(filters)
+    .select(LIST_PROJECTION)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Blog.countDocuments({ status: "published", ...filters });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        posts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Blog posts retrieved successfully"
+    )
+  );
+});
+
+// @desc    Search published blog posts
+// @route   GET /api/blog/search
+// @access  Public
+exports.searchPosts = asyncHandler(async (req, res, next) => {
+  const { q: query, category, language } = req.query;
+  const prefix = req.query.prefix === "true";
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  if (!query) {
+    return next(
+      new ApiError("Search query is required", 400, "search_query_required")
+    );
+  }
+
+  const filters = {};
+  if (category) filters.category = category;
+  if (language) filters.language = language;
+
+  const posts = await Blog.searchPosts(query, filters, { prefix })
+    .select(LIST_PROJECTION)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Blog.countDocuments({
+    ...Blog.searchFilter(query, { prefix }),
+    status: "published",
+    ...filters,
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        posts,
+        query,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Search results retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get a published blog post by slug
+// @route   GET /api/blog/:slug
+// @access  Public
+exports.getPostBySlug = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findOne({
+    slug: req.params.slug,
+    status: "published",
+  })
+    .populate("author", "firstName lastName avatar bio")
+    .populate("comments.user", "firstName lastName avatar");
+
+  if (!post) {
+    return next(new ApiError("Blog post not found", 404, "post_not_found"));
+  }
+
+  await post.incrementViews();
+
+  const data = post.toJSON();
+  data.comments = data.comments.filter(
+    (comment) => comment.status === "approved"
+  );
+  data.localized = post.getLocalizedContent(req.query.lang || post.language);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, data, "Blog post retrieved successfully"));
+});
+
+// @desc    Comment on a published blog post
+// @route   POST /api/blog/:slug/comments
+// @access  Private
+exports.addComment = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findOne({
+    slug: req.params.slug,
+    status: "published",
+  });
+
+  if (!post) {
+    return next(new ApiError("Blog post not found", 404, "post_not_found"));
+  }
+
+  await post.addComment(req.user._id, req.body.content);
+  const comment = post.comments[post.comments.length - 1];
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(201, comment, "Comment submitted and awaiting approval")
+    );
+});
+
+// @desc    Get all blog posts (any status)
+// @route   GET /api/blog/admin/all
+// @access  Private/Admin/Master
+exports.getAllPosts = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status, category, search } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (category) query.category = category;
+  if (search) Object.assign(query, Blog.searchFilter(search, { prefix: true }));
+
+  const posts = await Blog.find(query)
+    .populate("author", "firstName lastName")
+    .populate("lastModifiedBy", "firstName lastName")
+    .select("-content")
+    .sort({ updatedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Blog.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        posts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Blog posts retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get any blog post by id
+// @route   GET /api/blog/admin/:id
+// @access  Private/Admin/Master
+exports.getPost = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findById(req.params.id)
+    .populate("author", "firstName lastName email")
+    .populate("lastModifiedBy", "firstName lastName")
+    .populate("comments.user", "firstName lastName email");
+
+  if (!post) {
+    return next(new ApiError("Blog post not found", 404, "post_not_found"));
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, post, "Blog post retrieved successfully"));
+});
+
+// @desc    Create blog post
+// @route   POST /api/blog
+// @access  Private/Admin/Master
+exports.createPost = asyncHandler(async (req, res, next) => {
+  const post = await Blog.create({
+    ...pickEditableFields(req.body),
+    status: req.body.status === "published" ? "published" : "draft",
+    author: req.user._id,
+    lastModifiedBy: req.user._id,
+  });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, post, "Blog post created successfully"));
+});
+
+// @desc    Update blog post
+// @route   PATCH /api/blog/:id
+// @access  Private/Admin/Master
+exports.updatePost = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findById(req.params.id);
+
+  if (!post) {
+    return next(new ApiError("Blog post not found", 404, "post_not_found"));
+  }
+
+  post.set(pickEditableFields(req.body));
+  post.lastModifiedBy = req.user._id;
+  await post.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, post, "Blog post updated successfully"));
+});
+
+// @desc    Delete blog post
+// @route   DELETE /api/blog/:id
+// @access  Private/Admin/Master
+exports.deletePost = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findByIdAndDelete(req.params.id);
+
+  if (!post) {
+    return next(new ApiError("Blog post not found", 404, "post_not_found"));
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, null, "Blog post deleted successfully"));
+});
+
+// @desc    Publish blog post
+// @route   PATCH /api/blog/:id/publish
+// @access  Private/Admin/Master
+exports.publishPost = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findById(req.params.id);
+
+  if (!post) {
+    return next(new ApiError("Blog post not found", 404, "post_not_found"));
+  }
+
+  if (post.status === "published") {
+    return next(
+      new ApiError("Blog post is already published", 400, "already_published")
+    );
+  }
+
+  post.status = "published";
+  post.lastModifiedBy = req.user._id;
+  await post.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, post, "Blog post published successfully"));
+});
+
+// @desc    Archive blog post
+// @route   PATCH /api/blog/:id/archive
+// @access  Private/Admin/Master
+exports.archivePost = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findById(req.params.id);
+
+  if (!post) {
+    return next(new ApiError("Blog post not found", 404, "post_not_found"));
+  }
+
+  if (post.status === "archived") {
+    return next(
+      new ApiError("Blog post is already archived", 400, "already_archived")
+    );
+  }
+
+  post.status = "archived";
+  post.lastModifiedBy = req.user._id;
+  await post.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, post, "Blog post archived successfully"));
+});
+
+// @desc    Get comments awaiting moderation
+// @route   GET /api/blog/admin/comments
+// @access  Private/Admin/Master
+exports.getPendingComments = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const status = req.query.status || "pending";
+
+  const pipeline = [
+    { $match: { "comments.status": status } },
+    { $unwind: "$comments" },
+    { $match: { "comments.status": status } },
+  ];
+
+  const [comments, [count]] = await Promise.all([
+    Blog.aggregate([
+      ...pipeline,
+      { $sort: { "comments.createdAt": 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: "users",
+          localField: "comments.user",
+          foreignField: "_id",
+          as: "user",
+        },
+      },
+      {
+        $project: {
+          _id: "$comments._id",
+          content: "$comments.content",
+          status: "$comments.status",
+          createdAt: "$comments.createdAt",
+          user: {
+            _id: { $arrayElemAt: ["$user._id", 0] },
+            firstName: { $arrayElemAt: ["$user.firstName", 0] },
+            lastName: { $arrayElemAt: ["$user.lastName", 0] },
+            email: { $arrayElemAt: ["$user.email", 0] },
+          },
+          post: { _id: "$_id", title: "$title", slug: "$slug" },
+        },
+      },
+    ]),
+    Blog.aggregate([...pipeline, { $count: "total" }]),
+  ]);
+
+  const total = count ? count.total : 0;
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Comments retrieved successfully"
+    )
+  );
+});
+
+// @desc    Approve or reject a comment
+// @route   PATCH /api/blog/:id/comments/:commentId
+// @access  Private/Admin/Master
+exports.moderateComment = asyncHandler(async (req, res, next) => {
+  const post = await Blog.findById(req.params.id);
+
+  if (!post || !post.comments.id(req.params.commentId)) {
+    return next(new ApiError("Comment not found", 404, "comment_not_found"));
+  }
+
+  const { commentId } = req.params;
+  if (req.body.status === "approved") {
+    await post.approveComment(commentId);
+  } else {
+    await post.rejectComment(commentId);
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        post.comments.id(commentId),
+        `Comment ${req.body.status} successfully`
+      )
+    );
+});
+
+// @desc    Delete a comment
+// @route   DELETE /api/blog/:id/comments/:commentId
+// @access  Private/Admin/Master
+exports.deleteComment = asyncHandler(async (req, res, next) => {
+  const result = await Blog.updateOne(
+    { _id: req.params.id },
+    {
+      $pull: {
+        comments: { _id: new mongoose.Types.ObjectId(req.params.commentId) },
+      },
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return next(new ApiError("Comment not found", 404, "comment_not_found"));
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, null, "Comment deleted successfully"));
+});
@@ -0,0 +1,222 @@
+const asyncHandler = require("express-async-handler");
+const Cart = require("../models/Cart");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const {
+  resolveItems,
+  itemProblemError,
+  placeOrder,
+} = require("../utils/orderPlacement");
+const { defaultTier } = require("../config/licenses");
+
+/**
+ * Check every cart item against its upload and current license price.
+ * Items whose price changed are reported once, then the cart keeps the new
+ * price so the next checkout goes through.
+ * @returns {Object} { items, itemsCount, total, unavailableCount, priceChangedCount }
+ */
+const describeCart = async (cart, userId) => {
+  const resolved = await resolveItems(
+    cart.items.map((item) => ({
+      uploadId: item.upload,
+      license: item.license,
+    })),
+    userId
+  );
+
+  let changed = false;
+  const items = cart.items.map((item, index) => {
+    const { upload, license, problem } = resolved[index];
+    const priceChanged = !problem && license.price !== item.price;
+    const previousPrice = item.price;
+
+    if (priceChanged) {
+      item.price = license.price;
+      changed = true;
+    }
+
+    return {
+      _id: item._id,
+      upload: upload
+        ? {
+            _id: upload._id,
+            title: upload.title,
+            thumbnailUrl: upload.thumbnailUrl,
+            photographer: upload.user
+              ? {
+                  _id: upload.user._id,
+                  firstName: upload.user.firstName,
+                  lastName: upload.user.lastName,
+                }
+              : null,
+          }
+        : { _id: item.upload },
+      license: item.license,
+      price: item.price,
+      available: !problem,
+      problem,
+      priceChanged,
+      previousPrice: priceChanged ? previousPrice : undefined,
+      addedAt: item.addedAt,
+    };
+  });
+
+  if (changed) {
+    await cart.save();
+  }
+
+  const available = items.filter((item) => item.available);
+
+  return {
+    items,
+    itemsCount: items.length,
+    total: available.reduce((sum, item) => sum + item.price, 0),
+    unavailableCount: items.length - available.length,
+    priceChangedCount: items.filter((item) => item.priceChanged).length,
+  };
+};
+
+// @desc    Get my cart, flagging unavailable items and price changes
+// @route   GET /api/cart
+// @access  Private/User
+exports.getCart = asyncHandler(async (req, res, next) => {
+  const cart = await Cart.findOrCreate(req.user._id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await describeCart(cart, req.user._id),
+        "Cart retrieved successfully"
+      )
+    );
+});
+
+// @desc    Add an upload to my cart, or change its license
+// @route   POST /api/cart/items
+// @access  Private/User
+exports.addToCart = asyncHandler(async (req, res, next) => {
+  const { uploadId } = req.body;
+  const tier = req.body.license || defaultTier;
+
+  const [resolved] = await resolveItems(
+    [{ uploadId, license: tier }],
+    req.user._id
+  );
+
+  if (resolved.problem) {
+    return next(itemProblemError(resolved));
+  }
+
+  const cart = await Cart.findOrCreate(req.user._id);
+  const inCart = cart.items.some(
+    (item) => item.upload.toString() === uploadId.toString()
+  );
+
+  if (!inCart && cart.isFull()) {
+    return next(new ApiError("Your cart is full", 400, "cart_full"));
+  }
+
+  await cart.setItem(uploadId, tier, resolved.license.price);
+
+  res
+    .status(inCart ? 200 : 201)
+    .json(
+      new ApiResponse(
+        inCart ? 200 : 201,
+        await describeCart(cart, req.user._id),
+        inCart ? "Cart item updated successfully" : "Item added to cart"
+      )
+    );
+});
+
+// @desc    Remove an upload from my cart
+// @route   DELETE /api/cart/items/:uploadId
+// @access  Private/User
+exports.removeFromCart = asyncHandler(async (req, res, next) => {
+  const cart = await Cart.findOrCreate(req.user._id);
+
+  const inCart = cart.items.some(
+    (item) => item.upload.toString() === req.params.uploadId
+  );
+  if (!inCart) {
+    return next(
+      new ApiError("Item not found in cart", 404, "cart_item_not_found")
+    );
+  }
+
+  await cart.removeItem(req.params.uploadId);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await describeCart(cart, req.user._id),
+        "Item removed from cart"
+      )
+    );
+});
+
+// @desc    Empty my cart
+// @route   DELETE /api/cart
+// @access  Private/User
+exports.clearCart = asyncHandler(async (req, res, next) => {
+  const cart = await Cart.findOrCreate(req.user._id);
+  await cart.clear();
+
+  res.status(200).json(new ApiResponse(200, null, "Cart cleared"));
+});
+
+// @desc    Turn my cart into an order
+// @route   POST /api/cart/checkout
+// @access  Private/User
+exports.checkout = asyncHandler(async (req, res, next) => {
+  const { couponCode, billingAddress, paymentMethod, notes } = req.body;
+  const cart = await Cart.findOrCreate(req.user._id);
+
+  if (cart.items.length === 0) {
+    return next(new ApiError("Your cart is empty", 400, "cart_empty"));
+  }
+
+  // The user must see what changed before paying for it
+  const summary = await describeCart(cart, req.user._id);
+
+  if (summary.unavailableCount > 0) {
+    return next(
+      new ApiError(
+        "Some items in your cart can't be bought anymore, remove them to continue",
+        409,
+        "cart_items_unavailable"
+      )
+    );
+  }
+
+  if (summary.priceChangedCount > 0) {
+    return next(
+      new ApiError(
+        "Some prices in your cart have changed, review your cart and check out again",
+        409,
+        "cart_prices_changed"
+      )
+    );
+  }
+
+  const order = await placeOrder(req.user._id, {
+    items: cart.items.map((item) => ({
+      uploadId: item.upload,
+      license: item.license,
+    })),
+    couponCode,
+    paymentMethod,
+    billingAddress,
+    notes,
+  });
+
+  await cart.clear();
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, order, "Order created successfully"));
+});
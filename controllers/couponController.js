@@ -0,0 +1,228 @@
+const asyncHandler = require("express-async-handler");
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const AuditLog = require("../models/AuditLog");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const escapeRegex = require("../utils/escapeRegex");
+
+// Fields an admin can set, usedCount is only changed by orders
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "minOrderAmount",
+  "startsAt",
+  "expiresAt",
+  "usageLimit",
+  "perUserLimit",
+  "categories",
+  "sellers",
+  "active",
+];
+
+const couponSnapshot = (coupon) =>
+  EDITABLE_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = coupon[field];
+    return snapshot;
+  }, {});
+
+// @desc    Get coupons
+// @route   GET /api/admin/coupons
+// @access  Private/Admin/Master
+exports.getCoupons = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = {};
+  if (req.query.active !== undefined) {
+    query.active = req.query.active === "true";
+  }
+  if (req.query.search) {
+    query.code = { $regex: escapeRegex(req.query.search), $options: "i" };
+  }
+
+  const coupons = await Coupon.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Coupon.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        coupons,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Coupons retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get a coupon and how much it has been used
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin/Master
+exports.getCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate("sellers", "firstName lastName email")
+    .populate("createdBy", "firstName lastName");
+
+  if (!coupon) {
+    return next(new ApiError("Coupon not found", 404, "coupon_not_found"));
+  }
+
+  const [usage] = await Order.aggregate([
+    { $match: { "discount.coupon": coupon._id } },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        paidOrders: {
+          $sum: { $cond: [{ $in: ["$status", ["paid", "completed"]] }, 1, 0] },
+        },
+        totalDiscount: {
+          $sum: {
+            $cond: [
+              { $in: ["$status", ["paid", "completed"]] },
+              "$discount.amount",
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        coupon,
+        usage: {
+          orders: usage ? usage.orders : 0,
+          paidOrders: usage ? usage.paidOrders : 0,
+          totalDiscount: usage ? usage.totalDiscount : 0,
+        },
+      },
+      "Coupon retrieved successfully"
+    )
+  );
+});
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin/Master
+exports.createCoupon = asyncHandler(async (req, res, next) => {
+  if (await Coupon.findByCode(req.body.code)) {
+    return next(
+      new ApiError(
+        "A coupon with this code already exists",
+        409,
+        "coupon_exists"
+      )
+    );
+  }
+
+  const coupon = new Coupon({ createdBy: req.user._id });
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) coupon[field] = req.body[field];
+  });
+  await coupon.save();
+
+  await AuditLog.record(req, {
+    action: "coupon.create",
+    target: { type: "coupon", id: coupon._id, label: coupon.code },
+    before: {},
+    after: couponSnapshot(coupon),
+  });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, coupon, "Coupon created successfully"));
+});
+
+// @desc    Update a coupon
+// @route   PATCH /api/admin/coupons/:id
+// @access  Private/Admin/Master
+exports.updateCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new ApiError("Coupon not found", 404, "coupon_not_found"));
+  }
+
+  if (req.body.code && req.body.code.toUpperCase() !== coupon.code) {
+    const existing = await Coupon.findByCode(req.body.code);
+    if (existing) {
+      return next(
+        new ApiError(
+          "A coupon with this code already exists",
+          409,
+          "coupon_exists"
+        )
+      );
+    }
+  }
+
+  const before = couponSnapshot(coupon);
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) coupon[field] = req.body[field];
+  });
+  await coupon.save();
+
+  await AuditLog.record(req, {
+    action: "coupon.update",
+    target: { type: "coupon", id: coupon._id, label: coupon.code },
+    before,
+    after: couponSnapshot(coupon),
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, coupon, "Coupon updated successfully"));
+});
+
+// @desc    Delete a coupon no order has used
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin/Master
+exports.deleteCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new ApiError("Coupon not found", 404, "coupon_not_found"));
+  }
+
+  // Orders keep pointing at the coupons they used
+  if (await Order.exists({ "discount.coupon": coupon._id })) {
+    return next(
+      new ApiError(
+        "This coupon has been used, deactivate it instead",
+        409,
+        "coupon_in_use"
+      )
+    );
+  }
+
+  await coupon.deleteOne();
+
+  await AuditLog.record(req, {
+    action: "coupon.delete",
+    target: { type: "coupon", id: coupon._id, label: coupon.code },
+    before: couponSnapshot(coupon),
+    after: {},
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, null, "Coupon deleted successfully"));
+});
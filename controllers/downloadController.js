@@ -0,0 +1,87 @@
+const path = require("path");
+const fs = require("fs");
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const Order = require("../models/Order");
+const { verifyDownloadToken } = require("../utils/downloadToken");
+const { resolveOriginalFile } = require("../utils/mediaProcessor");
+
+// @desc    Download the original file of a purchased item
+// @route   GET /api/downloads/:token
+// @access  Public (signed token)
+exports.downloadFile = asyncHandler(async (req, res, next) => {
+  const payload = verifyDownloadToken(req.params.token);
+
+  if (!payload) {
+    return next(
+      new ApiError(
+        "Download link is invalid or has expired",
+        403,
+        "invalid_download_token"
+      )
+    );
+  }
+
+  const order = await Order.findById(payload.orderId).populate(
+    "items.upload",
+    "originalFileUrl title"
+  );
+
+  const item = order && order.items.id(payload.itemId);
+
+  // The token must still match the order item it was minted for
+  if (
+    !item ||
+    !item.upload ||
+    item.upload._id.toString() !== payload.uploadId ||
+    order.customer.toString() !== payload.customerId
+  ) {
+    return next(new ApiError("Download not found", 404, "download_not_found"));
+  }
+
+  if (order.status !== "paid" && order.status !== "completed") {
+    return next(new ApiError("Order not paid", 400, "order_not_paid"));
+  }
+
+  if (new Date() > item.downloadExpires) {
+    return next(
+      new ApiError("Download link has expired", 400, "download_expired")
+    );
+  }
+
+  const filePath = resolveOriginalFile(item.upload.originalFileUrl);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return next(new ApiError("Original file not found", 404, "file_not_found"));
+  }
+
+  // Count the download only while the license still allows one, so parallel
+  // requests can't go over the limit
+  const itemFilter = { _id: item._id };
+  if (item.license && item.license.downloadLimit) {
+    itemFilter.downloadCount = { $lt: item.license.downloadLimit };
+  }
+
+  const counted = await Order.updateOne(
+    { _id: order._id, items: { $elemMatch: itemFilter } },
+    {
+      $inc: { "items.$.downloadCount": 1 },
+      $set: {
+        "items.$.downloaded": true,
+        "items.$.downloadedAt": item.downloadedAt || new Date(),
+      },
+    }
+  );
+
+  if (counted.modifiedCount === 0) {
+    return next(
+      new ApiError(
+        "The download limit of this license has been reached",
+        403,
+        "download_limit_reached"
+      )
+    );
+  }
+
+  res.set("Cache-Control", "private, no-store");
+  res.download(filePath, `${item.upload.title}${path.extname(filePath)}`);
+});
@@ -0,0 +1,340 @@
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Revenue = require("../models/Revenue");
+const Settings = require("../models/Settings");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+
+// Used when the minimum_payout setting has not been seeded
+const DEFAULT_MINIMUM_PAYOUT = 50;
+
+// Internal bookkeeping that is never shown to sellers
+const LEDGER_PROJECTION = "-idempotencyKey -paymentDetails.gatewayResponse";
+
+const getMinimumPayout = async () =>
+  (await Settings.getSetting("minimum_payout")) || DEFAULT_MINIMUM_PAYOUT;
+
+const findPayout = (id) =>
+  Revenue.findOne({ _id: id, type: "withdrawal" }).populate(
+    "user",
+    "firstName lastName email"
+  );
+
+// @desc    Get my balance and earnings summary
+// @route   GET /api/earnings
+// @access  Private
+exports.getEarnings = asyncHandler(async (req, res, next) => {
+  const { startDate, endDate } = req.query;
+
+  const [balance, summary, minimumPayout] = await Promise.all([
+    Revenue.getUserBalance(req.user._id),
+    Revenue.getUserEarningsSummary(req.user._id, { startDate, endDate }),
+    getMinimumPayout(),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        balance,
+        summary,
+        minimumPayout,
+        canRequestPayout: balance.available >= minimumPayout,
+      },
+      "Earnings retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get my earnings ledger
+// @route   GET /api/earnings/ledger
+// @access  Private
+exports.getLedger = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { type, status, startDate, endDate } = req.query;
+
+  const query = { user: req.user._id };
+  if (type) query.type = type;
+  if (status) query.status = status;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const entries = await Revenue.find(query)
+    .populate("relatedUpload", "title thumbnailUrl")
+    .populate("relatedMission", "title")
+    .select(LEDGER_PROJECTION)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Revenue.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Ledger retrieved successfully"
+    )
+  );
+});
+
+// @desc    Request a payout of my available balance
+// @route   POST /api/earnings/payouts
+// @access  Private
+exports.requestPayout = asyncHandler(async (req, res, next) => {
+  const { amount, paymentMethod, payoutDetails, notes } = req.body;
+
+  const minimumPayout = await getMinimumPayout();
+  if (amount < minimumPayout) {
+    return next(
+      new ApiError(
+        `Minimum payout amount is ${minimumPayout}`,
+        400,
+        "payout_below_minimum"
+      )
+    );
+  }
+
+  // One open request at a time keeps the reserved balance consistent
+  const openRequest = await Revenue.exists({
+    user: req.user._id,
+    type: "withdrawal",
+    status: { $in: ["pending", "approved"] },
+  });
+  if (openRequest) {
+    return next(
+      new ApiError(
+        "You already have a payout request in progress",
+        409,
+        "payout_in_progress"
+      )
+    );
+  }
+
+  const balance = await Revenue.getUserBalance(req.user._id);
+  if (amount > balance.available) {
+    return next(
+      new ApiError(
+        "Payout amount exceeds your available balance",
+        400,
+        "insufficient_balance"
+      )
+    );
+  }
+
+  // The checks above can pass for two requests sent at once, the unique open
+  // payout index lets only one of them through
+  let payout;
+  try {
+    payout = await Revenue.create({
+      user: req.user._id,
+      type: "withdrawal",
+      amount,
+      description: `Payout request via ${paymentMethod.replace("_", " ")}`,
+      paymentMethod,
+      notes,
+      status: "pending",
+      metadata: { payoutDetails },
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return next(
+      new ApiError(
+        "You already have a payout request in progress",
+        409,
+        "payout_in_progress"
+      )
+    );
+  }
+
+  // Notify admins about the new payout request
+  const admins = await User.findWithPermission("earnings.manage");
+  await Notification.createBulkNotifications(
+    admins.map((admin) => ({
+      user: admin._id,
+      title: "New Payout Request",
+      message: `${req.user.firstName} ${req.user.lastName} requested a payout of ${payout.formattedAmount}`,
+      type: "payment",
+      priority: "medium",
+      data: { revenueId: payout._id, userId: req.user._id },
+    }))
+  );
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, payout, "Payout requested successfully"));
+});
+
+// @desc    Get payout requests (pending by default)
+// @route   GET /api/earnings/admin/payouts
+// @access  Private/Admin/Master
+exports.getPayouts = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const status = req.query.status || "pending";
+
+  const query = { type: "withdrawal", status };
+  if (req.query.user) query.user = req.query.user;
+
+  const payouts = await Revenue.find(query)
+    .populate("user", "firstName lastName email")
+    .populate("approvedBy", "firstName lastName")
+    .populate("processedBy", "firstName lastName")
+    .sort({ createdAt: status === "pending" ? 1 : -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Revenue.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        payouts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Payout requests retrieved successfully"
+    )
+  );
+});
+
+// @desc    Approve a payout request
+// @route   PATCH /api/earnings/admin/payouts/:id/approve
+// @access  Private/Admin/Master
+exports.approvePayout = asyncHandler(async (req, res, next) => {
+  const payout = await findPayout(req.params.id);
+
+  if (!payout) {
+    return next(
+      new ApiError("Payout request not found", 404, "payout_not_found")
+    );
+  }
+
+  if (payout.status !== "pending") {
+    return next(
+      new ApiError(
+        `Payout request is already ${payout.status}`,
+        400,
+        "payout_not_pending"
+      )
+    );
+  }
+
+  await payout.approvePayout(req.user._id);
+
+  await Notification.createNotification({
+    user: payout.user._id,
+    title: "Payout Approved",
+    message: `Your payout of ${payout.formattedAmount} has been approved and will be processed soon`,
+    type: "payment",
+    priority: "medium",
+    data: { revenueId: payout._id },
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, payout, "Payout approved successfully"));
+});
+
+// @desc    Mark an approved payout as processed
+// @route   PATCH /api/earnings/admin/payouts/:id/process
+// @access  Private/Admin/Master
+exports.processPayout = asyncHandler(async (req, res, next) => {
+  const payout = await findPayout(req.params.id);
+
+  if (!payout) {
+    return next(
+      new ApiError("Payout request not found", 404, "payout_not_found")
+    );
+  }
+
+  if (payout.status !== "approved") {
+    return next(
+      new ApiError(
+        "Only approved payouts can be processed",
+        400,
+        "payout_not_approved"
+      )
+    );
+  }
+
+  const { paymentMethod, transactionId, paymentGateway, notes } = req.body;
+
+  if (notes) payout.notes = notes;
+  await payout.processPayment(
+    paymentMethod || payout.paymentMethod,
+    { transactionId, paymentGateway },
+    req.user._id
+  );
+
+  await Notification.createNotification({
+    user: payout.user._id,
+    title: "Payout Sent",
+    message: `Your payout of ${payout.formattedAmount} has been sent`,
+    type: "payment",
+    priority: "high",
+    data: { revenueId: payout._id, transactionId },
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, payout, "Payout processed successfully"));
+});
+
+// @desc    Reject a payout request and release the reserved balance
+// @route   PATCH /api/earnings/admin/payouts/:id/reject
+// @access  Private/Admin/Master
+exports.rejectPayout = asyncHandler(async (req, res, next) => {
+  const payout = await findPayout(req.params.id);
+
+  if (!payout) {
+    return next(
+      new ApiError("Payout request not found", 404, "payout_not_found")
+    );
+  }
+
+  if (!["pending", "approved"].includes(payout.status)) {
+    return next(
+      new ApiError(
+        `Payout request is already ${payout.status}`,
+        400,
+        "payout_not_pending"
+      )
+    );
+  }
+
+  await payout.cancel(req.body.reason);
+
+  await Notification.createNotification({
+    user: payout.user._id,
+    title: "Payout Rejected",
+    message: req.body.reason
+      ? `Your payout of ${payout.formattedAmount} was rejected: ${req.body.reason}`
+      : `Your payout of ${payout.formattedAmount} was rejected`,
+    type: "payment",
+    priority: "high",
+    data: { revenueId: payout._id },
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, payout, "Payout rejected successfully"));
+});
@@ -1,6 +1,8 @@
 const asyncHandler = require("express-async-handler");
 const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
 const ApiFeatures = require("../utils/ApiFeatures");
+const { escapeRegex } = require("../utils/searchNormalizer");
 
 exports.createOne = (Model) =>
   asyncHandler(async (req, res) => {
@@ -196,10 +198,16 @@ exports.searchDocuments = (Model, searchFields = [], populateOptions = null) =>
       return next(new ApiError("Search query is required", 400));
     }
 
-    // Build search conditions
-    const searchConditions = searchFields.map((field) => ({
-      [field]: { $regex: q, $options: "i" },
-    }));
+    // Models with normalized search fields match word prefixes, the others
+    // match the query anywhere in the search fields
+    const searchCondition =
+      typeof Model.searchFilter === "function"
+        ? Model.searchFilter(q, { prefix: true })
+        : {
+            $or: searchFields.map((field) => ({
+              [field]: { $regex: escapeRegex(q), $options: "i" },
+            })),
+          };
 
     // Add status filter for models that have it
     const baseFilter = {};
@@ -210,7 +218,7 @@ exports.searchDocuments = (Model, searchFields = [], populateOptions = null) =>
     // Build query with pagination
     const skip = (page - 1) * limit;
     let query = Model.find({
-      $and: [{ $or: searchConditions }, baseFilter],
+      $and: [searchCondition, baseFilter],
     })
       .skip(skip)
       .limit(parseInt(limit))
@@ -225,7 +233,7 @@ exports.searchDocuments = (Model, searchFields = [], populateOptions = null) =>
     const [results, totalResults] = await Promise.all([
       query,
       Model.countDocuments({
-        $and: [{ $or: searchConditions }, baseFilter],
+        $and: [searchCondition, baseFilter],
       }),
     ]);
 
@@ -0,0 +1,450 @@
+const crypto = require("crypto");
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const FAQ = require("../models/FAQ");
+const FAQVote = require("../models/FAQVote");
+const getRequestLanguage = require("../utils/getRequestLanguage");
+
+// Fields admins can set when creating or updating an FAQ
+const EDITABLE_FIELDS = [
+  "question",
+  "answer",
+  "category",
+  "status",
+  "featured",
+  "displayOrder",
+  "language",
+  "translations",
+  "tags",
+  "relatedServices",
+  "seo",
+];
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+// Public representation of FAQs in the requested language
+const localize = (faqs, language) =>
+  faqs.map((faq) => ({
+    ...faq.toJSON(),
+    ...faq.getLocalizedContent(language),
+  }));
+
+// Logged in visitors vote as themselves, anonymous ones per cookie session
+const getVoterKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+
+  if (!req.session.faqVoterId) {
+    req.session.faqVoterId = crypto.randomBytes(16).toString("hex");
+  }
+  return `session:${req.session.faqVoterId}`;
+};
+
+// @desc    Get active FAQs
+// @route   GET /api/faqs
+// @access  Public
+exports.getFAQs = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+  const { category, tag } = req.query;
+
+  const filters = {};
+  if (category) filters.category = category;
+  if (tag) filters.tags = tag;
+  if (req.query.language) filters.language = req.query.language;
+
+  const faqs = await FAQ.findActive(filters);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        localize(faqs, language),
+        "FAQs retrieved successfully"
+      )
+    );
+});
+
+// @desc    Get FAQ categories with counts
+// @route   GET /api/faqs/categories
+// @access  Public
+exports.getCategories = asyncHandler(async (req, res, next) => {
+  const categories = await FAQ.aggregate([
+    { $match: { status: "active" } },
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, category: "$_id", count: 1 } },
+  ]);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, categories, "FAQ categories retrieved successfully")
+    );
+});
+
+// @desc    Get FAQs in a category
+// @route   GET /api/faqs/category/:category
+// @access  Public
+exports.getFAQsByCategory = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+
+  const faqs = await FAQ.findByCategory(
+    req.params.category,
+    req.query.language || language
+  );
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        localize(faqs, language),
+        `FAQs in ${req.params.category} category retrieved successfully`
+      )
+    );
+});
+
+// @desc    Search FAQs
+// @route   GET /api/faqs/search
+// @access  Public
+exports.searchFAQs = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+  const { q: query, category } = req.query;
+  const prefix = req.query.prefix === "true";
+  const limit = parseInt(req.query.limit) || 20;
+
+  if (!query) {
+    return next(
+      new ApiError("Search query is required", 400, "search_query_required")
+    );
+  }
+
+  const filters = {};
+  if (category) filters.category = category;
+
+  const faqs = await FAQ.searchFAQs(query, filters, { prefix }).limit(limit);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        faqs: localize(faqs, language),
+        query,
+      },
+      "Search results retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get popular FAQs
+// @route   GET /api/faqs/popular
+// @access  Public
+exports.getPopularFAQs = asyncHandler(async (req, res, next) => {
+  const limit = parseInt(req.query.limit) || 10;
+  const faqs = await FAQ.findPopular(limit);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        localize(faqs, getRequestLanguage(req)),
+        "Popular FAQs retrieved successfully"
+      )
+    );
+});
+
+// @desc    Get featured FAQs
+// @route   GET /api/faqs/featured
+// @access  Public
+exports.getFeaturedFAQs = asyncHandler(async (req, res, next) => {
+  const limit = parseInt(req.query.limit) || 10;
+  const faqs = await FAQ.findFeatured(limit);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        localize(faqs, getRequestLanguage(req)),
+        "Featured FAQs retrieved successfully"
+      )
+    );
+});
+
+// @desc    Get single FAQ
+// @route   GET /api/faqs/:id
+// @access  Public
+exports.getFAQ = asyncHandler(async (req, res, next) => {
+  const faq = await FAQ.findOne({
+    _id: req.params.id,
+    status: "active",
+  }).populate("relatedServices", "name slug");
+
+  if (!faq) {
+    return next(new ApiError("FAQ not found", 404, "faq_not_found"));
+  }
+
+  await faq.incrementViews();
+
+  const [data] = localize([faq], getRequestLanguage(req));
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, data, "FAQ retrieved successfully"));
+});
+
+// @desc    Vote an FAQ helpful or not helpful
+// @route   POST /api/faqs/:id/vote
+// @access  Public (one vote per user or anonymous session)
+exports.voteFAQ = asyncHandler(async (req, res, next) => {
+  const faq = await FAQ.findOne({ _id: req.params.id, status: "active" });
+
+  if (!faq) {
+    return next(new ApiError("FAQ not found", 404, "faq_not_found"));
+  }
+
+  const helpful = req.body.helpful === true || req.body.helpful === "true";
+  const voter = getVoterKey(req);
+
+  const previous = await FAQVote.castVote(faq._id, voter, {
+    helpful,
+    user: req.user ? req.user._id : null,
+  });
+
+  // Counters only move when the visitor's vote actually changes
+  if (!previous) {
+    if (helpful) await faq.markAsHelpful();
+    else await faq.markAsNotHelpful();
+  } else if (previous.helpful !== helpful) {
+    await faq.changeVote(helpful);
+  }
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        helpful,
+        helpfulCount: faq.helpfulCount,
+        notHelpfulCount: faq.notHelpfulCount,
+        helpfulnessRatio: faq.helpfulnessRatio,
+      },
+      "Thanks for your feedback"
+    )
+  );
+});
+
+// @desc    Get all FAQs (any status)
+// @route   GET /api/faqs/admin/all
+// @access  Private/Admin/Master
+exports.getAllFAQs = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const { status, category, language } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (category) query.category = category;
+  if (language) query.language = language;
+
+  const faqs = await FAQ.find(query)
+    .populate("createdBy", "firstName lastName")
+    .populate("lastModifiedBy", "firstName lastName")
+    .sort({ category: 1, displayOrder: 1, createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await FAQ.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        faqs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "FAQs retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get FAQ helpfulness report
+// @route   GET /api/faqs/admin/stats
+// @access  Private/Admin/Master
+exports.getFAQStats = asyncHandler(async (req, res, next) => {
+  const minVotes = parseInt(req.query.minVotes) || 5;
+
+  const ratio = {
+    $cond: [
+      { $gt: [{ $add: ["$helpful", "$notHelpful"] }, 0] },
+      {
+        $multiply: [
+          { $divide: ["$helpful", { $add: ["$helpful", "$notHelpful"] }] },
+          100,
+        ],
+      },
+      0,
+    ],
+  };
+
+  const categories = await FAQ.aggregate([
+    { $match: { status: { $ne: "archived" } } },
+    {
+      $group: {
+        _id: "$category",
+        count: { $sum: 1 },
+        views: { $sum: "$views" },
+        helpful: { $sum: "$helpfulCount" },
+        notHelpful: { $sum: "$notHelpfulCount" },
+      },
+    },
+    { $addFields: { helpfulnessRatio: ratio } },
+    { $sort: { helpfulnessRatio: 1 } },
+  ]);
+
+  // FAQs with enough votes to judge, least helpful first
+  const needsAttention = await FAQ.aggregate([
+    { $match: { status: "active" } },
+    {
+      $project: {
+        question: 1,
+        category: 1,
+        views: 1,
+        helpful: "$helpfulCount",
+        notHelpful: "$notHelpfulCount",
+        votes: { $add: ["$helpfulCount", "$notHelpfulCount"] },
+      },
+    },
+    { $match: { votes: { $gte: minVotes } } },
+    { $addFields: { helpfulnessRatio: ratio } },
+    { $sort: { helpfulnessRatio: 1, votes: -1 } },
+    { $limit: 10 },
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        categories,
+        needsAttention,
+      },
+      "FAQ statistics retrieved successfully"
+    )
+  );
+});
+
+// @desc    Create FAQ
+// @route   POST /api/faqs
+// @access  Private/Admin/Master
+exports.createFAQ = asyncHandler(async (req, res, next) => {
+  const data = pickEditableFields(req.body);
+
+  // New FAQs go to the end of their category unless placed explicitly
+  if (data.displayOrder === undefined) {
+    const last = await FAQ.findOne({ category: data.category })
+      .sort({ displayOrder: -1 })
+      .select("displayOrder");
+    data.displayOrder = last ? last.displayOrder + 1 : 0;
+  }
+
+  const faq = await FAQ.create({
+    ...data,
+    createdBy: req.user._id,
+    lastModifiedBy: req.user._id,
+  });
+
+  res.status(201).json(new ApiResponse(201, faq, "FAQ created successfully"));
+});
+
+// @desc    Update FAQ
+// @route   PATCH /api/faqs/:id
+// @access  Private/Admin/Master
+exports.updateFAQ = asyncHandler(async (req, res, next) => {
+  const faq = await FAQ.findById(req.params.id);
+
+  if (!faq) {
+    return next(new ApiError("FAQ not found", 404, "faq_not_found"));
+  }
+
+  faq.set(pickEditableFields(req.body));
+  faq.lastModifiedBy = req.user._id;
+  await faq.save();
+
+  res.status(200).json(new ApiResponse(200, faq, "FAQ updated successfully"));
+});
+
+// @desc    Delete FAQ
+// @route   DELETE /api/faqs/:id
+// @access  Private/Admin/Master
+exports.deleteFAQ = asyncHandler(async (req, res, next) => {
+  const faq = await FAQ.findByIdAndDelete(req.params.id);
+
+  if (!faq) {
+    return next(new ApiError("FAQ not found", 404, "faq_not_found"));
+  }
+
+  await FAQVote.deleteMany({ faq: faq._id });
+
+  res.status(200).json(new ApiResponse(200, null, "FAQ deleted successfully"));
+});
+
+// @desc    Toggle FAQ featured status
+// @route   PATCH /api/faqs/:id/feature
+// @access  Private/Admin/Master
+exports.toggleFeatured = asyncHandler(async (req, res, next) => {
+  const faq = await FAQ.findById(req.params.id);
+
+  if (!faq) {
+    return next(new ApiError("FAQ not found", 404, "faq_not_found"));
+  }
+
+  faq.lastModifiedBy = req.user._id;
+  await faq.toggleFeatured();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, faq, "FAQ featured status toggled successfully")
+    );
+});
+
+// @desc    Reorder FAQs (ids in their new display order)
+// @route   PATCH /api/faqs/admin/reorder
+// @access  Private/Admin/Master
+exports.reorderFAQs = asyncHandler(async (req, res, next) => {
+  const { ids } = req.body;
+
+  const found = await FAQ.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return next(new ApiError("Some FAQs were not found", 404, "faq_not_found"));
+  }
+
+  await FAQ.bulkWrite(
+    ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: {
+          $set: { displayOrder: index, lastModifiedBy: req.user._id },
+        },
+      },
+    }))
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      ids.map((id, index) => ({ id, displayOrder: index })),
+      "FAQs reordered successfully"
+    )
+  );
+});
@@ -1,53 +1,86 @@
+const mongoose = require("mongoose");
 const asyncHandler = require("express-async-handler");
 const ApiError = require("../utils/ApiError");
 const ApiResponse = require("../utils/ApiResponse");
 const Upload = require("../models/Upload");
 const User = require("../models/User");
+const Like = require("../models/Like");
 
-// @desc    Get all approved uploads for gallery
+// Add the likedByMe flag for the current user (false for anonymous requests)
+const withLikedByMe = async (uploads, user) => {
+  const likedIds = await Like.getLikedUploadIds(
+    user && user._id,
+    uploads.map((upload) => upload._id)
+  );
+
+  return uploads.map((upload) => ({
+    ...upload.toJSON(),
+    likedByMe: likedIds.has(upload._id.toString()),
+  }));
+};
+
+// Sort options of gallery browsing and search
+const SORT_FIELDS = {
+  popularity: { views: -1, downloads: -1, likes: -1 },
+  relevance: { score: -1 },
+};
+
+// Filters selected in the query string, lists are comma separated
+const parseGalleryFilters = (query) => ({
+  categories: query.category,
+  fileTypes: query.fileType,
+  orientations: query.orientation,
+  sellers: (query.seller || []).map((id) => new mongoose.Types.ObjectId(id)),
+  priceRanges: query.priceRange,
+  tags: query.tags,
+  minPrice:
+    query.minPrice !== undefined ? parseFloat(query.minPrice) : undefined,
+  maxPrice:
+    query.maxPrice !== undefined ? parseFloat(query.maxPrice) : undefined,
+  featured: query.featured === "true",
+});
+
+// Run the faceted search and load the uploads of the page in result order
+const findWithFacets = async (req, { text, prefix, page, limit }) => {
+  const ranked = Boolean(text) && !prefix;
+  const sortBy = req.query.sortBy || (ranked ? "relevance" : "createdAt");
+  const sortOrder = req.query.sortOrder === "asc" ? 1 : -1;
+  const sort = SORT_FIELDS[sortBy] || { [sortBy]: sortOrder };
+
+  const { ids, total, facets } = await Upload.facetedSearch({
+    text,
+    prefix,
+    filters: parseGalleryFilters(req.query),
+    sort: sortBy === "relevance" && !ranked ? undefined : sort,
+    page,
+    limit,
+  });
+
+  const uploads = await Upload.find({ _id: { $in: ids } })
+    .populate("user", "firstName lastName avatar")
+    .select("-originalFileUrl"); // Don't expose original file URLs
+  const ordered = ids
+    .map((id) => uploads.find((upload) => upload._id.equals(id)))
+    .filter(Boolean);
+
+  return {
+    uploads: await withLikedByMe(ordered, req.user),
+    total,
+    facets,
+  };
+};
+
+// @desc    Get all approved uploads for gallery, with facet counts
 // @route   GET /api/gallery
 // @access  Public
 exports.getGallery = asyncHandler(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
-  const category = req.query.category;
-  const fileType = req.query.fileType;
-  const featured = req.query.featured;
-  const sortBy = req.query.sortBy || "createdAt";
-  const sortOrder = req.query.sortOrder === "asc" ? 1 : -1;
-  const minPrice = req.query.minPrice;
-  const maxPrice = req.query.maxPrice;
-
-  let query = { status: "approved" };
 
-  if (category) query.category = category;
-  if (fileType) query.fileType = fileType;
-  if (featured === "true") query.featured = true;
-  if (minPrice) query.price = { ...query.price, $gte: parseFloat(minPrice) };
-  if (maxPrice) query.price = { ...query.price, $lte: parseFloat(maxPrice) };
-
-  let sortQuery = {};
-  if (sortBy === "popularity") {
-    // Sort by popularity score (views + downloads + likes)
-    sortQuery = { views: -1, downloads: -1, likes: -1 };
-  } else if (sortBy === "price") {
-    sortQuery = { price: sortOrder };
-  } else {
-    sortQuery[sortBy] = sortOrder;
-  }
-
-  const uploads = await Upload.find(query)
-    .populate("user", "firstName lastName avatar")
-    .select("-originalFileUrl") // Don't expose original file URLs
-    .sort(sortQuery)
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
-
-  const total = await Upload.countDocuments(query);
-
-  // Get categories and file types for filters
-  const categories = await Upload.distinct("category", { status: "approved" });
-  const fileTypes = await Upload.distinct("fileType", { status: "approved" });
+  const { uploads, total, facets } = await findWithFacets(req, {
+    page,
+    limit,
+  });
 
   res.status(200).json(
     new ApiResponse(
@@ -60,9 +93,11 @@ exports.getGallery = asyncHandler(async (req, res, next) => {
           total,
           pages: Math.ceil(total / limit),
         },
+        facets,
+        // Kept for clients that only read the available values
         filters: {
-          categories,
-          fileTypes,
+          categories: facets.categories.map((facet) => facet.value),
+          fileTypes: facets.fileTypes.map((facet) => facet.value),
         },
       },
       "Gallery retrieved successfully"
@@ -88,7 +123,11 @@ exports.getFeaturedUploads = asyncHandler(async (req, res, next) => {
   res
     .status(200)
     .json(
-      new ApiResponse(200, uploads, "Featured uploads retrieved successfully")
+      new ApiResponse(
+        200,
+        await withLikedByMe(uploads, req.user),
+        "Featured uploads retrieved successfully"
+      )
     );
 });
 
@@ -122,19 +161,21 @@ exports.getPopularUploads = asyncHandler(async (req, res, next) => {
   res
     .status(200)
     .json(
-      new ApiResponse(200, uploads, "Popular uploads retrieved successfully")
+      new ApiResponse(
+        200,
+        await withLikedByMe(uploads, req.user),
+        "Popular uploads retrieved successfully"
+      )
     );
 });
 
-// @desc    Search uploads
+// @desc    Search uploads, with facet counts
 // @route   GET /api/gallery/search
 // @access  Public
 exports.searchUploads = asyncHandler(async (req, res, next) => {
   const { q: query } = req.query;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
-  const category = req.query.category;
-  const fileType = req.query.fileType;
 
   if (!query) {
     return next(
@@ -142,17 +183,12 @@ exports.searchUploads = asyncHandler(async (req, res, next) => {
     );
   }
 
-  let filters = {};
-  if (category) filters.category = category;
-  if (fileType) filters.fileType = fileType;
-
-  const uploads = await Upload.searchUploads(query, filters)
-    .populate("user", "firstName lastName avatar")
-    .select("-originalFileUrl")
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
-
-  const total = uploads.length; // Approximate count for text search
+  const { uploads, total, facets } = await findWithFacets(req, {
+    text: query,
+    prefix: req.query.prefix === "true",
+    page,
+    limit,
+  });
 
   res.status(200).json(
     new ApiResponse(
@@ -166,6 +202,7 @@ exports.searchUploads = asyncHandler(async (req, res, next) => {
           total,
           pages: Math.ceil(total / limit),
         },
+        facets,
       },
       "Search results retrieved successfully"
     )
@@ -201,12 +238,14 @@ exports.getUploadDetails = asyncHandler(async (req, res, next) => {
     .sort({ views: -1 })
     .limit(6);
 
+  const [uploadWithLike] = await withLikedByMe([upload], req.user);
+
   res.status(200).json(
     new ApiResponse(
       200,
       {
-        upload,
-        relatedUploads,
+        upload: uploadWithLike,
+        relatedUploads: await withLikedByMe(relatedUploads, req.user),
       },
       "Upload details retrieved successfully"
     )
@@ -248,7 +287,7 @@ exports.getUploadsByCategory = asyncHandler(async (req, res, next) => {
     new ApiResponse(
       200,
       {
-        uploads,
+        uploads: await withLikedByMe(uploads, req.user),
         category,
         pagination: {
           page,
@@ -298,7 +337,7 @@ exports.getUploadsByUser = asyncHandler(async (req, res, next) => {
       200,
       {
         user,
-        uploads,
+        uploads: await withLikedByMe(uploads, req.user),
         pagination: {
           page,
           limit,
@@ -318,29 +357,42 @@ exports.toggleLike = asyncHandler(async (req, res, next) => {
   const upload = await Upload.findOne({
     _id: req.params.id,
     status: "approved",
-  });
+  }).select("_id");
 
   if (!upload) {
     return next(new ApiError("Upload not found", 404, "upload_not_found"));
   }
 
-  // In a real implementation, you would track individual user likes
-  // For now, we'll just increment/decrement the likes count
   const action = req.body.action; // 'like' or 'unlike'
 
+  // The counter only moves when the user's like record actually changes
+  let changed;
   if (action === "like") {
-    upload.likes += 1;
-  } else if (action === "unlike") {
-    upload.likes = Math.max(0, upload.likes - 1);
+    changed = await Like.addLike(req.user._id, upload._id);
+  } else {
+    changed = await Like.removeLike(req.user._id, upload._id);
   }
 
-  await upload.save({ validateBeforeSave: false });
+  let updated;
+  if (changed) {
+    updated = await Upload.findOneAndUpdate(
+      action === "like"
+        ? { _id: upload._id }
+        : { _id: upload._id, likes: { $gt: 0 } },
+      { $inc: { likes: action === "like" ? 1 : -1 } },
+      { new: true }
+    );
+  }
+  if (!updated) {
+    updated = await Upload.findById(upload._id).select("likes");
+  }
 
   res.status(200).json(
     new ApiResponse(
       200,
       {
-        likes: upload.likes,
+        likes: updated.likes,
+        likedByMe: action === "like",
         action,
       },
       `Upload ${action}d successfully`
@@ -348,6 +400,52 @@ exports.toggleLike = asyncHandler(async (req, res, next) => {
   );
 });
 
+// @desc    Get uploads liked by the current user
+// @route   GET /api/gallery/liked
+// @access  Private
+exports.getLikedUploads = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const likes = await Like.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .populate({
+      path: "upload",
+      match: { status: "approved" },
+      select: "-originalFileUrl",
+      populate: { path: "user", select: "firstName lastName avatar" },
+    });
+
+  const total = await Like.countDocuments({ user: req.user._id });
+
+  // Uploads that were removed or unpublished since they were liked are skipped
+  const uploads = likes
+    .filter((like) => like.upload)
+    .map((like) => ({
+      ...like.upload.toJSON(),
+      likedByMe: true,
+      likedAt: like.createdAt,
+    }));
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        uploads,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Liked uploads retrieved successfully"
+    )
+  );
+});
+
 // @desc    Get gallery statistics
 // @route   GET /api/gallery/stats
 // @access  Public
@@ -0,0 +1,143 @@
+const asyncHandler = require("express-async-handler");
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const licensesConfig = require("../config/licenses");
+const {
+  renderCertificateHtml,
+  renderCertificatePdf,
+} = require("../utils/licenseCertificate");
+
+const { tiers: LICENSE_TIERS } = licensesConfig;
+
+const fullName = (user) =>
+  user ? `${user.firstName} ${user.lastName}`.trim() : "Unknown";
+
+// Licenses stop being valid when their order is refunded or cancelled
+const getLicenseStatus = (order) =>
+  ["paid", "completed"].includes(order.status) ? "valid" : "revoked";
+
+const buildCertificate = async (order, item) => ({
+  siteName: (await Settings.getSetting("site_name")) || "SkyShot",
+  licenseId: item.license.licenseId,
+  tier: item.license.tier,
+  tierName: LICENSE_TIERS[item.license.tier]
+    ? LICENSE_TIERS[item.license.tier].name
+    : item.license.tier,
+  terms: item.license.terms,
+  downloadLimit: item.license.downloadLimit,
+  issuedAt: item.license.issuedAt,
+  uploadTitle: item.upload ? item.upload.title : "Removed upload",
+  photographer: item.upload ? fullName(item.upload.user) : "Unknown",
+  licensee: fullName(order.customer),
+  orderNumber: order.orderNumber,
+  verifyUrl: `${process.env.FRONTEND_URL}/licenses/${item.license.licenseId}`,
+});
+
+// @desc    Get the license certificate of a purchased item
+// @route   GET /api/orders/:id/items/:itemId/certificate?format=html|pdf
+// @access  Private/User
+exports.getLicenseCertificate = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id).populate([
+    { path: "customer", select: "firstName lastName" },
+    {
+      path: "items.upload",
+      select: "title user",
+      populate: { path: "user", select: "firstName lastName" },
+    },
+  ]);
+
+  if (!order) {
+    return next(new ApiError("Order not found", 404, "order_not_found"));
+  }
+
+  if (
+    order.customer._id.toString() !== req.user._id.toString() &&
+    !req.permissions.has("orders.read")
+  ) {
+    return next(
+      new ApiError("Not authorized to access this order", 403, "not_authorized")
+    );
+  }
+
+  const item = order.items.id(req.params.itemId);
+  if (!item) {
+    return next(new ApiError("Item not found in order", 404, "item_not_found"));
+  }
+
+  // License IDs are issued when the order is paid
+  if (!item.license || !item.license.licenseId) {
+    return next(
+      new ApiError(
+        "No license has been issued for this item",
+        404,
+        "license_not_issued"
+      )
+    );
+  }
+
+  if (getLicenseStatus(order) !== "valid") {
+    return next(
+      new ApiError("This license has been revoked", 410, "license_revoked")
+    );
+  }
+
+  const certificate = await buildCertificate(order, item);
+  const filename = `license-${certificate.licenseId}`;
+
+  res.set("Cache-Control", "private, no-store");
+
+  if (req.query.format === "pdf") {
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    return res.send(await renderCertificatePdf(certificate));
+  }
+
+  res.type("html").send(renderCertificateHtml(certificate));
+});
+
+// @desc    Check a license ID printed on a certificate
+// @route   GET /api/licenses/:licenseId
+// @access  Public
+exports.verifyLicense = asyncHandler(async (req, res, next) => {
+  const result = await Order.findByLicenseId(req.params.licenseId);
+
+  if (!result || !result.item) {
+    return next(new ApiError("License not found", 404, "license_not_found"));
+  }
+
+  const { order, item } = result;
+  await order.populate([
+    { path: "customer", select: "firstName lastName" },
+    {
+      path: "items.upload",
+      select: "title thumbnailUrl user",
+      populate: { path: "user", select: "firstName lastName" },
+    },
+  ]);
+
+  // Only what is printed on the certificate, never contact or payment details
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        licenseId: item.license.licenseId,
+        status: getLicenseStatus(order),
+        tier: item.license.tier,
+        terms: item.license.terms,
+        issuedAt: item.license.issuedAt,
+        licensee: fullName(order.customer),
+        upload: item.upload
+          ? {
+              id: item.upload._id,
+              title: item.upload.title,
+              thumbnailUrl: item.upload.thumbnailUrl,
+              photographer: fullName(item.upload.user),
+            }
+          : null,
+      },
+      "License retrieved successfully"
+    )
+  );
+});
@@ -91,7 +91,7 @@ exports.getOpenMissions = asyncHandler(async (req, res, next) => {
 exports.applyForMission = asyncHandler(async (req, res, next) => {
   const { proposedBudget, message, portfolio } = req.body;
 
-  if (req.user.role !== "partner") {
+  if (!req.permissions.has("missions.work")) {
     return next(
       new ApiError("Only partners can apply for missions", 403, "not_partner")
     );
@@ -153,7 +153,7 @@ exports.getPartnerMissions = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit) || 10;
   const status = req.query.status;
 
-  if (req.user.role !== "partner") {
+  if (!req.permissions.has("missions.work")) {
     return next(
       new ApiError("Only partners can access this endpoint", 403, "not_partner")
     );
@@ -197,7 +197,7 @@ exports.acceptApplication = asyncHandler(async (req, res, next) => {
 
   if (
     mission.createdBy.toString() !== req.user._id.toString() &&
-    !["admin", "master"].includes(req.user.role)
+    !req.permissions.has("missions.manage")
   ) {
     return next(
       new ApiError(
@@ -377,10 +377,7 @@ exports.getAllMissions = asyncHandler(async (req, res, next) => {
   if (status) query.status = status;
   if (type) query.type = type;
   if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: "i" } },
-      { "location.city": { $regex: search, $options: "i" } },
-    ];
+    Object.assign(query, Mission.searchFilter(search, { prefix: true }));
   }
 
   const missions = await Mission.find(query)
@@ -430,7 +427,7 @@ exports.getMission = asyncHandler(async (req, res, next) => {
     mission.applications.some(
       (app) => app.partner._id.toString() === req.user._id.toString()
     ) ||
-    ["admin", "master"].includes(req.user.role);
+    req.permissions.has("missions.manage");
 
   if (!canAccess) {
     return next(
@@ -2,86 +2,45 @@ const asyncHandler = require("express-async-handler");
 const ApiError = require("../utils/ApiError");
 const ApiResponse = require("../utils/ApiResponse");
 const Order = require("../models/Order");
-const Upload = require("../models/Upload");
-const User = require("../models/User");
-const Revenue = require("../models/Revenue");
 const Notification = require("../models/Notification");
+const AuditLog = require("../models/AuditLog");
+const { getProviderForMethod } = require("../utils/payments");
+const { placeOrder } = require("../utils/orderPlacement");
 
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private/User
 exports.createOrder = asyncHandler(async (req, res, next) => {
-  const { items, billingAddress, paymentMethod, notes } = req.body;
+  const { items, couponCode, billingAddress, paymentMethod, notes } = req.body;
 
-  // Validate uploads exist and are approved
-  const uploadIds = items.map((item) => item.uploadId);
-  const uploads = await Upload.find({
-    _id: { $in: uploadIds },
-    status: "approved",
-  }).populate("user", "firstName lastName email");
-
-  if (uploads.length !== uploadIds.length) {
-    return next(
-      new ApiError(
-        "Some uploads are not available",
-        400,
-        "uploads_not_available"
-      )
-    );
-  }
-
-  // Create order items with current prices
-  const orderItems = uploads.map((upload) => {
-    const requestedItem = items.find(
-      (item) => item.uploadId.toString() === upload._id.toString()
-    );
-    return {
-      upload: upload._id,
-      price: upload.price,
-      downloadUrl: "", // Will be set after payment
-      downloadExpires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    };
-  });
-
-  // Calculate total amount
-  const totalAmount = orderItems.reduce((sum, item) => sum + item.price, 0);
-
-  // Create order
-  const order = await Order.create({
-    customer: req.user._id,
-    items: orderItems,
-    totalAmount,
+  // Items are checked and priced from their license, see utils/orderPlacement
+  const order = await placeOrder(req.user._id, {
+    items,
+    couponCode,
     paymentMethod,
     billingAddress,
     notes,
   });
 
-  // Populate order for response
-  await order.populate([
-    { path: "customer", select: "firstName lastName email" },
-    { path: "items.upload", select: "title thumbnailUrl fileType user" },
-  ]);
-
   res
     .status(201)
     .json(new ApiResponse(201, order, "Order created successfully"));
 });
 
-// @desc    Process payment (dummy implementation)
+// @desc    Start payment for an order (creates a provider payment intent)
 // @route   POST /api/orders/:id/payment
 // @access  Private/User
 exports.processPayment = asyncHandler(async (req, res, next) => {
-  const { paymentData } = req.body;
+  const idempotencyKey =
+    req.get("Idempotency-Key") || req.body.idempotencyKey || undefined;
 
-  const order = await Order.findById(req.params.id)
-    .populate("items.upload", "title user price")
-    .populate("customer", "firstName lastName email");
+  const order = await Order.findById(req.params.id);
 
   if (!order) {
     return next(new ApiError("Order not found", 404, "order_not_found"));
   }
 
-  if (order.customer._id.toString() !== req.user._id.toString()) {
+  if (order.customer.toString() !== req.user._id.toString()) {
     return next(
       new ApiError("Not authorized to access this order", 403, "not_authorized")
     );
@@ -93,62 +52,77 @@ exports.processPayment = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const provider = getProviderForMethod(order.paymentMethod);
+  if (!provider) {
+    return next(
+      new ApiError(
+        "Payment method is not available",
+        503,
+        "payment_provider_unavailable"
+      )
+    );
+  }
+
+  // A retried request with the same key gets the intent it already created
+  const isRetry =
+    idempotencyKey &&
+    order.paymentIntentId &&
+    order.paymentIdempotencyKey === idempotencyKey;
+
+  if (!isRetry && order.paymentStatus === "processing") {
+    return next(
+      new ApiError(
+        "Payment is already being processed",
+        409,
+        "payment_in_progress"
+      )
+    );
+  }
+
+  // The coupon use was given back when an earlier payment failed
+  if (!isRetry && !(await order.reserveCoupon())) {
+    return next(
+      new ApiError(
+        "This coupon has reached its usage limit",
+        409,
+        "coupon_usage_limit_reached"
+      )
+    );
+  }
+
+  let intent;
   try {
-    // Simulate payment processing
-    const paymentId = `PAY_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // Mark order as paid
-    await order.markAsPaid(paymentId, paymentData);
-
-    // Create revenue records for sellers
-    for (const item of order.items) {
-      const upload = item.upload;
-      const seller = await User.findById(upload.user);
-
-      if (seller) {
-        await Revenue.createUploadSaleRevenue(order, upload, seller);
-        await upload.recordSale(item.price);
-      }
-    }
-
-    // Send notifications to sellers
-    for (const item of order.items) {
-      const upload = item.upload;
-      await Notification.createNotification({
-        user: upload.user,
-        title: "New Sale!",
-        message: `Your upload "${upload.title}" has been sold for ${item.price} SAR`,
-        type: "payment",
-        priority: "medium",
-        data: {
-          orderId: order._id,
-          uploadId: upload._id,
-          amount: item.price,
-        },
-      });
-    }
-
-    // Send confirmation to customer
-    await Notification.createNotification({
-      user: order.customer._id,
-      title: "Payment Successful",
-      message: `Your order ${order.orderNumber} has been processed successfully`,
-      type: "payment",
-      priority: "medium",
-      data: {
-        orderId: order._id,
-        amount: order.totalAmount,
-      },
+    intent = await provider.createIntent({
+      orderId: order._id,
+      amount: order.totalAmount,
+      currency: "SAR",
+      method: order.paymentMethod,
+      idempotencyKey: idempotencyKey || `order:${order._id}:${Date.now()}`,
     });
-
-    res
-      .status(200)
-      .json(new ApiResponse(200, order, "Payment processed successfully"));
   } catch (error) {
     return next(
-      new ApiError("Payment processing failed", 500, "payment_failed")
+      new ApiError("Payment processing failed", 502, "payment_failed")
     );
   }
+
+  if (!isRetry) {
+    await order.attachPaymentIntent(provider.name, intent, idempotencyKey);
+  }
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        orderId: order._id,
+        provider: provider.name,
+        intentId: intent.intentId,
+        clientSecret: intent.clientSecret,
+        paymentStatus: order.paymentStatus,
+        amount: order.totalAmount,
+      },
+      "Payment intent created successfully"
+    )
+  );
 });
 
 // @desc    Get user orders
@@ -198,10 +172,10 @@ exports.getOrder = asyncHandler(async (req, res, next) => {
     return next(new ApiError("Order not found", 404, "order_not_found"));
   }
 
-  // Check if user owns this order or is admin/master
+  // Check if user owns this order or can view every order
   if (
     order.customer._id.toString() !== req.user._id.toString() &&
-    !["admin", "master"].includes(req.user.role)
+    !req.permissions.has("orders.read")
   ) {
     return next(
       new ApiError("Not authorized to access this order", 403, "not_authorized")
@@ -213,13 +187,13 @@ exports.getOrder = asyncHandler(async (req, res, next) => {
     .json(new ApiResponse(200, order, "Order retrieved successfully"));
 });
 
-// @desc    Download purchased item
+// @desc    Get a signed download link for a purchased item
 // @route   GET /api/orders/:id/download/:itemId
 // @access  Private/User
 exports.downloadItem = asyncHandler(async (req, res, next) => {
   const order = await Order.findById(req.params.id).populate(
     "items.upload",
-    "originalFileUrl title"
+    "title"
   );
 
   if (!order) {
@@ -247,21 +221,31 @@ exports.downloadItem = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Mark as downloaded
-  if (!item.downloaded) {
-    item.downloaded = true;
-    item.downloadedAt = new Date();
-    await order.save();
+  if (!order.hasDownloadsLeft(item)) {
+    return next(
+      new ApiError(
+        "The download limit of this license has been reached",
+        403,
+        "download_limit_reached"
+      )
+    );
   }
 
-  // In a real implementation, you would serve the file or redirect to a signed URL
+  // Short-lived signed link, the item is marked as downloaded once it is used
+  const { url, expiresAt } = Order.generateDownloadUrl(order, item);
+
   res.status(200).json(
     new ApiResponse(
       200,
       {
-        downloadUrl: item.upload.originalFileUrl,
+        downloadUrl: url,
         filename: item.upload.title,
-        expiresAt: item.downloadExpires,
+        expiresAt,
+        downloadExpires: item.downloadExpires,
+        downloadsRemaining:
+          item.license && item.license.downloadLimit
+            ? item.license.downloadLimit - item.downloadCount
+            : null,
       },
       "Download link retrieved successfully"
     )
@@ -319,17 +303,41 @@ exports.getAllOrders = asyncHandler(async (req, res, next) => {
 exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
   const { status, notes } = req.body;
 
+  if (status === "refunded" && !req.permissions.has("orders.refund")) {
+    return next(
+      new ApiError(
+        "You do not have permission to refund orders",
+        403,
+        "not_authorized"
+      )
+    );
+  }
+
   const order = await Order.findById(req.params.id);
 
   if (!order) {
     return next(new ApiError("Order not found", 404, "order_not_found"));
   }
 
+  const before = { status: order.status, notes: order.notes };
+
   order.status = status;
   if (notes) order.notes = notes;
 
   await order.save();
 
+  // A cancelled order doesn't count towards the usage limit of its coupon
+  if (status === "cancelled" && before.status !== "cancelled") {
+    await order.releaseCoupon();
+  }
+
+  await AuditLog.record(req, {
+    action: "order.status_update",
+    target: { type: "order", id: order._id, label: order.orderNumber },
+    before,
+    after: { status: order.status, notes: order.notes },
+  });
+
   // Send notification to customer
   await Notification.createNotification({
     user: order.customer,
@@ -0,0 +1,285 @@
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Page = require("../models/Page");
+const getRequestLanguage = require("../utils/getRequestLanguage");
+const escapeRegex = require("../utils/escapeRegex");
+
+const { DEFAULT_LANGUAGE } = getRequestLanguage;
+
+// Fields admins can set when creating or updating a page
+const EDITABLE_FIELDS = [
+  "title",
+  "slug",
+  "content",
+  "excerpt",
+  "metaTitle",
+  "metaDescription",
+  "featuredImage",
+  "isHomepage",
+  "showInMenu",
+  "menuOrder",
+  "template",
+  "language",
+  "translations",
+];
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+// Public representation of a page in the requested language
+const renderPage = (page, language) => ({
+  _id: page._id,
+  slug: page.slug,
+  url: page.url,
+  template: page.template,
+  featuredImage: page.featuredImage,
+  isHomepage: page.isHomepage,
+  language,
+  ...page.getLocalizedContent(language),
+  readingTime: page.readingTime,
+  publishedAt: page.publishedAt,
+  updatedAt: page.updatedAt,
+});
+
+// @desc    Get navigation menu
+// @route   GET /api/pages/menu
+// @access  Public
+exports.getMenu = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+
+  let pages = await Page.findMenuPages(language).select(
+    "title slug menuOrder translations language"
+  );
+  if (pages.length === 0 && language !== DEFAULT_LANGUAGE) {
+    pages = await Page.findMenuPages(DEFAULT_LANGUAGE).select(
+      "title slug menuOrder translations language"
+    );
+  }
+
+  const menu = pages.map((page) => ({
+    title: page.getLocalizedContent(language).title,
+    slug: page.slug,
+    url: page.url,
+    menuOrder: page.menuOrder,
+  }));
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, menu, "Menu retrieved successfully"));
+});
+
+// @desc    Get homepage
+// @route   GET /api/pages/home
+// @access  Public
+exports.getHomepage = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+
+  const page =
+    (await Page.findHomepage(language)) ||
+    (await Page.findHomepage(DEFAULT_LANGUAGE));
+
+  if (!page) {
+    return next(new ApiError("Homepage not found", 404, "page_not_found"));
+  }
+
+  await page.incrementViews();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        renderPage(page, language),
+        "Homepage retrieved successfully"
+      )
+    );
+});
+
+// @desc    Get a published page by slug
+// @route   GET /api/pages/:slug
+// @access  Public
+exports.getPageBySlug = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+
+  const page = await Page.findOne({
+    slug: req.params.slug,
+    status: "published",
+  });
+
+  if (!page) {
+    return next(new ApiError("Page not found", 404, "page_not_found"));
+  }
+
+  await page.incrementViews();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        renderPage(page, language),
+        "Page retrieved successfully"
+      )
+    );
+});
+
+// @desc    Get all pages (any status)
+// @route   GET /api/pages/admin/all
+// @access  Private/Admin/Master
+exports.getAllPages = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status, language, search } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (language) query.language = language;
+  if (search) query.title = { $regex: escapeRegex(search), $options: "i" };
+
+  const pages = await Page.find(query)
+    .populate("author", "firstName lastName")
+    .populate("lastModifiedBy", "firstName lastName")
+    .select("-content")
+    .sort({ menuOrder: 1, updatedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Page.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        pages,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Pages retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get any page by id
+// @route   GET /api/pages/admin/:id
+// @access  Private/Admin/Master
+exports.getPage = asyncHandler(async (req, res, next) => {
+  const page = await Page.findById(req.params.id)
+    .populate("author", "firstName lastName email")
+    .populate("lastModifiedBy", "firstName lastName");
+
+  if (!page) {
+    return next(new ApiError("Page not found", 404, "page_not_found"));
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, page, "Page retrieved successfully"));
+});
+
+// @desc    Create page (as draft)
+// @route   POST /api/pages
+// @access  Private/Admin/Master
+exports.createPage = asyncHandler(async (req, res, next) => {
+  const page = await Page.create({
+    ...pickEditableFields(req.body),
+    status: "draft",
+    author: req.user._id,
+    lastModifiedBy: req.user._id,
+  });
+
+  res.status(201).json(new ApiResponse(201, page, "Page created successfully"));
+});
+
+// @desc    Update page
+// @route   PATCH /api/pages/:id
+// @access  Private/Admin/Master
+exports.updatePage = asyncHandler(async (req, res, next) => {
+  const page = await Page.findById(req.params.id);
+
+  if (!page) {
+    return next(new ApiError("Page not found", 404, "page_not_found"));
+  }
+
+  page.set(pickEditableFields(req.body));
+  page.lastModifiedBy = req.user._id;
+  await page.save();
+
+  res.status(200).json(new ApiResponse(200, page, "Page updated successfully"));
+});
+
+// @desc    Delete page
+// @route   DELETE /api/pages/:id
+// @access  Private/Admin/Master
+exports.deletePage = asyncHandler(async (req, res, next) => {
+  const page = await Page.findByIdAndDelete(req.params.id);
+
+  if (!page) {
+    return next(new ApiError("Page not found", 404, "page_not_found"));
+  }
+
+  res.status(200).json(new ApiResponse(200, null, "Page deleted successfully"));
+});
+
+// @desc    Publish page
+// @route   PATCH /api/pages/:id/publish
+// @access  Private/Admin/Master
+exports.publishPage = asyncHandler(async (req, res, next) => {
+  const page = await Page.findById(req.params.id);
+
+  if (!page) {
+    return next(new ApiError("Page not found", 404, "page_not_found"));
+  }
+
+  page.lastModifiedBy = req.user._id;
+  await page.publish();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, page, "Page published successfully"));
+});
+
+// @desc    Move page back to draft
+// @route   PATCH /api/pages/:id/draft
+// @access  Private/Admin/Master
+exports.draftPage = asyncHandler(async (req, res, next) => {
+  const page = await Page.findById(req.params.id);
+
+  if (!page) {
+    return next(new ApiError("Page not found", 404, "page_not_found"));
+  }
+
+  page.status = "draft";
+  page.lastModifiedBy = req.user._id;
+  await page.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, page, "Page moved to draft successfully"));
+});
+
+// @desc    Archive page
+// @route   PATCH /api/pages/:id/archive
+// @access  Private/Admin/Master
+exports.archivePage = asyncHandler(async (req, res, next) => {
+  const page = await Page.findById(req.params.id);
+
+  if (!page) {
+    return next(new ApiError("Page not found", 404, "page_not_found"));
+  }
+
+  page.status = "archived";
+  page.lastModifiedBy = req.user._id;
+  await page.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, page, "Page archived successfully"));
+});
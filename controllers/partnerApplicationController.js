@@ -0,0 +1,375 @@
+const fs = require("fs");
+const asyncHandler = require("express-async-handler");
+const PartnerApplication = require("../models/PartnerApplication");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const AuditLog = require("../models/AuditLog");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const {
+  saveDocuments,
+  resolveDocument,
+  removeDocuments,
+} = require("../utils/partnerDocuments");
+
+// Profile fields partners must have, filled from the application when missing
+const PARTNER_PROFILE_FIELDS = ["phone", "country", "birthDate"];
+
+const findApplication = (id) =>
+  PartnerApplication.findById(id)
+    .populate("applicant", "firstName lastName email phone country birthDate")
+    .populate("reviewedBy", "firstName lastName");
+
+const applicationNotReviewable = (application) =>
+  new ApiError(
+    `Application is already ${application.status}`,
+    400,
+    "application_already_reviewed"
+  );
+
+// @desc    Apply to become a partner
+// @route   POST /api/partner-applications
+// @access  Private/User
+exports.submitApplication = asyncHandler(async (req, res, next) => {
+  const existing = await PartnerApplication.exists({
+    applicant: req.user._id,
+    status: "pending",
+  });
+
+  if (existing) {
+    return next(
+      new ApiError(
+        "You already have an application waiting for review",
+        409,
+        "application_pending"
+      )
+    );
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return next(
+      new ApiError(
+        "At least one ID document is required",
+        400,
+        "id_documents_required"
+      )
+    );
+  }
+
+  const user = await User.findById(req.user._id);
+
+  PARTNER_PROFILE_FIELDS.forEach((field) => {
+    if (req.body[field]) user[field] = req.body[field];
+  });
+
+  if (!user.phone) {
+    return next(
+      new ApiError(
+        "Phone number is required for partners",
+        400,
+        "phone_required_for_partners"
+      )
+    );
+  }
+
+  if (!user.country || !user.birthDate) {
+    return next(
+      new ApiError(
+        "Country and birth date are required for partners",
+        400,
+        "country_birth_required_for_partners"
+      )
+    );
+  }
+
+  const idDocuments = await saveDocuments(req.files, user._id);
+
+  let application;
+  try {
+    application = await PartnerApplication.create({
+      applicant: user._id,
+      portfolioLinks: req.body.portfolioLinks,
+      equipment: req.body.equipment,
+      serviceCities: req.body.serviceCities,
+      experience: req.body.experience,
+      idDocuments,
+    });
+  } catch (error) {
+    await removeDocuments(idDocuments.map((document) => document.key));
+
+    // Another request created a pending application in the meantime
+    if (error.code === 11000) {
+      return next(
+        new ApiError(
+          "You already have an application waiting for review",
+          409,
+          "application_pending"
+        )
+      );
+    }
+    throw error;
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Partner Application Received",
+    message:
+      "Your partner application was received and will be reviewed by our team",
+    type: "account",
+    priority: "medium",
+    data: { applicationId: application._id },
+  });
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(201, application, "Application submitted successfully")
+    );
+});
+
+// @desc    Get my partner applications
+// @route   GET /api/partner-applications/me
+// @access  Private
+exports.getMyApplications = asyncHandler(async (req, res, next) => {
+  const applications = await PartnerApplication.find({
+    applicant: req.user._id,
+  }).sort({ createdAt: -1 });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, applications, "Applications retrieved successfully")
+    );
+});
+
+// @desc    Withdraw my pending partner application
+// @route   DELETE /api/partner-applications/me
+// @access  Private
+exports.withdrawApplication = asyncHandler(async (req, res, next) => {
+  const application = await PartnerApplication.findOne({
+    applicant: req.user._id,
+    status: "pending",
+  });
+
+  if (!application) {
+    return next(
+      new ApiError(
+        "No application is waiting for review",
+        404,
+        "application_not_found"
+      )
+    );
+  }
+
+  await application.withdraw();
+
+  await Notification.createNotification({
+    user: req.user._id,
+    title: "Partner Application Withdrawn",
+    message:
+      "Your partner application was withdrawn, you can apply again anytime",
+    type: "account",
+    priority: "low",
+    data: { applicationId: application._id },
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, application, "Application withdrawn successfully")
+    );
+});
+
+// @desc    Get partner applications (pending by default, oldest first)
+// @route   GET /api/partner-applications
+// @access  Private/Admin/Master
+exports.getApplications = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const status = req.query.status || "pending";
+
+  const query = { status };
+
+  const applications = await PartnerApplication.find(query)
+    .populate("applicant", "firstName lastName email phone country")
+    .populate("reviewedBy", "firstName lastName")
+    .sort({ createdAt: status === "pending" ? 1 : -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await PartnerApplication.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        applications,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Applications retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get a partner application
+// @route   GET /api/partner-applications/:id
+// @access  Private/Admin/Master
+exports.getApplication = asyncHandler(async (req, res, next) => {
+  const application = await findApplication(req.params.id);
+
+  if (!application) {
+    return next(
+      new ApiError("Application not found", 404, "application_not_found")
+    );
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, application, "Application retrieved successfully")
+    );
+});
+
+// @desc    Download an ID document of a partner application
+// @route   GET /api/partner-applications/:id/documents/:documentId
+// @access  Private/Admin/Master
+exports.getApplicationDocument = asyncHandler(async (req, res, next) => {
+  const application = await PartnerApplication.findById(req.params.id);
+  const document =
+    application && application.idDocuments.id(req.params.documentId);
+
+  if (!document) {
+    return next(new ApiError("Document not found", 404, "document_not_found"));
+  }
+
+  const filePath = resolveDocument(document.key);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return next(new ApiError("Document not found", 404, "file_not_found"));
+  }
+
+  res.set("Cache-Control", "private, no-store");
+  res.download(filePath, document.originalName);
+});
+
+// @desc    Approve a partner application
+// @route   PATCH /api/partner-applications/:id/approve
+// @access  Private/Admin/Master
+exports.approveApplication = asyncHandler(async (req, res, next) => {
+  const application = await findApplication(req.params.id);
+
+  if (!application) {
+    return next(
+      new ApiError("Application not found", 404, "application_not_found")
+    );
+  }
+
+  if (application.status !== "pending") {
+    return next(applicationNotReviewable(application));
+  }
+
+  const applicant =
+    application.applicant && (await User.findById(application.applicant._id));
+
+  // Admins and masters would lose their role, inactive accounts can't work
+  if (!applicant || !applicant.active || applicant.role !== "user") {
+    return next(
+      new ApiError(
+        "The applicant can no longer become a partner",
+        400,
+        "applicant_not_eligible"
+      )
+    );
+  }
+
+  await application.approve(req.user._id);
+  await applicant.grantPartnerRole();
+
+  await AuditLog.record(req, {
+    action: "partner_application.approve",
+    target: {
+      type: "partner_application",
+      id: application._id,
+      label: applicant.email,
+    },
+    before: { status: "pending", role: "user" },
+    after: { status: application.status, role: applicant.role },
+    metadata: { applicant: applicant._id },
+  });
+
+  await Notification.createNotification({
+    user: applicant._id,
+    title: "Partner Application Approved",
+    message:
+      "Congratulations, you are now a verified Skyshot partner and can apply to missions",
+    type: "account",
+    priority: "high",
+    data: { applicationId: application._id },
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, application, "Application approved successfully")
+    );
+});
+
+// @desc    Reject a partner application
+// @route   PATCH /api/partner-applications/:id/reject
+// @access  Private/Admin/Master
+exports.rejectApplication = asyncHandler(async (req, res, next) => {
+  const application = await findApplication(req.params.id);
+
+  if (!application) {
+    return next(
+      new ApiError("Application not found", 404, "application_not_found")
+    );
+  }
+
+  if (application.status !== "pending") {
+    return next(applicationNotReviewable(application));
+  }
+
+  await application.reject(req.user._id, req.body.reason);
+
+  // The applicant may have been deleted since applying
+  const { applicant } = application;
+
+  await AuditLog.record(req, {
+    action: "partner_application.reject",
+    target: {
+      type: "partner_application",
+      id: application._id,
+      label: applicant ? applicant.email : undefined,
+    },
+    before: { status: "pending" },
+    after: {
+      status: application.status,
+      rejectionReason: application.rejectionReason,
+    },
+    metadata: { applicant: applicant ? applicant._id : undefined },
+  });
+
+  if (applicant) {
+    await Notification.createNotification({
+      user: applicant._id,
+      title: "Partner Application Rejected",
+      message: `Your partner application was not accepted: ${application.rejectionReason}`,
+      type: "account",
+      priority: "high",
+      data: { applicationId: application._id },
+    });
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, application, "Application rejected successfully")
+    );
+});
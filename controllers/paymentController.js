@@ -0,0 +1,187 @@
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Order = require("../models/Order");
+const Revenue = require("../models/Revenue");
+const PaymentEvent = require("../models/PaymentEvent");
+const Notification = require("../models/Notification");
+const { getProvider, canTransition } = require("../utils/payments");
+
+// Record seller revenue and notify everyone once an order is paid. Each item
+// is claimed before its sale is recorded and released if that fails, so an
+// interrupted fulfilment can be run again without recording a sale twice.
+const fulfillOrder = async (order) => {
+  await order.populate([
+    { path: "items.upload", select: "title user price revenue downloads" },
+    { path: "customer", select: "firstName lastName email" },
+  ]);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const item of order.items) {
+    const { upload } = item;
+    if (!upload || item.fulfilledAt) continue;
+
+    // eslint-disable-next-line no-await-in-loop
+    const claim = await Order.updateOne(
+      {
+        _id: order._id,
+        items: { $elemMatch: { _id: item._id, fulfilledAt: null } },
+      },
+      { $set: { "items.$.fulfilledAt": new Date() } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    try {
+      // Revenue is keyed per order item, a retry finds the one already saved
+      // eslint-disable-next-line no-await-in-loop
+      await Revenue.createUploadSaleRevenue(order, upload, {
+        _id: upload.user,
+      });
+      // eslint-disable-next-line no-await-in-loop
+      await upload.recordSale(item.linePrice);
+    } catch (error) {
+      // eslint-disable-next-line no-await-in-loop
+      await Order.updateOne(
+        { _id: order._id, "items._id": item._id },
+        { $set: { "items.$.fulfilledAt": null } }
+      );
+      throw error;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    await Notification.createNotification({
+      user: upload.user,
+      title: "New Sale!",
+      message: `Your upload "${upload.title}" has been sold for ${item.linePrice} SAR`,
+      type: "payment",
+      priority: "medium",
+      data: {
+        orderId: order._id,
+        uploadId: upload._id,
+        amount: item.linePrice,
+      },
+    });
+  }
+
+  const done = await Order.updateOne(
+    { _id: order._id, fulfilledAt: null },
+    { $set: { fulfilledAt: new Date() } }
+  );
+  if (done.modifiedCount === 0) return;
+
+  await Notification.createNotification({
+    user: order.customer._id,
+    title: "Payment Successful",
+    message: `Your order ${order.orderNumber} has been processed successfully`,
+    type: "payment",
+    priority: "medium",
+    data: {
+      orderId: order._id,
+      amount: order.totalAmount,
+    },
+  });
+};
+
+// @desc    Receive payment status updates from a provider
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (provider signature)
+exports.handleWebhook = asyncHandler(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return next(
+      new ApiError("Payment provider not found", 404, "provider_not_found")
+    );
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(req);
+  } catch (error) {
+    event = null;
+  }
+
+  if (!event) {
+    return next(
+      new ApiError("Invalid webhook signature", 400, "invalid_signature")
+    );
+  }
+
+  const order = await Order.findOne({
+    paymentProvider: provider.name,
+    paymentIntentId: event.intentId,
+  });
+
+  // A paid order whose fulfilment was interrupted is fulfilled again when the
+  // provider retries the event
+  const resumesFulfilment =
+    order &&
+    event.status === "completed" &&
+    order.paymentStatus === "completed" &&
+    !order.fulfilledAt;
+  const applies =
+    order &&
+    (canTransition(order.paymentStatus, event.status) || resumesFulfilment);
+
+  // Claim the event first so a concurrent delivery of it is skipped
+  const record = await PaymentEvent.recordOnce({
+    provider: provider.name,
+    eventId: event.eventId,
+    intentId: event.intentId,
+    order: order && order._id,
+    status: event.status,
+    result: applies ? "applied" : "ignored",
+    payload: event.payload,
+  });
+
+  // Unknown orders, replays and stale transitions are acknowledged so the
+  // provider stops retrying them
+  if (!record || !applies) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { received: true, applied: false },
+          "Webhook acknowledged"
+        )
+      );
+  }
+
+  try {
+    if (event.status === "completed") {
+      if (order.paymentStatus !== "completed") {
+        await order.markAsPaid(event.intentId, event.payload);
+      }
+      await fulfillOrder(order);
+    } else if (event.status === "failed") {
+      await order.markPaymentFailed(event.payload);
+      // Given back until the payment is retried, see processPayment
+      await order.releaseCoupon();
+      await Notification.createNotification({
+        user: order.customer,
+        title: "Payment Failed",
+        message: `Payment for your order ${order.orderNumber} could not be completed`,
+        type: "payment",
+        priority: "high",
+        data: { orderId: order._id },
+      });
+    } else {
+      order.paymentStatus = event.status;
+      await order.save();
+    }
+  } catch (error) {
+    // Let the provider retry the event
+    await PaymentEvent.deleteOne({ _id: record._id });
+    throw error;
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { received: true, applied: true, paymentStatus: order.paymentStatus },
+        "Webhook processed"
+      )
+    );
+});
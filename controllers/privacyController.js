@@ -0,0 +1,199 @@
+const asyncHandler = require("express-async-handler");
+const User = require("../models/User");
+const Upload = require("../models/Upload");
+const Order = require("../models/Order");
+const Mission = require("../models/Mission");
+const Notification = require("../models/Notification");
+const Revenue = require("../models/Revenue");
+const PartnerApplication = require("../models/PartnerApplication");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const sendEmail = require("../utils/sendEmail");
+const securityConfig = require("../config/security");
+
+const { erasureCoolingOffDays } = securityConfig.privacy;
+
+// Internal bookkeeping that is never part of an export
+const REVENUE_EXPORT_PROJECTION =
+  "-idempotencyKey -paymentDetails.gatewayResponse";
+
+// @desc    Export all my personal data as a JSON archive
+// @route   POST /api/auth/me/export
+// @access  Private
+exports.exportMyData = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const user = await User.findById(userId);
+
+  const [
+    uploads,
+    orders,
+    missions,
+    notifications,
+    revenue,
+    partnerApplications,
+  ] = await Promise.all([
+    Upload.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Order.find({ customer: userId }).sort({ createdAt: -1 }).lean(),
+    Mission.find({
+      $or: [
+        { client: userId },
+        { createdBy: userId },
+        { assignedTo: userId },
+        { "applications.partner": userId },
+      ],
+    })
+      .sort({ createdAt: -1 })
+      .lean(),
+    Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Revenue.find({ user: userId })
+      .select(REVENUE_EXPORT_PROJECTION)
+      .sort({ createdAt: -1 })
+      .lean(),
+    PartnerApplication.find({ applicant: userId })
+      .select("-idDocuments.key")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const { loginHistory, ...profile } = user.toJSON();
+
+  const archive = {
+    exportedAt: new Date(),
+    profile,
+    loginHistory,
+    uploads,
+    orders,
+    // Applications sent by other partners are their data, not ours
+    missions: missions.map((mission) => ({
+      ...mission,
+      applications: (mission.applications || []).filter(
+        (application) => String(application.partner) === String(userId)
+      ),
+    })),
+    notifications,
+    revenue,
+    partnerApplications,
+  };
+
+  const date = archive.exportedAt.toISOString().slice(0, 10);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="skyshot-data-export-${date}.json"`
+  );
+  res.status(200).json(archive);
+});
+
+// @desc    Request the permanent erasure of my account
+// @route   POST /api/auth/me/erasure
+// @access  Private
+exports.requestErasure = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (
+    user.password &&
+    (!req.body.password || !(await user.comparePassword(req.body.password)))
+  ) {
+    return next(
+      new ApiError("Current password is incorrect", 401, "invalid_password")
+    );
+  }
+
+  if (user.erasureScheduledFor) {
+    return next(
+      new ApiError(
+        "Account erasure is already scheduled",
+        409,
+        "erasure_already_requested"
+      )
+    );
+  }
+
+  const scheduledFor = user.requestErasure(erasureCoolingOffDays);
+  await user.save({ validateBeforeSave: false });
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Account Erasure Scheduled",
+    message: `Your account and personal data will be permanently erased on ${scheduledFor.toDateString()}. You can cancel this from your account settings until then`,
+    type: "account",
+    priority: "urgent",
+    data: { erasureScheduledFor: scheduledFor },
+  });
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Your account will be erased - Skyshot",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Account erasure scheduled</h2>
+          <p>Dear ${user.firstName} ${user.lastName},</p>
+          <p>We received a request to permanently erase your Skyshot account.</p>
+          <p>Your profile and personal data will be erased on <strong>${scheduledFor.toDateString()}</strong>. Orders and earnings records are kept for accounting without your personal details.</p>
+          <p>If you change your mind, log in and cancel the erasure from your account settings before that date.</p>
+          <p>Best regards,<br/>Skyshot Team</p>
+        </div>
+      `,
+    });
+  } catch (error) {
+    console.error("Failed to send erasure confirmation email:", error.message);
+  }
+
+  res.status(202).json(
+    new ApiResponse(
+      202,
+      {
+        erasureRequestedAt: user.erasureRequestedAt,
+        erasureScheduledFor: scheduledFor,
+      },
+      "Account erasure scheduled"
+    )
+  );
+});
+
+// @desc    Get the status of my erasure request
+// @route   GET /api/auth/me/erasure
+// @access  Private
+exports.getErasureStatus = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        scheduled: !!user.erasureScheduledFor,
+        erasureRequestedAt: user.erasureRequestedAt || null,
+        erasureScheduledFor: user.erasureScheduledFor || null,
+        coolingOffDays: erasureCoolingOffDays,
+      },
+      "Erasure status retrieved successfully"
+    )
+  );
+});
+
+// @desc    Cancel my pending erasure request
+// @route   DELETE /api/auth/me/erasure
+// @access  Private
+exports.cancelErasure = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user.erasureScheduledFor) {
+    return next(
+      new ApiError("No account erasure is scheduled", 404, "erasure_not_found")
+    );
+  }
+
+  user.cancelErasure();
+  await user.save({ validateBeforeSave: false });
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Account Erasure Cancelled",
+    message:
+      "Your account will not be erased. If this wasn't you, change your password",
+    type: "account",
+    priority: "high",
+  });
+
+  res.status(200).json(new ApiResponse(200, null, "Account erasure cancelled"));
+});
@@ -0,0 +1,161 @@
+const asyncHandler = require("express-async-handler");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const permissionsConfig = require("../config/permissions");
+
+const { permissions: PERMISSIONS, superRole } = permissionsConfig;
+
+const roleSnapshot = (role) => ({
+  name: role.name,
+  description: role.description,
+  permissions: [...role.permissions].sort(),
+});
+
+// @desc    Get roles, their user counts and the available permissions
+// @route   GET /api/admin/roles
+// @access  Private/Master
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }),
+    User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+  ]);
+
+  const userCounts = Object.fromEntries(
+    counts.map(({ _id, count }) => [_id, count])
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        roles: roles.map((role) => ({
+          ...role.toObject(),
+          userCount: userCounts[role.name] || 0,
+        })),
+        permissions: Object.entries(PERMISSIONS).map(
+          ([permission, description]) => ({ permission, description })
+        ),
+      },
+      "Roles retrieved successfully"
+    )
+  );
+});
+
+// @desc    Create a role
+// @route   POST /api/admin/roles
+// @access  Private/Master
+exports.createRole = asyncHandler(async (req, res, next) => {
+  if (await Role.isDefined(req.body.name)) {
+    return next(new ApiError("Role already exists", 409, "role_exists"));
+  }
+
+  const role = await Role.create({
+    name: req.body.name,
+    description: req.body.description,
+    permissions: [...new Set(req.body.permissions)],
+  });
+
+  await AuditLog.record(req, {
+    action: "role.create",
+    target: { type: "role", id: role._id, label: role.name },
+    before: {},
+    after: roleSnapshot(role),
+  });
+
+  res.status(201).json(new ApiResponse(201, role, "Role created successfully"));
+});
+
+// @desc    Update the description or permissions of a role
+// @route   PATCH /api/admin/roles/:id
+// @access  Private/Master
+exports.updateRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new ApiError("Role not found", 404, "role_not_found"));
+  }
+
+  // The master role always has every permission
+  if (role.name === superRole) {
+    return next(
+      new ApiError("The master role can't be edited", 400, "role_not_editable")
+    );
+  }
+
+  const before = roleSnapshot(role);
+
+  if (req.body.description !== undefined) {
+    role.description = req.body.description;
+  }
+  if (req.body.permissions) {
+    role.permissions = [...new Set(req.body.permissions)];
+  }
+
+  await role.save();
+
+  await AuditLog.record(req, {
+    action: "role.update",
+    target: { type: "role", id: role._id, label: role.name },
+    before,
+    after: roleSnapshot(role),
+  });
+
+  res.status(200).json(new ApiResponse(200, role, "Role updated successfully"));
+});
+
+// @desc    Delete a role that no user has
+// @route   DELETE /api/admin/roles/:id
+// @access  Private/Master
+exports.deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new ApiError("Role not found", 404, "role_not_found"));
+  }
+
+  if (role.isSystem) {
+    return next(
+      new ApiError("Default roles can't be deleted", 400, "role_not_deletable")
+    );
+  }
+
+  const userCount = await User.countDocuments({ role: role.name });
+  if (userCount > 0) {
+    return next(
+      new ApiError(
+        `${userCount} user(s) still have this role, assign them another one first`,
+        409,
+        "role_in_use"
+      )
+    );
+  }
+
+  await role.deleteOne();
+
+  await AuditLog.record(req, {
+    action: "role.delete",
+    target: { type: "role", id: role._id, label: role.name },
+    before: roleSnapshot(role),
+    after: {},
+  });
+
+  res.status(200).json(new ApiResponse(200, null, "Role deleted successfully"));
+});
+
+// @desc    Create the default roles that are missing
+// @route   POST /api/admin/roles/initialize
+// @access  Private/Master
+exports.initializeDefaultRoles = asyncHandler(async (req, res, next) => {
+  await Role.initializeDefaults();
+
+  const roles = await Role.find({ isSystem: true }).sort({ name: 1 });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, roles, "Default roles initialized successfully")
+    );
+});
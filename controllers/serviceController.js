@@ -0,0 +1,643 @@
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Service = require("../models/Service");
+const BookingInquiry = require("../models/BookingInquiry");
+const Mission = require("../models/Mission");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const getRequestLanguage = require("../utils/getRequestLanguage");
+
+// Fields admins can set when creating or updating a service
+const EDITABLE_FIELDS = [
+  "name",
+  "slug",
+  "description",
+  "shortDescription",
+  "category",
+  "type",
+  "pricing",
+  "features",
+  "deliverables",
+  "duration",
+  "availability",
+  "portfolio",
+  "equipment",
+  "status",
+  "featured",
+  "language",
+  "translations",
+  "tags",
+  "seo",
+];
+
+// Mission fields admins can override when converting an inquiry
+const MISSION_OVERRIDE_FIELDS = [
+  "title",
+  "description",
+  "scheduledDate",
+  "duration",
+  "budget",
+  "priority",
+];
+
+const WEEK_DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// A booked day is planned as a regular working day on the mission
+const HOURS_PER_DAY = 8;
+
+const pick = (body, fields) =>
+  fields.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+// Great-circle distance in kilometers
+const distanceInKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const hasCoordinates = (coordinates) =>
+  coordinates &&
+  typeof coordinates.latitude === "number" &&
+  typeof coordinates.longitude === "number";
+
+/**
+ * Check an inquiry against the booking rules of the service
+ * @returns {ApiError|null} The first broken rule, or null when bookable
+ */
+const checkBookingRules = (service, { preferredDate, duration, location }) => {
+  const { availability = {} } = service;
+  const date = new Date(preferredDate);
+
+  const earliest = new Date();
+  earliest.setHours(0, 0, 0, 0);
+  earliest.setDate(earliest.getDate() + (availability.advanceBooking || 0));
+  if (date < earliest) {
+    return new ApiError(
+      `This service must be booked at least ${availability.advanceBooking} days in advance`,
+      400,
+      "advance_booking_required"
+    );
+  }
+
+  const workingDays = availability.workingDays || [];
+  if (
+    workingDays.length > 0 &&
+    !workingDays.includes(WEEK_DAYS[date.getDay()])
+  ) {
+    return new ApiError(
+      "This service is not available on the selected day",
+      400,
+      "day_not_available"
+    );
+  }
+
+  const { min, max } = service.duration || {};
+  if (duration && ((min && duration < min) || (max && duration > max))) {
+    return new ApiError(
+      "Requested duration is outside the range offered for this service",
+      400,
+      "duration_not_available"
+    );
+  }
+
+  // Locations are served when the city is listed, or within the travel
+  // radius of the base location when both sides have coordinates
+  const locations = (availability.locations || []).map((city) =>
+    city.toLowerCase()
+  );
+  const canMeasure =
+    hasCoordinates(availability.baseCoordinates) &&
+    hasCoordinates(location.coordinates);
+
+  if (locations.length === 0 && !canMeasure) return null;
+  if (locations.includes(location.city.toLowerCase())) return null;
+  if (
+    canMeasure &&
+    distanceInKm(availability.baseCoordinates, location.coordinates) <=
+      availability.travelRadius
+  ) {
+    return null;
+  }
+
+  return new ApiError(
+    "This service is not available at the selected location",
+    400,
+    "location_not_available"
+  );
+};
+
+// Maps the service category and type to a mission type
+const getMissionType = (service) => {
+  if (["videography", "drone"].includes(service.category)) {
+    return service.category;
+  }
+
+  const types = {
+    wedding: "event",
+    event: "event",
+    portrait: "portrait",
+    product: "product",
+    aerial: "drone",
+  };
+  return types[service.type] || "photography";
+};
+
+/**
+ * Build mission data pre-filled from the service and the inquiry
+ */
+const buildMissionData = (service, inquiry) => {
+  const unitHours = service.duration.unit === "days" ? HOURS_PER_DAY : 1;
+  const hours = Math.min(
+    24,
+    (inquiry.duration || service.duration.min || 1) * unitHours
+  );
+
+  const selectedPackage = inquiry.package
+    ? service.pricing.packages.find((pkg) => pkg.name === inquiry.package)
+    : null;
+
+  let price = service.pricing.basePrice;
+  if (selectedPackage) {
+    price = selectedPackage.price;
+  } else if (service.pricing.type === "hourly") {
+    price = service.pricing.basePrice * hours;
+  }
+
+  const description = [
+    inquiry.message,
+    service.shortDescription || service.description,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return {
+    title: `${service.name} - ${inquiry.name}`.substring(0, 100),
+    description: description.substring(0, 2000),
+    type: getMissionType(service),
+    location: inquiry.toObject().location,
+    scheduledDate: inquiry.preferredDate,
+    duration: hours,
+    budget: { min: price, max: price },
+    requirements: selectedPackage
+      ? selectedPackage.deliverables
+      : service.deliverables,
+    equipment: service.equipment,
+    client: inquiry.user,
+  };
+};
+
+// @desc    Get active services
+// @route   GET /api/services
+// @access  Public
+exports.getServices = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 12;
+  const { category, type, featured, q: search } = req.query;
+
+  const filters = {};
+  if (category) filters.category = category;
+  if (type) filters.type = type;
+  if (featured === "true") filters.featured = true;
+  if (search) filters.$text = { $search: search };
+
+  const services = await Service.findActive(filters)
+    .select("-stats -createdBy")
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Service.countDocuments({ status: "active", ...filters });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        services: services.map((service) => ({
+          ...service.toJSON(),
+          localized: service.getLocalizedContent(language),
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Services retrieved successfully"
+    )
+  );
+});
+
+// @desc    Get an active service by slug
+// @route   GET /api/services/:slug
+// @access  Public
+exports.getServiceBySlug = asyncHandler(async (req, res, next) => {
+  const service = await Service.findOne({
+    slug: req.params.slug,
+    status: "active",
+  }).select("-createdBy");
+
+  if (!service) {
+    return next(new ApiError("Service not found", 404, "service_not_found"));
+  }
+
+  await service.incrementViews();
+
+  const data = service.toJSON();
+  delete data.stats;
+  data.localized = service.getLocalizedContent(getRequestLanguage(req));
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, data, "Service retrieved successfully"));
+});
+
+// @desc    Send a booking inquiry for a service
+// @route   POST /api/services/:slug/inquiries
+// @access  Public
+exports.createInquiry = asyncHandler(async (req, res, next) => {
+  const service = await Service.findOne({
+    slug: req.params.slug,
+    status: "active",
+  });
+
+  if (!service) {
+    return next(new ApiError("Service not found", 404, "service_not_found"));
+  }
+
+  const { preferredDate, duration, location, message, phone } = req.body;
+
+  if (
+    req.body.package &&
+    !service.pricing.packages.some((pkg) => pkg.name === req.body.package)
+  ) {
+    return next(
+      new ApiError(
+        "Selected package is not offered for this service",
+        400,
+        "package_not_found"
+      )
+    );
+  }
+
+  const ruleError = checkBookingRules(service, {
+    preferredDate,
+    duration,
+    location,
+  });
+  if (ruleError) {
+    return next(ruleError);
+  }
+
+  const inquiry = await BookingInquiry.create({
+    service: service._id,
+    user: req.user ? req.user._id : null,
+    name: req.user
+      ? `${req.user.firstName} ${req.user.lastName}`
+      : req.body.name,
+    email: req.user ? req.user.email : req.body.email,
+    phone: phone || (req.user && req.user.phone),
+    preferredDate,
+    duration,
+    package: req.body.package,
+    location,
+    message,
+    language: getRequestLanguage(req),
+  });
+
+  await service.incrementInquiries();
+
+  // Notify admins about the new inquiry
+  const admins = await User.findWithPermission("services.manage");
+  await Notification.createBulkNotifications(
+    admins.map((admin) => ({
+      user: admin._id,
+      title: "New Booking Inquiry",
+      message: `${inquiry.name} sent an inquiry for "${service.name}"`,
+      type: "system",
+      priority: "medium",
+      data: { inquiryId: inquiry._id, serviceId: service._id },
+    }))
+  );
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, inquiry, "Inquiry sent successfully"));
+});
+
+// @desc    Get my booking inquiries
+// @route   GET /api/services/inquiries/mine
+// @access  Private
+exports.getMyInquiries = asyncHandler(async (req, res, next) => {
+  const inquiries = await BookingInquiry.find({ user: req.user._id })
+    .populate("service", "name slug category type")
+    .select("-reviewedBy")
+    .sort({ createdAt: -1 });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, inquiries, "Inquiries retrieved successfully"));
+});
+
+// @desc    Get all services (any status)
+// @route   GET /api/services/admin/all
+// @access  Private/Admin/Master
+exports.getAllServices = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status, category, type } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (category) query.category = category;
+  if (type) query.type = type;
+
+  const services = await Service.find(query)
+    .populate("createdBy", "firstName lastName")
+    .populate("lastModifiedBy", "firstName lastName")
+    .sort({ updatedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Service.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        services,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Services retrieved successfully"
+    )
+  );
+});
+
+// @desc    Create service
+// @route   POST /api/services
+// @access  Private/Admin/Master
+exports.createService = asyncHandler(async (req, res, next) => {
+  const service = await Service.create({
+    ...pick(req.body, EDITABLE_FIELDS),
+    createdBy: req.user._id,
+    lastModifiedBy: req.user._id,
+  });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, service, "Service created successfully"));
+});
+
+// @desc    Update service
+// @route   PATCH /api/services/:id
+// @access  Private/Admin/Master
+exports.updateService = asyncHandler(async (req, res, next) => {
+  const service = await Service.findById(req.params.id);
+
+  if (!service) {
+    return next(new ApiError("Service not found", 404, "service_not_found"));
+  }
+
+  service.set(pick(req.body, EDITABLE_FIELDS));
+  service.lastModifiedBy = req.user._id;
+  await service.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, service, "Service updated successfully"));
+});
+
+// @desc    Delete service
+// @route   DELETE /api/services/:id
+// @access  Private/Admin/Master
+exports.deleteService = asyncHandler(async (req, res, next) => {
+  const service = await Service.findById(req.params.id);
+
+  if (!service) {
+    return next(new ApiError("Service not found", 404, "service_not_found"));
+  }
+
+  // Services with inquiries are archived so the history stays readable
+  if (await BookingInquiry.exists({ service: service._id })) {
+    service.status = "archived";
+    service.lastModifiedBy = req.user._id;
+    await service.save();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, service, "Service archived successfully"));
+  }
+
+  await service.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, null, "Service deleted successfully"));
+});
+
+// @desc    Get booking inquiries (new by default)
+// @route   GET /api/services/admin/inquiries
+// @access  Private/Admin/Master
+exports.getInquiries = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const status = req.query.status || "new";
+
+  const query = { status };
+  if (req.query.service) query.service = req.query.service;
+
+  const inquiries = await BookingInquiry.find(query)
+    .populate("service", "name slug category type")
+    .populate("user", "firstName lastName email")
+    .populate("mission", "title status")
+    .populate("reviewedBy", "firstName lastName")
+    .sort({ createdAt: status === "new" ? 1 : -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await BookingInquiry.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        inquiries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Inquiries retrieved successfully"
+    )
+  );
+});
+
+// @desc    Convert a booking inquiry into a mission
+// @route   POST /api/services/inquiries/:id/convert
+// @access  Private/Admin/Master
+exports.convertInquiry = asyncHandler(async (req, res, next) => {
+  const inquiry = await BookingInquiry.findById(req.params.id);
+
+  if (!inquiry) {
+    return next(new ApiError("Inquiry not found", 404, "inquiry_not_found"));
+  }
+
+  if (inquiry.status !== "new") {
+    return next(
+      new ApiError(
+        `Inquiry is already ${inquiry.status}`,
+        400,
+        "inquiry_already_reviewed"
+      )
+    );
+  }
+
+  const service = await Service.findById(inquiry.service);
+
+  if (!service) {
+    return next(new ApiError("Service not found", 404, "service_not_found"));
+  }
+
+  const missionData = buildMissionData(service, inquiry);
+  const overrides = pick(req.body, MISSION_OVERRIDE_FIELDS);
+
+  const mission = await Mission.create({
+    ...missionData,
+    ...overrides,
+    budget: { ...missionData.budget, ...overrides.budget },
+    createdBy: req.user._id,
+  });
+
+  // Only one admin can convert the same inquiry
+  const converted = await BookingInquiry.findOneAndUpdate(
+    { _id: inquiry._id, status: "new" },
+    {
+      status: "converted",
+      mission: mission._id,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+    },
+    { new: true }
+  );
+
+  if (!converted) {
+    await mission.deleteOne();
+    return next(
+      new ApiError(
+        "Inquiry was reviewed in the meantime",
+        409,
+        "inquiry_already_reviewed"
+      )
+    );
+  }
+
+  await service.incrementBookings();
+
+  if (inquiry.user) {
+    await Notification.createNotification({
+      user: inquiry.user,
+      title: "Booking Confirmed",
+      message: `Your booking for "${service.name}" has been confirmed`,
+      type: "system",
+      priority: "high",
+      data: { inquiryId: inquiry._id, missionId: mission._id },
+    });
+  }
+
+  // Notify all partners about the new mission
+  const partners = await User.find({ role: "partner", active: true });
+  await Notification.createBulkNotifications(
+    partners.map((partner) => ({
+      user: partner._id,
+      title: "New Mission Available",
+      message: `A new ${mission.type} mission "${mission.title}" is available in ${mission.location.city}`,
+      type: "system",
+      priority: "medium",
+      data: {
+        missionId: mission._id,
+        type: mission.type,
+        location: mission.location.city,
+        budget: mission.budget,
+      },
+    }))
+  );
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { inquiry: converted, mission },
+        "Inquiry converted into a mission successfully"
+      )
+    );
+});
+
+// @desc    Decline a booking inquiry
+// @route   PATCH /api/services/inquiries/:id/decline
+// @access  Private/Admin/Master
+exports.declineInquiry = asyncHandler(async (req, res, next) => {
+  const inquiry = await BookingInquiry.findById(req.params.id).populate(
+    "service",
+    "name"
+  );
+
+  if (!inquiry) {
+    return next(new ApiError("Inquiry not found", 404, "inquiry_not_found"));
+  }
+
+  if (inquiry.status !== "new") {
+    return next(
+      new ApiError(
+        `Inquiry is already ${inquiry.status}`,
+        400,
+        "inquiry_already_reviewed"
+      )
+    );
+  }
+
+  await inquiry.decline(req.user._id, req.body.reason);
+
+  if (inquiry.user) {
+    await Notification.createNotification({
+      user: inquiry.user,
+      title: "Booking Unavailable",
+      message: req.body.reason
+        ? `Your booking for "${inquiry.service.name}" could not be accepted: ${req.body.reason}`
+        : `Your booking for "${inquiry.service.name}" could not be accepted`,
+      type: "system",
+      priority: "medium",
+      data: { inquiryId: inquiry._id },
+    });
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, inquiry, "Inquiry declined successfully"));
+});
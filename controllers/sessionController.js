@@ -0,0 +1,76 @@
+const asyncHandler = require("express-async-handler");
+const Session = require("../models/Session");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+
+// @desc    Get my signed in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.findActive(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId),
+      })),
+      "Sessions retrieved successfully"
+    )
+  );
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return next(new ApiError("Session not found", 404, "session_not_found"));
+  }
+
+  const isCurrent = session._id.equals(req.sessionId);
+  await session.revoke(isCurrent ? "logout" : "signed_out_remotely");
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { current: isCurrent },
+        "Device signed out successfully"
+      )
+    );
+});
+
+// @desc    Sign out every device except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(
+    req.user._id,
+    "signed_out_remotely",
+    req.sessionId
+  );
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revoked: result.modifiedCount },
+        "Other devices signed out successfully"
+      )
+    );
+});
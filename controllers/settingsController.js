@@ -2,6 +2,7 @@ const asyncHandler = require("express-async-handler");
 const ApiError = require("../utils/ApiError");
 const ApiResponse = require("../utils/ApiResponse");
 const Settings = require("../models/Settings");
+const AuditLog = require("../models/AuditLog");
 
 // @desc    Get all public settings
 // @route   GET /api/settings/public
@@ -31,7 +32,7 @@ exports.getPublicSettings = asyncHandler(async (req, res, next) => {
 // @access  Private/Admin/Master
 exports.getSettingsByCategory = asyncHandler(async (req, res, next) => {
   const { category } = req.params;
-  const includePrivate = req.user.role === "master";
+  const includePrivate = req.permissions.has("settings.write");
 
   const settings = await Settings.getByCategory(category, includePrivate);
 
@@ -111,7 +112,7 @@ exports.getSetting = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user can access this setting
-  if (!setting.isPublic && req.user.role !== "master") {
+  if (!setting.isPublic && !req.permissions.has("settings.write")) {
     return next(
       new ApiError(
         "Not authorized to access this setting",
@@ -167,7 +168,10 @@ exports.updateSetting = asyncHandler(async (req, res, next) => {
   }
 
   // Check permissions
-  if (req.user.role !== "master" && setting.category === "security") {
+  if (
+    setting.category === "security" &&
+    !req.permissions.has("settings.security")
+  ) {
     return next(
       new ApiError(
         "Only masters can modify security settings",
@@ -328,6 +332,8 @@ exports.importSettings = asyncHandler(async (req, res, next) => {
   const imported = [];
   const skipped = [];
   const errors = [];
+  const before = {};
+  const after = {};
 
   for (const settingData of settings) {
     try {
@@ -354,11 +360,21 @@ exports.importSettings = asyncHandler(async (req, res, next) => {
       }
 
       imported.push(key);
+      before[key] = existingSetting ? existingSetting.value : null;
+      after[key] = settingData.value;
     } catch (error) {
       errors.push({ key: settingData.key, error: error.message });
     }
   }
 
+  await AuditLog.record(req, {
+    action: "settings.import",
+    target: { type: "settings" },
+    before,
+    after,
+    metadata: { overwrite, skipped, errors },
+  });
+
   res.status(200).json(
     new ApiResponse(
       200,
@@ -394,12 +410,28 @@ exports.resetToDefaults = asyncHandler(async (req, res, next) => {
   let query = {};
   if (category) query.category = category;
 
+  const previous = await Settings.find(query).select("key value");
+
   // Delete existing settings
   await Settings.deleteMany(query);
 
   // Reinitialize defaults
   await Settings.initializeDefaults();
 
+  const current = await Settings.find(query).select("key value");
+  const toValues = (settings) =>
+    settings.reduce((values, setting) => {
+      values[setting.key] = setting.value;
+      return values;
+    }, {});
+
+  await AuditLog.record(req, {
+    action: "settings.reset",
+    target: { type: "settings", label: category || "all" },
+    before: toValues(previous),
+    after: toValues(current),
+  });
+
   res
     .status(200)
     .json(
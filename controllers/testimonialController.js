@@ -0,0 +1,354 @@
+const asyncHandler = require("express-async-handler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Testimonial = require("../models/Testimonial");
+const Order = require("../models/Order");
+const Mission = require("../models/Mission");
+const Notification = require("../models/Notification");
+const getRequestLanguage = require("../utils/getRequestLanguage");
+
+// Mission types mapped to the testimonial service types
+const MISSION_SERVICE_TYPES = {
+  photography: "photography",
+  event: "photography",
+  product: "photography",
+  portrait: "photography",
+  landscape: "photography",
+  videography: "videography",
+  drone: "drone",
+};
+
+// Mission types that have a matching testimonial project type
+const MISSION_PROJECT_TYPES = ["event", "product", "portrait"];
+
+// Public representation of testimonials in the requested language
+const localize = (testimonials, language) =>
+  testimonials.map((testimonial) => ({
+    _id: testimonial._id,
+    ...testimonial.getLocalizedContent(language),
+    avatar: testimonial.avatar,
+    rating: testimonial.rating,
+    serviceType: testimonial.serviceType,
+    projectType: testimonial.projectType,
+    featured: testimonial.featured,
+    approvedAt: testimonial.approvedAt,
+  }));
+
+// @desc    Get featured and approved testimonials with ratings
+// @route   GET /api/testimonials
+// @access  Public
+exports.getTestimonials = asyncHandler(async (req, res, next) => {
+  const language = getRequestLanguage(req);
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const { serviceType } = req.query;
+
+  const filters = {};
+  if (serviceType) filters.serviceType = serviceType;
+
+  const [featured, testimonials, total, ratings, [overall]] = await Promise.all(
+    [
+      Testimonial.findFeatured(parseInt(req.query.featuredLimit) || 6),
+      Testimonial.findApproved(filters)
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Testimonial.countDocuments({ status: "approved", ...filters }),
+      Testimonial.getRatingsByServiceType(),
+      Testimonial.getAverageRating(),
+    ]
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        featured: localize(featured, language),
+        testimonials: localize(testimonials, language),
+        ratings: {
+          overall: {
+            averageRating: overall
+              ? Math.round(overall.averageRating * 100) / 100
+              : 0,
+            totalCount: overall ? overall.totalCount : 0,
+          },
+          byServiceType: ratings,
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Testimonials retrieved successfully"
+    )
+  );
+});
+
+// @desc    Submit a testimonial for a completed order or mission
+// @route   POST /api/testimonials
+// @access  Private
+exports.createTestimonial = asyncHandler(async (req, res, next) => {
+  const {
+    orderId,
+    missionId,
+    content,
+    rating,
+    projectType,
+    company,
+    position,
+  } = req.body;
+
+  let serviceType = "general";
+  let derivedProjectType;
+
+  if (orderId) {
+    const order = await Order.findOne({
+      _id: orderId,
+      customer: req.user._id,
+    });
+
+    if (!order) {
+      return next(new ApiError("Order not found", 404, "order_not_found"));
+    }
+    if (order.status !== "completed") {
+      return next(
+        new ApiError(
+          "You can only review completed orders",
+          400,
+          "order_not_completed"
+        )
+      );
+    }
+  } else {
+    // Only the client reviews a mission, not the admin who created it
+    const mission = await Mission.findOne({
+      _id: missionId,
+      client: req.user._id,
+    });
+
+    if (!mission) {
+      return next(new ApiError("Mission not found", 404, "mission_not_found"));
+    }
+    if (mission.status !== "completed") {
+      return next(
+        new ApiError(
+          "You can only review completed missions",
+          400,
+          "mission_not_completed"
+        )
+      );
+    }
+
+    serviceType = MISSION_SERVICE_TYPES[mission.type] || "general";
+    if (MISSION_PROJECT_TYPES.includes(mission.type)) {
+      derivedProjectType = mission.type;
+    }
+  }
+
+  const relation = orderId
+    ? { relatedOrder: orderId }
+    : { relatedMission: missionId };
+
+  const existing = await Testimonial.exists({
+    ...relation,
+    submittedBy: req.user._id,
+  });
+  if (existing) {
+    return next(
+      new ApiError(
+        "You have already submitted a testimonial for this",
+        400,
+        "testimonial_already_submitted"
+      )
+    );
+  }
+
+  const testimonial = await Testimonial.create({
+    ...relation,
+    name: `${req.user.firstName} ${req.user.lastName}`,
+    email: req.user.email,
+    avatar: req.user.avatar,
+    company,
+    position,
+    content,
+    rating,
+    serviceType,
+    projectType: projectType || derivedProjectType,
+    language: getRequestLanguage(req),
+    status: "pending",
+    submittedBy: req.user._id,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+      source: "website",
+    },
+  });
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        testimonial,
+        "Testimonial submitted and awaiting approval"
+      )
+    );
+});
+
+// @desc    Get my testimonials
+// @route   GET /api/testimonials/mine
+// @access  Private
+exports.getMyTestimonials = asyncHandler(async (req, res, next) => {
+  const testimonials = await Testimonial.find({
+    submittedBy: req.user._id,
+  }).sort({ createdAt: -1 });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, testimonials, "Testimonials retrieved successfully")
+    );
+});
+
+// @desc    Get testimonials for moderation (pending by default)
+// @route   GET /api/testimonials/admin/all
+// @access  Private/Admin/Master
+exports.getAllTestimonials = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const status = req.query.status || "pending";
+
+  const query = { status };
+  if (req.query.serviceType) query.serviceType = req.query.serviceType;
+
+  const testimonials = await Testimonial.find(query)
+    .populate("submittedBy", "firstName lastName email")
+    .populate("reviewedBy", "firstName lastName")
+    .populate("relatedOrder", "orderNumber totalAmount")
+    .populate("relatedMission", "title type")
+    .sort({ createdAt: status === "pending" ? 1 : -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Testimonial.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        testimonials,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      "Testimonials retrieved successfully"
+    )
+  );
+});
+
+// @desc    Approve testimonial
+// @route   PATCH /api/testimonials/:id/approve
+// @access  Private/Admin/Master
+exports.approveTestimonial = asyncHandler(async (req, res, next) => {
+  const testimonial = await Testimonial.findById(req.params.id);
+
+  if (!testimonial) {
+    return next(
+      new ApiError("Testimonial not found", 404, "testimonial_not_found")
+    );
+  }
+
+  await testimonial.approve(req.user._id);
+
+  if (testimonial.submittedBy) {
+    await Notification.createNotification({
+      user: testimonial.submittedBy,
+      title: "Testimonial Published",
+      message: "Thank you! Your testimonial has been approved and published",
+      type: "system",
+      priority: "low",
+      data: { testimonialId: testimonial._id },
+    });
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, testimonial, "Testimonial approved successfully")
+    );
+});
+
+// @desc    Reject testimonial
+// @route   PATCH /api/testimonials/:id/reject
+// @access  Private/Admin/Master
+exports.rejectTestimonial = asyncHandler(async (req, res, next) => {
+  const testimonial = await Testimonial.findById(req.params.id);
+
+  if (!testimonial) {
+    return next(
+      new ApiError("Testimonial not found", 404, "testimonial_not_found")
+    );
+  }
+
+  // Rejected testimonials are never shown as featured
+  testimonial.featured = false;
+  await testimonial.reject(req.user._id, req.body.reason);
+
+  if (testimonial.submittedBy) {
+    await Notification.createNotification({
+      user: testimonial.submittedBy,
+      title: "Testimonial Not Published",
+      message: req.body.reason
+        ? `Your testimonial was not published: ${req.body.reason}`
+        : "Your testimonial was reviewed and will not be published",
+      type: "system",
+      priority: "low",
+      data: { testimonialId: testimonial._id },
+    });
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, testimonial, "Testimonial rejected successfully")
+    );
+});
+
+// @desc    Feature/unfeature testimonial
+// @route   PATCH /api/testimonials/:id/feature
+// @access  Private/Admin/Master
+exports.toggleFeatured = asyncHandler(async (req, res, next) => {
+  const testimonial = await Testimonial.findById(req.params.id);
+
+  if (!testimonial) {
+    return next(
+      new ApiError("Testimonial not found", 404, "testimonial_not_found")
+    );
+  }
+
+  if (!testimonial.featured && testimonial.status !== "approved") {
+    return next(
+      new ApiError(
+        "Only approved testimonials can be featured",
+        400,
+        "testimonial_not_approved"
+      )
+    );
+  }
+
+  await testimonial.toggleFeatured();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        testimonial,
+        "Testimonial featured status toggled successfully"
+      )
+    );
+});
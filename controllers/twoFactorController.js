@@ -0,0 +1,226 @@
+const asyncHandler = require("express-async-handler");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const totp = require("../utils/totp");
+
+// Name shown next to the account in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "SkyShot";
+
+const findWithSecrets = (userId) =>
+  User.findById(userId).select("+twoFactorSecret +twoFactorRecoveryCodes");
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await findWithSecrets(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        enabled: user.twoFactorEnabled,
+        recoveryCodesRemaining: user.twoFactorEnabled
+          ? (user.twoFactorRecoveryCodes || []).length
+          : 0,
+      },
+      "Two-factor status retrieved successfully"
+    )
+  );
+});
+
+// @desc    Start two-factor enrollment (new secret + otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  if (req.user.twoFactorEnabled) {
+    return next(
+      new ApiError(
+        "Two-factor authentication is already enabled",
+        400,
+        "two_factor_already_enabled"
+      )
+    );
+  }
+
+  // The secret only becomes active once a code is confirmed
+  const secret = totp.generateSecret();
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      twoFactorSecret: secret,
+      $unset: { twoFactorRecoveryCodes: 1, twoFactorLastUsedStep: 1 },
+    }
+  );
+
+  const otpauthUrl = totp.buildOtpauthUrl({
+    secret,
+    label: req.user.email,
+    issuer: ISSUER,
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        secret,
+        otpauthUrl,
+        // Rendered as a QR code by the client
+        qrPayload: otpauthUrl,
+      },
+      "Scan the QR code and confirm with a code from your app"
+    )
+  );
+});
+
+// @desc    Confirm enrollment with a first code and enable two-factor
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await findWithSecrets(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new ApiError(
+        "Two-factor authentication is already enabled",
+        400,
+        "two_factor_already_enabled"
+      )
+    );
+  }
+
+  if (!user.twoFactorSecret) {
+    return next(
+      new ApiError(
+        "Start the two-factor setup first",
+        400,
+        "two_factor_not_setup"
+      )
+    );
+  }
+
+  if (!(await user.verifyTwoFactorCode(req.body.code))) {
+    return next(
+      new ApiError(
+        "Invalid authentication code",
+        400,
+        "invalid_two_factor_code"
+      )
+    );
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  await user.save({ validateBeforeSave: false });
+
+  // The current session proved possession of the authenticator
+  req.session.twoFactorVerified = true;
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Two-Factor Authentication Enabled",
+    message: "Two-factor authentication is now required when you log in",
+    type: "account",
+    priority: "high",
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes },
+        "Two-factor authentication enabled. Store your recovery codes safely"
+      )
+    );
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await findWithSecrets(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new ApiError(
+        "Two-factor authentication is not enabled",
+        400,
+        "two_factor_not_enabled"
+      )
+    );
+  }
+
+  if (!(await user.verifyTwoFactorCode(req.body.code))) {
+    return next(
+      new ApiError(
+        "Invalid authentication code",
+        400,
+        "invalid_two_factor_code"
+      )
+    );
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes },
+        "Recovery codes regenerated, the previous codes no longer work"
+      )
+    );
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await findWithSecrets(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new ApiError(
+        "Two-factor authentication is not enabled",
+        400,
+        "two_factor_not_enabled"
+      )
+    );
+  }
+
+  if (!(await user.comparePassword(req.body.password))) {
+    return next(new ApiError("Incorrect password", 401, "invalid_password"));
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    }
+  );
+
+  req.session.twoFactorVerified = null;
+
+  await Notification.createNotification({
+    user: user._id,
+    title: "Two-Factor Authentication Disabled",
+    message:
+      "Two-factor authentication was turned off. If this wasn't you, change your password immediately",
+    type: "account",
+    priority: "high",
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, null, "Two-factor authentication disabled"));
+});
@@ -4,7 +4,29 @@ const ApiError = require("../utils/ApiError");
 const ApiResponse = require("../utils/ApiResponse");
 const Upload = require("../models/Upload");
 const User = require("../models/User");
+const Like = require("../models/Like");
 const Notification = require("../models/Notification");
+const Settings = require("../models/Settings");
+const AuditLog = require("../models/AuditLog");
+const { processImage, removeMediaFiles } = require("../utils/mediaProcessor");
+
+// Moderation state of uploads keyed by id, used for audit snapshots
+const moderationSnapshot = (uploads) =>
+  uploads.reduce((snapshot, upload) => {
+    snapshot[upload._id] = { status: upload.status, featured: upload.featured };
+    return snapshot;
+  }, {});
+
+// Fields generated from the uploaded file that clients cannot set
+const GENERATED_MEDIA_FIELDS = [
+  "originalFileUrl",
+  "watermarkedFileUrl",
+  "thumbnailUrl",
+  "previewUrl",
+  "fileSize",
+  "dimensions",
+  "fileType",
+];
 
 // @desc Get all uploads
 // @route GET /api/uploads
@@ -20,8 +42,8 @@ exports.getUploads = factory.getAll(Upload, {
 exports.getFilteredUploads = asyncHandler(async (req, res, next) => {
   let filter = { status: "approved" }; // Only show approved uploads to public
 
-  // If user is admin/master, they can see all uploads
-  if (req.user && ["admin", "master"].includes(req.user.role)) {
+  // Moderators can see all uploads
+  if (req.user && req.permissions.has("uploads.moderate")) {
     filter = {}; // Remove status filter for admins
     if (req.query.status) {
       filter.status = req.query.status;
@@ -96,7 +118,7 @@ exports.getUploadById = asyncHandler(async (req, res, next) => {
     upload.status !== "approved" &&
     (!req.user ||
       (req.user.id !== upload.user._id.toString() &&
-        !["admin", "master"].includes(req.user.role)))
+        !req.permissions.has("uploads.moderate")))
   ) {
     return next(new ApiError("upload.not_found", 404));
   }
@@ -115,10 +137,62 @@ exports.getUploadById = asyncHandler(async (req, res, next) => {
 // @route POST /api/uploads
 // @access Private/User
 exports.createUpload = asyncHandler(async (req, res, next) => {
-  // Add user ID to upload data
-  req.body.user = req.user.id;
+  if (!req.file) {
+    return next(new ApiError("upload.file_required", 400, "no_file_uploaded"));
+  }
+
+  const { title, description, category, price, tags, licenses } = req.body;
+  const metadata = req.body.metadata || {};
+
+  // Generate watermarked copy, thumbnail and preview from the real file
+  let media;
+  try {
+    media = await processImage(req.file, {
+      userId: req.user.id,
+      watermarkText: (await Settings.getSetting("site_name")) || "SkyShot",
+    });
+  } catch (error) {
+    console.error("Media processing failed:", error.message);
+    return next(
+      new ApiError(
+        "upload.file_processing_failed",
+        400,
+        "file_processing_failed"
+      )
+    );
+  }
 
-  const upload = await Upload.create(req.body);
+  let upload;
+  try {
+    upload = await Upload.create({
+      user: req.user.id,
+      title,
+      description,
+      category,
+      price,
+      licenses: Upload.buildLicenses(price, licenses),
+      tags,
+      fileType: "image",
+      originalFileUrl: media.originalFileUrl,
+      watermarkedFileUrl: media.watermarkedFileUrl,
+      thumbnailUrl: media.thumbnailUrl,
+      previewUrl: media.previewUrl,
+      fileSize: media.fileSize,
+      dimensions: media.dimensions,
+      metadata: {
+        camera: media.exifDetails.camera || metadata.camera,
+        lens: media.exifDetails.lens || metadata.lens,
+        settings: media.exifDetails.settings || metadata.settings,
+        location: metadata.location,
+        software: media.exifDetails.software || metadata.software,
+        exif: media.exif,
+      },
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind when the upload can't be saved
+    await removeMediaFiles(media.files);
+    throw error;
+  }
 
   // Update user's total uploads count
   await User.findByIdAndUpdate(req.user.id, {
@@ -126,10 +200,7 @@ exports.createUpload = asyncHandler(async (req, res, next) => {
   });
 
   // Create notification for admins about new upload
-  const admins = await User.find({
-    role: { $in: ["admin", "master"] },
-    status: "active",
-  });
+  const admins = await User.findWithPermission("uploads.moderate");
   const notifications = admins.map((admin) => ({
     user: admin._id,
     title: "New Upload Pending Review",
@@ -159,7 +230,7 @@ exports.updateUpload = asyncHandler(async (req, res, next) => {
   // Check ownership or admin privileges
   if (
     upload.user.toString() !== req.user.id &&
-    !["admin", "master"].includes(req.user.role)
+    !req.permissions.has("uploads.moderate")
   ) {
     return next(new ApiError("upload.access_denied", 403));
   }
@@ -168,11 +239,41 @@ exports.updateUpload = asyncHandler(async (req, res, next) => {
   if (
     upload.user.toString() === req.user.id &&
     upload.status !== "pending" &&
-    !["admin", "master"].includes(req.user.role)
+    !req.permissions.has("uploads.moderate")
   ) {
     return next(new ApiError("upload.cannot_edit_reviewed", 400));
   }
 
+  // Media fields come from the processed file and can't be edited
+  GENERATED_MEDIA_FIELDS.forEach((field) => delete req.body[field]);
+  delete req.body.user;
+
+  // Tiers fill in their default terms, a new base price alone moves the tiers
+  // that follow it and keeps custom prices. Either way price stays the
+  // cheapest tier
+  if (req.body.licenses || req.body.price !== undefined) {
+    req.body.licenses =
+      !req.body.licenses && upload.licenses.length > 0
+        ? Upload.repriceLicenses(upload.licenses, upload.price, req.body.price)
+        : Upload.buildLicenses(
+            req.body.price !== undefined ? req.body.price : upload.price,
+            req.body.licenses
+          );
+    req.body.price = Math.min(
+      ...req.body.licenses.map((license) => license.price)
+    );
+  }
+
+  // Update metadata fields individually so the extracted EXIF data is kept
+  if (req.body.metadata) {
+    const editableMetadata = { ...req.body.metadata };
+    delete editableMetadata.exif;
+    delete req.body.metadata;
+    Object.entries(editableMetadata).forEach(([key, value]) => {
+      req.body[`metadata.${key}`] = value;
+    });
+  }
+
   const updatedUpload = await Upload.findByIdAndUpdate(
     req.params.id,
     req.body,
@@ -197,12 +298,13 @@ exports.deleteUpload = asyncHandler(async (req, res, next) => {
   // Check ownership or admin privileges
   if (
     upload.user.toString() !== req.user.id &&
-    !["admin", "master"].includes(req.user.role)
+    !req.permissions.has("uploads.moderate")
   ) {
     return next(new ApiError("upload.access_denied", 403));
   }
 
   await Upload.findByIdAndDelete(req.params.id);
+  await Like.deleteMany({ upload: upload._id });
 
   // Update user's total uploads count
   await User.findByIdAndUpdate(upload.user, {
@@ -231,6 +333,13 @@ exports.approveUpload = asyncHandler(async (req, res, next) => {
 
   await upload.approve(req.user.id);
 
+  await AuditLog.record(req, {
+    action: "upload.approve",
+    target: { type: "upload", id: upload._id, label: upload.title },
+    before: { status: "pending" },
+    after: { status: upload.status },
+  });
+
   // Create notification for user
   await Notification.createNotification({
     user: upload.user._id,
@@ -266,6 +375,13 @@ exports.rejectUpload = asyncHandler(async (req, res, next) => {
 
   await upload.reject(req.user.id, reason);
 
+  await AuditLog.record(req, {
+    action: "upload.reject",
+    target: { type: "upload", id: upload._id, label: upload.title },
+    before: { status: "pending" },
+    after: { status: upload.status, rejectionReason: reason },
+  });
+
   // Create notification for user
   await Notification.createNotification({
     user: upload.user._id,
@@ -418,6 +534,23 @@ exports.bulkUploadOperations = asyncHandler(async (req, res, next) => {
       return next(new ApiError("bulk.operation_not_supported", 400));
   }
 
+  const updatedUploads =
+    operation === "delete"
+      ? []
+      : await Upload.find({ _id: { $in: ids } }).select("status featured");
+
+  await AuditLog.record(req, {
+    action: `upload.bulk_${operation}`,
+    target: { type: "upload" },
+    before: moderationSnapshot(uploads),
+    after: moderationSnapshot(updatedUploads),
+    metadata: {
+      ids,
+      reason,
+      affected: result.modifiedCount || result.deletedCount,
+    },
+  });
+
   res.status(200).json(
     new ApiResponse(
       200,
@@ -1,7 +1,10 @@
 const asyncHandler = require("express-async-handler");
 const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const Role = require("../models/Role");
 const factory = require("./factoryController");
 const ApiError = require("../utils/ApiError");
+const { processDueErasures } = require("../utils/accountErasure");
 
 // Private For Admin (CRUD operations on User)
 
@@ -35,14 +38,10 @@ exports.getUserByEmail = asyncHandler(async (req, res, next) => {
 
 // @desc Promote/Demote specific User
 // @route PATCH /api/users/:id/promote
-// @access Private/Protected
+// @access Private/Master
 exports.promoteOrDemoteUser = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  if (req.user.role !== "master") {
-    return next(new ApiError("You are not authorized to promote users", 403));
-  }
-
   const user = await User.findById(id);
   if (!user) {
     return next(new ApiError(`User with id: ${id} not found`, 404));
@@ -60,25 +59,31 @@ exports.promoteOrDemoteUser = asyncHandler(async (req, res, next) => {
     return next(new ApiError("You can't promote a user to master", 403));
   }
 
-  const roles = ["user", "partner", "admin", "master"];
-
-  if (!roles.includes(req.body.role)) {
+  if (!(await Role.isDefined(req.body.role))) {
     return next(new ApiError("Invalid user role provided", 403));
   }
 
-  const updatedUser = await User.findByIdAndUpdate(
-    id,
-    {
-      role: req.body.role,
-    },
-    {
-      new: true,
-    }
-  );
+  const update = { role: req.body.role };
+  // Leaving the partner role removes the verified badge
+  if (user.role === "partner") {
+    update.partnerVerified = false;
+    update.partnerVerifiedAt = null;
+  }
+
+  const updatedUser = await User.findByIdAndUpdate(id, update, {
+    new: true,
+  });
   if (!updatedUser) {
     return next(new ApiError(`User with id: ${id} not found`, 404));
   }
 
+  await AuditLog.record(req, {
+    action: "user.promote",
+    target: { type: "user", id: user._id, label: user.email },
+    before: { role: user.role },
+    after: { role: updatedUser.role },
+  });
+
   res.status(200).json({ data: updatedUser });
 });
 
@@ -93,9 +98,19 @@ exports.deleteUser = factory.deleteOne(User);
 exports.deactivateAccount = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  await User.findByIdAndUpdate(id, {
+  const user = await User.findByIdAndUpdate(id, {
     active: false,
   });
+
+  if (user) {
+    await AuditLog.record(req, {
+      action: "user.deactivate",
+      target: { type: "user", id: user._id, label: user.email },
+      before: { active: user.active },
+      after: { active: false },
+    });
+  }
+
   res.status(204).json({ status: "success" });
 });
 
@@ -104,12 +119,64 @@ exports.deactivateAccount = asyncHandler(async (req, res, next) => {
 // @access  Private/Protected
 exports.activateAccount = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  await User.findByIdAndUpdate(id, {
+  const user = await User.findByIdAndUpdate(id, {
     active: true,
   });
+
+  if (user) {
+    await AuditLog.record(req, {
+      action: "user.activate",
+      target: { type: "user", id: user._id, label: user.email },
+      before: { active: user.active },
+      after: { active: true },
+    });
+  }
+
   res.status(204).json({ status: "success" });
 });
 
+// @desc    Unlock an account locked by failed logins
+// @route   PATCH /api/users/:id/unlock
+// @access  Private/Admin/Master
+exports.unlockAccount = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+  if (!user) {
+    return next(new ApiError(`User with id: ${id} not found`, 404));
+  }
+
+  await user.resetLoginAttempts();
+
+  await AuditLog.record(req, {
+    action: "user.unlock",
+    target: { type: "user", id: user._id, label: user.email },
+    before: { lockUntil: user.lockUntil, loginAttempts: user.loginAttempts },
+    after: {},
+  });
+
+  res
+    .status(200)
+    .json({ status: "success", message: "Account unlocked successfully" });
+});
+
+// @desc    Erase the accounts whose erasure cooling-off period is over
+// @route   POST /api/users/erasures/process
+// @access  Private/Master
+exports.processAccountErasures = asyncHandler(async (req, res, next) => {
+  // Also run hourly by the background jobs, this runs them right away
+  const { erased, failed } = await processDueErasures({
+    limit: req.body.limit,
+    req,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: `${erased.length} account(s) erased`,
+    data: { erased, failed },
+  });
+});
+
 // @desc Get user statistics
 // @route GET /api/users/:id/stats
 // @access Private/Owner or Admin
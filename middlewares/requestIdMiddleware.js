@@ -0,0 +1,19 @@
+const crypto = require("crypto");
+
+// Ids forwarded by a proxy or client are kept when they look sane
+const FORWARDED_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// @desc  Tags each request with an id (X-Request-Id) so logs and audit entries can be correlated
+const requestIdMiddleware = (req, res, next) => {
+  const forwardedId = req.get("X-Request-Id");
+
+  req.requestId =
+    forwardedId && FORWARDED_ID_PATTERN.test(forwardedId)
+      ? forwardedId
+      : `req_${crypto.randomUUID()}`;
+
+  res.set("X-Request-Id", req.requestId);
+  next();
+};
+
+module.exports = requestIdMiddleware;
@@ -91,6 +91,8 @@ const sensitiveApiLimiter = rateLimit({
 
 /**
  * Middleware to check for suspicious activity
+ * Flagged accounts must log in again (and pass the emailed code challenge)
+ * before using sensitive routes
  */
 const checkSuspiciousActivity = async (req, res, next) => {
   try {
@@ -105,9 +107,13 @@ const checkSuspiciousActivity = async (req, res, next) => {
           `Suspicious user activity detected: ${user.email} from IP: ${req.ip}`
         );
 
-        // Add warning to response
-        res.locals.securityWarning =
-          "Suspicious activity detected on your account";
+        return next(
+          new ApiError(
+            "Suspicious activity was detected on your account, please log in again to confirm it's you",
+            403,
+            "suspicious_activity_challenge"
+          )
+        );
       }
     }
     next();
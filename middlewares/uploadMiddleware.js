@@ -1,5 +1,103 @@
+const path = require("path");
+const express = require("express");
 const multer = require("multer");
 const ApiError = require("../utils/ApiError");
+const deepSanitize = require("./deepSanitizeMiddleware");
+const {
+  IMAGE_MIME_TYPES,
+  UPLOADS_ROOT,
+  LEGACY_ORIGINALS_DIR,
+} = require("../utils/mediaProcessor");
+const { DOCUMENT_MIME_TYPES } = require("../utils/partnerDocuments");
+
+// Maximum file size per form field, in MB
+const MAX_FILE_SIZES = {
+  avatar: 5,
+  file: 50,
+  idDocuments: 10,
+};
+
+// ID documents sent with a partner application
+const MAX_ID_DOCUMENTS = 3;
+
+// Keep media files in memory so they can be processed before being stored
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else if (file.mimetype.startsWith("video/")) {
+      // Existing video uploads stay listed, new ones need a video pipeline
+      cb(
+        new ApiError(
+          "Video uploads are not supported yet, upload an image",
+          400,
+          "video_not_supported"
+        ),
+        false
+      );
+    } else {
+      cb(
+        new ApiError(
+          "Invalid file type. Only JPEG, PNG, WebP and TIFF images are allowed",
+          400,
+          "invalid_file_type"
+        ),
+        false
+      );
+    }
+  },
+  limits: {
+    fileSize: MAX_FILE_SIZES.file * 1024 * 1024,
+  },
+});
+
+// Parse the media file sent in the "file" field. Multipart bodies are parsed
+// after the global sanitizer has run, so sanitize the text fields here.
+exports.uploadMediaFile = (req, res, next) => {
+  mediaUpload.single("file")(req, res, (error) => {
+    if (error) return next(error);
+
+    req.body = deepSanitize(req.body);
+    next();
+  });
+};
+
+const idDocumentsUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new ApiError(
+          "Invalid file type. Only JPEG, PNG, WebP and PDF documents are allowed",
+          400,
+          "invalid_file_type"
+        ),
+        false
+      );
+    }
+  },
+  limits: {
+    fileSize: MAX_FILE_SIZES.idDocuments * 1024 * 1024,
+    files: MAX_ID_DOCUMENTS,
+  },
+});
+
+// Parse the ID documents sent in the "idDocuments" field
+exports.uploadIdDocuments = (req, res, next) => {
+  idDocumentsUpload.array("idDocuments", MAX_ID_DOCUMENTS)(
+    req,
+    res,
+    (error) => {
+      if (error) return next(error);
+
+      req.body = deepSanitize(req.body);
+      next();
+    }
+  );
+};
 
 // Handle multer errors
 exports.handleMulterError = (error, req, res, next) => {
@@ -7,7 +105,9 @@ exports.handleMulterError = (error, req, res, next) => {
     if (error.code === "LIMIT_FILE_SIZE") {
       return next(
         new ApiError(
-          "File size too large. Maximum 5MB allowed",
+          `File size too large. Maximum ${
+            MAX_FILE_SIZES[error.field] || MAX_FILE_SIZES.avatar
+          }MB allowed`,
           400,
           "file_too_large"
         )
@@ -21,3 +121,26 @@ exports.handleMulterError = (error, req, res, next) => {
   }
   next(error);
 };
+
+// Serve the public uploads folder. Originals written there before they moved
+// to the private storage are only served through signed downloads, the path
+// is checked once decoded and normalized so encoded slashes or dot segments
+// can't reach them.
+exports.serveUploads = (root = UPLOADS_ROOT) => {
+  const serveStatic = express.static(root);
+  const blockedPrefix = `/${LEGACY_ORIGINALS_DIR}/`;
+
+  return (req, res, next) => {
+    let filePath;
+    try {
+      filePath = path.posix.normalize(decodeURIComponent(req.path));
+    } catch (error) {
+      return res.sendStatus(400);
+    }
+
+    if (`${filePath.toLowerCase()}/`.startsWith(blockedPrefix)) {
+      return res.sendStatus(404);
+    }
+    serveStatic(req, res, next);
+  };
+};
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const securityConfig = require('../config/security');
+
+const { prefix: TOKEN_PREFIX, scopes: SCOPES } = securityConfig.apiTokens;
+
+// Personal access token used by scripts and integrations instead of a login.
+// The plain token is shown once on creation, only its hash is stored.
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'api_token.user_required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'api_token.name_required'],
+      trim: true,
+      maxlength: [100, 'api_token.name_too_long'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the token so users can recognize it in the list
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: Object.keys(SCOPES),
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'api_token.scopes_required',
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'api_token.expires_at_required'],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiTokenSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check if a bearer token is a personal access token
+apiTokenSchema.statics.isApiToken = function (token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to hash a token
+apiTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a token, returns the document and the plain token
+apiTokenSchema.statics.generate = async function ({ user, name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const apiToken = await this.create({
+    user,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    tokenHash: this.hashToken(token),
+    tokenPrefix: token.substring(0, TOKEN_PREFIX.length + 6),
+  });
+
+  return { apiToken, token };
+};
+
+// Static method to find the token document of a plain token
+apiTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Static method to find the active tokens of a user
+apiTokenSchema.statics.findActive = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+};
+
+// Instance method to check if the token can still be used
+apiTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Instance method to check if the token was granted a scope
+apiTokenSchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record a use of the token
+// Writes are throttled so busy integrations don't update it on every request
+apiTokenSchema.methods.touch = async function (ip) {
+  const interval = securityConfig.apiTokens.lastUsedUpdateInterval;
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < interval) {
+    return;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: ip }
+  );
+};
+
+// Instance method to revoke the token
+apiTokenSchema.methods.revoke = function () {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+apiTokenSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
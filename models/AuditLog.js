@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'user.promote',
+  'user.activate',
+  'user.deactivate',
+  'user.unlock',
+  'user.erase',
+  'role.create',
+  'role.update',
+  'role.delete',
+  'upload.approve',
+  'upload.reject',
+  'upload.bulk_approve',
+  'upload.bulk_reject',
+  'upload.bulk_feature',
+  'upload.bulk_unfeature',
+  'upload.bulk_delete',
+  'order.status_update',
+  'coupon.create',
+  'coupon.update',
+  'coupon.delete',
+  'partner_application.approve',
+  'partner_application.reject',
+  'settings.import',
+  'settings.reset',
+];
+
+// Operations that would change or remove existing entries
+const WRITE_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+// Append-only record of a privileged action: who did what to which target.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Role at the time of the action, the user may be promoted or demoted later
+    actorRole: {
+      type: String,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, 'audit.action_required'],
+    },
+    target: {
+      type: {
+        type: String,
+        enum: [
+          'user',
+          'upload',
+          'order',
+          'settings',
+          'partner_application',
+          'role',
+          'coupon',
+        ],
+        required: [true, 'audit.target_type_required'],
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      label: {
+        type: String,
+        trim: true,
+      },
+    },
+    // Only the fields that differ between the before and after snapshots
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    requestId: {
+      type: String,
+    },
+    // Set when the action was made with a personal access token
+    apiToken: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiToken',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Entries can be added but never changed or removed
+const rejectWrite = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre(WRITE_OPERATIONS, rejectWrite);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectWrite);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectWrite(next);
+  next();
+});
+
+// Static method to list the fields that differ between two snapshots
+auditLogSchema.statics.diff = function (before = {}, after = {}) {
+  // Serializing turns ObjectIds and dates into comparable plain values
+  const plainBefore = JSON.parse(JSON.stringify(before || {}));
+  const plainAfter = JSON.parse(JSON.stringify(after || {}));
+  const fields = new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)]);
+
+  return [...fields]
+    .filter(
+      (field) =>
+        JSON.stringify(plainBefore[field]) !== JSON.stringify(plainAfter[field])
+    )
+    .map((field) => ({
+      field,
+      before: plainBefore[field] === undefined ? null : plainBefore[field],
+      after: plainAfter[field] === undefined ? null : plainAfter[field],
+    }));
+};
+
+// Static method to record a privileged action made in a request, or by a
+// background job when req is null
+// Never throws, a failed audit write must not fail the action itself
+auditLogSchema.statics.record = async function (
+  req,
+  { action, target, before, after, metadata }
+) {
+  try {
+    // Without a request the action was taken by a background job
+    if (!req) {
+      return await this.create({
+        action,
+        target,
+        changes: this.diff(before, after),
+        metadata,
+      });
+    }
+    
+    return await this.create({
+      actor: req.user ? req.user._id : undefined,
+      actorRole: req.user ? req.user.role : undefined,
+      action,
+      target,
+      changes: this.diff(before, after),
+      metadata,
+      ip: req.ip,
+      userAgent: (req.get('User-Agent') || '').substring(0, 500),
+      requestId: req.requestId,
+      apiToken: req.apiToken ? req.apiToken._id : undefined,
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log for ${action}:`, error.message);
+    return null;
+  }
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const searchable = require('./plugins/searchable');
 
 const blogSchema = new mongoose.Schema(
   {
@@ -171,10 +172,26 @@ blogSchema.index({ author: 1, status: 1 });
 blogSchema.index({ featured: 1, status: 1 });
 blogSchema.index({ tags: 1, status: 1 });
 blogSchema.index({ language: 1, status: 1 });
-blogSchema.index({ title: 'text', content: 'text', tags: 'text' });
+blogSchema.plugin(searchable, {
+  fields: [
+    'title',
+    'content',
+    'tags',
+    'translations.en.title',
+    'translations.en.content',
+    'translations.ar.title',
+    'translations.ar.content',
+  ],
+  prefixFields: [
+    'title',
+    'tags',
+    'translations.en.title',
+    'translations.ar.title',
+  ],
+});
 
-// Pre-save middleware
-blogSchema.pre('save', function (next) {
+// Pre-validate middleware (runs before the required slug check)
+blogSchema.pre('validate', function (next) {
   // Generate slug from title if not provided
   if (!this.slug && this.title) {
     this.slug = this.title
@@ -182,9 +199,19 @@ blogSchema.pre('save', function (next) {
       .replace(/[^a-z0-9\s-]/g, '')
       .replace(/\s+/g, '-')
       .replace(/-+/g, '-')
-      .trim('-');
+      .replace(/^-|-$/g, '');
+    
+    // Titles without latin characters (e.g. Arabic) still need a slug
+    if (!this.slug) {
+      this.slug = `post-${Date.now().toString(36)}`;
+    }
   }
   
+  next();
+});
+
+// Pre-save middleware
+blogSchema.pre('save', function (next) {
   // Ensure tags are unique and clean
   if (this.tags && this.tags.length > 0) {
     this.tags = [...new Set(this.tags.filter(tag => tag.trim() !== ''))];
@@ -231,14 +258,21 @@ blogSchema.statics.findByCategory = function (category, language = 'en') {
     .sort({ publishedAt: -1 });
 };
 
-// Static method to search posts
-blogSchema.statics.searchPosts = function (query, filters = {}) {
+// Static method to search posts, by relevance or as prefixes of words
+blogSchema.statics.searchPosts = function (query, filters = {}, { prefix = false } = {}) {
   const searchQuery = {
-    $text: { $search: query },
+    ...this.searchFilter(query, { prefix }),
     status: 'published',
     ...filters,
   };
   
+  // Only full word searches have a relevance score
+  if (!searchQuery.$text) {
+    return this.find(searchQuery)
+      .populate('author', 'firstName lastName avatar')
+      .sort({ publishedAt: -1 });
+  }
+  
   return this.find(searchQuery, { score: { $meta: 'textScore' } })
     .populate('author', 'firstName lastName avatar')
     .sort({ score: { $meta: 'textScore' } });
@@ -269,6 +303,16 @@ blogSchema.methods.approveComment = function (commentId) {
   throw new Error('blog.comment_not_found');
 };
 
+// Instance method to reject comment
+blogSchema.methods.rejectComment = function (commentId) {
+  const comment = this.comments.id(commentId);
+  if (comment) {
+    comment.status = 'rejected';
+    return this.save();
+  }
+  throw new Error('blog.comment_not_found');
+};
+
 // Instance method to get localized content
 blogSchema.methods.getLocalizedContent = function (language = 'en') {
   if (this.translations && this.translations[language]) {
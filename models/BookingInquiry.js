@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const bookingInquirySchema = new mongoose.Schema(
+  {
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: [true, 'booking_inquiry.service_required'],
+    },
+    // Set when the inquiry was sent by a logged in customer
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    name: {
+      type: String,
+      required: [true, 'booking_inquiry.name_required'],
+      trim: true,
+      maxlength: [100, 'booking_inquiry.name_too_long'],
+    },
+    email: {
+      type: String,
+      required: [true, 'booking_inquiry.email_required'],
+      trim: true,
+      lowercase: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    preferredDate: {
+      type: Date,
+      required: [true, 'booking_inquiry.preferred_date_required'],
+    },
+    duration: {
+      type: Number, // in the service duration unit
+      min: [0.5, 'booking_inquiry.duration_too_short'],
+    },
+    package: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      address: {
+        type: String,
+        required: [true, 'booking_inquiry.location_address_required'],
+        trim: true,
+      },
+      city: {
+        type: String,
+        required: [true, 'booking_inquiry.location_city_required'],
+        trim: true,
+      },
+      coordinates: {
+        latitude: {
+          type: Number,
+          min: [-90, 'booking_inquiry.latitude_invalid'],
+          max: [90, 'booking_inquiry.latitude_invalid'],
+        },
+        longitude: {
+          type: Number,
+          min: [-180, 'booking_inquiry.longitude_invalid'],
+          max: [180, 'booking_inquiry.longitude_invalid'],
+        },
+      },
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'booking_inquiry.message_too_long'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['new', 'converted', 'declined'],
+        message: 'booking_inquiry.status_invalid',
+      },
+      default: 'new',
+    },
+    mission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mission',
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    declineReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'booking_inquiry.decline_reason_too_long'],
+    },
+    language: {
+      type: String,
+      enum: ['en', 'ar'],
+      default: 'en',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bookingInquirySchema.index({ status: 1, createdAt: 1 });
+bookingInquirySchema.index({ service: 1, status: 1 });
+bookingInquirySchema.index({ user: 1, createdAt: -1 });
+
+// Instance method to decline the inquiry
+bookingInquirySchema.methods.decline = function (reviewerId, reason) {
+  this.status = 'declined';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.declineReason = reason;
+  return this.save();
+};
+
+const BookingInquiry = mongoose.model('BookingInquiry', bookingInquirySchema);
+
+module.exports = BookingInquiry;
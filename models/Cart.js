@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Most items a cart can hold
+const MAX_CART_ITEMS = 50;
+
+// Server-side cart of a user, turned into an order at checkout
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'cart.user_required'],
+      unique: true,
+    },
+    items: {
+      type: [
+        {
+          upload: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Upload',
+            required: [true, 'cart.upload_required'],
+          },
+          license: {
+            type: String,
+            required: [true, 'cart.license_required'],
+          },
+          // Price the user last saw, used to detect price changes
+          price: {
+            type: Number,
+            required: [true, 'cart.price_required'],
+            min: [0, 'cart.price_negative'],
+          },
+          addedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      validate: {
+        validator: (items) => items.length <= MAX_CART_ITEMS,
+        message: 'cart.too_many_items',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to get the cart of a user, creating an empty one if needed.
+// Two first requests at once race on the unique user index, the loser
+// retries and finds the cart the other one created.
+cartSchema.statics.findOrCreate = async function (userId) {
+  const upsert = () =>
+    this.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { items: [] } },
+      { new: true, upsert: true }
+    );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+// Instance method to check if another upload can be added
+cartSchema.methods.isFull = function () {
+  return this.items.length >= MAX_CART_ITEMS;
+};
+
+// Instance method to add an upload or change the license it is bought under
+cartSchema.methods.setItem = function (uploadId, license, price) {
+  const existing = this.items.find(
+    (item) => item.upload.toString() === uploadId.toString()
+  );
+
+  if (existing) {
+    existing.license = license;
+    existing.price = price;
+  } else {
+    this.items.push({ upload: uploadId, license, price });
+  }
+
+  return this.save();
+};
+
+// Instance method to remove an upload from the cart
+cartSchema.methods.removeItem = function (uploadId) {
+  this.items = this.items.filter(
+    (item) => item.upload.toString() !== uploadId.toString()
+  );
+  return this.save();
+};
+
+// Instance method to empty the cart
+cartSchema.methods.clear = function () {
+  this.items = [];
+  return this.save();
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
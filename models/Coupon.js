@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+// Rounds an amount to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Promotional code giving a discount on the eligible items of an order
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'coupon.code_required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, 'coupon.code_invalid'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'coupon.description_too_long'],
+    },
+    discountType: {
+      type: String,
+      enum: {
+        values: ['percentage', 'fixed'],
+        message: 'coupon.discount_type_invalid',
+      },
+      required: [true, 'coupon.discount_type_required'],
+    },
+    // Percentage off, or amount off the order for fixed discounts
+    value: {
+      type: Number,
+      required: [true, 'coupon.value_required'],
+      min: [0.01, 'coupon.value_invalid'],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== 'percentage' || value <= 100;
+        },
+        message: 'coupon.percentage_too_high',
+      },
+    },
+    // Cap of a percentage discount, null means no cap
+    maxDiscount: {
+      type: Number,
+      min: [0, 'coupon.max_discount_negative'],
+      default: null,
+    },
+    // Compared with the order subtotal before any discount
+    minOrderAmount: {
+      type: Number,
+      min: [0, 'coupon.min_order_amount_negative'],
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Orders that may use the coupon in total, null means unlimited
+    usageLimit: {
+      type: Number,
+      min: [1, 'coupon.usage_limit_invalid'],
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: [1, 'coupon.per_user_limit_invalid'],
+      default: 1,
+    },
+    // Orders placed with the coupon that weren't cancelled
+    usedCount: {
+      type: Number,
+      min: [0, 'coupon.used_count_negative'],
+      default: 0,
+    },
+    // Empty lists mean every category or seller is eligible
+    categories: [
+      {
+        type: String,
+        enum: {
+          values: ['photography', 'video', 'graphics', 'illustration', 'other'],
+          message: 'coupon.category_invalid',
+        },
+      },
+    ],
+    sellers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.index({ active: 1, expiresAt: 1 });
+
+// Static method to find a coupon by the code a customer typed
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to count one more use, null when the usage limit is reached
+couponSchema.statics.reserve = function (couponId) {
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use, e.g. when its order is cancelled
+couponSchema.statics.release = function (couponId) {
+  return this.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+// Instance method to check if the coupon can be used at a given time
+couponSchema.methods.isValidAt = function (date = new Date()) {
+  return (
+    this.active &&
+    (!this.startsAt || this.startsAt <= date) &&
+    (!this.expiresAt || this.expiresAt > date)
+  );
+};
+
+// Instance method to check if an upload is covered by the coupon
+couponSchema.methods.appliesTo = function (upload) {
+  const sellerId = (upload.user._id || upload.user).toString();
+  return (
+    (this.categories.length === 0 ||
+      this.categories.includes(upload.category)) &&
+    (this.sellers.length === 0 ||
+      this.sellers.some((seller) => seller.toString() === sellerId))
+  );
+};
+
+// Instance method to split the discount over order lines in proportion to
+// their price. Lines are { price, upload }, discounts has one entry per line
+couponSchema.methods.calculateDiscount = function (lines) {
+  const eligible = lines.map((line) => this.appliesTo(line.upload));
+  const eligibleTotal = lines.reduce(
+    (sum, line, index) => (eligible[index] ? sum + line.price : sum),
+    0
+  );
+
+  let amount =
+    this.discountType === 'percentage'
+      ? roundAmount((eligibleTotal * this.value) / 100)
+      : this.value;
+  if (this.discountType === 'percentage' && this.maxDiscount !== null) {
+    amount = Math.min(amount, this.maxDiscount);
+  }
+  amount = roundAmount(Math.min(amount, eligibleTotal));
+
+  // The last eligible line takes the rounding difference
+  const lastEligible = eligible.lastIndexOf(true);
+  let allocated = 0;
+  const discounts = lines.map((line, index) => {
+    if (!eligible[index] || amount === 0) return 0;
+    if (index === lastEligible) {
+      return Math.min(line.price, Math.max(0, roundAmount(amount - allocated)));
+    }
+
+    const discount = roundAmount((amount * line.price) / eligibleTotal);
+    allocated += discount;
+    return discount;
+  });
+
+  return {
+    amount: roundAmount(discounts.reduce((sum, discount) => sum + discount, 0)),
+    discounts,
+  };
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const searchable = require('./plugins/searchable');
 
 const faqSchema = new mongoose.Schema(
   {
@@ -135,7 +136,23 @@ faqSchema.index({ category: 1, status: 1 });
 faqSchema.index({ language: 1, status: 1 });
 faqSchema.index({ tags: 1, status: 1 });
 faqSchema.index({ createdBy: 1, status: 1 });
-faqSchema.index({ question: 'text', answer: 'text', tags: 'text' });
+faqSchema.plugin(searchable, {
+  fields: [
+    'question',
+    'answer',
+    'tags',
+    'translations.en.question',
+    'translations.en.answer',
+    'translations.ar.question',
+    'translations.ar.answer',
+  ],
+  prefixFields: [
+    'question',
+    'tags',
+    'translations.en.question',
+    'translations.ar.question',
+  ],
+});
 
 // Pre-save middleware
 faqSchema.pre('save', function (next) {
@@ -186,14 +203,21 @@ faqSchema.statics.findByCategory = function (category, language = 'en') {
     .sort({ featured: -1, displayOrder: 1, createdAt: -1 });
 };
 
-// Static method to search FAQs
-faqSchema.statics.searchFAQs = function (query, filters = {}) {
+// Static method to search FAQs, by relevance or as prefixes of words
+faqSchema.statics.searchFAQs = function (query, filters = {}, { prefix = false } = {}) {
   const searchQuery = {
-    $text: { $search: query },
+    ...this.searchFilter(query, { prefix }),
     status: 'active',
     ...filters,
   };
   
+  // Only full word searches have a relevance score
+  if (!searchQuery.$text) {
+    return this.find(searchQuery)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ featured: -1, displayOrder: 1, createdAt: -1 });
+  }
+  
   return this.find(searchQuery, { score: { $meta: 'textScore' } })
     .populate('createdBy', 'firstName lastName')
     .sort({ score: { $meta: 'textScore' } });
@@ -214,15 +238,30 @@ faqSchema.methods.incrementViews = function () {
 };
 
 // Instance method to mark as helpful
-faqSchema.methods.markAsHelpful = function () {
+// Counters are updated atomically so concurrent votes are not lost
+faqSchema.methods.markAsHelpful = async function () {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { helpfulCount: 1 } });
   this.helpfulCount += 1;
-  return this.save({ validateBeforeSave: false });
+  return this;
 };
 
 // Instance method to mark as not helpful
-faqSchema.methods.markAsNotHelpful = function () {
+faqSchema.methods.markAsNotHelpful = async function () {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { notHelpfulCount: 1 } });
   this.notHelpfulCount += 1;
-  return this.save({ validateBeforeSave: false });
+  return this;
+};
+
+// Instance method to move an existing vote to the other counter
+faqSchema.methods.changeVote = async function (helpful) {
+  const inc = helpful
+    ? { helpfulCount: 1, notHelpfulCount: -1 }
+    : { helpfulCount: -1, notHelpfulCount: 1 };
+  
+  await this.constructor.updateOne({ _id: this._id }, { $inc: inc });
+  this.helpfulCount += inc.helpfulCount;
+  this.notHelpfulCount += inc.notHelpfulCount;
+  return this;
 };
 
 // Instance method to toggle featured status
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const faqVoteSchema = new mongoose.Schema(
+  {
+    faq: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FAQ',
+      required: [true, 'faq_vote.faq_required'],
+    },
+    // "user:<id>" for logged in visitors, "session:<id>" for anonymous ones
+    voter: {
+      type: String,
+      required: [true, 'faq_vote.voter_required'],
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    helpful: {
+      type: Boolean,
+      required: [true, 'faq_vote.helpful_required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One vote per visitor and FAQ
+faqVoteSchema.index({ faq: 1, voter: 1 }, { unique: true });
+
+// Static method to save a visitor's vote, returns the previous one (null for
+// a first vote). Two first votes sent at once race on the unique index, the
+// loser retries and gets the winner's vote as the previous one.
+faqVoteSchema.statics.castVote = async function (
+  faqId,
+  voter,
+  { helpful, user }
+) {
+  const cast = () =>
+    this.findOneAndUpdate(
+      { faq: faqId, voter },
+      {
+        $set: { helpful, user },
+        $setOnInsert: { faq: faqId, voter },
+      },
+      { upsert: true }
+    );
+
+  try {
+    return await cast();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return cast();
+  }
+};
+
+const FAQVote = mongoose.model('FAQVote', faqVoteSchema);
+
+module.exports = FAQVote;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const likeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'like.user_required'],
+    },
+    upload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Upload',
+      required: [true, 'like.upload_required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One like per user and upload
+likeSchema.index({ user: 1, upload: 1 }, { unique: true });
+likeSchema.index({ user: 1, createdAt: -1 });
+likeSchema.index({ upload: 1 });
+
+// Static method to get the ids of the given uploads liked by a user
+likeSchema.statics.getLikedUploadIds = async function (userId, uploadIds) {
+  if (!userId || uploadIds.length === 0) return new Set();
+
+  const likes = await this.find({
+    user: userId,
+    upload: { $in: uploadIds },
+  }).select('upload');
+
+  return new Set(likes.map((like) => like.upload.toString()));
+};
+
+// Static method to like an upload, returns false when it was already liked
+likeSchema.statics.addLike = async function (userId, uploadId) {
+  try {
+    await this.create({ user: userId, upload: uploadId });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to remove a like, returns false when there was none
+likeSchema.statics.removeLike = async function (userId, uploadId) {
+  const result = await this.deleteOne({ user: userId, upload: uploadId });
+  return result.deletedCount > 0;
+};
+
+const Like = mongoose.model('Like', likeSchema);
+
+module.exports = Like;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const searchable = require('./plugins/searchable');
 
 const missionSchema = new mongoose.Schema(
   {
@@ -92,6 +93,12 @@ const missionSchema = new mongoose.Schema(
       ref: 'User',
       default: null,
     },
+    // Customer the mission is carried out for (createdBy is the staff member)
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     status: {
       type: String,
       enum: {
@@ -236,11 +243,15 @@ missionSchema.virtual('durationFormatted').get(function () {
 // Indexes for better performance
 missionSchema.index({ createdBy: 1, status: 1 });
 missionSchema.index({ assignedTo: 1, status: 1 });
+missionSchema.index({ client: 1, status: 1 });
 missionSchema.index({ status: 1, scheduledDate: 1 });
 missionSchema.index({ type: 1, status: 1 });
 missionSchema.index({ 'location.city': 1, status: 1 });
 missionSchema.index({ tags: 1, status: 1 });
-missionSchema.index({ title: 'text', description: 'text', tags: 'text' });
+missionSchema.plugin(searchable, {
+  fields: ['title', 'description', 'tags', 'location.city'],
+  prefixFields: ['title', 'tags', 'location.city'],
+});
 
 // Pre-save middleware
 missionSchema.pre('save', function (next) {
@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const Coupon = require('./Coupon');
+const { createDownloadToken } = require('../utils/downloadToken');
+const { licenseIdPrefix } = require('../config/licenses');
 
 const orderSchema = new mongoose.Schema(
   {
@@ -20,14 +24,22 @@ const orderSchema = new mongoose.Schema(
           ref: 'Upload',
           required: [true, 'order.upload_required'],
         },
+        // List price of the license, before any discount
         price: {
           type: Number,
           required: [true, 'order.price_required'],
           min: [0, 'order.price_negative'],
         },
+        // Share of the coupon discount taken off this line
+        discount: {
+          type: Number,
+          default: 0,
+          min: [0, 'order.discount_negative'],
+        },
+        // Set once the order is paid, see markAsPaid
         downloadUrl: {
           type: String,
-          required: [true, 'order.download_url_required'],
+          default: '',
         },
         downloadExpires: {
           type: Date,
@@ -41,8 +53,60 @@ const orderSchema = new mongoose.Schema(
           type: Date,
           default: null,
         },
+        downloadCount: {
+          type: Number,
+          default: 0,
+          min: [0, 'order.download_count_negative'],
+        },
+        // Snapshot of the tier bought, later edits to the upload don't change it
+        license: {
+          tier: String,
+          terms: String,
+          downloadLimit: {
+            type: Number,
+            default: null,
+          },
+          // Issued once the order is paid
+          licenseId: {
+            type: String,
+            uppercase: true,
+          },
+          issuedAt: Date,
+        },
+        // Set once the seller revenue of the item is recorded
+        fulfilledAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
+    // Sum of the list prices, totalAmount is what the customer pays
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: [0, 'order.subtotal_negative'],
+    },
+    discount: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        default: null,
+      },
+      code: String,
+      discountType: String,
+      value: Number,
+      amount: {
+        type: Number,
+        default: 0,
+        min: [0, 'order.discount_negative'],
+      },
+      // False once the use of the coupon is given back (failed payment,
+      // cancelled or expired order), see releaseCoupon
+      couponReserved: {
+        type: Boolean,
+        default: true,
+      },
+    },
     totalAmount: {
       type: Number,
       required: [true, 'order.total_amount_required'],
@@ -76,6 +140,18 @@ const orderSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    paymentProvider: {
+      type: String,
+      trim: true,
+    },
+    paymentIntentId: {
+      type: String,
+      trim: true,
+    },
+    paymentIdempotencyKey: {
+      type: String,
+      trim: true,
+    },
     paymentData: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -100,6 +176,11 @@ const orderSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set once every item is fulfilled and the customer notified
+    fulfilledAt: {
+      type: Date,
+      default: null,
+    },
     cancelledAt: {
       type: Date,
       default: null,
@@ -136,6 +217,11 @@ orderSchema.virtual('itemsCount').get(function () {
   return this.items ? this.items.length : 0;
 });
 
+// Virtual for the price paid for an item, after its share of the discount
+orderSchema.path('items').schema.virtual('linePrice').get(function () {
+  return Math.round((this.price - (this.discount || 0)) * 100) / 100;
+});
+
 // Virtual for commission amount (platform fee)
 orderSchema.virtual('commissionAmount').get(function () {
   const commissionRate = 0.15; // 15% - should come from settings
@@ -152,18 +238,27 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ paymentProvider: 1, paymentIntentId: 1 });
 orderSchema.index({ 'items.upload': 1 });
+orderSchema.index({ 'discount.coupon': 1, customer: 1 });
+orderSchema.index({ 'items.license.licenseId': 1 }, { sparse: true });
 
-// Pre-save middleware to generate order number
-orderSchema.pre('save', async function (next) {
+// Pre-validate middleware to generate the order number (runs before the
+// required check). The random suffix keeps orders placed at once apart
+orderSchema.pre('validate', function (next) {
   if (this.isNew && !this.orderNumber) {
-    const count = await this.constructor.countDocuments();
-    this.orderNumber = `ORD-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    this.orderNumber = `ORD-${Date.now()}-${suffix}`;
   }
-  
-  // Calculate total amount from items
+  next();
+});
+
+// Pre-save middleware to calculate totals and status dates
+orderSchema.pre('save', async function (next) {
+  // Calculate total amount from items, after their share of the discount
   if (this.items && this.items.length > 0) {
-    this.totalAmount = this.items.reduce((total, item) => total + item.price, 0);
+    this.subtotal = this.items.reduce((total, item) => total + item.price, 0);
+    this.totalAmount = this.items.reduce((total, item) => total + item.linePrice, 0);
   }
   
   // Set completion date when status changes to completed
@@ -179,11 +274,35 @@ orderSchema.pre('save', async function (next) {
   next();
 });
 
-// Static method to generate download URL with expiration
-orderSchema.statics.generateDownloadUrl = function (uploadId, orderId) {
-  // In a real app, this would generate a secure signed URL
-  const token = Buffer.from(`${uploadId}:${orderId}:${Date.now()}`).toString('base64');
-  return `/api/downloads/${token}`;
+// Static method to generate a signed, short-lived download URL for an order item
+orderSchema.statics.generateDownloadUrl = function (order, item) {
+  const { token, expiresAt } = createDownloadToken({
+    orderId: order._id,
+    itemId: item._id,
+    uploadId: item.upload._id || item.upload,
+    customerId: order.customer._id || order.customer,
+    downloadExpires: item.downloadExpires,
+  });
+
+  return { url: `/api/downloads/${token}`, expiresAt };
+};
+
+// Static method to generate a license ID, e.g. SKY-3F9A-1C2B-7D4E-A0B8
+orderSchema.statics.generateLicenseId = function () {
+  const hex = crypto.randomBytes(8).toString('hex').toUpperCase();
+  return [licenseIdPrefix, ...hex.match(/.{4}/g)].join('-');
+};
+
+// Static method to find the paid order and item a license ID belongs to
+orderSchema.statics.findByLicenseId = async function (licenseId) {
+  const id = String(licenseId).toUpperCase();
+  const order = await this.findOne({ 'items.license.licenseId': id });
+  if (!order) return null;
+
+  const item = order.items.find(
+    (orderItem) => orderItem.license && orderItem.license.licenseId === id
+  );
+  return { order, item };
 };
 
 // Static method to find orders by customer
@@ -211,14 +330,134 @@ orderSchema.methods.markAsPaid = function (paymentId, paymentData = {}) {
   const downloadExpires = new Date();
   downloadExpires.setDate(downloadExpires.getDate() + 30);
   
+  // Signed links are minted on demand from this endpoint, see downloadItem
   this.items.forEach(item => {
-    item.downloadUrl = this.constructor.generateDownloadUrl(item.upload, this._id);
+    item.downloadUrl = `/api/orders/${this._id}/download/${item._id}`;
     item.downloadExpires = downloadExpires;
+
+    if (item.license && item.license.tier && !item.license.licenseId) {
+      item.license.licenseId = this.constructor.generateLicenseId();
+      item.license.issuedAt = new Date();
+    }
   });
   
   return this.save();
 };
 
+// Instance method to check if an item can still be downloaded under its license
+orderSchema.methods.hasDownloadsLeft = function (item) {
+  const limit = item.license && item.license.downloadLimit;
+  return !limit || item.downloadCount < limit;
+};
+
+// Instance method to attach a provider payment intent
+orderSchema.methods.attachPaymentIntent = function (provider, intent, idempotencyKey) {
+  this.paymentProvider = provider;
+  this.paymentIntentId = intent.intentId;
+  this.paymentIdempotencyKey = idempotencyKey;
+  this.paymentStatus = intent.status === 'processing' ? 'processing' : 'pending';
+  return this.save();
+};
+
+// Instance method to mark payment as failed
+orderSchema.methods.markPaymentFailed = function (paymentData = {}) {
+  this.paymentStatus = 'failed';
+  this.paymentData = paymentData;
+  return this.save();
+};
+
+// Instance method to give back the coupon use held by the order, only once
+orderSchema.methods.releaseCoupon = async function () {
+  if (!this.discount || !this.discount.coupon) return false;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'discount.couponReserved': { $ne: false } },
+    { $set: { 'discount.couponReserved': false } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  this.discount.couponReserved = false;
+  await Coupon.release(this.discount.coupon);
+  return true;
+};
+
+// Instance method to take the coupon use back before a payment is retried,
+// false when the coupon has no use left for the order
+orderSchema.methods.reserveCoupon = async function () {
+  if (!this.discount || !this.discount.coupon) return true;
+  if (this.discount.couponReserved !== false) return true;
+
+  const coupon = await Coupon.findById(this.discount.coupon);
+  if (!coupon) return false;
+
+  const uses = await this.constructor.countCouponUses(
+    coupon._id,
+    this.customer
+  );
+  if (uses >= coupon.perUserLimit) return false;
+  if (!(await Coupon.reserve(coupon._id))) return false;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'discount.couponReserved': false },
+    { $set: { 'discount.couponReserved': true } }
+  );
+  // A concurrent request reserved it already
+  if (result.modifiedCount === 0) await Coupon.release(coupon._id);
+
+  this.discount.couponReserved = true;
+  return true;
+};
+
+// Static method to count the orders of a customer holding a use of a coupon:
+// paid ones and unpaid ones whose use is still reserved
+orderSchema.statics.countCouponUses = function (couponId, customerId) {
+  return this.countDocuments({
+    customer: customerId,
+    'discount.coupon': couponId,
+    $or: [
+      { status: { $in: ['paid', 'completed'] } },
+      { status: 'pending', 'discount.couponReserved': { $ne: false } },
+    ],
+  });
+};
+
+// Static method to cancel unpaid orders left untouched for maxAge ms and give
+// back their coupon uses. Orders with a payment in progress are kept
+orderSchema.statics.expireStale = async function (maxAge, limit = 500) {
+  const orders = await this.find({
+    status: 'pending',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    updatedAt: { $lt: new Date(Date.now() - maxAge) },
+  })
+    .select('discount paymentStatus')
+    .limit(limit);
+
+  let expired = 0;
+  for (const order of orders) {
+    // Cancelled only if no payment started since it was read
+    const result = await this.updateOne(
+      {
+        _id: order._id,
+        status: 'pending',
+        paymentStatus: order.paymentStatus,
+      },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancellationReason: 'Expired before payment',
+        },
+      }
+    );
+    if (result.modifiedCount > 0) {
+      await order.releaseCoupon();
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
+
 // Instance method to cancel order
 orderSchema.methods.cancel = function (reason) {
   this.status = 'cancelled';
@@ -137,8 +137,8 @@ pageSchema.index({ showInMenu: 1, menuOrder: 1 });
 pageSchema.index({ language: 1, status: 1 });
 pageSchema.index({ title: 'text', content: 'text' });
 
-// Pre-save middleware
-pageSchema.pre('save', function (next) {
+// Pre-validate middleware (runs before the required slug check)
+pageSchema.pre('validate', function (next) {
   // Generate slug from title if not provided
   if (!this.slug && this.title) {
     this.slug = this.title
@@ -146,9 +146,19 @@ pageSchema.pre('save', function (next) {
       .replace(/[^a-z0-9\s-]/g, '')
       .replace(/\s+/g, '-')
       .replace(/-+/g, '-')
-      .trim('-');
+      .replace(/^-|-$/g, '');
+    
+    // Titles without latin characters (e.g. Arabic) still need a slug
+    if (!this.slug) {
+      this.slug = `page-${Date.now().toString(36)}`;
+    }
   }
   
+  next();
+});
+
+// Pre-save middleware
+pageSchema.pre('save', function (next) {
   // Set published date when status changes to published
   if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
@@ -168,11 +178,11 @@ pageSchema.pre('save', function (next) {
   next();
 });
 
-// Ensure only one homepage
+// Ensure only one homepage per language
 pageSchema.pre('save', async function (next) {
-  if (this.isHomepage && this.isModified('isHomepage')) {
+  if (this.isHomepage && (this.isModified('isHomepage') || this.isModified('language'))) {
     await this.constructor.updateMany(
-      { _id: { $ne: this._id } },
+      { _id: { $ne: this._id }, language: this.language },
       { isHomepage: false }
     );
   }
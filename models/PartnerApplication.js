@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Request from a regular user to become a partner, reviewed by an admin
+const partnerApplicationSchema = new mongoose.Schema(
+  {
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'partner_application.applicant_required'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+      default: 'pending',
+    },
+    portfolioLinks: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          validate: {
+            validator: (url) =>
+              validator.isURL(url, { require_protocol: true }),
+            message: 'partner_application.portfolio_link_invalid',
+          },
+        },
+      ],
+      validate: {
+        validator: (links) => links.length > 0,
+        message: 'partner_application.portfolio_required',
+      },
+    },
+    equipment: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [100, 'partner_application.equipment_too_long'],
+        },
+      ],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: 'partner_application.equipment_required',
+      },
+    },
+    serviceCities: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [100, 'partner_application.city_too_long'],
+        },
+      ],
+      validate: {
+        validator: (cities) => cities.length > 0,
+        message: 'partner_application.cities_required',
+      },
+    },
+    experience: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'partner_application.experience_too_long'],
+    },
+    // ID documents live in private storage, only admins can download them
+    idDocuments: {
+      type: [
+        {
+          key: {
+            type: String,
+            required: true,
+          },
+          originalName: String,
+          mimeType: String,
+          size: Number,
+          uploadedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      validate: {
+        validator: (documents) => documents.length > 0,
+        message: 'partner_application.id_documents_required',
+      },
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'partner_application.rejection_reason_too_long'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+partnerApplicationSchema.index({ status: 1, createdAt: 1 });
+partnerApplicationSchema.index({ applicant: 1, createdAt: -1 });
+// A user can only have one application waiting for review
+partnerApplicationSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Instance method to approve the application
+partnerApplicationSchema.methods.approve = function (reviewerId) {
+  this.status = 'approved';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  return this.save();
+};
+
+// Instance method to reject the application
+partnerApplicationSchema.methods.reject = function (reviewerId, reason) {
+  this.status = 'rejected';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.rejectionReason = reason;
+  return this.save();
+};
+
+// Instance method to withdraw the application before it is reviewed
+partnerApplicationSchema.methods.withdraw = function () {
+  this.status = 'withdrawn';
+  return this.save();
+};
+
+// Storage keys are internal, documents are fetched by their id
+partnerApplicationSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    (ret.idDocuments || []).forEach((document) => {
+      delete document.key;
+    });
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const PartnerApplication = mongoose.model(
+  'PartnerApplication',
+  partnerApplicationSchema
+);
+
+module.exports = PartnerApplication;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, 'payment_event.provider_required'],
+      trim: true,
+    },
+    eventId: {
+      type: String,
+      required: [true, 'payment_event.event_id_required'],
+      trim: true,
+    },
+    intentId: {
+      type: String,
+      trim: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    status: {
+      type: String,
+      trim: true,
+    },
+    result: {
+      type: String,
+      enum: {
+        values: ['applied', 'ignored'],
+        message: 'payment_event.result_invalid',
+      },
+      default: 'applied',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A provider event is only ever applied once
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ order: 1, createdAt: -1 });
+
+// Static method to record an event, returns null when it was already recorded
+paymentEventSchema.statics.recordOnce = async function (data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -28,7 +28,7 @@ const revenueSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ['pending', 'completed', 'cancelled', 'failed'],
+        values: ['pending', 'approved', 'completed', 'cancelled', 'failed'],
         message: 'revenue.status_invalid',
       },
       default: 'pending',
@@ -90,6 +90,14 @@ const revenueSchema = new mongoose.Schema(
       paymentGateway: String,
       gatewayResponse: mongoose.Schema.Types.Mixed,
     },
+    // Payout requests are approved by an admin before they are processed
+    approvedAt: {
+      type: Date,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     processedAt: {
       type: Date,
     },
@@ -106,6 +114,15 @@ const revenueSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    idempotencyKey: {
+      type: String,
+      trim: true,
+    },
+    // Set to the user while a withdrawal is pending or approved, see pre-save
+    openPayoutUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -142,9 +159,15 @@ revenueSchema.index({ relatedOrder: 1 });
 revenueSchema.index({ relatedMission: 1 });
 revenueSchema.index({ relatedUpload: 1 });
 revenueSchema.index({ processedAt: -1 });
+revenueSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+// At most one open payout request per user, even for concurrent requests
+revenueSchema.index(
+  { openPayoutUser: 1 },
+  { unique: true, partialFilterExpression: { openPayoutUser: { $exists: true } } }
+);
 
-// Pre-save middleware
-revenueSchema.pre('save', function (next) {
+// Pre-validate middleware (runs before the required net amount check)
+revenueSchema.pre('validate', function (next) {
   // Calculate net amount if not provided
   if (!this.netAmount || this.isModified('amount') || this.isModified('commission') || this.isModified('platformFee')) {
     let netAmount = this.amount;
@@ -170,37 +193,69 @@ revenueSchema.pre('save', function (next) {
     this.netAmount = Math.max(0, netAmount);
   }
   
+  next();
+});
+
+// Pre-save middleware
+revenueSchema.pre('save', function (next) {
   // Set processed date when status changes to completed
   if (this.isModified('status') && this.status === 'completed' && !this.processedAt) {
     this.processedAt = new Date();
   }
   
+  // Holds the open payout slot of the user until the request is settled
+  if (this.type === 'withdrawal') {
+    this.openPayoutUser = ['pending', 'approved'].includes(this.status)
+      ? this.user
+      : undefined;
+  }
+  
   next();
 });
 
 // Static method to create upload sale revenue
+// Returns null when the sale was already recorded, so payment retries are safe
 revenueSchema.statics.createUploadSaleRevenue = async function (order, upload, seller) {
   const Settings = mongoose.model('Settings');
   const commissionRate = await Settings.getSetting('commission_rate') || 0.15;
   
-  const item = order.items.find(item => item.upload.toString() === upload._id.toString());
+  const item = order.items.find(item => (item.upload._id || item.upload).toString() === upload._id.toString());
   if (!item) throw new Error('revenue.upload_not_in_order');
   
+  const idempotencyKey = `upload_sale:${order._id}:${upload._id}`;
+  if (await this.exists({ idempotencyKey })) return null;
+  
+  // Sellers earn on what the customer paid, after the coupon discount
+  const salePrice = item.linePrice;
+  
   const revenue = new this({
+    idempotencyKey,
     user: seller._id,
     type: 'upload_sale',
-    amount: item.price,
-    description: `Sale of "${upload.title}" to ${order.customer.firstName} ${order.customer.lastName}`,
+    amount: salePrice,
+    description: this.uploadSaleDescription(upload, order),
     relatedOrder: order._id,
     relatedUpload: upload._id,
     commission: {
       rate: commissionRate,
-      amount: item.price * commissionRate,
+      amount: salePrice * commissionRate,
     },
     status: 'completed',
   });
   
-  return revenue.save();
+  try {
+    return await revenue.save();
+  } catch (error) {
+    // Lost a race with a concurrent delivery of the same payment
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Static method to build the description of an upload sale
+// Sellers read these entries, so the customer is left out
+revenueSchema.statics.uploadSaleDescription = function (upload, order) {
+  return `Sale of "${upload.title}" (order ${order.orderNumber})`;
 };
 
 // Static method to create mission payment revenue
@@ -261,6 +316,38 @@ revenueSchema.statics.getUserEarningsSummary = async function (userId, dateRange
   };
 };
 
+// Static method to get the balance of a user
+// Withdrawals reserve their amount as soon as they are requested
+revenueSchema.statics.getUserBalance = async function (userId) {
+  const totals = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: { type: '$type', status: '$status' },
+        total: { $sum: '$netAmount' },
+      }
+    }
+  ]);
+  
+  const sum = (types, statuses) => totals
+    .filter(({ _id }) => types.includes(_id.type) && statuses.includes(_id.status))
+    .reduce((total, entry) => total + entry.total, 0);
+  const round = value => Math.round(value * 100) / 100;
+  
+  const earningTypes = ['upload_sale', 'mission_payment', 'bonus'];
+  const earned = sum(earningTypes, ['completed']);
+  const inPayout = sum(['withdrawal'], ['pending', 'approved']);
+  const withdrawn = sum(['withdrawal'], ['completed']);
+  
+  return {
+    available: round(Math.max(0, earned - inPayout - withdrawn)),
+    pending: round(sum(earningTypes, ['pending'])),
+    inPayout: round(inPayout),
+    withdrawn: round(withdrawn),
+    totalEarned: round(earned),
+  };
+};
+
 // Static method to get platform revenue summary
 revenueSchema.statics.getPlatformRevenueSummary = async function (dateRange = {}) {
   const { startDate, endDate } = dateRange;
@@ -308,6 +395,14 @@ revenueSchema.methods.processPayment = function (paymentMethod, paymentDetails,
   return this.save();
 };
 
+// Instance method to approve a payout request
+revenueSchema.methods.approvePayout = function (approvedBy) {
+  this.status = 'approved';
+  this.approvedAt = new Date();
+  this.approvedBy = approvedBy;
+  return this.save();
+};
+
 // Instance method to cancel
 revenueSchema.methods.cancel = function (reason) {
   this.status = 'cancelled';
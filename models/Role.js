@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const permissionsConfig = require('../config/permissions');
+
+const { permissions: PERMISSIONS, defaultRoles, superRole, cacheTtl } =
+  permissionsConfig;
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Permissions per role name, shared by the requests of this process
+const permissionsCache = new Map();
+
+// Named group of permissions, User.role holds the role name
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'role.name_required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_]{1,29}$/, 'role.name_invalid'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'role.description_too_long'],
+    },
+    permissions: [
+      {
+        type: String,
+        enum: ALL_PERMISSIONS,
+      },
+    ],
+    // Seeded roles can be edited but not renamed or deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Any change to a role applies to the next request of this process
+const clearCache = function () {
+  permissionsCache.clear();
+};
+
+roleSchema.post('save', clearCache);
+roleSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], clearCache);
+roleSchema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], clearCache);
+
+// Static method to resolve the permission list of a role definition
+roleSchema.statics.expandPermissions = function (permissions) {
+  return permissions === '*' ? [...ALL_PERMISSIONS] : [...permissions];
+};
+
+// Static method to get the permissions of a role as a Set
+// Unknown roles get no permissions, seeded ones fall back to their defaults
+// until Role.initializeDefaults has run
+roleSchema.statics.getPermissions = async function (name) {
+  const cached = permissionsCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  let permissions = [];
+  if (name === superRole) {
+    permissions = ALL_PERMISSIONS;
+  } else {
+    const role = await this.findOne({ name }).lean();
+    if (role) {
+      permissions = role.permissions;
+    } else if (defaultRoles[name]) {
+      permissions = this.expandPermissions(defaultRoles[name].permissions);
+    }
+  }
+
+  const entry = {
+    permissions: new Set(permissions),
+    expiresAt: Date.now() + cacheTtl,
+  };
+  permissionsCache.set(name, entry);
+  return entry.permissions;
+};
+
+// Static method to list the names of the roles granting a permission
+// Seeded roles missing from the database count with their defaults
+roleSchema.statics.namesWithPermission = async function (permission) {
+  const roles = await this.find().select('name permissions').lean();
+  const names = new Set([superRole]);
+
+  roles
+    .filter((role) => role.permissions.includes(permission))
+    .forEach((role) => names.add(role.name));
+
+  Object.entries(defaultRoles)
+    .filter(([name]) => !roles.some((role) => role.name === name))
+    .filter(([, role]) =>
+      this.expandPermissions(role.permissions).includes(permission)
+    )
+    .forEach(([name]) => names.add(name));
+
+  return [...names];
+};
+
+// Static method to check that a role name can be assigned to users
+roleSchema.statics.isDefined = async function (name) {
+  return !!defaultRoles[name] || !!(await this.exists({ name }));
+};
+
+// Static method to create the default roles that are missing
+// Existing roles keep the permissions a master gave them
+roleSchema.statics.initializeDefaults = async function () {
+  const operations = Object.entries(defaultRoles).map(
+    ([name, { description, permissions }]) => ({
+      updateOne: {
+        filter: { name },
+        update: {
+          $setOnInsert: {
+            name,
+            description,
+            permissions: this.expandPermissions(permissions),
+            isSystem: true,
+          },
+        },
+        upsert: true,
+      },
+    })
+  );
+
+  const result = await this.bulkWrite(operations);
+  clearCache();
+  return result;
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
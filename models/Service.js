@@ -122,6 +122,19 @@ const serviceSchema = new mongoose.Schema(
         default: 50,
         min: [0, 'service.travel_radius_negative'],
       },
+      // Point the travel radius is measured from
+      baseCoordinates: {
+        latitude: {
+          type: Number,
+          min: [-90, 'service.latitude_invalid'],
+          max: [90, 'service.latitude_invalid'],
+        },
+        longitude: {
+          type: Number,
+          min: [-180, 'service.longitude_invalid'],
+          max: [180, 'service.longitude_invalid'],
+        },
+      },
       workingDays: [
         {
           type: String,
@@ -264,8 +277,8 @@ serviceSchema.index({ tags: 1, status: 1 });
 serviceSchema.index({ language: 1, status: 1 });
 serviceSchema.index({ name: 'text', description: 'text', tags: 'text' });
 
-// Pre-save middleware
-serviceSchema.pre('save', function (next) {
+// Pre-validate middleware (runs before the required slug check)
+serviceSchema.pre('validate', function (next) {
   // Generate slug from name if not provided
   if (!this.slug && this.name) {
     this.slug = this.name
@@ -273,9 +286,19 @@ serviceSchema.pre('save', function (next) {
       .replace(/[^a-z0-9\s-]/g, '')
       .replace(/\s+/g, '-')
       .replace(/-+/g, '-')
-      .trim('-');
+      .replace(/^-|-$/g, '');
+    
+    // Names without latin characters (e.g. Arabic) still need a slug
+    if (!this.slug) {
+      this.slug = `service-${Date.now().toString(36)}`;
+    }
   }
   
+  next();
+});
+
+// Pre-save middleware
+serviceSchema.pre('save', function (next) {
   // Ensure tags are unique and clean
   if (this.tags && this.tags.length > 0) {
     this.tags = [...new Set(this.tags.filter(tag => tag.trim() !== ''))];
@@ -326,7 +349,13 @@ serviceSchema.methods.incrementViews = function () {
 // Instance method to increment inquiries
 serviceSchema.methods.incrementInquiries = function () {
   this.stats.inquiries += 1;
-  return this.save({ validateBeforeSave: false });
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { 'stats.inquiries': 1 } });
+};
+
+// Instance method to increment bookings
+serviceSchema.methods.incrementBookings = function () {
+  this.stats.bookings += 1;
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { 'stats.bookings': 1 } });
 };
 
 // Instance method to get localized content
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One record per signed in device. The refresh token cookie carries the
+// session id, and only the hash of the latest token issued is accepted.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'session.user_required'],
+    },
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'session.user_agent_too_long'],
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'session.expires_at_required'],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'signed_out_remotely',
+        'token_reuse',
+        'password_reset',
+        'password_change',
+        'account_secured',
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a refresh token
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to build a new (unsaved) session for a login
+sessionSchema.statics.startFor = function (user, req) {
+  return new this({
+    user: user._id,
+    userAgent: req ? (req.get('User-Agent') || '').substring(0, 500) : undefined,
+    ip: req ? req.ip : undefined,
+  });
+};
+
+// Static method to find the active sessions of a user
+sessionSchema.statics.findActive = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptId) query._id = { $ne: exceptId };
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Instance method to check a refresh token against the latest one issued
+sessionSchema.methods.matchesToken = function (token) {
+  if (!this.tokenHash) return false;
+
+  const expected = Buffer.from(this.tokenHash);
+  const received = Buffer.from(this.constructor.hashToken(token));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Instance method to store a newly issued refresh token
+// Returns false when another request rotated the session first
+sessionSchema.methods.rotate = async function (token, expiresAt, req) {
+  const updates = {
+    tokenHash: this.constructor.hashToken(token),
+    expiresAt,
+    lastUsedAt: new Date(),
+  };
+  if (req) {
+    updates.userAgent = (req.get('User-Agent') || '').substring(0, 500);
+    updates.ip = req.ip;
+  }
+
+  if (this.isNew) {
+    this.set(updates);
+    await this.save();
+    return true;
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, tokenHash: this.tokenHash, revokedAt: null },
+    updates
+  );
+  if (result.modifiedCount === 0) return false;
+
+  this.set(updates);
+  return true;
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
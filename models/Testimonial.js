@@ -166,6 +166,8 @@ testimonialSchema.index({ status: 1, featured: 1, displayOrder: 1 });
 testimonialSchema.index({ serviceType: 1, status: 1 });
 testimonialSchema.index({ rating: 1, status: 1 });
 testimonialSchema.index({ submittedBy: 1, status: 1 });
+testimonialSchema.index({ relatedOrder: 1 });
+testimonialSchema.index({ relatedMission: 1 });
 testimonialSchema.index({ language: 1, status: 1 });
 testimonialSchema.index({ createdAt: -1 });
 testimonialSchema.index({ name: 'text', content: 'text', company: 'text' });
@@ -239,6 +241,29 @@ testimonialSchema.statics.getAverageRating = function (filters = {}) {
   ]);
 };
 
+// Static method to get the rating summary per service type
+testimonialSchema.statics.getRatingsByServiceType = function (filters = {}) {
+  return this.aggregate([
+    { $match: { status: 'approved', ...filters } },
+    {
+      $group: {
+        _id: '$serviceType',
+        averageRating: { $avg: '$rating' },
+        totalCount: { $sum: 1 },
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        serviceType: '$_id',
+        averageRating: { $round: ['$averageRating', 2] },
+        totalCount: 1,
+      }
+    },
+    { $sort: { serviceType: 1 } }
+  ]);
+};
+
 // Instance method to approve
 testimonialSchema.methods.approve = function (reviewerId) {
   this.status = 'approved';
@@ -1,4 +1,60 @@
 const mongoose = require("mongoose");
+const licensesConfig = require("../config/licenses");
+const galleryConfig = require("../config/gallery");
+const searchable = require("./plugins/searchable");
+
+const { tiers: LICENSE_TIERS, defaultOffered } = licensesConfig;
+const {
+  priceRanges: PRICE_RANGES,
+  squareTolerance,
+  facetLimit,
+} = galleryConfig;
+
+// Aggregation expression deriving landscape, portrait or square from dimensions
+// Uploads without dimensions (e.g. documents) have no orientation, null
+const ORIENTATION_EXPRESSION = {
+  $switch: {
+    branches: [
+      {
+        case: {
+          $or: [
+            { $not: [{ $gt: ["$dimensions.width", 0] }] },
+            { $not: [{ $gt: ["$dimensions.height", 0] }] },
+          ],
+        },
+        then: null,
+      },
+      {
+        case: {
+          $gt: [
+            "$dimensions.width",
+            { $multiply: ["$dimensions.height", 1 + squareTolerance] },
+          ],
+        },
+        then: "landscape",
+      },
+      {
+        case: {
+          $lt: [
+            "$dimensions.width",
+            { $multiply: ["$dimensions.height", 1 - squareTolerance] },
+          ],
+        },
+        then: "portrait",
+      },
+    ],
+    default: "square",
+  },
+};
+
+// Price condition of a range, as a query and as an aggregation expression
+const priceRangeQuery = ({ min, max }) => ({
+  price: max === null ? { $gte: min } : { $gte: min, $lt: max },
+});
+const priceRangeExpression = ({ min, max }) =>
+  max === null
+    ? { $gte: ["$price", min] }
+    : { $and: [{ $gte: ["$price", min] }, { $lt: ["$price", max] }] };
 
 const uploadSchema = new mongoose.Schema(
   {
@@ -83,6 +139,43 @@ const uploadSchema = new mongoose.Schema(
       min: [0, "upload.price_negative"],
       default: 0,
     },
+    // Tiers this upload is sold under, price above is the cheapest of them
+    licenses: {
+      type: [
+        {
+          tier: {
+            type: String,
+            required: [true, "upload.license_tier_required"],
+            enum: {
+              values: Object.keys(LICENSE_TIERS),
+              message: "upload.license_tier_invalid",
+            },
+          },
+          price: {
+            type: Number,
+            required: [true, "upload.license_price_required"],
+            min: [0, "upload.license_price_negative"],
+          },
+          terms: {
+            type: String,
+            trim: true,
+            maxlength: [2000, "upload.license_terms_too_long"],
+          },
+          // null means unlimited downloads
+          downloadLimit: {
+            type: Number,
+            min: [1, "upload.license_download_limit_invalid"],
+            default: null,
+          },
+        },
+      ],
+      validate: {
+        validator: (licenses) =>
+          new Set(licenses.map((license) => license.tier)).size ===
+          licenses.length,
+        message: "upload.license_tier_duplicate",
+      },
+    },
     status: {
       type: String,
       enum: {
@@ -175,7 +268,7 @@ uploadSchema.index({ status: 1, createdAt: -1 });
 uploadSchema.index({ category: 1, status: 1 });
 uploadSchema.index({ tags: 1, status: 1 });
 uploadSchema.index({ featured: 1, status: 1 });
-uploadSchema.index({ title: "text", description: "text", tags: "text" });
+uploadSchema.plugin(searchable, { fields: ["title", "description", "tags"] });
 
 // Pre-save middleware
 uploadSchema.pre("save", function (next) {
@@ -192,9 +285,60 @@ uploadSchema.pre("save", function (next) {
     this.reviewedAt = new Date();
   }
 
+  // Uploads that only set a base price get the default tiers
+  if (!this.licenses || this.licenses.length === 0) {
+    this.licenses = this.constructor.buildLicenses(this.price);
+  }
+  if (this.isModified("licenses")) {
+    this.price = Math.min(...this.licenses.map((license) => license.price));
+  }
+
   next();
 });
 
+// Price of a tier derived from the base price of an upload
+const tierPrice = (basePrice, tier) =>
+  Math.round(
+    basePrice * ((LICENSE_TIERS[tier] || {}).priceMultiplier || 1) * 100
+  ) / 100;
+
+// Static method to build license tiers, missing terms and limits use the defaults
+uploadSchema.statics.buildLicenses = function (basePrice, licenses) {
+  const requested =
+    licenses && licenses.length > 0
+      ? licenses
+      : defaultOffered.map((tier) => ({ tier }));
+
+  return requested.map(({ tier, price, terms, downloadLimit }) => {
+    const defaults = LICENSE_TIERS[tier] || {};
+    return {
+      tier,
+      price: price !== undefined ? Number(price) : tierPrice(basePrice, tier),
+      terms: terms || defaults.terms,
+      downloadLimit:
+        downloadLimit !== undefined ? downloadLimit : defaults.downloadLimit,
+    };
+  });
+};
+
+// Static method to move license tiers to a new base price. Tiers priced from
+// the previous base price follow it, prices the seller set are kept
+uploadSchema.statics.repriceLicenses = function (
+  licenses,
+  previousBasePrice,
+  basePrice
+) {
+  return licenses.map(({ tier, price, terms, downloadLimit }) => ({
+    tier,
+    price:
+      price === tierPrice(previousBasePrice, tier)
+        ? tierPrice(basePrice, tier)
+        : price,
+    terms,
+    downloadLimit,
+  }));
+};
+
 // Static method to find approved uploads
 uploadSchema.statics.findApproved = function (filters = {}) {
   return this.find({ status: "approved", ...filters });
@@ -213,19 +357,219 @@ uploadSchema.statics.findByCategory = function (category) {
   return this.find({ category, status: "approved" });
 };
 
-// Static method to search uploads
-uploadSchema.statics.searchUploads = function (query, filters = {}) {
+// Static method to search uploads, by relevance or as prefixes of words
+uploadSchema.statics.searchUploads = function (
+  query,
+  filters = {},
+  { prefix = false } = {}
+) {
   const searchQuery = {
-    $text: { $search: query },
+    ...this.searchFilter(query, { prefix }),
     status: "approved",
     ...filters,
   };
 
+  // Only full word searches have a relevance score
+  if (!searchQuery.$text) return this.find(searchQuery).sort({ createdAt: -1 });
+
   return this.find(searchQuery, { score: { $meta: "textScore" } }).sort({
     score: { $meta: "textScore" },
   });
 };
 
+// Static method to search approved uploads and count the values of each facet
+// in a single aggregation. A facet's counts apply every selected filter except
+// its own, so other values of that facet stay visible. Tags narrow the results
+// (all selected tags must match) and also apply to the tag counts. With prefix
+// the words of the text only have to start words of the uploads, for
+// autocomplete, and results can't be sorted by relevance.
+// filters: { categories, fileTypes, orientations, sellers, priceRanges, tags,
+// minPrice, maxPrice, featured }
+uploadSchema.statics.facetedSearch = async function ({
+  text,
+  prefix = false,
+  filters = {},
+  sort,
+  page = 1,
+  limit = 20,
+}) {
+  const baseMatch = { status: "approved" };
+  if (text) Object.assign(baseMatch, this.searchFilter(text, { prefix }));
+  if (filters.featured) baseMatch.featured = true;
+
+  const priceConditions = [];
+  if (filters.priceRanges && filters.priceRanges.length > 0) {
+    priceConditions.push({
+      $or: PRICE_RANGES.filter((range) =>
+        filters.priceRanges.includes(range.key)
+      ).map(priceRangeQuery),
+    });
+  }
+  if (filters.minPrice !== undefined) {
+    priceConditions.push({ price: { $gte: filters.minPrice } });
+  }
+  if (filters.maxPrice !== undefined) {
+    priceConditions.push({ price: { $lte: filters.maxPrice } });
+  }
+
+  const inList = (field, values) =>
+    values && values.length > 0 ? [{ [field]: { $in: values } }] : [];
+
+  // Conditions per facet, tags are shared by every facet
+  const conditions = {
+    category: inList("category", filters.categories),
+    fileType: inList("fileType", filters.fileTypes),
+    orientation: inList("orientation", filters.orientations),
+    seller: inList("user", filters.sellers),
+    price: priceConditions,
+  };
+  const tagConditions =
+    filters.tags && filters.tags.length > 0
+      ? [{ tags: { $all: filters.tags } }]
+      : [];
+
+  const matchExcept = (facet) => {
+    const list = Object.entries(conditions)
+      .filter(([name]) => name !== facet)
+      .flatMap(([, condition]) => condition)
+      .concat(tagConditions);
+    return { $match: list.length > 0 ? { $and: list } : {} };
+  };
+
+  const countBy = (facet, field) => [
+    matchExcept(facet),
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  // Only full word searches have a relevance score
+  const ranked = Boolean(baseMatch.$text);
+  const sortStage =
+    (sort && (ranked || !sort.score) && sort) ||
+    (ranked ? { score: -1 } : { createdAt: -1 });
+
+  const [result] = await this.aggregate([
+    // $text has to be in the first stage
+    { $match: baseMatch },
+    {
+      $addFields: {
+        orientation: ORIENTATION_EXPRESSION,
+        ...(ranked && { score: { $meta: "textScore" } }),
+      },
+    },
+    {
+      $facet: {
+        results: [
+          matchExcept(null),
+          { $sort: { ...sortStage, _id: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 1 } },
+        ],
+        total: [matchExcept(null), { $count: "count" }],
+        categories: countBy("category", "$category"),
+        fileTypes: countBy("fileType", "$fileType"),
+        // Uploads without an orientation can't be filtered by it
+        orientations: [
+          ...countBy("orientation", "$orientation"),
+          { $match: { _id: { $ne: null } } },
+        ],
+        tags: [
+          matchExcept(null),
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: facetLimit },
+        ],
+        sellers: [
+          ...countBy("seller", "$user"),
+          { $limit: facetLimit },
+          {
+            $lookup: {
+              from: "users",
+              localField: "_id",
+              foreignField: "_id",
+              as: "seller",
+            },
+          },
+          { $unwind: "$seller" },
+          {
+            $project: {
+              count: 1,
+              "seller.firstName": 1,
+              "seller.lastName": 1,
+              "seller.avatar": 1,
+            },
+          },
+        ],
+        priceRanges: [
+          matchExcept("price"),
+          {
+            $group: PRICE_RANGES.reduce(
+              (group, range) => ({
+                ...group,
+                [range.key]: {
+                  $sum: { $cond: [priceRangeExpression(range), 1, 0] },
+                },
+              }),
+              { _id: null }
+            ),
+          },
+        ],
+      },
+    },
+  ]);
+
+  const isSelected = (values, value) =>
+    !!values && values.map(String).includes(String(value));
+  const toFacet = (buckets, values) =>
+    buckets.map(({ _id, count }) => ({
+      value: _id,
+      count,
+      selected: isSelected(values, _id),
+    }));
+  const priceCounts = result.priceRanges[0] || {};
+
+  return {
+    ids: result.results.map((upload) => upload._id),
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      categories: toFacet(result.categories, filters.categories),
+      fileTypes: toFacet(result.fileTypes, filters.fileTypes),
+      orientations: toFacet(result.orientations, filters.orientations),
+      tags: toFacet(result.tags, filters.tags),
+      sellers: result.sellers.map(({ _id, count, seller }) => ({
+        value: _id,
+        firstName: seller.firstName,
+        lastName: seller.lastName,
+        avatar: seller.avatar,
+        count,
+        selected: isSelected(filters.sellers, _id),
+      })),
+      priceRanges: PRICE_RANGES.map((range) => ({
+        value: range.key,
+        min: range.min,
+        max: range.max,
+        count: priceCounts[range.key] || 0,
+        selected: isSelected(filters.priceRanges, range.key),
+      })),
+    },
+  };
+};
+
+// Instance method to get the license tiers on sale
+// Uploads created before tiers existed are sold under the default ones
+uploadSchema.methods.getLicenses = function () {
+  return this.licenses && this.licenses.length > 0
+    ? this.licenses
+    : this.constructor.buildLicenses(this.price);
+};
+
+// Instance method to get a single license tier
+uploadSchema.methods.getLicense = function (tier) {
+  return this.getLicenses().find((license) => license.tier === tier) || null;
+};
+
 // Instance method to approve upload
 uploadSchema.methods.approve = function (reviewerId) {
   this.status = "approved";
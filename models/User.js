@@ -2,6 +2,12 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const validator = require("validator");
 const crypto = require("crypto");
+const totp = require("../utils/totp");
+const securityConfig = require("../config/security");
+const Role = require("./Role");
+
+// Number of login attempts kept in loginHistory
+const LOGIN_HISTORY_LIMIT = 20;
 
 const userSchema = new mongoose.Schema(
   {
@@ -63,14 +69,21 @@ const userSchema = new mongoose.Schema(
           "Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character",
       },
     },
+    // Name of a Role, its permissions are checked with can()
     role: {
       type: String,
-      enum: {
-        values: ["user", "partner", "admin", "master"],
-        message: "Role must be one of: user, partner, admin, master",
-      },
+      trim: true,
+      lowercase: true,
       default: "user",
     },
+    // Verified badge, granted when a partner application is approved
+    partnerVerified: {
+      type: Boolean,
+      default: false,
+    },
+    partnerVerifiedAt: {
+      type: Date,
+    },
     phone: {
       type: String,
       validate: {
@@ -117,9 +130,6 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
-    refreshToken: {
-      type: String,
-    },
     passwordChangedAt: {
       type: Date,
     },
@@ -139,6 +149,17 @@ const userSchema = new mongoose.Schema(
     lockUntil: {
       type: Date,
     },
+    // Consecutive lockouts, each one doubles the lock duration
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    unlockToken: {
+      type: String,
+    },
+    unlockTokenExpires: {
+      type: Date,
+    },
     emailVerified: {
       type: Boolean,
       default: false,
@@ -146,12 +167,40 @@ const userSchema = new mongoose.Schema(
     emailVerificationToken: {
       type: String,
     },
+    // Address waiting for confirmation, the current email stays active until then
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    emailChangeToken: {
+      type: String,
+      select: false,
+    },
+    emailChangeCancelToken: {
+      type: String,
+      select: false,
+    },
+    emailChangeExpires: {
+      type: Date,
+    },
     twoFactorEnabled: {
       type: Boolean,
       default: false,
     },
     twoFactorSecret: {
       type: String,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
     },
     // Security audit fields
     lastLoginAt: {
@@ -196,6 +245,36 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Login history up to this date was already cleared by the owner
+    suspiciousActivityReviewedAt: {
+      type: Date,
+    },
+    // Emailed code that clears suspiciousActivity on the next login
+    loginChallengeCode: {
+      type: String,
+      select: false,
+    },
+    loginChallengeExpires: {
+      type: Date,
+      select: false,
+    },
+    // Set when the owner secures the account, login waits for a password reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    // Erasure requested by the owner, applied once erasureScheduledFor is reached
+    erasureRequestedAt: {
+      type: Date,
+    },
+    erasureScheduledFor: {
+      type: Date,
+      index: true,
+    },
+    // Personal data was removed, the document only remains for financial records
+    erasedAt: {
+      type: Date,
+    },
     // Privacy settings
     profileVisibility: {
       type: String,
@@ -224,7 +303,6 @@ const userSchema = new mongoose.Schema(
     // Add indexes for better performance and security
     indexes: [
       { email: 1 },
-      { refreshToken: 1 },
       { passwordResetCode: 1 },
       { emailVerificationToken: 1 },
       { suspiciousActivity: 1 },
@@ -350,6 +428,158 @@ userSchema.methods.incLoginAttempts = function () {
   return this.updateOne(updates);
 };
 
+// Instance method to count a failed login and lock the account once the
+// limit is reached. Each consecutive lockout doubles the lock duration.
+userSchema.methods.registerFailedLogin = async function ({
+  maxAttempts,
+  lockDuration,
+  maxLockDuration,
+}) {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { loginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.loginAttempts < maxAttempts) {
+    return {
+      locked: false,
+      attemptsLeft: maxAttempts - (updated ? updated.loginAttempts : 0),
+    };
+  }
+
+  const lockUntil = new Date(
+    Date.now() +
+      Math.min(lockDuration * 2 ** (updated.lockCount || 0), maxLockDuration)
+  );
+
+  // Only one of several parallel failures applies the lock
+  const result = await this.constructor.updateOne(
+    { _id: this._id, loginAttempts: { $gte: maxAttempts } },
+    {
+      $set: { loginAttempts: 0, lockUntil, suspiciousActivity: true },
+      $inc: { lockCount: 1 },
+    }
+  );
+
+  this.lockUntil = lockUntil;
+  return { locked: true, lockUntil, newlyLocked: result.modifiedCount === 1 };
+};
+
+// Instance method to clear failed logins and any lock
+userSchema.methods.resetLoginAttempts = function () {
+  return this.updateOne({
+    $unset: {
+      loginAttempts: 1,
+      lockUntil: 1,
+      lockCount: 1,
+      unlockToken: 1,
+      unlockTokenExpires: 1,
+    },
+  });
+};
+
+// Instance method to add a login attempt to the history (newest last)
+// and flag the account when the recent attempts look suspicious
+userSchema.methods.recordLoginAttempt = async function ({
+  ip,
+  userAgent,
+  success,
+}) {
+  const update = {
+    $push: {
+      loginHistory: {
+        $each: [{ ip, userAgent, timestamp: new Date(), success }],
+        $slice: -LOGIN_HISTORY_LIMIT,
+      },
+    },
+  };
+  if (success) {
+    update.$set = { lastLoginAt: new Date(), lastLoginIP: ip };
+  }
+
+  const updated = await this.constructor.findByIdAndUpdate(this._id, update, {
+    new: true,
+  });
+
+  if (
+    updated &&
+    !updated.suspiciousActivity &&
+    updated.checkSuspiciousActivity()
+  ) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { suspiciousActivity: true }
+    );
+  }
+
+  return updated;
+};
+
+// Instance method to generate the self-service unlock token
+userSchema.methods.createUnlockToken = function (expiresIn) {
+  const unlockToken = crypto.randomBytes(32).toString("hex");
+
+  this.unlockToken = crypto
+    .createHash("sha256")
+    .update(unlockToken)
+    .digest("hex");
+  this.unlockTokenExpires = Date.now() + expiresIn;
+
+  return unlockToken;
+};
+
+// Instance method to verify the self-service unlock token
+userSchema.methods.verifyUnlockToken = function (token) {
+  const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+
+  return (
+    this.unlockToken === hashedToken && this.unlockTokenExpires > Date.now()
+  );
+};
+
+// Instance method to start an email change
+// Returns the confirm token for the new address and the cancel token for the old one
+userSchema.methods.createEmailChangeTokens = function (newEmail, expiresIn) {
+  const confirmToken = crypto.randomBytes(32).toString("hex");
+  const cancelToken = crypto.randomBytes(32).toString("hex");
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = crypto
+    .createHash("sha256")
+    .update(confirmToken)
+    .digest("hex");
+  this.emailChangeCancelToken = crypto
+    .createHash("sha256")
+    .update(cancelToken)
+    .digest("hex");
+  this.emailChangeExpires = Date.now() + expiresIn;
+
+  return { confirmToken, cancelToken };
+};
+
+// Instance method to verify an email change token
+// type is "confirm" for the new address link and "cancel" for the old one
+userSchema.methods.verifyEmailChangeToken = function (token, type = "confirm") {
+  const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+  const stored =
+    type === "cancel" ? this.emailChangeCancelToken : this.emailChangeToken;
+
+  return (
+    !!this.pendingEmail &&
+    stored === hashedToken &&
+    this.emailChangeExpires > Date.now()
+  );
+};
+
+// Instance method to drop a pending email change
+userSchema.methods.clearEmailChange = function () {
+  this.pendingEmail = undefined;
+  this.emailChangeToken = undefined;
+  this.emailChangeCancelToken = undefined;
+  this.emailChangeExpires = undefined;
+};
+
 // Instance method to check if password was changed after JWT was issued
 userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   if (this.passwordChangedAt) {
@@ -416,35 +646,114 @@ userSchema.statics.findByCredentials = async function (
 };
 
 // Instance method to check for suspicious login patterns
+// Thresholds come from suspiciousActivity in config/security.js
 userSchema.methods.checkSuspiciousActivity = function () {
-  if (this.loginHistory.length < 3) return false;
-
-  const recentLogins = this.loginHistory.slice(-5);
-  const uniqueIPs = new Set(recentLogins.map((login) => login.ip));
-  const timeWindow = 30 * 60 * 1000; // 30 minutes
+  const {
+    maxIPsInTimeWindow,
+    ipTimeWindow,
+    maxRapidAttempts,
+    rapidAttemptsWindow,
+  } = securityConfig.suspiciousActivity;
   const now = Date.now();
+  const reviewedAt = this.suspiciousActivityReviewedAt
+    ? this.suspiciousActivityReviewedAt.getTime()
+    : 0;
 
-  // Check for multiple IPs in short time
-  if (uniqueIPs.size > 3) {
-    const recentTime = recentLogins.filter(
-      (login) => now - login.timestamp.getTime() < timeWindow
-    );
-    if (recentTime.length > 2) {
-      return true;
-    }
+  // Attempts the owner already confirmed are not held against them again
+  const attempts = this.loginHistory.filter(
+    (login) => login.timestamp.getTime() > reviewedAt
+  );
+  const within = (window) =>
+    attempts.filter((login) => now - login.timestamp.getTime() < window);
+
+  // Check for too many IPs in a short time
+  const uniqueIPs = new Set(within(ipTimeWindow).map((login) => login.ip));
+  if (uniqueIPs.size > maxIPsInTimeWindow) {
+    return true;
   }
 
-  // Check for rapid login attempts
-  const rapidAttempts = recentLogins.filter(
-    (login) => now - login.timestamp.getTime() < 5 * 60 * 1000 // 5 minutes
+  // Check for repeated failed attempts
+  const recentFailures = within(15 * 60 * 1000).filter(
+    (login) => login.success === false
   );
-  if (rapidAttempts.length > 3) {
+  if (recentFailures.length >= 3) {
+    return true;
+  }
+
+  // Check for rapid login attempts
+  if (within(rapidAttemptsWindow).length > maxRapidAttempts) {
     return true;
   }
 
   return false;
 };
 
+// Instance method to check if a login comes from a device and IP never seen
+// in a successful login before (the first login of an account is not new)
+userSchema.methods.isNewLoginDevice = function ({ ip, userAgent }) {
+  const previous = this.loginHistory.filter((login) => login.success);
+  if (previous.length === 0) return false;
+
+  return !previous.some(
+    (login) => login.ip === ip && login.userAgent === userAgent
+  );
+};
+
+// Instance method to generate the emailed code of a suspicious login challenge
+userSchema.methods.createLoginChallengeCode = function (expiresIn) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  this.loginChallengeCode = crypto
+    .createHash("sha256")
+    .update(code)
+    .digest("hex");
+  this.loginChallengeExpires = Date.now() + expiresIn;
+
+  return code;
+};
+
+// Instance method to pass the suspicious login challenge
+// Clears the flag and the code, returns false when the code is wrong or expired
+userSchema.methods.passLoginChallenge = async function (code) {
+  const hashedCode = crypto
+    .createHash("sha256")
+    .update(String(code).trim())
+    .digest("hex");
+
+  // Matching in the query makes the code single use
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      loginChallengeCode: hashedCode,
+      loginChallengeExpires: { $gt: new Date() },
+    },
+    {
+      $set: {
+        suspiciousActivity: false,
+        suspiciousActivityReviewedAt: new Date(),
+      },
+      $unset: { loginChallengeCode: 1, loginChallengeExpires: 1 },
+    }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Instance method to clear the suspicious flag after another strong check
+// (two-factor login or a password reset)
+userSchema.methods.clearSuspiciousActivity = function () {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        suspiciousActivity: false,
+        suspiciousActivityReviewedAt: new Date(),
+      },
+      $unset: { loginChallengeCode: 1, loginChallengeExpires: 1 },
+    }
+  );
+};
+
 // Instance method to generate secure password reset code
 userSchema.methods.createPasswordResetCode = function () {
   const resetCode = crypto.randomBytes(32).toString("hex");
@@ -527,6 +836,101 @@ userSchema.statics.cleanupInactiveAccounts = async function (
   );
 };
 
+// Instance method to make the user a verified partner
+userSchema.methods.grantPartnerRole = function () {
+  this.role = "partner";
+  this.partnerVerified = true;
+  this.partnerVerifiedAt = new Date();
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to schedule the erasure of the account
+userSchema.methods.requestErasure = function (coolingOffDays) {
+  this.erasureRequestedAt = new Date();
+  this.erasureScheduledFor = new Date(
+    Date.now() + coolingOffDays * 24 * 60 * 60 * 1000
+  );
+  return this.erasureScheduledFor;
+};
+
+// Instance method to cancel a scheduled erasure
+userSchema.methods.cancelErasure = function () {
+  this.erasureRequestedAt = undefined;
+  this.erasureScheduledFor = undefined;
+};
+
+// Instance method to replace the personal data of the account
+// The document is kept so orders and revenue entries still reference a user
+userSchema.methods.anonymize = async function () {
+  const erasedAt = new Date();
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        firstName: "Deleted",
+        lastName: "User",
+        email: `deleted-${this._id}@erased.invalid`,
+        emailVerified: false,
+        avatar: null,
+        loginHistory: [],
+        twoFactorEnabled: false,
+        partnerVerified: false,
+        suspiciousActivity: false,
+        passwordResetRequired: false,
+        profileVisibility: "private",
+        active: false,
+        erasedAt,
+      },
+      $unset: {
+        password: 1,
+        phone: 1,
+        country: 1,
+        birthDate: 1,
+        googleId: 1,
+        lastLoginIP: 1,
+        pendingEmail: 1,
+        emailChangeToken: 1,
+        emailChangeCancelToken: 1,
+        emailChangeExpires: 1,
+        emailVerificationToken: 1,
+        passwordResetCode: 1,
+        passwordResetExpires: 1,
+        passwordResetVerified: 1,
+        unlockToken: 1,
+        unlockTokenExpires: 1,
+        twoFactorSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+        loginChallengeCode: 1,
+        loginChallengeExpires: 1,
+        erasureRequestedAt: 1,
+        erasureScheduledFor: 1,
+      },
+    }
+  );
+
+  this.erasedAt = erasedAt;
+  return erasedAt;
+};
+
+// Static method to find accounts whose erasure cooling-off period is over
+userSchema.statics.findDueErasures = function (limit = 50) {
+  return this.find({
+    erasureScheduledFor: { $lte: new Date() },
+    erasedAt: null,
+  })
+    .sort({ erasureScheduledFor: 1 })
+    .limit(limit);
+};
+
+// Static method to find the active users whose role grants a permission,
+// e.g. to notify the staff handling a request
+userSchema.statics.findWithPermission = async function (permission) {
+  const roles = await Role.namesWithPermission(permission);
+  return this.find({ role: { $in: roles }, active: true });
+};
+
 // Static method to find users with suspicious activity
 userSchema.statics.findSuspiciousUsers = async function () {
   return await this.find({
@@ -554,6 +958,58 @@ userSchema.methods.verifyEmailToken = function (token) {
   return this.emailVerificationToken === hashedToken;
 };
 
+// Instance method to generate new two-factor recovery codes
+// Only the hashes are stored, the plain codes are shown to the user once
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () =>
+    crypto
+      .randomBytes(5)
+      .toString("hex")
+      .replace(/(.{5})/, "$1-")
+  );
+
+  this.twoFactorRecoveryCodes = codes.map((code) =>
+    crypto.createHash("sha256").update(code).digest("hex")
+  );
+
+  return codes;
+};
+
+// Instance method to verify a TOTP code (twoFactorSecret must be selected)
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  if (step === null) return false;
+
+  // Only accept steps newer than the last one used (atomic for parallel requests)
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { twoFactorLastUsedStep: { $exists: false } },
+        { twoFactorLastUsedStep: { $lt: step } },
+      ],
+    },
+    { twoFactorLastUsedStep: step }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Instance method to consume a one-time recovery code
+userSchema.methods.useRecoveryCode = async function (code) {
+  const hashedCode = crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase())
+    .digest("hex");
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hashedCode },
+    { $pull: { twoFactorRecoveryCodes: hashedCode } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
 // Instance method to sanitize user data for public display
 userSchema.methods.getPublicProfile = function () {
   return {
@@ -564,6 +1020,7 @@ userSchema.methods.getPublicProfile = function () {
     country: this.profileVisibility !== "private" ? this.country : null,
     createdAt: this.createdAt,
     emailVerified: this.emailVerified,
+    partnerVerified: this.partnerVerified,
   };
 };
 
@@ -584,16 +1041,25 @@ userSchema.set("toJSON", {
   transform: function (doc, ret) {
     // Remove sensitive fields from JSON output
     delete ret.password;
-    delete ret.refreshToken;
     delete ret.passwordResetCode;
     delete ret.passwordResetExpires;
     delete ret.passwordResetVerified;
     delete ret.passwordChangedAt;
     delete ret.loginAttempts;
     delete ret.lockUntil;
+    delete ret.lockCount;
+    delete ret.unlockToken;
+    delete ret.unlockTokenExpires;
     delete ret.emailVerificationToken;
+    delete ret.emailChangeToken;
+    delete ret.emailChangeCancelToken;
     delete ret.twoFactorSecret;
+    delete ret.twoFactorRecoveryCodes;
+    delete ret.twoFactorLastUsedStep;
     delete ret.suspiciousActivity;
+    delete ret.suspiciousActivityReviewedAt;
+    delete ret.loginChallengeCode;
+    delete ret.loginChallengeExpires;
     delete ret.__v;
     return ret;
   },
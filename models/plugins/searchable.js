@@ -0,0 +1,189 @@
+const {
+  normalizeText,
+  searchWords,
+  withoutArticle,
+  searchTerms,
+  escapeRegex,
+} = require('../../utils/searchNormalizer');
+
+// Read a path from a document or from a plain object (insertMany, updates)
+const valueAt = (source, path) =>
+  typeof source.get === 'function'
+    ? source.get(path)
+    : path
+        .split('.')
+        .reduce((value, key) => (value ? value[key] : undefined), source);
+
+const textOf = (source, paths) =>
+  paths
+    .map((path) => valueAt(source, path))
+    .flat()
+    .filter((value) => value !== undefined && value !== null && value !== '')
+    .join(' ');
+
+// Normalized text followed by the article-less forms of its words, the text
+// index then matches a query word with or without the article
+const indexedText = (text) => {
+  const normalized = normalizeText(text);
+  const stems = searchWords(normalized).map(withoutArticle).filter(Boolean);
+  return [normalized, ...new Set(stems)].join(' ');
+};
+
+// Adds normalized search fields to a schema, written on every save:
+// searchText holds the normalized text of `fields` for the text index, and
+// searchTerms the normalized words of `prefixFields` for prefix matching.
+// Both are left out of query results.
+const searchable = (schema, { fields, prefixFields = fields }) => {
+  const allPaths = [...new Set([...fields, ...prefixFields])];
+
+  schema.add({
+    searchText: { type: String, select: false },
+    searchTerms: { type: [String], select: false },
+  });
+
+  // The language field of blog posts and FAQs must not pick the stemming
+  // language, MongoDB has no Arabic stemmer and rejects documents set to 'ar'
+  schema.index(
+    { searchText: 'text' },
+    {
+      name: 'search_text',
+      default_language: 'none',
+      language_override: 'searchLanguage',
+    }
+  );
+  schema.index({ searchTerms: 1 });
+
+  const searchFieldsOf = (source) => ({
+    searchText: indexedText(textOf(source, fields)),
+    searchTerms: searchTerms(textOf(source, prefixFields)),
+  });
+
+  // Aggregation pipeline updates can set any field, they always rebuild
+  const touchesSearchFields = (update) =>
+    Array.isArray(update) ||
+    Object.keys({ ...update, ...(update.$set || {}), ...(update.$unset || {}) })
+      .concat(Object.keys(update.$push || {}), Object.keys(update.$pull || {}))
+      .some((key) =>
+        allPaths.some(
+          (path) =>
+            key === path ||
+            key.startsWith(`${path}.`) ||
+            path.startsWith(`${key}.`)
+        )
+      );
+
+  schema.pre('save', function (next) {
+    if (this.isNew || allPaths.some((path) => this.isModified(path))) {
+      Object.assign(this, searchFieldsOf(this));
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function (next, docs) {
+    docs.forEach((doc) => Object.assign(doc, searchFieldsOf(doc)));
+    next();
+  });
+
+  // Updates only see the changed fields, so the search fields are rebuilt
+  // from the stored documents once they have been updated. updateOne and
+  // updateMany don't return them, the ids they match are read beforehand.
+  schema.pre(
+    ['findOneAndUpdate', 'updateOne', 'updateMany'],
+    async function () {
+      this._searchFieldsChanged = touchesSearchFields(this.getUpdate() || {});
+      if (this._searchFieldsChanged && this.op !== 'findOneAndUpdate') {
+        this._searchIds = await this.model.distinct('_id', this.getFilter());
+      }
+    }
+  );
+
+  schema.post('findOneAndUpdate', async function (doc) {
+    if (doc && this._searchFieldsChanged) {
+      await this.model.syncSearchFields({ _id: doc._id });
+    }
+  });
+
+  schema.post(['updateOne', 'updateMany'], async function (result) {
+    if (!this._searchFieldsChanged) return;
+
+    const ids = [...this._searchIds];
+    if (result && result.upsertedId) ids.push(result.upsertedId);
+    if (ids.length > 0) {
+      await this.model.syncSearchFields({ _id: { $in: ids } });
+    }
+  });
+
+  // Static method to rebuild the search fields of matching documents, used
+  // after updates and to fill them on documents saved before they existed
+  schema.statics.syncSearchFields = async function (filter = {}) {
+    const cursor = this.find(filter).select(allPaths.join(' ')).lean().cursor();
+    let batch = [];
+    let count = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await this.bulkWrite(batch);
+      count += batch.length;
+      batch = [];
+    };
+
+    for await (const doc of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: searchFieldsOf(doc) },
+        },
+      });
+      if (batch.length === 500) await flush();
+    }
+    await flush();
+
+    return count;
+  };
+
+  // Static method to move a collection to the normalized search: text indexes
+  // from before it are dropped, a collection can only have one, and documents
+  // saved without search fields get them. Run when the server starts.
+  schema.statics.migrateSearch = async function () {
+    const indexes = await this.collection.indexes().catch((error) => {
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+    const staleIndexes = indexes.filter(
+      (index) => index.key._fts === 'text' && index.name !== 'search_text'
+    );
+
+    for (const index of staleIndexes) {
+      await this.collection.dropIndex(index.name);
+    }
+    if (staleIndexes.length > 0) await this.createIndexes();
+
+    return this.syncSearchFields({ searchText: { $exists: false } });
+  };
+
+  // Static method to build the query condition of a search. Full word search
+  // uses the text index and can sort by textScore. Prefix search matches
+  // documents with a word starting with each word of the query, for
+  // autocomplete.
+  schema.statics.searchFilter = function (query, { prefix = false } = {}) {
+    const terms = searchTerms(query);
+
+    // Nothing searchable in the query (e.g. only punctuation), match nothing
+    if (terms.length === 0) return { searchTerms: { $in: [] } };
+
+    if (!prefix) return { $text: { $search: terms.join(' ') } };
+
+    // Each query word, or its form without the article, starts a stored word
+    return {
+      $and: searchWords(query).map((word) => ({
+        searchTerms: {
+          $in: searchTerms(word).map(
+            (variant) => new RegExp(`^${escapeRegex(variant)}`)
+          ),
+        },
+      })),
+    };
+  };
+};
+
+module.exports = searchable;
@@ -0,0 +1,23 @@
+const express = require("express");
+const {
+  getAuditLogs,
+  getAuditLog,
+} = require("../controllers/auditController");
+const {
+  getAuditLogsValidator,
+  auditLogIdValidator,
+} = require("../utils/validators/auditValidator");
+const { protect, can } = require("../controllers/authController");
+
+const router = express.Router();
+
+// Masters by default, other roles need the audit.read permission
+router.use(protect, can("audit.read"));
+
+router.route("/")
+  .get(getAuditLogsValidator, getAuditLogs);
+
+router.route("/:id")
+  .get(auditLogIdValidator, getAuditLog);
+
+module.exports = router;
@@ -17,7 +17,38 @@ const {
   verifyEmail,
   sendEmailVerification,
   uploadAvatar,
+  verifyTwoFactorLogin,
+  unlockAccount,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  verifyLoginChallenge,
+  secureAccount,
 } = require("../controllers/authController");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../controllers/twoFactorController");
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} = require("../controllers/sessionController");
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+} = require("../controllers/apiTokenController");
+const {
+  exportMyData,
+  getErasureStatus,
+  requestErasure,
+  cancelErasure,
+} = require("../controllers/privacyController");
 
 const {
   signupValidator,
@@ -27,13 +58,28 @@ const {
   resetPasswordValidator,
   verifyEmailValidator,
   getMeValidator,
+  twoFactorChallengeValidator,
+  twoFactorCodeValidator,
+  disableTwoFactorValidator,
+  sessionIdValidator,
+  unlockAccountValidator,
+  changePasswordValidator,
+  changeEmailValidator,
+  emailChangeTokenValidator,
+  createApiTokenValidator,
+  apiTokenIdValidator,
+  loginChallengeValidator,
+  secureAccountValidator,
+  erasureRequestValidator,
 } = require("../utils/validators/authValidator");
 
 const {
   loginLimiter,
   signupLimiter,
   passwordResetLimiter,
+  sensitiveApiLimiter,
   validatePasswordStrength,
+  checkSuspiciousActivity,
 } = require("../middlewares/securityMiddleware");
 
 const router = express.Router();
@@ -87,6 +133,21 @@ router
   .route("/signup")
   .post(signupLimiter, validatePasswordStrength, signupValidator, signup);
 
+// Second login step for accounts with two-factor authentication
+router
+  .route("/2fa/challenge")
+  .post(loginLimiter, twoFactorChallengeValidator, verifyTwoFactorLogin);
+
+// Second login step for accounts flagged for suspicious activity
+router
+  .route("/login/challenge")
+  .post(loginLimiter, loginChallengeValidator, verifyLoginChallenge);
+
+// "This wasn't me" link of the new device alert
+router
+  .route("/secure-account")
+  .post(passwordResetLimiter, secureAccountValidator, secureAccount);
+
 // Google OAuth routes
 router.route("/google").get(googleAuth);
 router.route("/google/callback").get(googleCallback);
@@ -112,12 +173,42 @@ router
 router.route("/send-verification").post(protect, sendEmailVerification);
 router.route("/verify-email").post(verifyEmailValidator, verifyEmail);
 
+// Email change links (sent to the new and the old address)
+router
+  .route("/email/confirm")
+  .post(passwordResetLimiter, emailChangeTokenValidator, confirmEmailChange);
+router
+  .route("/email/cancel")
+  .post(passwordResetLimiter, emailChangeTokenValidator, cancelEmailChange);
+
+// Account lockout routes
+router
+  .route("/unlock-account")
+  .post(passwordResetLimiter, unlockAccountValidator, unlockAccount);
+
 // Protected Routes for authenticated users
 router.use(protect);
 
 router.route("/logout").delete(logout);
 router.route("/me").get(getMe);
 router.route("/editMe").put(getMeValidator, editMe);
+router
+  .route("/password")
+  .patch(
+    loginLimiter,
+    checkSuspiciousActivity,
+    validatePasswordStrength,
+    changePasswordValidator,
+    changePassword
+  );
+router
+  .route("/email")
+  .post(
+    passwordResetLimiter,
+    checkSuspiciousActivity,
+    changeEmailValidator,
+    requestEmailChange
+  );
 router.post(
   "/upload-avatar",
   upload.single("avatar"),
@@ -125,6 +216,48 @@ router.post(
   uploadAvatar
 );
 
+// Two-factor enrollment
+router.route("/2fa").get(getTwoFactorStatus);
+router.route("/2fa/setup").post(setupTwoFactor);
+router
+  .route("/2fa/confirm")
+  .post(loginLimiter, twoFactorCodeValidator, confirmTwoFactor);
+router
+  .route("/2fa/recovery-codes")
+  .post(loginLimiter, twoFactorCodeValidator, regenerateRecoveryCodes);
+router
+  .route("/2fa/disable")
+  .post(
+    loginLimiter,
+    checkSuspiciousActivity,
+    disableTwoFactorValidator,
+    disableTwoFactor
+  );
+
+// Signed in devices
+router.route("/sessions").get(getSessions).delete(revokeOtherSessions);
+router.route("/sessions/:id").delete(sessionIdValidator, revokeSession);
+
+// Personal access tokens for scripts and integrations
+router
+  .route("/tokens")
+  .get(getApiTokens)
+  .post(checkSuspiciousActivity, createApiTokenValidator, createApiToken);
+router.route("/tokens/:id").delete(apiTokenIdValidator, revokeApiToken);
+
+// Personal data export and erasure
+router.route("/me/export").post(sensitiveApiLimiter, exportMyData);
+router
+  .route("/me/erasure")
+  .get(getErasureStatus)
+  .post(
+    sensitiveApiLimiter,
+    checkSuspiciousActivity,
+    erasureRequestValidator,
+    requestErasure
+  )
+  .delete(cancelErasure);
+
 router
   .route("/deactivateMyAccount")
   .delete(checkAccountActive, deactivateMyAccount);
@@ -0,0 +1,78 @@
+const express = require("express");
+const {
+  getPosts,
+  searchPosts,
+  getPostBySlug,
+  addComment,
+  getAllPosts,
+  getPost,
+  createPost,
+  updatePost,
+  deletePost,
+  publishPost,
+  archivePost,
+  getPendingComments,
+  moderateComment,
+  deleteComment,
+} = require("../controllers/blogController");
+const {
+  getPostsValidator,
+  getPostBySlugValidator,
+  addCommentValidator,
+  createPostValidator,
+  updatePostValidator,
+  postIdValidator,
+  getCommentsValidator,
+  moderateCommentValidator,
+  deleteCommentValidator,
+} = require("../utils/validators/blogValidator");
+const { protect, can } = require("../controllers/authController");
+
+const router = express.Router();
+
+// Public routes (no authentication required)
+router.route("/")
+  .get(getPostsValidator, getPosts);
+
+router.route("/search")
+  .get(getPostsValidator, searchPosts);
+
+router.route("/:slug")
+  .get(getPostBySlugValidator, getPostBySlug);
+
+// Protected routes (authentication required)
+router.use(protect);
+
+router.route("/:slug/comments")
+  .post(addCommentValidator, addComment);
+
+// Admin/Master routes
+router.use(can("blog.manage"));
+
+router.route("/")
+  .post(createPostValidator, createPost);
+
+router.route("/admin/all")
+  .get(getAllPosts);
+
+router.route("/admin/comments")
+  .get(getCommentsValidator, getPendingComments);
+
+router.route("/admin/:id")
+  .get(postIdValidator, getPost);
+
+router.route("/:id")
+  .patch(updatePostValidator, updatePost)
+  .delete(postIdValidator, deletePost);
+
+router.route("/:id/publish")
+  .patch(postIdValidator, publishPost);
+
+router.route("/:id/archive")
+  .patch(postIdValidator, archivePost);
+
+router.route("/:id/comments/:commentId")
+  .patch(moderateCommentValidator, moderateComment)
+  .delete(deleteCommentValidator, deleteComment);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+const {
+  getCart,
+  addToCart,
+  removeFromCart,
+  clearCart,
+  checkout,
+} = require("../controllers/cartController");
+const {
+  addToCartValidator,
+  cartItemValidator,
+  checkoutValidator,
+} = require("../utils/validators/cartValidator");
+const { protect } = require("../controllers/authController");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route("/")
+  .get(getCart)
+  .delete(clearCart);
+
+router.route("/items")
+  .post(addToCartValidator, addToCart);
+
+router.route("/items/:uploadId")
+  .delete(cartItemValidator, removeFromCart);
+
+router.route("/checkout")
+  .post(checkoutValidator, checkout);
+
+module.exports = router;
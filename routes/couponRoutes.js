@@ -0,0 +1,30 @@
+const express = require("express");
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controllers/couponController");
+const {
+  getCouponsValidator,
+  createCouponValidator,
+  updateCouponValidator,
+  couponIdValidator,
+} = require("../utils/validators/couponValidator");
+const { protect, can } = require("../controllers/authController");
+
+const router = express.Router();
+
+router.use(protect, can("coupons.manage"));
+
+router.route("/")
+  .get(getCouponsValidator, getCoupons)
+  .post(createCouponValidator, createCoupon);
+
+router.route("/:id")
+  .get(couponIdValidator, getCoupon)
+  .patch(updateCouponValidator, updateCoupon)
+  .delete(couponIdValidator, deleteCoupon);
+
+module.exports = router;
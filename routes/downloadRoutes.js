@@ -0,0 +1,10 @@
+const express = require("express");
+const { downloadFile } = require("../controllers/downloadController");
+const { downloadFileValidator } = require("../utils/validators/orderValidator");
+
+const router = express.Router();
+
+// Access is granted by the signed token itself, no session required
+router.route("/:token").get(downloadFileValidator, downloadFile);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const {
+  getEarnings,
+  getLedger,
+  requestPayout,
+  getPayouts,
+  approvePayout,
+  processPayout,
+  rejectPayout,
+} = require("../controllers/earningsController");
+const {
+  getEarningsValidator,
+  getLedgerValidator,
+  requestPayoutValidator,
+  getPayoutsValidator,
+  payoutIdValidator,
+  processPayoutValidator,
+  rejectPayoutValidator,
+} = require("../utils/validators/earningsValidator");
+const { protect, can } = require("../controllers/authController");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route("/")
+  .get(getEarningsValidator, getEarnings);
+
+router.route("/ledger")
+  .get(getLedgerValidator, getLedger);
+
+router.route("/payouts")
+  .post(requestPayoutValidator, requestPayout);
+
+// Admin/Master routes
+router.use(can("earnings.manage"));
+
+router.route("/admin/payouts")
+  .get(getPayoutsValidator, getPayouts);
+
+router.route("/admin/payouts/:id/approve")
+  .patch(payoutIdValidator, approvePayout);
+
+router.route("/admin/payouts/:id/process")
+  .patch(processPayoutValidator, processPayout);
+
+router.route("/admin/payouts/:id/reject")
+  .patch(rejectPayoutValidator, rejectPayout);
+
+module.exports = router;
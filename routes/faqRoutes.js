@@ -0,0 +1,84 @@
+const express = require("express");
+const {
+  getFAQs,
+  getCategories,
+  getFAQsByCategory,
+  searchFAQs,
+  getPopularFAQs,
+  getFeaturedFAQs,
+  getFAQ,
+  voteFAQ,
+  getAllFAQs,
+  getFAQStats,
+  createFAQ,
+  updateFAQ,
+  deleteFAQ,
+  toggleFeatured,
+  reorderFAQs,
+} = require("../controllers/faqController");
+const {
+  getFAQsValidator,
+  getCategoryValidator,
+  faqIdValidator,
+  voteFAQValidator,
+  createFAQValidator,
+  updateFAQValidator,
+  reorderFAQsValidator,
+} = require("../utils/validators/faqValidator");
+const {
+  protect,
+  can,
+  optionalAuth,
+} = require("../controllers/authController");
+
+const router = express.Router();
+
+// Public routes (no authentication required)
+router.route("/")
+  .get(getFAQsValidator, getFAQs);
+
+router.route("/categories")
+  .get(getCategories);
+
+router.route("/category/:category")
+  .get(getCategoryValidator, getFAQsByCategory);
+
+router.route("/search")
+  .get(getFAQsValidator, searchFAQs);
+
+router.route("/popular")
+  .get(getPopularFAQs);
+
+router.route("/featured")
+  .get(getFeaturedFAQs);
+
+router.route("/:id")
+  .get(faqIdValidator, getFAQ);
+
+// Votes are counted per user, or per session for anonymous visitors
+router.route("/:id/vote")
+  .post(optionalAuth, voteFAQValidator, voteFAQ);
+
+// Admin/Master routes
+router.use(protect, can("faqs.manage"));
+
+router.route("/")
+  .post(createFAQValidator, createFAQ);
+
+router.route("/admin/all")
+  .get(getFAQsValidator, getAllFAQs);
+
+router.route("/admin/stats")
+  .get(getFAQStats);
+
+router.route("/admin/reorder")
+  .patch(reorderFAQsValidator, reorderFAQs);
+
+router.route("/:id")
+  .patch(updateFAQValidator, updateFAQ)
+  .delete(faqIdValidator, deleteFAQ);
+
+router.route("/:id/feature")
+  .patch(faqIdValidator, toggleFeatured);
+
+module.exports = router;
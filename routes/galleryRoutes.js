@@ -8,9 +8,12 @@ const {
   getUploadsByCategory,
   getUploadsByUser,
   toggleLike,
+  getLikedUploads,
   getGalleryStats,
 } = require("../controllers/galleryController");
 const {
+  getGalleryValidator,
+  searchGalleryValidator,
   getUploadDetailsValidator,
   getCategoryValidator,
   getUserUploadsValidator,
@@ -20,9 +23,11 @@ const { protect, optionalAuth } = require("../controllers/authController");
 
 const router = express.Router();
 
-// Public routes (no authentication required)
+// Public routes (no authentication required, likedByMe is set when logged in)
+router.use(optionalAuth);
+
 router.route("/")
-  .get(getGallery);
+  .get(getGalleryValidator, getGallery);
 
 router.route("/featured")
   .get(getFeaturedUploads);
@@ -31,11 +36,14 @@ router.route("/popular")
   .get(getPopularUploads);
 
 router.route("/search")
-  .get(searchUploads);
+  .get(searchGalleryValidator, searchUploads);
 
 router.route("/stats")
   .get(getGalleryStats);
 
+router.route("/liked")
+  .get(protect, getLikedUploads);
+
 router.route("/category/:category")
   .get(getCategoryValidator, getUploadsByCategory);
 
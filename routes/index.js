@@ -11,12 +11,25 @@ const galleryRoutes = require("./galleryRoutes");
 const settingsRoutes = require("./settingsRoutes");
 const uploadRoutes = require("./uploadRoutes");
 const notificationRoutes = require("./notificationRoutes");
-const path = require("path");
-const express = require("express");
+const downloadRoutes = require("./downloadRoutes");
+const paymentRoutes = require("./paymentRoutes");
+const blogRoutes = require("./blogRoutes");
+const pageRoutes = require("./pageRoutes");
+const faqRoutes = require("./faqRoutes");
+const testimonialRoutes = require("./testimonialRoutes");
+const serviceRoutes = require("./serviceRoutes");
+const earningsRoutes = require("./earningsRoutes");
+const auditRoutes = require("./auditRoutes");
+const partnerApplicationRoutes = require("./partnerApplicationRoutes");
+const roleRoutes = require("./roleRoutes");
+const licenseRoutes = require("./licenseRoutes");
+const cartRoutes = require("./cartRoutes");
+const couponRoutes = require("./couponRoutes");
+const { serveUploads } = require("../middlewares/uploadMiddleware");
 
 exports.mountRoutes = (app) => {
-  // Static files
-  app.use("/api/uploads", express.static(path.join(__dirname, "../uploads")));
+  // Static files (originals live outside this directory, see downloadRoutes)
+  app.use("/api/uploads", serveUploads());
 
   // Authentication routes
   app.use("/api/auth", authRoute);
@@ -27,15 +40,46 @@ exports.mountRoutes = (app) => {
   // Public gallery/store routes
   app.use("/api/gallery", galleryRoutes);
 
+  // Blog (public reading, admin management)
+  app.use("/api/blog", blogRoutes);
+
+  // CMS pages (menu, homepage, localized pages)
+  app.use("/api/pages", pageRoutes);
+
+  // Help center FAQs
+  app.use("/api/faqs", faqRoutes);
+
+  // Customer testimonials
+  app.use("/api/testimonials", testimonialRoutes);
+
+  // Service catalog and booking inquiries
+  app.use("/api/services", serviceRoutes);
+
+  // Seller earnings and payouts
+  app.use("/api/earnings", earningsRoutes);
+
   // Public settings routes
   app.use("/api/settings", settingsRoutes);
 
   // Protected routes
+  app.use("/api/cart", cartRoutes);
   app.use("/api/orders", orderRoutes);
   app.use("/api/missions", missionRoutes);
   app.use("/api/uploads", uploadRoutes);
   app.use("/api/notifications", notificationRoutes);
 
+  // Partner applications and their review queue
+  app.use("/api/partner-applications", partnerApplicationRoutes);
+
+  // Signed downloads of purchased originals
+  app.use("/api/downloads", downloadRoutes);
+
+  // Public lookup of license certificates
+  app.use("/api/licenses", licenseRoutes);
+
+  // Payment provider webhooks
+  app.use("/api/payments", paymentRoutes);
+
   // Admin routes with enhanced security
   app.use(
     "/api/admin",
@@ -43,4 +87,13 @@ exports.mountRoutes = (app) => {
     requireEmailVerification,
     requireTwoFactor
   );
+
+  // Audit trail of privileged actions
+  app.use("/api/admin/audit", auditRoutes);
+
+  // Roles and the permissions they grant
+  app.use("/api/admin/roles", roleRoutes);
+
+  // Coupon codes applied at checkout
+  app.use("/api/admin/coupons", couponRoutes);
 };
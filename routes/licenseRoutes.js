@@ -0,0 +1,15 @@
+const express = require("express");
+const { verifyLicense } = require("../controllers/licenseController");
+const {
+  verifyLicenseValidator,
+} = require("../utils/validators/orderValidator");
+const { generalLimiter } = require("../middlewares/securityMiddleware");
+
+const router = express.Router();
+
+// Public lookup so third parties can check a certificate
+router
+  .route("/:licenseId")
+  .get(generalLimiter, verifyLicenseValidator, verifyLicense);
+
+module.exports = router;
@@ -17,7 +17,7 @@ const {
   completeMissionValidator,
   getMissionValidator,
 } = require("../utils/validators/missionValidator");
-const { protect, allowedTo } = require("../controllers/authController");
+const { protect, can } = require("../controllers/authController");
 
 const router = express.Router();
 
@@ -29,22 +29,22 @@ router.route("/open")
   .get(getOpenMissions);
 
 router.route("/my-missions")
-  .get(allowedTo("partner"), getPartnerMissions);
+  .get(can("missions.work"), getPartnerMissions);
 
 router.route("/:id")
   .get(getMissionValidator, getMission);
 
 router.route("/:id/apply")
-  .post(allowedTo("partner"), applyForMissionValidator, applyForMission);
+  .post(can("missions.work"), applyForMissionValidator, applyForMission);
 
 router.route("/:id/start")
-  .post(allowedTo("partner"), startMission);
+  .post(can("missions.work"), startMission);
 
 router.route("/:id/complete")
-  .post(allowedTo("partner"), completeMissionValidator, completeMission);
+  .post(can("missions.work"), completeMissionValidator, completeMission);
 
 // Admin/Master routes
-router.use(allowedTo("admin", "master"));
+router.use(can("missions.manage"));
 
 router.route("/")
   .post(createMissionValidator, createMission);
@@ -14,7 +14,7 @@ const {
   cleanupOldNotifications,
 } = require("../controllers/notificationController");
 
-const { protect, allowedTo } = require("../controllers/authController");
+const { protect, can } = require("../controllers/authController");
 
 const router = express.Router();
 
@@ -31,17 +31,19 @@ router.route("/:id").get(getNotification).delete(deleteNotification);
 
 router.patch("/:id/read", markAsRead);
 
+// Master only routes
+router.post(
+  "/system",
+  can("notifications.broadcast"),
+  createSystemNotification
+);
+
 // Admin routes
-router.use(allowedTo("admin", "master"));
+router.use(can("notifications.send"));
 
 router.post("/", createNotification);
 router.get("/stats/overview", getNotificationStats);
 router.post("/bulk", bulkNotificationOperations);
 router.delete("/cleanup/old", cleanupOldNotifications);
 
-// Master only routes
-router.use(allowedTo("master"));
-
-router.post("/system", createSystemNotification);
-
 module.exports = router;
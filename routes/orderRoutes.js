@@ -8,14 +8,16 @@ const {
   getAllOrders,
   updateOrderStatus,
 } = require("../controllers/orderController");
+const { getLicenseCertificate } = require("../controllers/licenseController");
 const {
   createOrderValidator,
   processPaymentValidator,
   getOrderValidator,
   downloadItemValidator,
+  licenseCertificateValidator,
   updateOrderStatusValidator,
 } = require("../utils/validators/orderValidator");
-const { protect, allowedTo } = require("../controllers/authController");
+const { protect, can } = require("../controllers/authController");
 
 const router = express.Router();
 
@@ -36,13 +38,14 @@ router.route("/:id/payment")
 router.route("/:id/download/:itemId")
   .get(downloadItemValidator, downloadItem);
 
-// Admin/Master routes
-router.use(allowedTo("admin", "master"));
+router.route("/:id/items/:itemId/certificate")
+  .get(licenseCertificateValidator, getLicenseCertificate);
 
+// Admin/Master routes
 router.route("/admin/all")
-  .get(getAllOrders);
+  .get(can("orders.read"), getAllOrders);
 
 router.route("/:id/status")
-  .patch(updateOrderStatusValidator, updateOrderStatus);
+  .patch(can("orders.manage"), updateOrderStatusValidator, updateOrderStatus);
 
 module.exports = router;
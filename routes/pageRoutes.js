@@ -0,0 +1,61 @@
+const express = require("express");
+const {
+  getMenu,
+  getHomepage,
+  getPageBySlug,
+  getAllPages,
+  getPage,
+  createPage,
+  updatePage,
+  deletePage,
+  publishPage,
+  draftPage,
+  archivePage,
+} = require("../controllers/pageController");
+const {
+  getPublicPageValidator,
+  getPageBySlugValidator,
+  createPageValidator,
+  updatePageValidator,
+  pageIdValidator,
+} = require("../utils/validators/pageValidator");
+const { protect, can } = require("../controllers/authController");
+
+const router = express.Router();
+
+// Public routes (no authentication required)
+router.route("/menu")
+  .get(getPublicPageValidator, getMenu);
+
+router.route("/home")
+  .get(getPublicPageValidator, getHomepage);
+
+router.route("/:slug")
+  .get(getPageBySlugValidator, getPageBySlug);
+
+// Admin/Master routes
+router.use(protect, can("pages.manage"));
+
+router.route("/")
+  .post(createPageValidator, createPage);
+
+router.route("/admin/all")
+  .get(getAllPages);
+
+router.route("/admin/:id")
+  .get(pageIdValidator, getPage);
+
+router.route("/:id")
+  .patch(updatePageValidator, updatePage)
+  .delete(pageIdValidator, deletePage);
+
+router.route("/:id/publish")
+  .patch(pageIdValidator, publishPage);
+
+router.route("/:id/draft")
+  .patch(pageIdValidator, draftPage);
+
+router.route("/:id/archive")
+  .patch(pageIdValidator, archivePage);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require("express");
+const {
+  submitApplication,
+  getMyApplications,
+  withdrawApplication,
+  getApplications,
+  getApplication,
+  getApplicationDocument,
+  approveApplication,
+  rejectApplication,
+} = require("../controllers/partnerApplicationController");
+const {
+  submitApplicationValidator,
+  getApplicationsValidator,
+  applicationIdValidator,
+  applicationDocumentValidator,
+  rejectApplicationValidator,
+} = require("../utils/validators/partnerApplicationValidator");
+const { protect, can } = require("../controllers/authController");
+const {
+  uploadIdDocuments,
+  handleMulterError,
+} = require("../middlewares/uploadMiddleware");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Regular users apply, partners and staff already have their role
+router.route("/")
+  .post(
+    can("partners.apply"),
+    uploadIdDocuments,
+    handleMulterError,
+    submitApplicationValidator,
+    submitApplication
+  );
+
+router.route("/me")
+  .get(getMyApplications)
+  .delete(withdrawApplication);
+
+// Admin/Master review queue
+router.use(can("partners.review"));
+
+router.route("/")
+  .get(getApplicationsValidator, getApplications);
+
+router.route("/:id")
+  .get(applicationIdValidator, getApplication);
+
+router.route("/:id/documents/:documentId")
+  .get(applicationDocumentValidator, getApplicationDocument);
+
+router.route("/:id/approve")
+  .patch(applicationIdValidator, approveApplication);
+
+router.route("/:id/reject")
+  .patch(rejectApplicationValidator, rejectApplication);
+
+module.exports = router;
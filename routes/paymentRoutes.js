@@ -0,0 +1,9 @@
+const express = require("express");
+const { handleWebhook } = require("../controllers/paymentController");
+
+const router = express.Router();
+
+// Called by payment providers, authenticated by the webhook signature
+router.route("/webhook/:provider").post(handleWebhook);
+
+module.exports = router;
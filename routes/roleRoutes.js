@@ -0,0 +1,32 @@
+const express = require("express");
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  initializeDefaultRoles,
+} = require("../controllers/roleController");
+const {
+  createRoleValidator,
+  updateRoleValidator,
+  roleIdValidator,
+} = require("../utils/validators/roleValidator");
+const { protect, can } = require("../controllers/authController");
+
+const router = express.Router();
+
+// Masters by default, other roles need the roles.manage permission
+router.use(protect, can("roles.manage"));
+
+router.route("/")
+  .get(getRoles)
+  .post(createRoleValidator, createRole);
+
+router.route("/initialize")
+  .post(initializeDefaultRoles);
+
+router.route("/:id")
+  .patch(updateRoleValidator, updateRole)
+  .delete(roleIdValidator, deleteRole);
+
+module.exports = router;
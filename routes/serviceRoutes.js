@@ -0,0 +1,73 @@
+const express = require("express");
+const {
+  getServices,
+  getServiceBySlug,
+  createInquiry,
+  getMyInquiries,
+  getAllServices,
+  createService,
+  updateService,
+  deleteService,
+  getInquiries,
+  convertInquiry,
+  declineInquiry,
+} = require("../controllers/serviceController");
+const {
+  getServicesValidator,
+  getServiceBySlugValidator,
+  serviceIdValidator,
+  createServiceValidator,
+  updateServiceValidator,
+  createInquiryValidator,
+  getInquiriesValidator,
+  convertInquiryValidator,
+  declineInquiryValidator,
+} = require("../utils/validators/serviceValidator");
+const {
+  protect,
+  can,
+  optionalAuth,
+} = require("../controllers/authController");
+
+const router = express.Router();
+
+// Public routes (no authentication required)
+router.route("/")
+  .get(getServicesValidator, getServices);
+
+router.route("/:slug")
+  .get(getServiceBySlugValidator, getServiceBySlug);
+
+// Guests can send inquiries, logged in customers get them linked to their account
+router.route("/:slug/inquiries")
+  .post(optionalAuth, createInquiryValidator, createInquiry);
+
+// Protected routes (authentication required)
+router.use(protect);
+
+router.route("/inquiries/mine")
+  .get(getMyInquiries);
+
+// Admin/Master routes
+router.use(can("services.manage"));
+
+router.route("/")
+  .post(createServiceValidator, createService);
+
+router.route("/admin/all")
+  .get(getServicesValidator, getAllServices);
+
+router.route("/admin/inquiries")
+  .get(getInquiriesValidator, getInquiries);
+
+router.route("/inquiries/:id/convert")
+  .post(convertInquiryValidator, convertInquiry);
+
+router.route("/inquiries/:id/decline")
+  .patch(declineInquiryValidator, declineInquiry);
+
+router.route("/:id")
+  .patch(updateServiceValidator, updateService)
+  .delete(serviceIdValidator, deleteService);
+
+module.exports = router;
@@ -21,7 +21,7 @@ const {
   importSettingsValidator,
   resetSettingsValidator,
 } = require("../utils/validators/settingsValidator");
-const { protect, allowedTo } = require("../controllers/authController");
+const { protect, can } = require("../controllers/authController");
 
 const router = express.Router();
 
@@ -33,13 +33,11 @@ router.route("/public")
 router.use(protect);
 
 // Admin/Master routes
-router.use(allowedTo("admin", "master"));
-
 router.route("/category/:category")
-  .get(getSettingsByCategory);
+  .get(can("settings.read"), getSettingsByCategory);
 
 // Master only routes
-router.use(allowedTo("master"));
+router.use(can("settings.write"));
 
 router.route("/")
   .get(getAllSettings)
@@ -0,0 +1,49 @@
+const express = require("express");
+const {
+  getTestimonials,
+  createTestimonial,
+  getMyTestimonials,
+  getAllTestimonials,
+  approveTestimonial,
+  rejectTestimonial,
+  toggleFeatured,
+} = require("../controllers/testimonialController");
+const {
+  getTestimonialsValidator,
+  createTestimonialValidator,
+  testimonialIdValidator,
+  rejectTestimonialValidator,
+} = require("../utils/validators/testimonialValidator");
+const { protect, can } = require("../controllers/authController");
+
+const router = express.Router();
+
+// Public routes (no authentication required)
+router.route("/")
+  .get(getTestimonialsValidator, getTestimonials);
+
+// Protected routes (authentication required)
+router.use(protect);
+
+router.route("/")
+  .post(createTestimonialValidator, createTestimonial);
+
+router.route("/mine")
+  .get(getMyTestimonials);
+
+// Admin/Master routes
+router.use(can("testimonials.manage"));
+
+router.route("/admin/all")
+  .get(getTestimonialsValidator, getAllTestimonials);
+
+router.route("/:id/approve")
+  .patch(testimonialIdValidator, approveTestimonial);
+
+router.route("/:id/reject")
+  .patch(rejectTestimonialValidator, rejectTestimonial);
+
+router.route("/:id/feature")
+  .patch(testimonialIdValidator, toggleFeatured);
+
+module.exports = router;
@@ -27,7 +27,11 @@ const {
   bulkUploadValidator,
 } = require("../utils/validators/uploadValidator");
 
-const { protect, allowedTo } = require("../controllers/authController");
+const { protect, can } = require("../controllers/authController");
+const {
+  uploadMediaFile,
+  handleMulterError,
+} = require("../middlewares/uploadMiddleware");
 
 const router = express.Router();
 
@@ -40,7 +44,13 @@ router.get("/:id", getUploadValidator, getUploadById);
 router.use(protect);
 
 // User routes
-router.post("/", createUploadValidator, createUpload);
+router.post(
+  "/",
+  uploadMediaFile,
+  handleMulterError,
+  createUploadValidator,
+  createUpload
+);
 
 // Routes that require ownership verification or admin privileges
 router.put("/:id", updateUploadValidator, updateUpload);
@@ -48,7 +58,7 @@ router.put("/:id", updateUploadValidator, updateUpload);
 router.delete("/:id", deleteUploadValidator, deleteUpload);
 
 // Admin and Master only routes
-router.use(allowedTo("admin", "master"));
+router.use(can("uploads.moderate"));
 
 router.get("/", getUploadsValidator, getUploads);
 router.get("/pending/review", getPendingUploads);
@@ -3,6 +3,8 @@ const express = require("express");
 const {
   activateAccount,
   deactivateAccount,
+  unlockAccount,
+  processAccountErasures,
   promoteOrDemoteUser,
   deleteUser,
   getUserById,
@@ -15,28 +17,53 @@ const {
   getUserByEmailValidator,
   promoteUserValidator,
   activateAccountOrDeactivateValidator,
+  processErasuresValidator,
 } = require("../utils/validators/userValidator");
-const { protect, allowedTo } = require("../controllers/authController");
+const { protect, can } = require("../controllers/authController");
 
 const router = express.Router();
 
-router.use(protect, allowedTo("admin", "master"));
+router.use(protect);
 
-router.route("/").get(getUsers);
-router.route("/getUserByEmail").get(getUserByEmailValidator, getUserByEmail);
+router.route("/").get(can("users.read"), getUsers);
+router
+  .route("/getUserByEmail")
+  .get(can("users.read"), getUserByEmailValidator, getUserByEmail);
+
+// Erasure is irreversible, only masters can apply the due requests
+router
+  .route("/erasures/process")
+  .post(can("users.erase"), processErasuresValidator, processAccountErasures);
 
 router
   .route("/:id")
-  .get(getUserValidator, getUserById)
-  .delete(deleteUserValidator, deleteUser);
+  .get(can("users.read"), getUserValidator, getUserById)
+  .delete(can("users.manage"), deleteUserValidator, deleteUser);
 
-router.route("/:id/promote").patch(promoteUserValidator, promoteOrDemoteUser);
+router
+  .route("/:id/promote")
+  .patch(can("users.promote"), promoteUserValidator, promoteOrDemoteUser);
 
 router
   .route("/:id/deactivate")
-  .delete(activateAccountOrDeactivateValidator, deactivateAccount);
+  .delete(
+    can("users.manage"),
+    activateAccountOrDeactivateValidator,
+    deactivateAccount
+  );
 router
   .route("/:id/activate")
-  .post(activateAccountOrDeactivateValidator, activateAccount);
+  .post(
+    can("users.manage"),
+    activateAccountOrDeactivateValidator,
+    activateAccount
+  );
+router
+  .route("/:id/unlock")
+  .patch(
+    can("users.manage"),
+    activateAccountOrDeactivateValidator,
+    unlockAccount
+  );
 
 module.exports = router;
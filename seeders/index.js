@@ -15,6 +15,7 @@ const FAQ = require('../models/FAQ');
 const Settings = require('../models/Settings');
 const Notification = require('../models/Notification');
 const Revenue = require('../models/Revenue');
+const Role = require('../models/Role');
 
 // Connect to database
 const connectDB = async () => {
@@ -248,6 +249,13 @@ const sampleFAQs = [
 ];
 
 // Seeder functions
+const seedRoles = async () => {
+  console.log('Seeding roles...');
+  await Role.deleteMany({});
+  await Role.initializeDefaults();
+  console.log('Roles seeded');
+};
+
 const seedUsers = async () => {
   console.log('Seeding users...');
   await User.deleteMany({});
@@ -338,6 +346,30 @@ const seedSettings = async () => {
   console.log('Settings seeded');
 };
 
+// Replace the old text indexes and fill the normalized search fields of
+// documents saved before they existed, without touching any other data
+const reindexSearch = async () => {
+  console.log('Reindexing search fields...');
+  for (const Model of [Upload, Mission, Blog, FAQ]) {
+    // Drops indexes that are no longer declared in the schema
+    await Model.syncIndexes();
+    const count = await Model.syncSearchFields();
+    console.log(`${Model.modelName}: ${count} documents reindexed`);
+  }
+  console.log('Search fields reindexed');
+};
+
+const runReindexSearch = async () => {
+  try {
+    await connectDB();
+    await reindexSearch();
+    process.exit(0);
+  } catch (error) {
+    console.error('Reindexing error:', error);
+    process.exit(1);
+  }
+};
+
 // Main seeder function
 const seedDatabase = async () => {
   try {
@@ -345,6 +377,7 @@ const seedDatabase = async () => {
     
     console.log('Starting database seeding...');
     
+    await seedRoles();
     await seedUsers();
     await seedUploads();
     await seedContent();
@@ -360,13 +393,19 @@ const seedDatabase = async () => {
 
 // Run seeder if called directly
 if (require.main === module) {
-  seedDatabase();
+  if (process.argv.includes('--reindex-search')) {
+    runReindexSearch();
+  } else {
+    seedDatabase();
+  }
 }
 
 module.exports = {
   seedDatabase,
+  seedRoles,
   seedUsers,
   seedUploads,
   seedContent,
   seedSettings,
+  reindexSearch,
 };
@@ -4,18 +4,20 @@ const morgan = require("morgan");
 const cookieParser = require("cookie-parser");
 const passport = require("passport");
 const cookieSession = require("cookie-session");
-const path = require("path");
 
 const dbConnection = require("./config/database");
 const deepSanitize = require("./middlewares/deepSanitizeMiddleware");
+const requestId = require("./middlewares/requestIdMiddleware");
 const globalErrorHandler = require("./middlewares/errorMiddleware");
 const { setupSecurity } = require("./middlewares/securityMiddleware");
 
 const ApiError = require("./utils/ApiError");
 const { mountRoutes } = require("./routes");
+const { startBackgroundJobs } = require("./utils/backgroundJobs");
+const { serveUploads } = require("./middlewares/uploadMiddleware");
 
-// Connect to the database
-dbConnection();
+// Connect to the database, then start the maintenance jobs
+dbConnection().then(startBackgroundJobs);
 
 // Load environment variables from config.env file
 dotenv.config({ path: "config.env" });
@@ -29,6 +31,9 @@ const app = express();
 
 /* Middlewares */
 
+// Request id for log and audit correlation
+app.use(requestId);
+
 // CORS configuration
 const allowedOrigins = [
   "https://skyshot-one.vercel.app", // الفرونت أونلاين
@@ -47,7 +52,11 @@ app.use((req, res, next) => {
       "Access-Control-Allow-Methods",
       "GET,POST,PUT,PATCH,DELETE,OPTIONS"
     );
-    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    res.header(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, Idempotency-Key, X-Request-Id"
+    );
+    res.header("Access-Control-Expose-Headers", "X-Request-Id");
 
     if (req.method === "OPTIONS") {
       return res.sendStatus(204);
@@ -56,8 +65,8 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files for avatars
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Serve static files for avatars and watermarked media
+app.use("/uploads", serveUploads());
 
 app.use(
   cookieSession({
@@ -71,7 +80,17 @@ app.use(passport.initialize());
 app.use(passport.session());
 
 // Body parser middleware FIRST
-app.use(express.json({ limit: "10kb" }));
+// Keep the raw body around for payment webhook signature checks
+app.use(
+  express.json({
+    limit: "10kb",
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 
 app.use(express.urlencoded({ extended: true }));
 
@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+
+jest.mock("sharp", () => jest.fn());
+
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Upload = require("../models/Upload");
+const Revenue = require("../models/Revenue");
+const { eraseAccount } = require("../utils/accountErasure");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+describe("account erasure", () => {
+  let customer;
+  let seller;
+  let upload;
+  let order;
+  let revenue;
+  let orders;
+
+  const saleEntry = (relatedOrder, description) => ({
+    _id: new ObjectId(),
+    user: seller._id,
+    type: "upload_sale",
+    amount: 40,
+    netAmount: 34,
+    status: "completed",
+    description,
+    relatedOrder,
+    relatedUpload: upload._id,
+  });
+
+  beforeEach(() => {
+    customer = new User({
+      firstName: "Lina",
+      lastName: "Haddad",
+      email: "lina@example.com",
+    });
+    seller = new User({
+      firstName: "Omar",
+      lastName: "Saleh",
+      email: "omar@example.com",
+    });
+    upload = { _id: new ObjectId(), user: seller._id, title: "Dunes" };
+    order = {
+      _id: new ObjectId(),
+      orderNumber: "ORD-1",
+      customer: customer._id,
+      billingAddress: { firstName: "Lina", lastName: "Haddad", country: "JO" },
+    };
+    const otherOrder = {
+      _id: new ObjectId(),
+      orderNumber: "ORD-2",
+      customer: new ObjectId(),
+    };
+
+    // Every model eraseAccount touches, the ones below with data
+    Object.values(mongoose.models).forEach((Model) => {
+      if (![User, Order, Upload, Revenue].includes(Model)) {
+        useMemoryCollection(Model);
+      }
+    });
+    useMemoryCollection(User, [customer, seller]);
+    useMemoryCollection(Upload, [upload]);
+    orders = useMemoryCollection(Order, [order, otherOrder]);
+    revenue = useMemoryCollection(Revenue, [
+      saleEntry(order._id, 'Sale of "Dunes" to Lina Haddad'),
+      saleEntry(otherOrder._id, 'Sale of "Dunes" to Sami Khoury'),
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("removes the customer's name from the sellers' sale entries", async () => {
+    const related = await eraseAccount(customer);
+
+    const descriptions = revenue.all().map((entry) => entry.description);
+    expect(descriptions).toEqual([
+      'Sale of "Dunes" (order ORD-1)',
+      // Other customers are left alone
+      'Sale of "Dunes" to Sami Khoury',
+    ]);
+    expect(related.revenue).toBe(1);
+  });
+
+  it("keeps the country of the billing address only", async () => {
+    await eraseAccount(customer);
+
+    const [erased] = orders.all();
+    expect(erased.billingAddress).toEqual({ country: "JO" });
+  });
+
+  it("writes new sale entries without the customer's name", () => {
+    const description = Revenue.uploadSaleDescription(upload, order);
+
+    expect(description).toBe('Sale of "Dunes" (order ORD-1)');
+    expect(description).not.toContain(customer.firstName);
+  });
+});
@@ -0,0 +1,162 @@
+const mongoose = require("mongoose");
+
+process.env.ACCESS_TOKEN_SECRET = "access-secret";
+process.env.REFRESH_TOKEN_SECRET = "refresh-secret";
+
+const User = require("../models/User");
+const ApiToken = require("../models/ApiToken");
+const { protect } = require("../controllers/authController");
+const { createApiToken } = require("../controllers/apiTokenController");
+const { apiTokens } = require("../config/security");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("personal access tokens", () => {
+  let user;
+  let tokens;
+
+  // Resolves with what protect sent and the request it authenticated
+  const call = async (token, method, originalUrl) => {
+    let authenticated;
+    const res = await callHandler(
+      (req, ...rest) => {
+        authenticated = req;
+        return protect(req, ...rest);
+      },
+      {
+        method,
+        originalUrl,
+        ip: "10.0.0.1",
+        cookies: {},
+        headers: { authorization: `Bearer ${token}` },
+      }
+    );
+    return { ...res, req: authenticated };
+  };
+
+  const generate = (scopes, expiresAt = new Date(Date.now() + DAY)) =>
+    ApiToken.generate({ user: user._id, name: "CI", scopes, expiresAt });
+
+  beforeEach(() => {
+    user = new User({
+      firstName: "Karim",
+      lastName: "Aziz",
+      email: "karim@example.com",
+      role: "partner",
+    });
+    // protect may read any model the auth flow loads, none need data here
+    Object.values(mongoose.models).forEach((Model) => {
+      if (Model !== User && Model !== ApiToken) useMemoryCollection(Model);
+    });
+    useMemoryCollection(User, [user]);
+    tokens = useMemoryCollection(ApiToken);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("authenticates the owner on a route the token has the scope for", async () => {
+    const { apiToken, token } = await generate(["uploads:write"]);
+
+    const res = await call(token, "PUT", "/api/uploads/abc123?draft=1");
+
+    expect(res.error).toBeUndefined();
+    expect(res.nextCalled).toBe(true);
+    expect(res.req.user._id).toEqual(user._id);
+    expect(res.req.apiToken._id).toEqual(apiToken._id);
+  });
+
+  it("rejects routes outside the token's scopes", async () => {
+    const { token } = await generate(["missions:read"]);
+
+    const res = await call(token, "POST", "/api/uploads");
+
+    expect(res.status).toBe(403);
+    expect(res.error.errorCode).toBe("insufficient_scope");
+  });
+
+  it("rejects routes no token can call, whatever its scopes", async () => {
+    const { token } = await generate(Object.keys(apiTokens.scopes));
+
+    const results = await Promise.all([
+      call(token, "GET", "/api/auth/tokens"),
+      call(token, "DELETE", "/api/orders/abc123"),
+      call(token, "GET", "/api/missions/abc123/applications"),
+    ]);
+
+    results.forEach((res) =>
+      expect(res.error.errorCode).toBe("api_token_not_allowed")
+    );
+  });
+
+  it("rejects revoked, expired and unknown tokens", async () => {
+    const revoked = await generate(["orders:read"]);
+    await revoked.apiToken.revoke();
+    const expired = await generate(
+      ["orders:read"],
+      new Date(Date.now() - 1000)
+    );
+
+    const results = await Promise.all([
+      call(revoked.token, "GET", "/api/orders"),
+      call(expired.token, "GET", "/api/orders"),
+      call(`${apiTokens.prefix}unknown`, "GET", "/api/orders"),
+    ]);
+
+    results.forEach((res) => {
+      expect(res.status).toBe(401);
+      expect(res.error.errorCode).toBe("invalid_api_token");
+    });
+  });
+
+  it("records the last use at most once per interval", async () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    const { apiToken, token } = await generate(["orders:read"]);
+    const updateOne = jest.spyOn(ApiToken, "updateOne");
+
+    await call(token, "GET", "/api/orders");
+    await call(token, "GET", "/api/orders");
+    expect(updateOne).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(apiTokens.lastUsedUpdateInterval);
+    await call(token, "GET", "/api/orders");
+    expect(updateOne).toHaveBeenCalledTimes(2);
+
+    const stored = tokens.all().find((doc) => doc._id.equals(apiToken._id));
+    expect(stored.lastUsedAt).toEqual(new Date());
+  });
+
+  it("returns the plain token once and stores only its hash", async () => {
+    const res = await callHandler(createApiToken, {
+      user,
+      body: { name: "CI", scopes: ["orders:read", "orders:read"] },
+    });
+    const { token, apiToken } = res.body.data;
+    const [stored] = tokens.all();
+
+    expect(res.status).toBe(201);
+    expect(token.startsWith(apiTokens.prefix)).toBe(true);
+    expect(stored.tokenHash).toBe(ApiToken.hashToken(token));
+    expect(stored.scopes).toEqual(["orders:read"]);
+    expect(JSON.stringify(apiToken)).not.toContain(stored.tokenHash);
+  });
+
+  it("limits the number of active tokens per user", async () => {
+    await Promise.all(
+      Array.from({ length: apiTokens.maxActivePerUser }, () =>
+        generate(["orders:read"])
+      )
+    );
+
+    const res = await callHandler(createApiToken, {
+      user,
+      body: { name: "One too many", scopes: ["orders:read"] },
+    });
+
+    expect(res.error.errorCode).toBe("token_limit_reached");
+  });
+});
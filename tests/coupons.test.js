@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+
+jest.mock("sharp", () => jest.fn());
+
+const User = require("../models/User");
+const Upload = require("../models/Upload");
+const Order = require("../models/Order");
+const Coupon = require("../models/Coupon");
+const { placeOrder } = require("../utils/orderPlacement");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+const HOUR = 60 * 60 * 1000;
+
+describe("coupons", () => {
+  let seller;
+  let uploads;
+  let coupon;
+  let coupons;
+  let orders;
+
+  const listing = (title, price, category = "photography") => ({
+    _id: new ObjectId(),
+    user: seller._id,
+    title,
+    category,
+    status: "approved",
+    licenses: [{ tier: "personal", price }],
+  });
+
+  const place = (customerId, couponCode = "SUMMER") =>
+    placeOrder(customerId, {
+      items: [{ uploadId: uploads[0]._id }],
+      couponCode,
+      paymentMethod: "credit_card",
+    });
+
+  const usedCount = async () => (await Coupon.findById(coupon._id)).usedCount;
+
+  beforeEach(() => {
+    seller = new User({
+      firstName: "Omar",
+      lastName: "Saleh",
+      email: "omar@example.com",
+    });
+    uploads = [listing("Dunes", 100), listing("Wadi", 50, "video")];
+    coupon = {
+      _id: new ObjectId(),
+      code: "SUMMER",
+      discountType: "percentage",
+      value: 20,
+      maxDiscount: null,
+      minOrderAmount: 0,
+      usageLimit: 2,
+      perUserLimit: 1,
+      usedCount: 0,
+      categories: [],
+      sellers: [],
+      active: true,
+    };
+
+    useMemoryCollection(User, [seller]);
+    useMemoryCollection(Upload, uploads);
+    coupons = useMemoryCollection(Coupon, [coupon]);
+    orders = useMemoryCollection(Order);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe("calculateDiscount", () => {
+    const lines = () =>
+      uploads.map((upload) => ({
+        upload,
+        price: upload.licenses[0].price,
+      }));
+
+    it("splits the discount over the lines in proportion to their price", () => {
+      const { amount, discounts } = new Coupon({
+        ...coupon,
+        discountType: "fixed",
+        value: 10,
+      }).calculateDiscount(lines());
+
+      expect(amount).toBe(10);
+      expect(discounts).toEqual([6.67, 3.33]);
+    });
+
+    it("only discounts eligible lines and honours the cap", () => {
+      const { amount, discounts } = new Coupon({
+        ...coupon,
+        value: 50,
+        maxDiscount: 30,
+        categories: ["photography"],
+      }).calculateDiscount(lines());
+
+      expect(amount).toBe(30);
+      expect(discounts).toEqual([30, 0]);
+    });
+  });
+
+  describe("placing orders", () => {
+    it("reserves a use and discounts the order", async () => {
+      const order = await place(new ObjectId());
+
+      expect(order.totalAmount).toBe(80);
+      expect(order.discount.couponReserved).toBe(true);
+      expect(await usedCount()).toBe(1);
+    });
+
+    it("refuses a second use by the same customer", async () => {
+      const customerId = new ObjectId();
+      await place(customerId);
+
+      await expect(place(customerId)).rejects.toMatchObject({
+        errorCode: "coupon_already_used",
+      });
+      expect(await usedCount()).toBe(1);
+    });
+
+    it("never goes over the usage limit with concurrent orders", async () => {
+      const results = await Promise.allSettled(
+        [1, 2, 3].map(() => place(new ObjectId()))
+      );
+
+      const rejected = results.filter(({ status }) => status === "rejected");
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason.errorCode).toBe("coupon_usage_limit_reached");
+      expect(await usedCount()).toBe(2);
+    });
+  });
+
+  describe("giving uses back", () => {
+    it("releases the use of an order once", async () => {
+      const order = await place(new ObjectId());
+
+      expect(await order.releaseCoupon()).toBe(true);
+      expect(await order.releaseCoupon()).toBe(false);
+      const copy = await Order.findById(order._id);
+      expect(await copy.releaseCoupon()).toBe(false);
+      expect(await usedCount()).toBe(0);
+    });
+
+    it("lets the customer use the coupon again once the use is released", async () => {
+      const customerId = new ObjectId();
+      const order = await place(customerId);
+      await order.releaseCoupon();
+
+      expect(await Order.countCouponUses(coupon._id, customerId)).toBe(0);
+      await expect(place(customerId)).resolves.toBeDefined();
+    });
+
+    it("takes the use back before a payment is retried", async () => {
+      const order = await place(new ObjectId());
+      await order.releaseCoupon();
+
+      expect(await order.reserveCoupon()).toBe(true);
+      expect(await order.reserveCoupon()).toBe(true);
+      expect(await usedCount()).toBe(1);
+      expect(orders.all()[0].discount.couponReserved).toBe(true);
+    });
+
+    it("refuses the retry once others took the remaining uses", async () => {
+      const order = await place(new ObjectId());
+      await order.releaseCoupon();
+      await place(new ObjectId());
+      await place(new ObjectId());
+
+      expect(await order.reserveCoupon()).toBe(false);
+      expect(await usedCount()).toBe(2);
+      expect(order.discount.couponReserved).toBe(false);
+    });
+
+    it("expires stale unpaid orders and gives their uses back", async () => {
+      jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+      const stale = await place(new ObjectId());
+      const processing = await place(new ObjectId());
+      await Order.updateOne(
+        { _id: processing._id },
+        { paymentStatus: "processing" }
+      );
+      jest.advanceTimersByTime(2 * HOUR);
+      coupons.documents[0].usageLimit = 3;
+      const fresh = await place(new ObjectId());
+
+      expect(await Order.expireStale(HOUR)).toBe(1);
+
+      const statuses = Object.fromEntries(
+        orders.all().map((order) => [String(order._id), order.status])
+      );
+      expect(statuses).toEqual({
+        [stale._id]: "cancelled",
+        [processing._id]: "pending",
+        [fresh._id]: "pending",
+      });
+      expect(await usedCount()).toBe(2);
+    });
+  });
+});
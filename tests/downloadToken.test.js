@@ -0,0 +1,72 @@
+const {
+  createDownloadToken,
+  verifyDownloadToken,
+  DOWNLOAD_LINK_TTL,
+} = require("../utils/downloadToken");
+
+const item = {
+  orderId: "order1",
+  itemId: "item1",
+  uploadId: "upload1",
+  customerId: "customer1",
+};
+
+describe("download tokens", () => {
+  beforeEach(() => {
+    process.env.DOWNLOAD_TOKEN_SECRET = "test-secret";
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("round-trips the order item", () => {
+    const { token } = createDownloadToken(item);
+
+    expect(verifyDownloadToken(token)).toMatchObject(item);
+  });
+
+  it("rejects tampered payloads and signatures", () => {
+    const { token } = createDownloadToken(item);
+    const [payload, signature] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ ...item, customerId: "someone-else", exp: 9e15 })
+    ).toString("base64url");
+
+    expect(verifyDownloadToken(`${forged}.${signature}`)).toBeNull();
+    expect(verifyDownloadToken(`${payload}.${signature}x`)).toBeNull();
+    expect(verifyDownloadToken(`${token}.extra`)).toBeNull();
+    expect(verifyDownloadToken(undefined)).toBeNull();
+  });
+
+  it("rejects tokens signed with another secret", () => {
+    const { token } = createDownloadToken(item);
+    process.env.DOWNLOAD_TOKEN_SECRET = "rotated-secret";
+
+    expect(verifyDownloadToken(token)).toBeNull();
+  });
+
+  it("expires after the link lifetime", () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    const { token } = createDownloadToken(item);
+
+    jest.advanceTimersByTime(DOWNLOAD_LINK_TTL * 60 * 1000 - 1000);
+    expect(verifyDownloadToken(token)).not.toBeNull();
+
+    jest.advanceTimersByTime(2000);
+    expect(verifyDownloadToken(token)).toBeNull();
+  });
+
+  it("never outlives the download window of the purchase", () => {
+    const downloadExpires = new Date(Date.now() + 60 * 1000);
+    const { expiresAt } = createDownloadToken({ ...item, downloadExpires });
+
+    expect(expiresAt.getTime()).toBe(downloadExpires.getTime());
+  });
+
+  it("refuses to sign without a secret", () => {
+    delete process.env.DOWNLOAD_TOKEN_SECRET;
+
+    expect(() => createDownloadToken(item)).toThrow(/DOWNLOAD_TOKEN_SECRET/);
+  });
+});
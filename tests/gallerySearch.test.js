@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+
+jest.mock("sharp", () => jest.fn());
+
+const User = require("../models/User");
+const Upload = require("../models/Upload");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+describe("faceted gallery search", () => {
+  let sellers;
+
+  const upload = (fields) => ({
+    _id: new ObjectId(),
+    user: sellers[0]._id,
+    title: "Untitled",
+    category: "photography",
+    fileType: "image",
+    status: "approved",
+    price: 20,
+    tags: [],
+    createdAt: new Date("2026-01-01"),
+    ...fields,
+  });
+
+  const counts = (facet) =>
+    Object.fromEntries(facet.map(({ value, count }) => [value, count]));
+
+  beforeEach(() => {
+    sellers = [
+      new User({ firstName: "Omar", lastName: "Saleh", email: "o@x.com" }),
+      new User({ firstName: "Rana", lastName: "Aziz", email: "r@x.com" }),
+    ];
+    useMemoryCollection(User, sellers);
+    useMemoryCollection(Upload, [
+      upload({
+        title: "Dunes",
+        dimensions: { width: 4000, height: 2000 },
+        tags: ["desert"],
+      }),
+      upload({
+        title: "Minaret",
+        dimensions: { width: 2000, height: 4000 },
+        price: 120,
+        tags: ["desert", "city"],
+      }),
+      upload({
+        title: "Tiles",
+        dimensions: { width: 1000, height: 1020 },
+        category: "graphics",
+        user: sellers[1]._id,
+      }),
+      upload({ title: "Clip", fileType: "video", price: 0 }),
+      upload({ title: "Draft", status: "pending" }),
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("counts every facet over the approved uploads", async () => {
+    const { total, facets } = await Upload.facetedSearch({});
+
+    expect(total).toBe(4);
+    expect(counts(facets.categories)).toEqual({ photography: 3, graphics: 1 });
+    expect(counts(facets.fileTypes)).toEqual({ image: 3, video: 1 });
+    // The video has no dimensions, so no orientation either
+    expect(counts(facets.orientations)).toEqual({
+      landscape: 1,
+      portrait: 1,
+      square: 1,
+    });
+    expect(counts(facets.tags)).toEqual({ desert: 2, city: 1 });
+    expect(
+      facets.sellers.map(({ firstName, count }) => [firstName, count])
+    ).toEqual([
+      ["Omar", 3],
+      ["Rana", 1],
+    ]);
+    expect(counts(facets.priceRanges)).toMatchObject({
+      free: 1,
+      under_50: 2,
+      "100_250": 1,
+    });
+  });
+
+  it("keeps the other values of a filtered facet visible", async () => {
+    const { ids, facets } = await Upload.facetedSearch({
+      filters: { categories: ["graphics"] },
+    });
+
+    expect(ids).toHaveLength(1);
+    expect(facets.categories).toEqual([
+      { value: "photography", count: 3, selected: false },
+      { value: "graphics", count: 1, selected: true },
+    ]);
+    expect(counts(facets.orientations)).toEqual({ square: 1 });
+  });
+
+  it("requires every selected tag", async () => {
+    const { ids } = await Upload.facetedSearch({
+      filters: { tags: ["desert", "city"] },
+    });
+
+    expect(ids).toHaveLength(1);
+  });
+
+  it("filters by orientation and price range together", async () => {
+    const { ids, total } = await Upload.facetedSearch({
+      filters: {
+        orientations: ["landscape", "portrait"],
+        priceRanges: ["100_250"],
+      },
+    });
+
+    expect(total).toBe(1);
+    expect(ids).toHaveLength(1);
+  });
+
+  it("pages the results", async () => {
+    const first = await Upload.facetedSearch({ page: 1, limit: 3 });
+    const second = await Upload.facetedSearch({ page: 2, limit: 3 });
+
+    expect(first.ids).toHaveLength(3);
+    expect(second.ids).toHaveLength(1);
+    expect(second.total).toBe(4);
+  });
+});
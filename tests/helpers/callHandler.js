@@ -0,0 +1,54 @@
+/**
+ * Call an Express handler with a stub response and collect what it sent
+ * @param {Function} handler - Controller or middleware
+ * @param {Object} req - Request fields the handler reads
+ * @returns {Promise<Object>} { status, body, headers, cookies, error, nextCalled }
+ */
+const callHandler = async (handler, req = {}) => {
+  const result = { status: 200, headers: {}, cookies: {}, nextCalled: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+    send(body) {
+      result.body = body;
+      return this;
+    },
+    set(name, value) {
+      result.headers[name] = value;
+      return this;
+    },
+    cookie(name, value) {
+      result.cookies[name] = value;
+      return this;
+    },
+    type() {
+      return this;
+    },
+    sendStatus(code) {
+      result.status = code;
+      return this;
+    },
+  };
+
+  await handler(
+    { params: {}, query: {}, body: {}, headers: {}, ...req },
+    res,
+    (error) => {
+      result.nextCalled = true;
+      if (error) {
+        result.error = error;
+        result.status = error.statusCode || 500;
+      }
+    }
+  );
+
+  return result;
+};
+
+module.exports = callHandler;
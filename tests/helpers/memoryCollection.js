@@ -0,0 +1,282 @@
+const mongoose = require("mongoose");
+const mingo = require("mingo");
+const { updateOne: applyUpdate } = require("mingo/updater");
+
+const { ObjectId } = mongoose.Types;
+const OBJECT_ID = /^[0-9a-f]{24}$/;
+
+// Documents are stored with ObjectIds as hex strings: mingo compares values
+// structurally and can't tell two ObjectIds apart
+const toStored = (value) => {
+  if (value instanceof ObjectId) return value.toHexString();
+  // Subdocuments in casted updates serialize themselves like in the driver
+  if (value && typeof value.toBSON === "function") {
+    return toStored(value.toBSON());
+  }
+  if (Array.isArray(value)) return Array.from(value, toStored);
+  if (
+    value &&
+    typeof value === "object" &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !Buffer.isBuffer(value)
+  ) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toStored(item)])
+    );
+  }
+  return value;
+};
+
+const fromStored = (value) => {
+  if (typeof value === "string" && OBJECT_ID.test(value)) {
+    return new ObjectId(value);
+  }
+  if (Array.isArray(value)) return Array.from(value, fromStored);
+  if (
+    value &&
+    typeof value === "object" &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !Buffer.isBuffer(value)
+  ) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fromStored(item)])
+    );
+  }
+  return value;
+};
+
+// Fields a filter pins to one value, copied into upserted documents
+const equalityFields = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        (value === null ||
+          typeof value !== "object" ||
+          value instanceof Date ||
+          !Object.keys(value).some((op) => op.startsWith("$")))
+    )
+  );
+
+const duplicateKeyError = (fields) =>
+  Object.assign(new Error(`E11000 duplicate key error: ${fields}`), {
+    code: 11000,
+  });
+
+// Operators other than $setOnInsert, which only applies to upserts
+const withoutInsertOnly = (update) =>
+  Object.fromEntries(
+    Object.entries(update).filter(([operator]) => operator !== "$setOnInsert")
+  );
+
+// Documents of every collection backed in memory, for $lookup
+const collections = new Map();
+
+const valueAt = (doc, path) =>
+  path.split(".").reduce((value, key) => (value ? value[key] : undefined), doc);
+
+/**
+ * Back a model with an in-memory collection for the current test, so real
+ * queries, saves and hooks run without a database. Restore it with
+ * jest.restoreAllMocks().
+ * @param {Object} Model - Mongoose model
+ * @param {Object[]} seed - Documents to start with
+ * @returns {Object} { documents, all() } to inspect what was written
+ */
+const useMemoryCollection = (Model, seed = []) => {
+  const documents = seed.map((doc) =>
+    toStored(doc instanceof mongoose.Document ? doc.toObject() : doc)
+  );
+  const { collection } = Model;
+  collections.set(collection.collectionName, documents);
+
+  // Unique indexes of the schema, partial and sparse ones included
+  const uniqueIndexes = Model.schema
+    .indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({
+      paths: Object.keys(fields),
+      applies: (doc) =>
+        (!options.partialFilterExpression ||
+          new mingo.Query(options.partialFilterExpression).test(doc)) &&
+        (!options.sparse ||
+          Object.keys(fields).some((path) => valueAt(doc, path) !== undefined)),
+    }));
+
+  const insert = (doc) => {
+    uniqueIndexes.forEach(({ paths, applies }) => {
+      if (!applies(doc)) return;
+      const key = JSON.stringify(paths.map((path) => valueAt(doc, path)));
+      const taken = documents.some(
+        (other) =>
+          applies(other) &&
+          JSON.stringify(paths.map((path) => valueAt(other, path))) === key
+      );
+      if (taken) throw duplicateKeyError(paths.join(", "));
+    });
+    documents.push(doc);
+  };
+
+  const select = (filter, { sort, skip, limit, projection } = {}) => {
+    let cursor = mingo.find(
+      documents,
+      toStored(filter || {}),
+      projection && Object.keys(projection).length > 0 ? projection : undefined
+    );
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all().map(fromStored);
+  };
+
+  const matches = (filter) => {
+    const query = new mingo.Query(toStored(filter || {}));
+    return documents.filter((doc) => query.test(doc));
+  };
+
+  const upsert = (filter, update) => {
+    const doc = {
+      _id: new ObjectId().toHexString(),
+      ...toStored(equalityFields(filter)),
+      ...toStored(update.$setOnInsert || {}),
+    };
+    const rest = withoutInsertOnly(update);
+    if (Object.keys(rest).length > 0) {
+      applyUpdate([doc], {}, toStored(rest));
+    }
+    insert(doc);
+    return doc;
+  };
+
+  const update = (filter, changes, options = {}, many = false) => {
+    const rest = withoutInsertOnly(changes);
+    const targets = matches(filter);
+    if (targets.length === 0 && options.upsert) {
+      const doc = upsert(filter, changes);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: fromStored(doc._id),
+      };
+    }
+
+    let modifiedCount = 0;
+    (many ? targets : targets.slice(0, 1)).forEach((doc) => {
+      const result = applyUpdate(
+        [doc],
+        toStored(filter || {}),
+        toStored(rest),
+        options.arrayFilters ? { arrayFilters: options.arrayFilters } : {}
+      );
+      modifiedCount += result.modifiedCount;
+    });
+
+    return {
+      acknowledged: true,
+      matchedCount: many ? targets.length : Math.min(targets.length, 1),
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  };
+
+  const mock = (name, implementation) =>
+    jest.spyOn(collection, name).mockImplementation(implementation);
+
+  mock("insertOne", async (doc) => {
+    insert(toStored(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  mock("insertMany", async (docs) => {
+    docs.forEach((doc) => insert(toStored(doc)));
+    return { acknowledged: true, insertedCount: docs.length };
+  });
+  // Query cursors otherwise wait for a connection before calling find()
+  jest.spyOn(collection, "_shouldBufferCommands").mockReturnValue(false);
+  // Query cursors read the results one at a time
+  mock("find", (filter, options) => {
+    const found = select(filter, options);
+    let position = 0;
+    return {
+      toArray: async () => found,
+      next: async () => found[position++] || null,
+      close: async () => {},
+    };
+  });
+  mock(
+    "findOne",
+    async (filter, options) => select(filter, options)[0] || null
+  );
+  mock("countDocuments", async (filter) => matches(filter).length);
+  mock("distinct", async (field, filter) =>
+    [...new Set(select(filter).map((doc) => String(doc[field])))].map(
+      fromStored
+    )
+  );
+  mock("updateOne", async (filter, changes, options) =>
+    update(filter, changes, options)
+  );
+  mock("updateMany", async (filter, changes, options) =>
+    update(filter, changes, options, true)
+  );
+  mock("findOneAndUpdate", async (filter, changes, options = {}) => {
+    const [before] = select(filter, { sort: options.sort });
+    const result = update(
+      before ? { _id: before._id } : filter,
+      changes,
+      options
+    );
+    const id = before ? before._id : result.upsertedId;
+    const after = id ? select({ _id: id }, options)[0] : null;
+    return {
+      value: options.returnDocument === "after" ? after : before || null,
+    };
+  });
+  mock("deleteOne", async (filter) => {
+    const [doc] = matches(filter);
+    if (doc) documents.splice(documents.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  });
+  mock("deleteMany", async (filter) => {
+    const targets = matches(filter);
+    targets.forEach((doc) => documents.splice(documents.indexOf(doc), 1));
+    return { acknowledged: true, deletedCount: targets.length };
+  });
+  // Model.bulkWrite still hands the collection a callback
+  mock("bulkWrite", async (operations, options, callback) => {
+    const totals = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    operations.forEach((operation) => {
+      const [type] = Object.keys(operation);
+      if (type !== "updateOne" && type !== "updateMany") {
+        throw new Error(`bulkWrite ${type} is not supported`);
+      }
+      const { filter, update: changes, ...options } = operation[type];
+      const result = update(filter, changes, options, type === "updateMany");
+      totals.matchedCount += result.matchedCount;
+      totals.modifiedCount += result.modifiedCount;
+      totals.upsertedCount += result.upsertedCount;
+    });
+    const result = { acknowledged: true, ...totals };
+    if (callback) callback(null, result);
+    return result;
+  });
+  mock("aggregate", (pipeline) => ({
+    toArray: async () =>
+      mingo
+        .aggregate(documents, toStored(pipeline), {
+          collectionResolver: (name) => collections.get(name) || [],
+        })
+        .map(fromStored),
+  }));
+
+  return {
+    documents,
+    all: () => documents.map(fromStored),
+  };
+};
+
+module.exports = useMemoryCollection;
@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+
+jest.mock("sharp", () => jest.fn());
+
+const User = require("../models/User");
+const Upload = require("../models/Upload");
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const {
+  verifyLicense,
+  getLicenseCertificate,
+} = require("../controllers/licenseController");
+const { tiers } = require("../config/licenses");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+describe("licenses", () => {
+  describe("tier prices", () => {
+    it("offers the default tiers priced from the base price", () => {
+      const licenses = Upload.buildLicenses(20);
+
+      expect(licenses.map(({ tier, price }) => [tier, price])).toEqual([
+        ["personal", 20],
+        ["commercial", 60],
+        ["extended", 200],
+      ]);
+      expect(licenses[0].terms).toBe(tiers.personal.terms);
+    });
+
+    it("keeps what the seller set on a tier", () => {
+      const [editorial] = Upload.buildLicenses(20, [
+        { tier: "editorial", price: "45", downloadLimit: null },
+      ]);
+
+      expect(editorial).toMatchObject({ price: 45, downloadLimit: null });
+      expect(editorial.terms).toBe(tiers.editorial.terms);
+    });
+
+    it("moves derived tier prices with the base price only", () => {
+      const licenses = [
+        { tier: "personal", price: 20 },
+        { tier: "commercial", price: 99 },
+        { tier: "extended", price: 200 },
+      ];
+
+      const repriced = Upload.repriceLicenses(licenses, 20, 30);
+
+      expect(repriced.map(({ price }) => price)).toEqual([30, 99, 300]);
+    });
+  });
+
+  describe("purchased licenses", () => {
+    let customer;
+    let upload;
+    let order;
+
+    const certificate = (format) =>
+      callHandler(getLicenseCertificate, {
+        user: customer,
+        permissions: new Set(),
+        params: { id: order._id, itemId: order.items[0]._id },
+        query: { format },
+      });
+
+    beforeEach(async () => {
+      const seller = new User({
+        firstName: "Omar",
+        lastName: "Saleh",
+        email: "omar@example.com",
+      });
+      customer = new User({
+        firstName: "لينا",
+        lastName: "حداد",
+        email: "lina@example.com",
+      });
+      upload = {
+        _id: new ObjectId(),
+        user: seller._id,
+        title: "Dunes",
+        category: "photography",
+        status: "approved",
+        licenses: Upload.buildLicenses(20),
+      };
+
+      useMemoryCollection(User, [seller, customer]);
+      useMemoryCollection(Upload, [upload]);
+      useMemoryCollection(Settings);
+      useMemoryCollection(Order);
+
+      const { tier, price, terms, downloadLimit } = upload.licenses[1];
+      order = await Order.create({
+        orderNumber: "ORD-1",
+        customer: customer._id,
+        items: [
+          {
+            upload: upload._id,
+            price,
+            license: { tier, terms, downloadLimit },
+            downloadUrl: "/api/orders/ORD-1/download",
+            downloadExpires: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          },
+        ],
+        totalAmount: price,
+        paymentMethod: "credit_card",
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("issues a license ID on payment that anyone can verify", async () => {
+      expect(order.items[0].license.licenseId).toBeUndefined();
+      await order.markAsPaid("pay_1");
+      const { licenseId } = order.items[0].license;
+
+      const res = await callHandler(verifyLicense, {
+        params: { licenseId: licenseId.toLowerCase() },
+      });
+
+      expect(licenseId).toMatch(/^SKY(-[0-9A-F]{4}){4}$/);
+      expect(res.body.data).toMatchObject({
+        licenseId,
+        status: "valid",
+        tier: "commercial",
+        licensee: "لينا حداد",
+      });
+      expect(res.body.data.upload.photographer).toBe("Omar Saleh");
+    });
+
+    it("revokes the license of a refunded order", async () => {
+      await order.markAsPaid("pay_1");
+      await Order.updateOne({ _id: order._id }, { status: "refunded" });
+
+      const verified = await callHandler(verifyLicense, {
+        params: { licenseId: order.items[0].license.licenseId },
+      });
+
+      expect(verified.body.data.status).toBe("revoked");
+      expect((await certificate("html")).error.errorCode).toBe(
+        "license_revoked"
+      );
+    });
+
+    it("renders the certificate as HTML and PDF", async () => {
+      await order.markAsPaid("pay_1");
+
+      const html = await certificate("html");
+      const pdf = await certificate("pdf");
+
+      expect(html.body).toContain(order.items[0].license.licenseId);
+      expect(html.body).toContain("لينا حداد");
+      expect(pdf.headers["Content-Type"]).toBe("application/pdf");
+      expect(pdf.body.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+jest.mock("sharp", () => jest.fn());
+
+const Upload = require("../models/Upload");
+const Like = require("../models/Like");
+const { toggleLike } = require("../controllers/galleryController");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+describe("upload likes", () => {
+  let upload;
+  let uploads;
+  let likes;
+
+  const toggle = (userId, action) =>
+    callHandler(toggleLike, {
+      user: { _id: userId },
+      params: { id: upload._id },
+      body: { action },
+    });
+
+  const counter = () => uploads.all()[0].likes;
+
+  beforeEach(() => {
+    upload = {
+      _id: new ObjectId(),
+      user: new ObjectId(),
+      title: "Dunes",
+      status: "approved",
+      likes: 0,
+    };
+    uploads = useMemoryCollection(Upload, [upload]);
+    likes = useMemoryCollection(Like);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("counts one like per user", async () => {
+    const userId = new ObjectId();
+
+    const first = await toggle(userId, "like");
+    const second = await toggle(userId, "like");
+    await toggle(new ObjectId(), "like");
+
+    expect(first.body.data).toMatchObject({ likes: 1, likedByMe: true });
+    expect(second.body.data.likes).toBe(1);
+    expect(counter()).toBe(2);
+    expect(likes.all()).toHaveLength(2);
+  });
+
+  it("counts concurrent likes of the same user once", async () => {
+    const userId = new ObjectId();
+
+    await Promise.all([toggle(userId, "like"), toggle(userId, "like")]);
+
+    expect(counter()).toBe(1);
+    expect(likes.all()).toHaveLength(1);
+  });
+
+  it("only takes back likes the user gave", async () => {
+    const userId = new ObjectId();
+    await toggle(userId, "like");
+
+    await toggle(new ObjectId(), "unlike");
+    expect(counter()).toBe(1);
+
+    const unliked = await toggle(userId, "unlike");
+    await toggle(userId, "unlike");
+
+    expect(unliked.body.data).toMatchObject({ likes: 0, likedByMe: false });
+    expect(counter()).toBe(0);
+    expect(likes.all()).toHaveLength(0);
+  });
+
+  it("reports which uploads a user liked", async () => {
+    const userId = new ObjectId();
+    await toggle(userId, "like");
+
+    const liked = await Like.getLikedUploadIds(userId, [
+      upload._id,
+      new ObjectId(),
+    ]);
+
+    expect([...liked]).toEqual([String(upload._id)]);
+  });
+
+  it("rejects uploads that aren't approved", async () => {
+    uploads.documents[0].status = "pending";
+
+    const res = await toggle(new ObjectId(), "like");
+
+    expect(res.error.errorCode).toBe("upload_not_found");
+    expect(likes.all()).toHaveLength(0);
+  });
+});
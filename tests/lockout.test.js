@@ -0,0 +1,134 @@
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const Settings = require("../models/Settings");
+const UserSecurity = require("../utils/userSecurity");
+const { accountLocking } = require("../config/security");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const PASSWORD = "Correct-horse-1";
+const MINUTE = 60 * 1000;
+
+describe("account lockout", () => {
+  let users;
+  let settings;
+  let userId;
+
+  const request = { ip: "10.0.0.1", get: () => "jest" };
+  const login = (password) =>
+    UserSecurity.secureLogin("lina@example.com", password, request);
+  const failTimes = async (count) => {
+    let result;
+    for (let attempt = 0; attempt < count; attempt += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      result = await login("wrong-password");
+    }
+    return result;
+  };
+  const stored = () => users.all().find((doc) => doc._id.equals(userId));
+
+  beforeEach(async () => {
+    // bcrypt schedules its rounds with setImmediate
+    jest.useFakeTimers({
+      now: new Date("2026-01-01T00:00:00Z"),
+      doNotFake: ["setImmediate", "nextTick"],
+    });
+    const user = new User({
+      firstName: "Lina",
+      lastName: "Haddad",
+      email: "lina@example.com",
+      password: await bcrypt.hash(PASSWORD, 4),
+    });
+    userId = user._id;
+    users = useMemoryCollection(User, [user]);
+    settings = useMemoryCollection(Settings);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("locks the account after the maximum failed attempts", async () => {
+    const beforeLock = await failTimes(accountLocking.maxLoginAttempts - 1);
+    expect(beforeLock.reason).toBe("invalid_credentials");
+
+    const locked = await login("wrong-password");
+
+    expect(locked).toMatchObject({
+      reason: "account_locked",
+      newlyLocked: true,
+    });
+    expect(locked.lockUntil.getTime() - Date.now()).toBe(
+      accountLocking.lockDuration
+    );
+    // Even the right password is refused while locked
+    expect((await login(PASSWORD)).reason).toBe("account_locked");
+  });
+
+  it("does not extend a lock with attempts made during it", async () => {
+    const { lockUntil } = await failTimes(accountLocking.maxLoginAttempts);
+
+    await failTimes(3);
+
+    expect(stored().lockUntil).toEqual(lockUntil);
+    expect(stored().lockCount).toBe(1);
+  });
+
+  it("doubles the lock duration for each consecutive lockout", async () => {
+    const durations = [];
+    for (let lockout = 0; lockout < 3; lockout += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const { lockUntil } = await failTimes(accountLocking.maxLoginAttempts);
+      durations.push(lockUntil.getTime() - Date.now());
+      jest.setSystemTime(lockUntil.getTime() + 1);
+    }
+
+    expect(durations).toEqual([
+      accountLocking.lockDuration,
+      accountLocking.lockDuration * 2,
+      accountLocking.lockDuration * 4,
+    ]);
+  });
+
+  it("caps the lock duration", async () => {
+    // Many lockouts in a row would overflow into a lock of years
+    users.documents[0].lockCount = 30;
+
+    const { lockUntil } = await failTimes(accountLocking.maxLoginAttempts);
+
+    expect(lockUntil.getTime() - Date.now()).toBe(
+      accountLocking.maxLockDuration
+    );
+  });
+
+  it("resets the progression after a successful login", async () => {
+    const { lockUntil } = await failTimes(accountLocking.maxLoginAttempts);
+    jest.setSystemTime(lockUntil.getTime() + MINUTE);
+
+    expect((await login(PASSWORD)).success).toBe(true);
+    expect(stored().lockCount).toBeUndefined();
+
+    const next = await failTimes(accountLocking.maxLoginAttempts);
+    expect(next.lockUntil.getTime() - Date.now()).toBe(
+      accountLocking.lockDuration
+    );
+  });
+
+  it("uses the max_login_attempts setting when it is set", async () => {
+    settings.documents.push({ key: "max_login_attempts", value: 3 });
+
+    expect((await failTimes(3)).reason).toBe("account_locked");
+  });
+
+  it("unlocks with a valid unlock token only", async () => {
+    await failTimes(accountLocking.maxLoginAttempts);
+    const user = await User.findById(userId);
+    const token = user.createUnlockToken(accountLocking.unlockTokenExpires);
+
+    expect(user.verifyUnlockToken("not-the-token")).toBe(false);
+    expect(user.verifyUnlockToken(token)).toBe(true);
+
+    jest.advanceTimersByTime(accountLocking.unlockTokenExpires + 1);
+    expect(user.verifyUnlockToken(token)).toBe(false);
+  });
+});
@@ -0,0 +1,145 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+process.env.ACCESS_TOKEN_SECRET = "access-secret";
+process.env.ACCESS_TOKEN_EXPIRES = "15m";
+process.env.REFRESH_TOKEN_SECRET = "refresh-secret";
+process.env.REFRESH_TOKEN_EXPIRES = "7d";
+
+jest.mock("../utils/sendEmail", () => jest.fn());
+
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Notification = require("../models/Notification");
+const sendEmail = require("../utils/sendEmail");
+const {
+  login,
+  verifyLoginChallenge,
+  secureAccount,
+} = require("../controllers/authController");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const PASSWORD = "Correct-horse-1";
+const LAPTOP = { ip: "10.0.0.1", userAgent: "Firefox on Linux" };
+const PHONE = { ip: "172.16.0.9", userAgent: "Safari on iOS" };
+
+describe("login alerts", () => {
+  let users;
+  let sessions;
+  let notifications;
+  let userId;
+
+  const request = (device, body) => ({
+    body,
+    ip: device.ip,
+    get: () => device.userAgent,
+    cookies: {},
+    session: {},
+  });
+  const signIn = (device) =>
+    callHandler(
+      login,
+      request(device, { email: "lina@example.com", password: PASSWORD })
+    );
+  const stored = () => users.all().find((doc) => doc._id.equals(userId));
+  const lastEmail = () => sendEmail.mock.calls.at(-1)[0];
+
+  beforeEach(async () => {
+    sendEmail.mockReset();
+    const user = new User({
+      firstName: "Lina",
+      lastName: "Haddad",
+      email: "lina@example.com",
+      password: await bcrypt.hash(PASSWORD, 4),
+    });
+    userId = user._id;
+
+    // The login flow reads models beyond the ones inspected here
+    Object.values(mongoose.models).forEach((Model) => {
+      if (![User, Session, Notification].includes(Model)) {
+        useMemoryCollection(Model);
+      }
+    });
+    users = useMemoryCollection(User, [user]);
+    sessions = useMemoryCollection(Session);
+    notifications = useMemoryCollection(Notification);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("alerts the owner of a login from a new device only", async () => {
+    expect((await signIn(LAPTOP)).status).toBe(201);
+    expect((await signIn(LAPTOP)).status).toBe(201);
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    expect((await signIn(PHONE)).status).toBe(201);
+
+    expect(lastEmail().subject).toMatch(/New login/);
+    expect(lastEmail().html).toContain(PHONE.userAgent);
+    expect(notifications.all()).toEqual([
+      expect.objectContaining({ title: "New Login" }),
+    ]);
+  });
+
+  it("signs out everything from the alert's link until the password is reset", async () => {
+    await signIn(LAPTOP);
+    await signIn(PHONE);
+    const [, token] = lastEmail().html.match(/secure-account\?token=([^"\s]+)/);
+
+    const secured = await callHandler(secureAccount, { body: { token } });
+
+    expect(secured.status).toBe(200);
+    expect(sessions.all().every((session) => session.revokedAt)).toBe(true);
+    expect(stored().passwordResetRequired).toBe(true);
+    expect((await signIn(LAPTOP)).error.errorCode).toBe(
+      "password_reset_required"
+    );
+  });
+
+  describe("flagged accounts", () => {
+    const challenge = async () => {
+      users.documents[0].suspiciousActivity = true;
+      const res = await signIn(LAPTOP);
+      const [, code] = lastEmail().html.match(/>(\d{6})</);
+      return { challengeToken: res.body.challengeToken, code, res };
+    };
+    const answer = (body) =>
+      callHandler(verifyLoginChallenge, request(LAPTOP, body));
+
+    it("asks for the emailed code before signing in", async () => {
+      const { res } = await challenge();
+
+      expect(res.body.status).toBe("login_challenge_required");
+      expect(sessions.all()).toHaveLength(0);
+    });
+
+    it("signs in with the code once and clears the flag", async () => {
+      const { challengeToken, code } = await challenge();
+
+      const wrong = await answer({ challengeToken, code: "000000" });
+      const right = await answer({ challengeToken, code });
+      const replay = await answer({ challengeToken, code });
+
+      expect(wrong.error.errorCode).toBe("invalid_login_challenge_code");
+      expect(right.status).toBe(201);
+      expect(replay.error.errorCode).toBe("invalid_login_challenge_code");
+      expect(stored().suspiciousActivity).toBe(false);
+    });
+
+    it("rejects challenge tokens made for another purpose", async () => {
+      const { code } = await challenge();
+      const token = jwt.sign(
+        { sub: String(userId), purpose: "secure_account" },
+        process.env.ACCESS_TOKEN_SECRET
+      );
+
+      const res = await answer({ challengeToken: token, code });
+
+      expect(res.error.errorCode).toBe("invalid_login_challenge");
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+jest.mock("sharp", () => jest.fn());
+
+const User = require("../models/User");
+const Upload = require("../models/Upload");
+const Order = require("../models/Order");
+const { placeOrder } = require("../utils/orderPlacement");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+describe("placeOrder", () => {
+  let seller;
+  let upload;
+  let orders;
+
+  const place = (customerId, license = "personal") =>
+    placeOrder(customerId, {
+      items: [{ uploadId: upload._id, license }],
+      paymentMethod: "credit_card",
+    });
+
+  beforeEach(() => {
+    seller = new User({
+      firstName: "Omar",
+      lastName: "Saleh",
+      email: "omar@example.com",
+    });
+    upload = {
+      _id: new ObjectId(),
+      user: seller._id,
+      title: "Dunes",
+      category: "photography",
+      status: "approved",
+      licenses: [{ tier: "personal", price: 100 }],
+    };
+
+    useMemoryCollection(User, [seller]);
+    useMemoryCollection(Upload, [upload]);
+    orders = useMemoryCollection(Order);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("creates a pending order with a unique order number", async () => {
+    const placed = await Promise.all([
+      place(new ObjectId()),
+      place(new ObjectId()),
+    ]);
+
+    expect(placed.map((order) => order.status)).toEqual(["pending", "pending"]);
+    expect(placed[0].totalAmount).toBe(100);
+    expect(placed[0].orderNumber).toMatch(/^ORD-\d+-[0-9A-F]{6}$/);
+    expect(placed[0].orderNumber).not.toBe(placed[1].orderNumber);
+    expect(orders.all()).toHaveLength(2);
+  });
+
+  it("rejects licenses the upload isn't sold under", async () => {
+    await expect(place(new ObjectId(), "commercial")).rejects.toMatchObject({
+      errorCode: "license_not_available",
+    });
+  });
+
+  it("rejects the seller's own upload", async () => {
+    await expect(place(seller._id)).rejects.toMatchObject({
+      errorCode: "own_upload",
+    });
+  });
+
+  it("rejects a license the customer already bought", async () => {
+    const customerId = new ObjectId();
+    const order = await place(customerId);
+    await Order.updateOne({ _id: order._id }, { status: "paid" });
+
+    await expect(place(customerId)).rejects.toMatchObject({
+      errorCode: "already_purchased",
+    });
+  });
+});
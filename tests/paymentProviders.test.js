@@ -0,0 +1,71 @@
+const ENV_KEYS = [
+  "NODE_ENV",
+  "FAKE_PAYMENTS_ENABLED",
+  "FAKE_PAYMENT_WEBHOOK_SECRET",
+];
+
+// Load the provider registry with a fresh module cache and the given env
+const loadPayments = (env) => {
+  let payments;
+  jest.isolateModules(() => {
+    ENV_KEYS.forEach((key) => {
+      if (env[key] === undefined) delete process.env[key];
+      else process.env[key] = env[key];
+    });
+    payments = require("../utils/payments");
+  });
+  return payments;
+};
+
+describe("payment provider registry", () => {
+  const saved = {};
+
+  beforeAll(() => {
+    ENV_KEYS.forEach((key) => {
+      saved[key] = process.env[key];
+    });
+  });
+
+  afterAll(() => {
+    ENV_KEYS.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  it("doesn't register the fake provider unless it is enabled", () => {
+    const { getProvider } = loadPayments({
+      NODE_ENV: "development",
+      FAKE_PAYMENT_WEBHOOK_SECRET: "secret",
+    });
+
+    expect(getProvider("fake")).toBeNull();
+  });
+
+  it("registers the fake provider when enabled with a secret", () => {
+    const { getProvider, getProviderForMethod } = loadPayments({
+      NODE_ENV: "development",
+      FAKE_PAYMENTS_ENABLED: "true",
+      FAKE_PAYMENT_WEBHOOK_SECRET: "secret",
+    });
+
+    expect(getProvider("fake")).not.toBeNull();
+    expect(getProviderForMethod("credit_card").name).toBe("fake");
+  });
+
+  it("refuses to enable the fake provider without a secret", () => {
+    expect(() =>
+      loadPayments({ NODE_ENV: "development", FAKE_PAYMENTS_ENABLED: "true" })
+    ).toThrow(/FAKE_PAYMENT_WEBHOOK_SECRET/);
+  });
+
+  it("refuses to enable the fake provider in production", () => {
+    expect(() =>
+      loadPayments({
+        NODE_ENV: "production",
+        FAKE_PAYMENTS_ENABLED: "true",
+        FAKE_PAYMENT_WEBHOOK_SECRET: "secret",
+      })
+    ).toThrow(/production/);
+  });
+});
@@ -0,0 +1,229 @@
+const mongoose = require("mongoose");
+
+process.env.FAKE_PAYMENTS_ENABLED = "true";
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = "webhook-secret";
+
+const Order = require("../models/Order");
+const Upload = require("../models/Upload");
+const Revenue = require("../models/Revenue");
+const PaymentEvent = require("../models/PaymentEvent");
+const Notification = require("../models/Notification");
+const { getProvider, canTransition } = require("../utils/payments");
+const { handleWebhook } = require("../controllers/paymentController");
+const callHandler = require("./helpers/callHandler");
+
+const fake = getProvider("fake");
+const { ObjectId } = mongoose.Types;
+
+// Deliver a signed webhook the way the fake gateway does
+const deliver = (intentId, status, options) => {
+  const { body, headers } = fake.buildWebhookEvent(intentId, status, options);
+  return callHandler(handleWebhook, {
+    params: { provider: "fake" },
+    headers: { "x-fake-signature": headers["x-fake-signature"] },
+    rawBody: Buffer.from(body),
+  });
+};
+
+// Atomic updates of fulfillOrder applied to the in-memory order
+const applyOrderUpdate = (order) => async (filter, update) => {
+  const set = update.$set || {};
+  if ("items.$.fulfilledAt" in set) {
+    const claim = filter.items && filter.items.$elemMatch;
+    const item = order.items.id(claim ? claim._id : filter["items._id"]);
+    if (claim && item.fulfilledAt) return { modifiedCount: 0 };
+    item.fulfilledAt = set["items.$.fulfilledAt"];
+    return { modifiedCount: 1 };
+  }
+  if ("fulfilledAt" in set) {
+    if (order.fulfilledAt) return { modifiedCount: 0 };
+    order.fulfilledAt = set.fulfilledAt;
+    return { modifiedCount: 1 };
+  }
+  return { modifiedCount: 0 };
+};
+
+describe("payment webhooks", () => {
+  let order;
+  let uploads;
+  let events;
+
+  beforeEach(async () => {
+    const intent = await fake.createIntent({
+      orderId: new ObjectId(),
+      amount: 150,
+      currency: "SAR",
+      method: "credit_card",
+    });
+
+    uploads = [1, 2].map(
+      (n) =>
+        new Upload({
+          user: new ObjectId(),
+          title: `Photo ${n}`,
+          price: 50 * n,
+        })
+    );
+    order = new Order({
+      orderNumber: "ORD-1",
+      customer: new ObjectId(),
+      items: uploads.map((upload) => ({
+        upload: upload._id,
+        price: upload.price,
+        downloadExpires: new Date(),
+        license: { tier: "personal" },
+      })),
+      totalAmount: 150,
+      paymentMethod: "credit_card",
+      paymentProvider: "fake",
+      paymentIntentId: intent.intentId,
+    });
+
+    jest.spyOn(Order, "findOne").mockImplementation(async () => order);
+    jest.spyOn(Order, "updateOne").mockImplementation(applyOrderUpdate(order));
+    jest.spyOn(Order.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+    jest
+      .spyOn(Order.prototype, "populate")
+      .mockImplementation(async function () {
+        this.items.forEach((item, index) => {
+          item.upload = uploads[index];
+        });
+        this.customer = {
+          _id: this.customer,
+          firstName: "Sara",
+          lastName: "Ali",
+        };
+        return this;
+      });
+    uploads.forEach((upload) => {
+      jest.spyOn(upload, "recordSale").mockResolvedValue(upload);
+    });
+    jest.spyOn(Revenue, "createUploadSaleRevenue").mockResolvedValue({});
+    jest.spyOn(Notification, "createNotification").mockResolvedValue({});
+
+    // Event ids are unique, a second delivery of one is a replay
+    events = new Map();
+    jest.spyOn(PaymentEvent, "recordOnce").mockImplementation(async (data) => {
+      if (events.has(data.eventId)) return null;
+      const record = { _id: new ObjectId(), ...data };
+      events.set(data.eventId, record);
+      return record;
+    });
+    jest
+      .spyOn(PaymentEvent, "deleteOne")
+      .mockImplementation(async ({ _id }) => {
+        events.forEach((record, eventId) => {
+          if (record._id.equals(_id)) events.delete(eventId);
+        });
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("only allows forward payment status transitions", () => {
+    expect(canTransition("pending", "completed")).toBe(true);
+    expect(canTransition("processing", "failed")).toBe(true);
+    expect(canTransition("completed", "failed")).toBe(false);
+    expect(canTransition("failed", "completed")).toBe(false);
+    expect(canTransition("refunded", "completed")).toBe(false);
+  });
+
+  it("rejects webhooks with a bad signature", async () => {
+    const res = await callHandler(handleWebhook, {
+      params: { provider: "fake" },
+      headers: { "x-fake-signature": "forged" },
+      rawBody: Buffer.from("{}"),
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.error.errorCode).toBe("invalid_signature");
+    expect(PaymentEvent.recordOnce).not.toHaveBeenCalled();
+  });
+
+  it("marks the order paid and fulfils every item once", async () => {
+    const res = await deliver(order.paymentIntentId, "completed");
+
+    expect(res.body.data).toMatchObject({ applied: true });
+    expect(order.status).toBe("paid");
+    expect(order.paymentStatus).toBe("completed");
+    expect(order.items.every((item) => item.license.licenseId)).toBe(true);
+    expect(Revenue.createUploadSaleRevenue).toHaveBeenCalledTimes(2);
+    uploads.forEach((upload, index) => {
+      expect(upload.recordSale).toHaveBeenCalledWith(
+        order.items[index].linePrice
+      );
+    });
+    expect(order.fulfilledAt).toBeInstanceOf(Date);
+  });
+
+  it("acknowledges a replayed event without applying it again", async () => {
+    await deliver(order.paymentIntentId, "completed", { eventId: "evt_1" });
+    const res = await deliver(order.paymentIntentId, "completed", {
+      eventId: "evt_1",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ received: true, applied: false });
+    expect(Revenue.createUploadSaleRevenue).toHaveBeenCalledTimes(2);
+  });
+
+  it("ignores stale transitions of a fulfilled order", async () => {
+    await deliver(order.paymentIntentId, "completed");
+    const markPaymentFailed = jest.spyOn(order, "markPaymentFailed");
+
+    const failed = await deliver(order.paymentIntentId, "failed");
+    const completedAgain = await deliver(order.paymentIntentId, "completed");
+
+    expect(failed.body.data.applied).toBe(false);
+    expect(completedAgain.body.data.applied).toBe(false);
+    expect(markPaymentFailed).not.toHaveBeenCalled();
+    expect(order.paymentStatus).toBe("completed");
+  });
+
+  it("resumes an interrupted fulfilment when the provider retries", async () => {
+    Revenue.createUploadSaleRevenue
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error("connection lost"));
+
+    const first = await deliver(order.paymentIntentId, "completed", {
+      eventId: "evt_retry",
+    });
+
+    // The event is released so the retry is applied, the failed item is
+    // unclaimed and the order isn't marked fulfilled
+    expect(first.status).toBe(500);
+    expect(events.has("evt_retry")).toBe(false);
+    expect(order.paymentStatus).toBe("completed");
+    expect(order.items[0].fulfilledAt).toBeInstanceOf(Date);
+    expect(order.items[1].fulfilledAt).toBeNull();
+    expect(order.fulfilledAt).toBeFalsy();
+
+    const markAsPaid = jest.spyOn(order, "markAsPaid");
+    const retry = await deliver(order.paymentIntentId, "completed", {
+      eventId: "evt_retry",
+    });
+
+    expect(retry.body.data.applied).toBe(true);
+    expect(markAsPaid).not.toHaveBeenCalled();
+    expect(uploads[0].recordSale).toHaveBeenCalledTimes(1);
+    expect(uploads[1].recordSale).toHaveBeenCalledTimes(1);
+    expect(order.fulfilledAt).toBeInstanceOf(Date);
+  });
+
+  it("records a failed payment and tells the customer", async () => {
+    const res = await deliver(order.paymentIntentId, "failed");
+
+    expect(res.body.data).toMatchObject({
+      applied: true,
+      paymentStatus: "failed",
+    });
+    expect(Notification.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ user: order.customer, title: "Payment Failed" })
+    );
+    expect(Revenue.createUploadSaleRevenue).not.toHaveBeenCalled();
+  });
+});
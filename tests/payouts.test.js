@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const Revenue = require("../models/Revenue");
+const Settings = require("../models/Settings");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Notification = require("../models/Notification");
+const {
+  requestPayout,
+  rejectPayout,
+} = require("../controllers/earningsController");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+describe("payout requests", () => {
+  let seller;
+  let ledger;
+
+  const request = (amount) =>
+    callHandler(requestPayout, {
+      user: seller,
+      body: { amount, paymentMethod: "bank_transfer" },
+    });
+
+  beforeEach(() => {
+    seller = new User({ firstName: "Omar", lastName: "Saleh" });
+    ledger = useMemoryCollection(Revenue, [
+      {
+        _id: new ObjectId(),
+        user: seller._id,
+        type: "upload_sale",
+        amount: 300,
+        netAmount: 300,
+        status: "completed",
+        description: "Sale",
+      },
+    ]);
+    useMemoryCollection(Settings);
+    useMemoryCollection(User, [seller]);
+    useMemoryCollection(Role);
+    useMemoryCollection(Notification);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openPayouts = () =>
+    ledger
+      .all()
+      .filter(
+        (entry) =>
+          entry.type === "withdrawal" &&
+          ["pending", "approved"].includes(entry.status)
+      );
+
+  it("reserves the amount of a request within the balance", async () => {
+    const res = await request(100);
+
+    expect(res.status).toBe(201);
+    expect(openPayouts()).toHaveLength(1);
+    expect(await Revenue.getUserBalance(seller._id)).toMatchObject({
+      available: 200,
+      inPayout: 100,
+    });
+  });
+
+  it("rejects amounts below the minimum or above the balance", async () => {
+    expect((await request(10)).error.errorCode).toBe("payout_below_minimum");
+    expect((await request(400)).error.errorCode).toBe("insufficient_balance");
+    expect(openPayouts()).toHaveLength(0);
+  });
+
+  it("allows one open request at a time", async () => {
+    await request(100);
+    const second = await request(50);
+
+    expect(second.status).toBe(409);
+    expect(second.error.errorCode).toBe("payout_in_progress");
+    expect(openPayouts()).toHaveLength(1);
+  });
+
+  it("lets only one of two concurrent requests through", async () => {
+    const results = await Promise.all([request(250), request(250)]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 409]);
+    expect(openPayouts()).toHaveLength(1);
+    expect((await Revenue.getUserBalance(seller._id)).available).toBe(50);
+  });
+
+  it("accepts a new request once the open one is rejected", async () => {
+    const first = await request(100);
+
+    await callHandler(rejectPayout, {
+      params: { id: first.body.data._id },
+      body: { reason: "Wrong account" },
+    });
+    const second = await request(100);
+
+    expect(second.status).toBe(201);
+    expect(openPayouts()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const { can } = require("../controllers/authController");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+const account = (role, active = true) => ({
+  _id: new ObjectId(),
+  firstName: role,
+  lastName: "Account",
+  email: `${role}-${active}@example.com`,
+  role,
+  active,
+});
+
+describe("permissions", () => {
+  let roles;
+
+  beforeEach(async () => {
+    roles = useMemoryCollection(Role);
+    // Saving a role clears the permissions cached by earlier tests
+    await Role.create({
+      name: "moderator",
+      permissions: ["uploads.moderate"],
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("findWithPermission", () => {
+    const emailsWith = async (permission) =>
+      (await User.findWithPermission(permission))
+        .map((user) => user.email)
+        .sort();
+
+    beforeEach(() => {
+      useMemoryCollection(User, [
+        account("master"),
+        account("admin"),
+        account("admin", false),
+        account("moderator"),
+        account("partner"),
+        account("user"),
+      ]);
+    });
+
+    it("returns the active users of every role granting the permission", async () => {
+      expect(await emailsWith("uploads.moderate")).toEqual([
+        "admin-true@example.com",
+        "master-true@example.com",
+        "moderator-true@example.com",
+      ]);
+    });
+
+    it("follows permissions edited on a seeded role", async () => {
+      await Role.create({ name: "admin", permissions: ["users.read"] });
+
+      expect(await emailsWith("earnings.manage")).toEqual([
+        "master-true@example.com",
+      ]);
+    });
+  });
+
+  describe("can", () => {
+    const check = async (role, permission) => {
+      const req = { permissions: await Role.getPermissions(role) };
+      return callHandler(can(permission), req);
+    };
+
+    it("allows roles granting the permission", async () => {
+      expect((await check("moderator", "uploads.moderate")).error).toBe(
+        undefined
+      );
+      expect((await check("master", "roles.manage")).error).toBe(undefined);
+    });
+
+    it("rejects roles without the permission", async () => {
+      const res = await check("moderator", "earnings.manage");
+
+      expect(res.status).toBe(403);
+      expect(res.error.errorCode).toBe("not_authorized");
+    });
+
+    it("applies role edits to the next check", async () => {
+      expect((await check("moderator", "blog.manage")).status).toBe(403);
+
+      await Role.updateOne(
+        { name: "moderator" },
+        { $push: { permissions: "blog.manage" } }
+      );
+
+      expect((await check("moderator", "blog.manage")).error).toBe(undefined);
+      expect(roles.all()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+process.env.ACCESS_TOKEN_SECRET = "access-secret";
+process.env.ACCESS_TOKEN_EXPIRES = "15m";
+process.env.REFRESH_TOKEN_SECRET = "refresh-secret";
+process.env.REFRESH_TOKEN_EXPIRES = "7d";
+
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Notification = require("../models/Notification");
+const { refreshAccessToken } = require("../controllers/authController");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+describe("refresh token rotation", () => {
+  let user;
+  let sessions;
+  let notifications;
+
+  const request = (refreshToken) => ({
+    cookies: { refreshToken },
+    ip: "10.0.0.1",
+    get: () => "jest",
+  });
+
+  const refresh = (refreshToken) =>
+    callHandler(refreshAccessToken, request(refreshToken));
+
+  // Sign in a device the way login does
+  const signIn = async () => {
+    const session = Session.startFor(user, request());
+    const token = jwt.sign(
+      {
+        userId: user._id,
+        sid: session._id,
+        jti: crypto.randomBytes(16).toString("hex"),
+      },
+      process.env.REFRESH_TOKEN_SECRET,
+      { expiresIn: process.env.REFRESH_TOKEN_EXPIRES }
+    );
+    await session.rotate(token, new Date(Date.now() + 60 * 60 * 1000));
+    return { session, token };
+  };
+
+  const stored = (session) =>
+    sessions.all().find((doc) => doc._id.equals(session._id));
+
+  beforeEach(() => {
+    user = new User({
+      firstName: "Sara",
+      lastName: "Nasser",
+      email: "sara@example.com",
+    });
+    useMemoryCollection(User, [user]);
+    sessions = useMemoryCollection(Session);
+    notifications = useMemoryCollection(Notification);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("issues a new refresh token and retires the one used", async () => {
+    const { session, token } = await signIn();
+
+    const res = await refresh(token);
+    const rotated = res.cookies.refreshToken;
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(rotated).not.toBe(token);
+    expect(jwt.decode(rotated).sid).toBe(String(session._id));
+    expect(stored(session).tokenHash).toBe(Session.hashToken(rotated));
+
+    // The rotated token keeps working
+    expect((await refresh(rotated)).status).toBe(200);
+  });
+
+  it("revokes the session when a retired token is replayed", async () => {
+    const { session, token } = await signIn();
+    const { cookies } = await refresh(token);
+
+    const replay = await refresh(token);
+
+    expect(replay.error.errorCode).toBe("refresh_token_reused");
+    expect(stored(session)).toMatchObject({ revokedReason: "token_reuse" });
+    expect(notifications.all()).toHaveLength(1);
+
+    // The legitimate device is signed out too
+    const next = await refresh(cookies.refreshToken);
+    expect(next.error.errorCode).toBe("session_revoked");
+  });
+
+  it("lets one of two parallel refreshes with the same token win", async () => {
+    const { token } = await signIn();
+
+    const results = await Promise.all([refresh(token), refresh(token)]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([200, 401]);
+    expect(results.find((res) => res.error).error.errorCode).toBe(
+      "refresh_token_reused"
+    );
+  });
+
+  it("rejects tokens of revoked sessions", async () => {
+    const { session, token } = await signIn();
+    await session.revoke("logout");
+
+    const res = await refresh(token);
+
+    expect(res.error.errorCode).toBe("session_revoked");
+    expect(notifications.all()).toHaveLength(0);
+  });
+
+  it("signs out every other device of the user", async () => {
+    const current = await signIn();
+    const other = await signIn();
+
+    await Session.revokeAllForUser(
+      user._id,
+      "signed_out_remotely",
+      current.session._id
+    );
+
+    expect((await refresh(current.token)).status).toBe(200);
+    expect((await refresh(other.token)).error.errorCode).toBe(
+      "session_revoked"
+    );
+  });
+});
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+
+const FAQ = require("../models/FAQ");
+const {
+  normalizeText,
+  searchTerms,
+  withoutArticle,
+} = require("../utils/searchNormalizer");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+const { ObjectId } = mongoose.Types;
+
+describe("search normalization", () => {
+  it("spells alef, teh marbuta and alef maksura one way", () => {
+    expect(normalizeText("أحمد إسلام آمال")).toBe("احمد اسلام امال");
+    expect(normalizeText("مدرسة")).toBe("مدرسه");
+    expect(normalizeText("مستشفى")).toBe("مستشفي");
+  });
+
+  it("drops diacritics, tatweel, accents and HTML", () => {
+    expect(normalizeText("مَدْرَسَةٌ")).toBe("مدرسه");
+    expect(normalizeText("جـــمـيل")).toBe("جميل");
+    expect(normalizeText("<p>Café  Crème</p>")).toBe("cafe creme");
+  });
+
+  it("converts Arabic-Indic digits", () => {
+    expect(normalizeText("٢٠٢٤")).toBe("2024");
+  });
+
+  it("returns an empty string for missing text", () => {
+    expect(normalizeText(undefined)).toBe("");
+    expect(normalizeText(null)).toBe("");
+  });
+
+  it("removes the definite article and its prefixed forms", () => {
+    expect(withoutArticle("الكاميرا")).toBe("كاميرا");
+    expect(withoutArticle("بالكاميرا")).toBe("كاميرا");
+    expect(withoutArticle("للتصوير")).toBe("تصوير");
+    expect(withoutArticle("كاميرا")).toBeNull();
+    // Too short once the article is removed, e.g. the word "آل"
+    expect(withoutArticle("ال")).toBeNull();
+  });
+
+  it("gives each word with and without its article, once", () => {
+    expect(searchTerms("الكاميرا كاميرا Drone")).toEqual([
+      "الكاميرا",
+      "كاميرا",
+      "drone",
+    ]);
+  });
+});
+
+describe("searchable models", () => {
+  let faqs;
+
+  const stored = () => faqs.all()[0];
+
+  const faq = (fields = {}) => ({
+    question: "ما هي أسعار التصوير؟",
+    answer: "تبدأ الأسعار من ١٠٠ دولار",
+    category: "pricing",
+    createdBy: new ObjectId(),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    faqs = useMemoryCollection(FAQ);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("stores normalized search fields on save", async () => {
+    await FAQ.create(faq());
+
+    const { searchText, searchTerms: terms } = stored();
+    expect(searchText).toContain("ما هي اسعار التصوير");
+    expect(searchText).toContain("100 دولار");
+    expect(searchText.split(" ")).toEqual(
+      expect.arrayContaining(["اسعار", "تصوير"])
+    );
+    expect(terms).toEqual(
+      expect.arrayContaining(["التصوير", "تصوير", "اسعار"])
+    );
+  });
+
+  it("finds documents by the prefix of a word without its article", async () => {
+    await FAQ.create(faq());
+    await FAQ.create(faq({ question: "How long is delivery?" }));
+
+    const found = await FAQ.find(
+      FAQ.searchFilter("تصو", { prefix: true })
+    ).lean();
+
+    expect(found).toHaveLength(1);
+    expect(found[0].question).toBe("ما هي أسعار التصوير؟");
+  });
+
+  it("rebuilds the search fields after updateOne", async () => {
+    const { _id } = await FAQ.create(faq());
+
+    await FAQ.updateOne({ _id }, { question: "Drone pricing" });
+
+    expect(stored().searchTerms).toEqual(
+      expect.arrayContaining(["drone", "pricing"])
+    );
+    expect(stored().searchTerms).not.toContain("تصوير");
+    expect(stored().searchText).toContain("drone pricing");
+  });
+
+  it("rebuilds the search fields of every document after updateMany", async () => {
+    await FAQ.create(faq());
+    await FAQ.create(faq({ question: "Delivery time" }));
+
+    await FAQ.updateMany({}, { $set: { answer: "Within a week" } });
+
+    faqs.all().forEach((doc) => {
+      expect(doc.searchText).toContain("within a week");
+      expect(doc.searchText).not.toContain("دولار");
+    });
+  });
+
+  it("leaves the search fields alone when no searched field changes", async () => {
+    const { _id } = await FAQ.create(faq());
+    const syncSearchFields = jest.spyOn(FAQ, "syncSearchFields");
+
+    await FAQ.updateOne({ _id }, { $inc: { views: 1 } });
+
+    expect(syncSearchFields).not.toHaveBeenCalled();
+    expect(stored().views).toBe(1);
+  });
+
+  it("fills the search fields of documents saved before them", async () => {
+    faqs.documents.push({
+      _id: new ObjectId().toHexString(),
+      ...faq({ createdBy: new ObjectId().toHexString() }),
+    });
+
+    await expect(
+      FAQ.syncSearchFields({ searchText: { $exists: false } })
+    ).resolves.toBe(1);
+    expect(stored().searchTerms).toEqual(expect.arrayContaining(["تصوير"]));
+  });
+});
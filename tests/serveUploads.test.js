@@ -0,0 +1,54 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+
+jest.mock("sharp", () => jest.fn());
+
+const { serveUploads } = require("../middlewares/uploadMiddleware");
+
+describe("serveUploads", () => {
+  let root;
+  let app;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    fs.mkdirSync(path.join(root, "avatars"));
+    fs.mkdirSync(path.join(root, "media/originals"), { recursive: true });
+    fs.writeFileSync(path.join(root, "avatars/me.png"), "avatar");
+    fs.writeFileSync(path.join(root, "media/originals/old.jpg"), "original");
+
+    // Mounted twice like server.js and routes/index.js
+    app = express();
+    app.use("/uploads", serveUploads(root));
+    app.use("/api/uploads", serveUploads(root));
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it.each(["/uploads", "/api/uploads"])(
+    "serves avatars under %s",
+    async (mount) => {
+      const res = await request(app).get(`${mount}/avatars/me.png`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.toString()).toBe("avatar");
+    }
+  );
+
+  it.each([
+    "/uploads/media/originals/old.jpg",
+    "/api/uploads/media/originals/old.jpg",
+    "/api/uploads/Media/Originals/old.jpg",
+    "/api/uploads/media%2Foriginals%2Fold.jpg",
+    "/api/uploads/avatars/..%2Fmedia/originals/old.jpg",
+    "/api/uploads/media//originals/old.jpg",
+  ])("never serves legacy originals at %s", async (url) => {
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(404);
+  });
+});
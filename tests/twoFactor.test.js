@@ -0,0 +1,153 @@
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const totp = require("../utils/totp");
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+} = require("../controllers/twoFactorController");
+const callHandler = require("./helpers/callHandler");
+const useMemoryCollection = require("./helpers/memoryCollection");
+
+// RFC 6238 SHA-1 secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const PERIOD_MS = 30 * 1000;
+
+describe("totp", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("matches the RFC 6238 test vectors", () => {
+    // Six digit codes are the last six digits of the RFC's eight digit ones
+    expect(totp.generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe("287082");
+    expect(totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe(
+      "081804"
+    );
+    expect(totp.generateCode(RFC_SECRET, Math.floor(1234567890 / 30))).toBe(
+      "005924"
+    );
+  });
+
+  it("accepts codes from the neighbouring steps only", () => {
+    jest.useFakeTimers({ now: 1234567890 * 1000 });
+    const step = Math.floor(1234567890 / 30);
+
+    expect(totp.verifyCode(RFC_SECRET, "005924")).toBe(step);
+    expect(
+      totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))
+    ).toBe(step - 1);
+    expect(
+      totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1))
+    ).toBe(step + 1);
+    expect(
+      totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2))
+    ).toBeNull();
+  });
+
+  it("rejects malformed codes and missing secrets", () => {
+    expect(totp.verifyCode(RFC_SECRET, "12345")).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, "abcdef")).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined)).toBeNull();
+    expect(totp.verifyCode(undefined, "123456")).toBeNull();
+  });
+
+  it("generates secrets an authenticator app can import", () => {
+    const secret = totp.generateSecret();
+    const url = new URL(
+      totp.buildOtpauthUrl({ secret, label: "a@b.com", issuer: "SkyShot" })
+    );
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(`${url.protocol}//${url.host}`).toBe("otpauth://totp");
+    expect(decodeURIComponent(url.pathname)).toBe("/SkyShot:a@b.com");
+    expect(url.searchParams.get("secret")).toBe(secret);
+    expect(url.searchParams.get("digits")).toBe("6");
+  });
+});
+
+describe("two-factor enrollment", () => {
+  let user;
+  let users;
+
+  const stored = () => users.all().find((doc) => doc._id.equals(user._id));
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    user = new User({
+      firstName: "Lina",
+      lastName: "Haddad",
+      email: "lina@example.com",
+    });
+    users = useMemoryCollection(User, [user]);
+    useMemoryCollection(Notification);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const enroll = async () => {
+    const setup = await callHandler(setupTwoFactor, { user });
+    const session = {};
+    const confirm = await callHandler(confirmTwoFactor, {
+      user,
+      session,
+      body: { code: totp.generateCode(setup.body.data.secret) },
+    });
+    return { secret: setup.body.data.secret, session, confirm };
+  };
+
+  it("enables two-factor once a code from the new secret is confirmed", async () => {
+    const { secret, session, confirm } = await enroll();
+
+    expect(confirm.status).toBe(200);
+    expect(confirm.body.data.recoveryCodes).toHaveLength(10);
+    expect(session.twoFactorVerified).toBe(true);
+    expect(stored()).toMatchObject({
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+    });
+    // Only hashes of the recovery codes are stored
+    expect(stored().twoFactorRecoveryCodes).not.toContain(
+      confirm.body.data.recoveryCodes[0]
+    );
+  });
+
+  it("refuses to confirm with a wrong code", async () => {
+    await callHandler(setupTwoFactor, { user });
+    const res = await callHandler(confirmTwoFactor, {
+      user,
+      session: {},
+      body: { code: "000000" },
+    });
+
+    expect(res.error.errorCode).toBe("invalid_two_factor_code");
+    expect(stored().twoFactorEnabled).toBe(false);
+  });
+
+  it("accepts each time step once", async () => {
+    const { secret } = await enroll();
+    const account = await User.findById(user._id).select("+twoFactorSecret");
+
+    // The confirming code can't be replayed
+    expect(await account.verifyTwoFactorCode(totp.generateCode(secret))).toBe(
+      false
+    );
+
+    jest.advanceTimersByTime(PERIOD_MS);
+    const next = totp.generateCode(secret);
+    expect(await account.verifyTwoFactorCode(next)).toBe(true);
+    expect(await account.verifyTwoFactorCode(next)).toBe(false);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { confirm } = await enroll();
+    const [code] = confirm.body.data.recoveryCodes;
+    const account = await User.findById(user._id);
+
+    expect(await account.useRecoveryCode(` ${code.toUpperCase()} `)).toBe(true);
+    expect(await account.useRecoveryCode(code)).toBe(false);
+    expect(stored().twoFactorRecoveryCodes).toHaveLength(9);
+  });
+});
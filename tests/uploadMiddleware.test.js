@@ -0,0 +1,44 @@
+const express = require("express");
+const request = require("supertest");
+
+// Media processing isn't under test, and sharp needs its native binary
+jest.mock("sharp", () => jest.fn());
+
+const { uploadMediaFile } = require("../middlewares/uploadMiddleware");
+
+const app = express();
+app.post("/upload", uploadMediaFile, (req, res) => {
+  res.json({ mimetype: req.file.mimetype, title: req.body.title });
+});
+app.use((error, req, res, next) => {
+  res.status(error.statusCode || 500).json({ code: error.errorCode });
+});
+
+const send = (filename, contentType) =>
+  request(app)
+    .post("/upload")
+    .field("title", "Sunset")
+    .attach("file", Buffer.from("file content"), { filename, contentType });
+
+describe("uploadMediaFile", () => {
+  it("accepts images", async () => {
+    const res = await send("photo.jpg", "image/jpeg");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ mimetype: "image/jpeg", title: "Sunset" });
+  });
+
+  it("rejects videos with their own error", async () => {
+    const res = await send("clip.mp4", "video/mp4");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("video_not_supported");
+  });
+
+  it("rejects other file types", async () => {
+    const res = await send("notes.pdf", "application/pdf");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("invalid_file_type");
+  });
+});
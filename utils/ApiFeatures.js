@@ -1,5 +1,6 @@
 // eslint-disable-next-line import/no-extraneous-dependencies
 const qs = require("qs");
+const { escapeRegex } = require("./searchNormalizer");
 
 class ApiFeatures {
   constructor(mongooseQuery, queryString) {
@@ -55,7 +56,17 @@ class ApiFeatures {
 
   search(modelName) {
     if (this.queryString.keyword) {
-      const searchQuery = this.queryString.keyword;
+      const { model } = this.mongooseQuery;
+
+      // Models with normalized search fields match word prefixes
+      if (typeof model.searchFilter === "function") {
+        this.mongooseQuery.find(
+          model.searchFilter(this.queryString.keyword, { prefix: true })
+        );
+        return this;
+      }
+
+      const searchQuery = escapeRegex(this.queryString.keyword);
 
       let query = {};
       if (modelName === "Product") {
@@ -0,0 +1,171 @@
+const User = require("../models/User");
+const Upload = require("../models/Upload");
+const AuditLog = require("../models/AuditLog");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const Notification = require("../models/Notification");
+const Order = require("../models/Order");
+const Revenue = require("../models/Revenue");
+const BookingInquiry = require("../models/BookingInquiry");
+const Testimonial = require("../models/Testimonial");
+const PartnerApplication = require("../models/PartnerApplication");
+const Cart = require("../models/Cart");
+const { removeDocuments } = require("./partnerDocuments");
+
+/**
+ * Account Erasure
+ * Removes the personal data of an account once its cooling-off period is over.
+ * Orders, revenue entries and uploads are kept for accounting, they keep
+ * pointing at the anonymized user and only lose the contact details they hold.
+ * That includes the sellers' sale entries, whose descriptions named the buyer.
+ * Uploads are taken off sale so the erased account stops selling.
+ */
+
+// Billing fields that identify the customer, the country is kept for tax records
+const BILLING_PII_FIELDS = [
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "address",
+  "city",
+  "state",
+  "zipCode",
+];
+
+/**
+ * Erase the personal data of a user
+ * @param {Object} user - User document
+ * @returns {Object} Number of related documents changed per collection
+ */
+const eraseAccount = async (user) => {
+  const userId = user._id;
+
+  // Nothing can sign in as the account anymore
+  const sessions = await Session.deleteMany({ user: userId });
+  const apiTokens = await ApiToken.deleteMany({ user: userId });
+  const notifications = await Notification.deleteMany({ user: userId });
+  const carts = await Cart.deleteMany({ user: userId });
+
+  const uploads = await Upload.updateMany(
+    { user: userId, status: { $in: ["pending", "approved"] } },
+    { $set: { status: "suspended", featured: false } }
+  );
+
+  const orders = await Order.updateMany(
+    { customer: userId },
+    {
+      $unset: Object.fromEntries(
+        BILLING_PII_FIELDS.map((field) => [`billingAddress.${field}`, 1])
+      ),
+    }
+  );
+
+  // Sale entries of the sellers named the customer before descriptions left
+  // them out, rewrite them without the name
+  const orderIds = await Order.distinct("_id", { customer: userId });
+  const sales = await Revenue.find({
+    type: "upload_sale",
+    relatedOrder: { $in: orderIds },
+  })
+    .populate("relatedOrder", "orderNumber")
+    .populate("relatedUpload", "title");
+  if (sales.length > 0) {
+    await Revenue.bulkWrite(
+      sales.map((sale) => ({
+        updateOne: {
+          filter: { _id: sale._id },
+          update: {
+            description: Revenue.uploadSaleDescription(
+              sale.relatedUpload || { title: "Deleted upload" },
+              sale.relatedOrder
+            ),
+          },
+        },
+      }))
+    );
+  }
+
+  const inquiries = await BookingInquiry.updateMany(
+    { user: userId },
+    {
+      $set: { name: "Deleted User", email: `deleted-${userId}@erased.invalid` },
+      $unset: { phone: 1 },
+    }
+  );
+
+  const testimonials = await Testimonial.updateMany(
+    { submittedBy: userId },
+    {
+      $set: { name: "Deleted User" },
+      $unset: { email: 1, avatar: 1, company: 1, position: 1 },
+    }
+  );
+
+  // Applications hold ID documents and have no accounting value
+  const applications = await PartnerApplication.find({ applicant: userId });
+  await removeDocuments(
+    applications.flatMap((application) =>
+      application.idDocuments.map((document) => document.key)
+    )
+  );
+  await PartnerApplication.deleteMany({ applicant: userId });
+
+  await user.anonymize();
+
+  return {
+    sessions: sessions.deletedCount,
+    apiTokens: apiTokens.deletedCount,
+    notifications: notifications.deletedCount,
+    carts: carts.deletedCount,
+    uploads: uploads.modifiedCount,
+    orders: orders.modifiedCount,
+    revenue: sales.length,
+    bookingInquiries: inquiries.modifiedCount,
+    testimonials: testimonials.modifiedCount,
+    partnerApplications: applications.length,
+  };
+};
+
+/**
+ * Erase every account whose cooling-off period is over
+ * @param {Object} options - { limit, req }, req is the request of the admin
+ * who triggered it and is left out when the scheduled job runs it
+ * @returns {Object} { erased, failed } user IDs
+ */
+const processDueErasures = async ({ limit, req = null } = {}) => {
+  const users = await User.findDueErasures(limit);
+
+  const erased = [];
+  const failed = [];
+
+  // One failing account must not block the others
+  // eslint-disable-next-line no-restricted-syntax
+  for (const user of users) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const related = await eraseAccount(user);
+      erased.push(user._id);
+
+      // The label stays empty, the log must not keep the erased email
+      // eslint-disable-next-line no-await-in-loop
+      await AuditLog.record(req, {
+        action: "user.erase",
+        target: { type: "user", id: user._id },
+        before: { erasedAt: null },
+        after: { erasedAt: user.erasedAt },
+        metadata: { requestedAt: user.erasureRequestedAt, related },
+      });
+    } catch (error) {
+      console.error(`Failed to erase account ${user._id}:`, error.message);
+      failed.push(user._id);
+    }
+  }
+
+  return { erased, failed };
+};
+
+module.exports = {
+  eraseAccount,
+  processDueErasures,
+};
@@ -0,0 +1,89 @@
+const Upload = require("../models/Upload");
+const Order = require("../models/Order");
+const Mission = require("../models/Mission");
+const Blog = require("../models/Blog");
+const FAQ = require("../models/FAQ");
+const { processDueErasures } = require("./accountErasure");
+const {
+  moveLegacyOriginal,
+  LEGACY_ORIGINALS_URL,
+} = require("./mediaProcessor");
+
+/**
+ * Background Jobs
+ * Maintenance run once the database is connected, then on an interval for
+ * the recurring ones. Failures are logged and retried on the next run.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Move originals still under the public uploads folder to the private storage
+const moveLegacyOriginals = async () => {
+  const uploads = await Upload.find({
+    originalFileUrl: { $regex: `^${LEGACY_ORIGINALS_URL}` },
+  }).select("originalFileUrl");
+
+  let moved = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const upload of uploads) {
+    // eslint-disable-next-line no-await-in-loop
+    const key = await moveLegacyOriginal(upload.originalFileUrl);
+    if (key) {
+      // eslint-disable-next-line no-await-in-loop
+      await Upload.updateOne(
+        { _id: upload._id },
+        { $set: { originalFileUrl: key } }
+      );
+      moved += 1;
+    }
+  }
+
+  if (moved > 0) console.log(`Moved ${moved} originals to private storage`);
+};
+
+// Replace the text indexes from before search normalization and fill the
+// search fields of documents saved without them
+const migrateSearch = async () => {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const Model of [Upload, Mission, Blog, FAQ]) {
+    // eslint-disable-next-line no-await-in-loop
+    const count = await Model.migrateSearch();
+    if (count > 0) {
+      console.log(`${Model.modelName}: ${count} documents reindexed`);
+    }
+  }
+};
+
+// Cancel orders left unpaid for a day so their coupon uses are given back
+const expireStaleOrders = async () => {
+  const expired = await Order.expireStale(24 * HOUR);
+  if (expired > 0) console.log(`Expired ${expired} unpaid orders`);
+};
+
+// [name, task, interval in ms or null to run only at startup]
+const JOBS = [
+  ["move legacy originals", moveLegacyOriginals, null],
+  ["migrate search indexes", migrateSearch, null],
+  ["process due account erasures", () => processDueErasures(), HOUR],
+  ["expire stale orders", expireStaleOrders, HOUR],
+];
+
+const runJob = async (name, task) => {
+  try {
+    await task();
+  } catch (error) {
+    console.error(`Background job "${name}" failed: ${error.message}`);
+  }
+};
+
+const startBackgroundJobs = () => {
+  JOBS.forEach(([name, task, interval]) => {
+    runJob(name, task);
+    if (interval) {
+      // Don't keep the process alive just for the timer
+      setInterval(() => runJob(name, task), interval).unref();
+    }
+  });
+};
+
+module.exports = { startBackgroundJobs };
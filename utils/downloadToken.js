@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+
+/**
+ * Download Tokens
+ * HMAC signed, expiring tokens bound to a purchased order item.
+ * Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+ */
+
+// Lifetime of a single download link, in minutes
+const DOWNLOAD_LINK_TTL = 15;
+
+const getSecret = () => {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error("DOWNLOAD_TOKEN_SECRET is not configured");
+  }
+  return secret;
+};
+
+const sign = (data) =>
+  crypto.createHmac("sha256", getSecret()).update(data).digest("base64url");
+
+/**
+ * Create a signed download token for an order item
+ * @param {Object} params - { orderId, itemId, uploadId, customerId, downloadExpires }
+ * @returns {Object} { token, expiresAt }
+ */
+const createDownloadToken = ({
+  orderId,
+  itemId,
+  uploadId,
+  customerId,
+  downloadExpires,
+}) => {
+  let expiresAt = Date.now() + DOWNLOAD_LINK_TTL * 60 * 1000;
+
+  // A link can never outlive the download window of the purchase
+  if (downloadExpires) {
+    expiresAt = Math.min(expiresAt, new Date(downloadExpires).getTime());
+  }
+
+  const payload = Buffer.from(
+    JSON.stringify({
+      orderId: String(orderId),
+      itemId: String(itemId),
+      uploadId: String(uploadId),
+      customerId: String(customerId),
+      exp: expiresAt,
+    })
+  ).toString("base64url");
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(expiresAt),
+  };
+};
+
+/**
+ * Verify a download token
+ * @param {string} token - Token from the download URL
+ * @returns {Object|null} Decoded payload, or null when invalid or expired
+ */
+const verifyDownloadToken = (token) => {
+  if (typeof token !== "string") return null;
+
+  const [payload, signature, ...rest] = token.split(".");
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!data.exp || Date.now() > data.exp) return null;
+    return data;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createDownloadToken,
+  verifyDownloadToken,
+  DOWNLOAD_LINK_TTL,
+};
@@ -0,0 +1,5 @@
+// Escape the special characters of text so a regex matches it literally
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = escapeRegex;
@@ -0,0 +1,13 @@
+const LANGUAGES = ["en", "ar"];
+const DEFAULT_LANGUAGE = "en";
+
+// Language for localized content: ?lang= wins over the Accept-Language header
+const getRequestLanguage = (req) => {
+  if (LANGUAGES.includes(req.query.lang)) return req.query.lang;
+  return req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+};
+
+getRequestLanguage.LANGUAGES = LANGUAGES;
+getRequestLanguage.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+
+module.exports = getRequestLanguage;
@@ -0,0 +1,145 @@
+const path = require("path");
+const PDFDocument = require("pdfkit");
+
+/**
+ * License Certificates
+ * Renders the certificate of a purchased license as HTML or as a single page PDF.
+ */
+
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatDownloadLimit = (limit) =>
+  limit ? `${limit} downloads` : "Unlimited downloads";
+
+/**
+ * Rows printed on the certificate, shared by both formats
+ * @param {Object} certificate - See buildCertificate in licenseController
+ * @returns {Array} [label, value] pairs
+ */
+const getRows = (certificate) => [
+  ["License ID", certificate.licenseId],
+  ["License", certificate.tierName],
+  ["Licensed work", certificate.uploadTitle],
+  ["Photographer", certificate.photographer],
+  ["Licensee", certificate.licensee],
+  ["Order", certificate.orderNumber],
+  ["Issued", formatDate(certificate.issuedAt)],
+  ["Downloads", formatDownloadLimit(certificate.downloadLimit)],
+];
+
+/**
+ * Render a certificate as a standalone HTML page
+ * @param {Object} certificate - Certificate data
+ * @returns {string} HTML document
+ */
+const renderCertificateHtml = (certificate) => {
+  const rows = getRows(certificate)
+    .map(
+      ([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("\n        ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>License certificate ${escapeHtml(certificate.licenseId)}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; }
+      h1 { font-size: 24px; margin-bottom: 4px; }
+      table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+      th { text-align: left; width: 160px; color: #666; font-weight: normal; }
+      th, td { padding: 8px 0; border-bottom: 1px solid #eee; vertical-align: top; }
+      .terms { background: #f7f7f7; padding: 16px; line-height: 1.5; }
+      .verify { color: #666; font-size: 13px; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(certificate.siteName)} License Certificate</h1>
+    <p>This certifies that the licensee below holds a ${escapeHtml(
+      certificate.tierName
+    )} license for the work described.</p>
+    <table>
+        ${rows}
+    </table>
+    <h2>Usage terms</h2>
+    <p class="terms">${escapeHtml(certificate.terms)}</p>
+    <p class="verify">Verify this license at ${escapeHtml(
+      certificate.verifyUrl
+    )}</p>
+  </body>
+</html>
+`;
+};
+
+// The built-in PDF fonts only cover Latin-1, titles and names in Arabic or
+// other scripts need an embedded Unicode font
+const FONTS_DIR = path.join(
+  path.dirname(require.resolve("dejavu-fonts-ttf/package.json")),
+  "ttf"
+);
+const FONT = path.join(FONTS_DIR, "DejaVuSans.ttf");
+const BOLD_FONT = path.join(FONTS_DIR, "DejaVuSans-Bold.ttf");
+
+const toText = (value) =>
+  String(value === undefined || value === null ? "" : value);
+
+/**
+ * Render a certificate as a single page A4 PDF
+ * @param {Object} certificate - Certificate data
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderCertificatePdf = (certificate) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 56 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.registerFont("regular", FONT);
+    doc.registerFont("bold", BOLD_FONT);
+    const width = doc.page.width - 2 * 56;
+
+    doc
+      .font("bold")
+      .fontSize(20)
+      .text(`${toText(certificate.siteName)} License Certificate`);
+    doc.moveDown(1.5);
+
+    getRows(certificate).forEach(([label, value]) => {
+      const { y } = doc;
+      doc.font("bold").fontSize(11).text(label, 56, y, { width: 116 });
+      doc.font("regular").text(toText(value), 180, y, { width: width - 124 });
+      doc.moveDown(0.6);
+    });
+
+    doc.moveDown(1);
+    doc.font("bold").fontSize(13).text("Usage terms", 56, doc.y, { width });
+    doc.moveDown(0.5);
+    doc.font("regular").fontSize(10).text(toText(certificate.terms), {
+      width,
+      lineGap: 3,
+    });
+
+    doc.moveDown(1.5);
+    doc
+      .fontSize(9)
+      .text(`Verify this license at ${toText(certificate.verifyUrl)}`);
+
+    doc.end();
+  });
+
+module.exports = {
+  renderCertificateHtml,
+  renderCertificatePdf,
+};
@@ -0,0 +1,324 @@
+const fs = require("fs/promises");
+const path = require("path");
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+
+/**
+ * Media Processor
+ * Generates the watermarked copy, thumbnail and preview for uploaded images
+ * and reads the real dimensions and EXIF data from the file
+ */
+
+// Publicly served through express.static
+const UPLOADS_ROOT = path.join(__dirname, "../uploads");
+
+// Never mounted publicly, originals are only served through signed downloads
+const PRIVATE_ROOT = path.join(__dirname, "../storage");
+
+const MEDIA_DIRS = {
+  watermarked: "media/watermarked",
+  thumbnail: "media/thumbnails",
+  preview: "media/previews",
+};
+
+const ORIGINALS_DIR = "originals";
+
+// Where originals were written before they moved to the private storage
+const LEGACY_ORIGINALS_DIR = "media/originals";
+const LEGACY_ORIGINALS_URL = `/uploads/${LEGACY_ORIGINALS_DIR}/`;
+
+const WATERMARKED_MAX_WIDTH = 2048;
+const PREVIEW_MAX_WIDTH = 1024;
+const THUMBNAIL_SIZE = 400;
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/tiff": ".tiff",
+};
+
+// EXIF tags kept on the upload. GPS data is skipped on purpose because
+// metadata.exif is returned in public gallery responses.
+const EXIF_TAGS = {
+  Image: ["Make", "Model", "Software", "DateTime", "Orientation", "Artist"],
+  Photo: [
+    "DateTimeOriginal",
+    "ExposureTime",
+    "FNumber",
+    "ISOSpeedRatings",
+    "FocalLength",
+    "FocalLengthIn35mmFilm",
+    "LensMake",
+    "LensModel",
+    "ExposureProgram",
+    "MeteringMode",
+    "Flash",
+    "WhiteBalance",
+  ],
+};
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Tiled, semi-transparent text overlay sized to the target image
+const buildWatermarkSvg = (width, height, text) => {
+  const fontSize = Math.max(16, Math.round(Math.min(width, height) / 10));
+  const tileWidth = fontSize * (String(text).length * 0.7 + 3);
+  const tileHeight = fontSize * 4;
+
+  return Buffer.from(`
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <defs>
+        <pattern id="watermark" width="${tileWidth}" height="${tileHeight}"
+                 patternUnits="userSpaceOnUse" patternTransform="rotate(-30)">
+          <text x="0" y="${fontSize * 2}" font-family="Arial, sans-serif"
+                font-size="${fontSize}" font-weight="bold"
+                fill="#ffffff" fill-opacity="0.35"
+                stroke="#000000" stroke-opacity="0.15">${escapeXml(text)}</text>
+        </pattern>
+      </defs>
+      <rect width="100%" height="100%" fill="url(#watermark)" />
+    </svg>
+  `);
+};
+
+/**
+ * Pick the useful EXIF tags out of the raw EXIF buffer returned by sharp
+ * @param {Buffer} rawExif - Raw EXIF block
+ * @returns {Object} Flat map of tag name to value
+ */
+const extractExif = (rawExif) => {
+  if (!rawExif) return {};
+
+  try {
+    const parsed = exifReader(rawExif);
+    const exif = {};
+
+    Object.entries(EXIF_TAGS).forEach(([group, tags]) => {
+      tags.forEach((tag) => {
+        const value = parsed[group] && parsed[group][tag];
+        if (value !== undefined && value !== null && !Buffer.isBuffer(value)) {
+          exif[tag] = value;
+        }
+      });
+    });
+
+    return exif;
+  } catch (error) {
+    // Corrupt EXIF blocks should not block the upload
+    return {};
+  }
+};
+
+/**
+ * Build the human readable metadata fields from the EXIF tags
+ * @param {Object} exif - Result of extractExif
+ * @returns {Object} camera, lens, settings and software when known
+ */
+const describeExif = (exif) => {
+  const settings = [
+    exif.FNumber && `f/${exif.FNumber}`,
+    exif.ExposureTime &&
+      (exif.ExposureTime < 1
+        ? `1/${Math.round(1 / exif.ExposureTime)}s`
+        : `${exif.ExposureTime}s`),
+    exif.ISOSpeedRatings && `ISO ${exif.ISOSpeedRatings}`,
+    exif.FocalLength && `${exif.FocalLength}mm`,
+  ].filter(Boolean);
+
+  return {
+    camera: [exif.Make, exif.Model].filter(Boolean).join(" ") || undefined,
+    lens: exif.LensModel || undefined,
+    settings: settings.length > 0 ? settings.join(" ") : undefined,
+    software: exif.Software || undefined,
+  };
+};
+
+const writeMediaFile = async (kind, filename, buffer) => {
+  const dir = path.join(UPLOADS_ROOT, MEDIA_DIRS[kind]);
+  await fs.mkdir(dir, { recursive: true });
+
+  const filePath = path.join(dir, filename);
+  await fs.writeFile(filePath, buffer);
+
+  return {
+    filePath,
+    url: `/uploads/${MEDIA_DIRS[kind]}/${filename}`,
+  };
+};
+
+// Originals are referenced by a storage key instead of a public URL
+const writeOriginalFile = async (filename, buffer) => {
+  const dir = path.join(PRIVATE_ROOT, ORIGINALS_DIR);
+  await fs.mkdir(dir, { recursive: true });
+
+  const filePath = path.join(dir, filename);
+  await fs.writeFile(filePath, buffer);
+
+  return {
+    filePath,
+    url: `${ORIGINALS_DIR}/${filename}`,
+  };
+};
+
+/**
+ * Resolve the storage key saved in Upload.originalFileUrl to a file path
+ * @param {string} key - Storage key, e.g. "originals/media-....jpg"
+ * @returns {string|null} Absolute path, or null for keys outside the private storage
+ */
+const resolveOriginalFile = (key) => {
+  if (!key) return null;
+
+  const originalsRoot = path.join(PRIVATE_ROOT, ORIGINALS_DIR);
+  const filePath = path.resolve(PRIVATE_ROOT, key);
+
+  if (!filePath.startsWith(`${originalsRoot}${path.sep}`)) return null;
+  return filePath;
+};
+
+/**
+ * Move an original saved under the public uploads folder to the private storage
+ * @param {string} url - Legacy URL, e.g. "/uploads/media/originals/media-....jpg"
+ * @returns {string|null} New storage key, or null if the file is missing
+ */
+const moveLegacyOriginal = async (url) => {
+  const filename = path.basename(url);
+  const legacyPath = path.join(UPLOADS_ROOT, LEGACY_ORIGINALS_DIR, filename);
+
+  try {
+    await fs.access(legacyPath);
+  } catch (error) {
+    return null;
+  }
+
+  const dir = path.join(PRIVATE_ROOT, ORIGINALS_DIR);
+  await fs.mkdir(dir, { recursive: true });
+
+  const filePath = path.join(dir, filename);
+  try {
+    await fs.rename(legacyPath, filePath);
+  } catch (error) {
+    // Different device, copy then remove
+    await fs.copyFile(legacyPath, filePath);
+    await fs.unlink(legacyPath);
+  }
+
+  return `${ORIGINALS_DIR}/${filename}`;
+};
+
+/**
+ * Remove files written by processImage (used when saving the upload fails)
+ * @param {string[]} files - Absolute file paths
+ */
+const removeMediaFiles = async (files = []) => {
+  await Promise.all(
+    files.map((file) => fs.unlink(file).catch(() => undefined))
+  );
+};
+
+/**
+ * Process an uploaded image held in memory by multer
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} options - { userId, watermarkText }
+ * @returns {Object} Generated URLs, real file size, dimensions and EXIF data
+ */
+const processImage = async (file, { userId, watermarkText = "SkyShot" }) => {
+  const metadata = await sharp(file.buffer).metadata();
+
+  if (!metadata.width || !metadata.height) {
+    throw new Error("upload.file_unreadable");
+  }
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const dimensions = {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+  };
+
+  const baseName = `media-${userId}-${Date.now()}-${Math.round(
+    Math.random() * 1e9
+  )}`;
+
+  // Watermarked copy (auto-oriented, capped size, EXIF stripped)
+  const { data: resized, info } = await sharp(file.buffer)
+    .rotate()
+    .resize({ width: WATERMARKED_MAX_WIDTH, withoutEnlargement: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const watermarked = await sharp(resized)
+    .composite([
+      { input: buildWatermarkSvg(info.width, info.height, watermarkText) },
+    ])
+    .jpeg({ quality: 85 })
+    .toBuffer();
+
+  // Low quality preview for public viewing, built from the watermarked copy
+  const preview = await sharp(watermarked)
+    .resize({ width: PREVIEW_MAX_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 40 })
+    .toBuffer();
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside" })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  const extension =
+    EXTENSIONS[file.mimetype] || path.extname(file.originalname);
+  const outputs = [
+    ["watermarked", `${baseName}-wm.jpg`, watermarked],
+    ["preview", `${baseName}-preview.jpg`, preview],
+    ["thumbnail", `${baseName}-thumb.jpg`, thumbnail],
+  ];
+
+  const written = [];
+  try {
+    written.push(
+      await writeOriginalFile(`${baseName}${extension}`, file.buffer)
+    );
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [kind, filename, buffer] of outputs) {
+      // eslint-disable-next-line no-await-in-loop
+      written.push(await writeMediaFile(kind, filename, buffer));
+    }
+  } catch (error) {
+    await removeMediaFiles(written.map((entry) => entry.filePath));
+    throw error;
+  }
+
+  const [original, watermarkedFile, previewFile, thumbnailFile] = written;
+  const exif = extractExif(metadata.exif);
+
+  return {
+    originalFileUrl: original.url,
+    watermarkedFileUrl: watermarkedFile.url,
+    previewUrl: previewFile.url,
+    thumbnailUrl: thumbnailFile.url,
+    fileSize: file.size,
+    dimensions,
+    exif,
+    exifDetails: describeExif(exif),
+    files: written.map((entry) => entry.filePath),
+  };
+};
+
+module.exports = {
+  processImage,
+  removeMediaFiles,
+  resolveOriginalFile,
+  moveLegacyOriginal,
+  UPLOADS_ROOT,
+  LEGACY_ORIGINALS_DIR,
+  LEGACY_ORIGINALS_URL,
+  extractExif,
+  IMAGE_MIME_TYPES: Object.keys(EXTENSIONS),
+};
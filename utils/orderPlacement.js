@@ -0,0 +1,259 @@
+const Order = require("../models/Order");
+const Upload = require("../models/Upload");
+const Coupon = require("../models/Coupon");
+const ApiError = require("./ApiError");
+const { defaultTier } = require("../config/licenses");
+
+/**
+ * Order Placement
+ * Checks that requested items can be bought, applies coupons and creates the
+ * order, shared by POST /api/orders and the cart checkout.
+ */
+
+// Why an item can't be bought, with the error returned for it
+const ITEM_PROBLEMS = {
+  upload_not_available: ["is not available", 400, "uploads_not_available"],
+  license_not_available: [
+    "is not sold under this license",
+    400,
+    "license_not_available",
+  ],
+  own_upload: ["is your own upload", 400, "own_upload"],
+  already_purchased: [
+    "was already purchased under this license",
+    409,
+    "already_purchased",
+  ],
+};
+
+// Download window of a purchase, in days
+const DOWNLOAD_WINDOW_DAYS = 30;
+
+/**
+ * Licenses the customer already holds, as "uploadId:tier" keys
+ * @param {string} customerId - Customer user id
+ * @param {Array} uploadIds - Uploads to look for
+ * @returns {Set} Purchased upload and tier pairs
+ */
+const getPurchasedLicenses = async (customerId, uploadIds) => {
+  const orders = await Order.find({
+    customer: customerId,
+    status: { $in: ["paid", "completed"] },
+    "items.upload": { $in: uploadIds },
+  }).select("items.upload items.license.tier");
+
+  const purchased = new Set();
+  orders.forEach((order) => {
+    order.items.forEach((item) => {
+      const tier = (item.license && item.license.tier) || defaultTier;
+      purchased.add(`${item.upload}:${tier}`);
+    });
+  });
+  return purchased;
+};
+
+/**
+ * Look up the uploads and licenses of requested items
+ * @param {Array} items - [{ uploadId, license }]
+ * @param {string} customerId - Customer user id
+ * @returns {Array} [{ uploadId, tier, upload, license, problem }], problem is
+ * null when the item can be bought
+ */
+const resolveItems = async (items, customerId) => {
+  const uploadIds = items.map((item) => item.uploadId);
+  const [uploads, purchased] = await Promise.all([
+    Upload.find({ _id: { $in: uploadIds }, status: "approved" }).populate(
+      "user",
+      "firstName lastName email"
+    ),
+    getPurchasedLicenses(customerId, uploadIds),
+  ]);
+
+  return items.map((item) => {
+    const tier = item.license || defaultTier;
+    const upload =
+      uploads.find(
+        (candidate) => candidate._id.toString() === item.uploadId.toString()
+      ) || null;
+    const license = upload ? upload.getLicense(tier) : null;
+
+    let problem = null;
+    if (!upload) {
+      problem = "upload_not_available";
+    } else if (!license) {
+      problem = "license_not_available";
+    } else if (
+      upload.user &&
+      upload.user._id.toString() === customerId.toString()
+    ) {
+      problem = "own_upload";
+    } else if (purchased.has(`${upload._id}:${tier}`)) {
+      problem = "already_purchased";
+    }
+
+    return { uploadId: item.uploadId, tier, upload, license, problem };
+  });
+};
+
+/**
+ * Error returned for an item that can't be bought
+ * @param {Object} resolved - Item returned by resolveItems
+ * @returns {ApiError}
+ */
+const itemProblemError = ({ problem, upload, uploadId }) => {
+  const [reason, statusCode, errorCode] = ITEM_PROBLEMS[problem];
+  const label = upload ? `"${upload.title}"` : `Upload ${uploadId}`;
+  return new ApiError(`${label} ${reason}`, statusCode, errorCode);
+};
+
+/**
+ * Validate requested items and build the order items for them
+ * @param {Array} items - [{ uploadId, license }]
+ * @param {string} customerId - Customer user id
+ * @returns {Array} Order items with the price and terms of their license, the
+ * upload document is kept so coupons can check it
+ */
+const buildOrderItems = async (items, customerId) => {
+  const resolved = await resolveItems(items, customerId);
+
+  const invalid = resolved.find((item) => item.problem);
+  if (invalid) {
+    throw itemProblemError(invalid);
+  }
+
+  const downloadExpires = new Date(
+    Date.now() + DOWNLOAD_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  return resolved.map(({ upload, license }) => ({
+    upload,
+    price: license.price,
+    license: {
+      tier: license.tier,
+      terms: license.terms,
+      downloadLimit: license.downloadLimit,
+    },
+    downloadExpires,
+  }));
+};
+
+/**
+ * Check a coupon code against the order items and work out its discount
+ * @param {string} code - Code typed by the customer
+ * @param {Array} orderItems - Items returned by buildOrderItems
+ * @param {string} customerId - Customer user id
+ * @returns {Object} { coupon, amount, discounts } with one discount per item
+ */
+const applyCoupon = async (code, orderItems, customerId) => {
+  const coupon = await Coupon.findByCode(code);
+
+  if (!coupon || !coupon.isValidAt()) {
+    throw new ApiError(
+      "This coupon is invalid or has expired",
+      400,
+      "coupon_invalid"
+    );
+  }
+
+  const subtotal = orderItems.reduce((sum, item) => sum + item.price, 0);
+  if (subtotal < coupon.minOrderAmount) {
+    throw new ApiError(
+      `This coupon needs an order of at least ${coupon.minOrderAmount} SAR`,
+      400,
+      "coupon_min_order_amount"
+    );
+  }
+
+  const { amount, discounts } = coupon.calculateDiscount(orderItems);
+  if (amount === 0) {
+    throw new ApiError(
+      "This coupon doesn't apply to any item of the order",
+      400,
+      "coupon_not_applicable"
+    );
+  }
+
+  // Failed, cancelled and expired orders give their use back
+  const uses = await Order.countCouponUses(coupon._id, customerId);
+  if (uses >= coupon.perUserLimit) {
+    throw new ApiError(
+      "You have already used this coupon",
+      409,
+      "coupon_already_used"
+    );
+  }
+
+  return { coupon, amount, discounts };
+};
+
+/**
+ * Create a pending order for the requested items
+ * @param {string} customerId - Customer user id
+ * @param {Object} params - Items, coupon code and order details
+ * @returns {Object} Populated order document
+ */
+const placeOrder = async (
+  customerId,
+  { items, couponCode, paymentMethod, billingAddress, notes }
+) => {
+  const orderItems = await buildOrderItems(items, customerId);
+
+  let coupon = null;
+  let discount;
+  if (couponCode) {
+    const applied = await applyCoupon(couponCode, orderItems, customerId);
+    ({ coupon } = applied);
+
+    orderItems.forEach((item, index) => {
+      item.discount = applied.discounts[index];
+    });
+    discount = {
+      coupon: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      amount: applied.amount,
+    };
+
+    // Counted when the order is placed so the usage limit can't be overrun
+    if (!(await Coupon.reserve(coupon._id))) {
+      throw new ApiError(
+        "This coupon has reached its usage limit",
+        409,
+        "coupon_usage_limit_reached"
+      );
+    }
+  }
+
+  let order;
+  try {
+    order = await Order.create({
+      customer: customerId,
+      items: orderItems,
+      totalAmount: orderItems.reduce(
+        (sum, item) => sum + item.price - (item.discount || 0),
+        0
+      ),
+      discount,
+      paymentMethod,
+      billingAddress,
+      notes,
+    });
+  } catch (error) {
+    if (coupon) await Coupon.release(coupon._id);
+    throw error;
+  }
+
+  await order.populate([
+    { path: "customer", select: "firstName lastName email" },
+    { path: "items.upload", select: "title thumbnailUrl fileType user" },
+  ]);
+
+  return order;
+};
+
+module.exports = {
+  resolveItems,
+  itemProblemError,
+  placeOrder,
+};
@@ -0,0 +1,83 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Partner Documents
+ * ID documents sent with partner applications. They are kept in the private
+ * storage next to the originals and only served to admins reviewing them.
+ */
+
+const PRIVATE_ROOT = path.join(__dirname, "../storage");
+const DOCUMENTS_DIR = "partner-documents";
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+/**
+ * Store the ID documents held in memory by multer
+ * @param {Object[]} files - Multer files (memory storage)
+ * @param {string} userId - Applicant id, used in the file names
+ * @returns {Object[]} Entries for PartnerApplication.idDocuments
+ */
+const saveDocuments = async (files, userId) => {
+  const dir = path.join(PRIVATE_ROOT, DOCUMENTS_DIR);
+  await fs.mkdir(dir, { recursive: true });
+
+  return Promise.all(
+    files.map(async (file) => {
+      // Random names so a document can't be guessed from another one
+      const filename = `id-${userId}-${crypto
+        .randomBytes(12)
+        .toString("hex")}${EXTENSIONS[file.mimetype]}`;
+      await fs.writeFile(path.join(dir, filename), file.buffer);
+
+      return {
+        key: `${DOCUMENTS_DIR}/${filename}`,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+      };
+    })
+  );
+};
+
+/**
+ * Resolve a storage key saved on an application to a file path
+ * @param {string} key - Storage key, e.g. "partner-documents/id-....pdf"
+ * @returns {string|null} Absolute path, or null for keys outside the documents directory
+ */
+const resolveDocument = (key) => {
+  if (!key) return null;
+
+  const documentsRoot = path.join(PRIVATE_ROOT, DOCUMENTS_DIR);
+  const filePath = path.resolve(PRIVATE_ROOT, key);
+
+  if (!filePath.startsWith(`${documentsRoot}${path.sep}`)) return null;
+  return filePath;
+};
+
+/**
+ * Remove stored documents, missing files are ignored
+ * @param {string[]} keys - Storage keys
+ */
+const removeDocuments = async (keys = []) => {
+  await Promise.all(
+    keys
+      .map(resolveDocument)
+      .filter(Boolean)
+      .map((file) => fs.unlink(file).catch(() => undefined))
+  );
+};
+
+module.exports = {
+  saveDocuments,
+  resolveDocument,
+  removeDocuments,
+  DOCUMENT_MIME_TYPES: Object.keys(EXTENSIONS),
+};
@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+
+/**
+ * Fake Payment Provider
+ * Local stand-in for a real gateway. Intents are kept in memory and
+ * webhooks are signed with FAKE_PAYMENT_WEBHOOK_SECRET, so tests and local
+ * development can drive the full payment flow without a live gateway.
+ * Only registered when FAKE_PAYMENTS_ENABLED is "true", see ./index.js.
+ */
+
+const SIGNATURE_HEADER = "x-fake-signature";
+
+const intents = new Map();
+const intentsByIdempotencyKey = new Map();
+
+const getWebhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+const signPayload = (payload) =>
+  crypto.createHmac("sha256", getWebhookSecret()).update(payload).digest("hex");
+
+/**
+ * Create a payment intent
+ * @param {Object} params - { orderId, amount, currency, method, idempotencyKey }
+ * @returns {Object} { intentId, status, clientSecret, amount, currency }
+ */
+const createIntent = async ({
+  orderId,
+  amount,
+  currency,
+  method,
+  idempotencyKey,
+}) => {
+  // Same key, same intent (mirrors how real gateways treat retries)
+  if (idempotencyKey && intentsByIdempotencyKey.has(idempotencyKey)) {
+    return intents.get(intentsByIdempotencyKey.get(idempotencyKey));
+  }
+
+  const intentId = `fake_pi_${crypto.randomBytes(12).toString("hex")}`;
+  const intent = {
+    intentId,
+    status: "pending",
+    clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString("hex")}`,
+    amount,
+    currency,
+    method,
+    orderId: String(orderId),
+  };
+
+  intents.set(intentId, intent);
+  if (idempotencyKey) intentsByIdempotencyKey.set(idempotencyKey, intentId);
+
+  return intent;
+};
+
+/**
+ * Build a signed webhook request for an intent, as the gateway would send it
+ * @param {string} intentId - Intent returned by createIntent
+ * @param {string} status - "processing", "completed" or "failed"
+ * @param {Object} options - { eventId } to replay a specific event
+ * @returns {Object} { body, headers } ready to POST to the webhook endpoint
+ */
+const buildWebhookEvent = (intentId, status, { eventId } = {}) => {
+  const body = JSON.stringify({
+    id: eventId || `fake_evt_${crypto.randomBytes(12).toString("hex")}`,
+    type: `payment_intent.${status}`,
+    data: { intentId, status },
+    createdAt: new Date().toISOString(),
+  });
+
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      [SIGNATURE_HEADER]: signPayload(body),
+    },
+  };
+};
+
+/**
+ * Verify and normalize an incoming webhook
+ * @param {Object} req - Express request, with the raw body in req.rawBody
+ * @returns {Object|null} { eventId, intentId, status, payload }, or null when the signature is invalid
+ */
+const parseWebhook = (req) => {
+  const signature = req.headers[SIGNATURE_HEADER];
+  if (!signature || !req.rawBody) return null;
+
+  const expected = Buffer.from(signPayload(req.rawBody));
+  const received = Buffer.from(String(signature));
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  const event = JSON.parse(req.rawBody.toString("utf8"));
+  const intent = intents.get(event.data.intentId);
+  if (intent) intent.status = event.data.status;
+
+  return {
+    eventId: event.id,
+    intentId: event.data.intentId,
+    status: event.data.status,
+    payload: event,
+  };
+};
+
+module.exports = {
+  name: "fake",
+  supportedMethods: ["credit_card", "paypal", "bank_transfer", "wallet"],
+  createIntent,
+  parseWebhook,
+  buildWebhookEvent,
+};
@@ -0,0 +1,58 @@
+const fakeProvider = require("./fakeProvider");
+
+/**
+ * Payment Providers
+ * Every provider exposes the same interface:
+ *   name, supportedMethods,
+ *   createIntent({ orderId, amount, currency, method, idempotencyKey }),
+ *   parseWebhook(req) -> { eventId, intentId, status, payload } | null
+ */
+
+const providers = {};
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+// The fake provider accepts any webhook signed with its secret, so it has to
+// be turned on explicitly, with a secret, and never in production
+if (process.env.FAKE_PAYMENTS_ENABLED === "true") {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("The fake payment provider can't be enabled in production");
+  }
+  if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error(
+      "FAKE_PAYMENT_WEBHOOK_SECRET is required when fake payments are enabled"
+    );
+  }
+  registerProvider(fakeProvider);
+}
+
+// Allowed paymentStatus transitions driven by provider webhooks
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ["processing", "completed", "failed"],
+  processing: ["completed", "failed"],
+};
+
+const getProvider = (name) => providers[name] || null;
+
+/**
+ * Pick the provider handling an Order paymentMethod
+ * @param {string} method - credit_card, paypal, bank_transfer or wallet
+ * @returns {Object|null} Provider, or null when none is configured
+ */
+const getProviderForMethod = (method) => {
+  const provider = getProvider(process.env.PAYMENT_PROVIDER || "fake");
+  if (!provider || !provider.supportedMethods.includes(method)) return null;
+  return provider;
+};
+
+const canTransition = (from, to) =>
+  (PAYMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderForMethod,
+  canTransition,
+};
@@ -0,0 +1,73 @@
+const escapeRegex = require("./escapeRegex");
+
+// Search text normalization, applied the same way to stored search fields and
+// incoming queries so spelling variants of Arabic words match each other
+
+// Harakat, Quranic marks and the superscript alef
+const ARABIC_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const ALEF_VARIANTS = /[\u0622\u0623\u0625\u0671]/g; // آ أ إ ٱ
+const TEH_MARBUTA = /\u0629/g; // ة
+const ALEF_MAKSURA = /\u0649/g; // ى
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669]/g;
+const LATIN_ACCENTS = /[\u0300-\u036f]/g;
+
+// Definite article, alone or after و ف ب ك, and the لل contraction
+const ARABIC_ARTICLE =
+  /^(?:[\u0648\u0641\u0628\u0643]?\u0627\u0644|\u0644\u0644)/;
+
+// Normalize text for search: lowercase, no accents, diacritics or tatweel, and
+// one spelling for alef, teh marbuta and alef maksura. HTML tags are removed.
+const normalizeText = (text) => {
+  if (text === undefined || text === null) return "";
+
+  return String(text)
+    .replace(/<[^>]*>/g, " ")
+    .normalize("NFKD")
+    .replace(LATIN_ACCENTS, "")
+    .normalize("NFC")
+    .replace(ARABIC_DIACRITICS, "")
+    .replace(TATWEEL, "")
+    .replace(ALEF_VARIANTS, "\u0627")
+    .replace(TEH_MARBUTA, "\u0647")
+    .replace(ALEF_MAKSURA, "\u064A")
+    .replace(ARABIC_INDIC_DIGITS, (digit) =>
+      String(digit.charCodeAt(0) - 0x0660)
+    )
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+// Words of a text, normalized
+const searchWords = (text) =>
+  normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [];
+
+// Form of an Arabic word without its definite article, null if it has none
+const withoutArticle = (word) => {
+  const stem = word.replace(ARABIC_ARTICLE, "");
+  return stem !== word && stem.length >= 2 ? stem : null;
+};
+
+// Split text into unique normalized words. Arabic words starting with the
+// definite article also give their form without it, so "الكاميرا" and
+// "كاميرا" find each other.
+const searchTerms = (text) => {
+  const terms = new Set();
+
+  searchWords(text).forEach((word) => {
+    terms.add(word);
+    const stem = withoutArticle(word);
+    if (stem) terms.add(stem);
+  });
+
+  return [...terms];
+};
+
+module.exports = {
+  normalizeText,
+  searchWords,
+  withoutArticle,
+  searchTerms,
+  escapeRegex,
+};
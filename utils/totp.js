@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+
+/**
+ * TOTP (RFC 6238)
+ * Time based one-time codes compatible with Google Authenticator, Authy, etc.
+ * Secrets are exchanged in base32 as authenticator apps expect.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+
+// Codes from the previous and next step are accepted to absorb clock drift
+const DRIFT_STEPS = 1;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (secret) => {
+  const cleaned = secret.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+/**
+ * Generate the code for a time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero padded code
+ */
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Verify a code against the current time step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @returns {number|null} The matching time step, or null when invalid
+ */
+const verifyCode = (secret, code) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const current = getStep();
+  const steps = [current - DRIFT_STEPS, current, current + DRIFT_STEPS];
+
+  const match = steps.find((step) =>
+    crypto.timingSafeEqual(
+      Buffer.from(generateCode(secret, step)),
+      Buffer.from(normalized)
+    )
+  );
+
+  return match === undefined ? null : match;
+};
+
+/**
+ * Generate a new random secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually via QR code)
+ * @param {Object} params - { secret, label, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUrl = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+
+  return `otpauth://totp/${encodeURIComponent(
+    `${issuer}:${label}`
+  )}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+};
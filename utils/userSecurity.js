@@ -1,4 +1,6 @@
 const User = require("../models/User");
+const Settings = require("../models/Settings");
+const securityConfig = require("../config/security");
 const crypto = require("crypto");
 
 /**
@@ -8,39 +10,95 @@ const crypto = require("crypto");
 
 class UserSecurity {
   /**
-   * Secure login with IP and browser tracking
+   * Lockout policy from config/security.js and the max_login_attempts setting
+   * @returns {Object} { maxAttempts, lockDuration, maxLockDuration }
+   */
+  static async getLockoutPolicy() {
+    const { accountLocking } = securityConfig;
+    const maxAttempts =
+      (await Settings.getSetting("max_login_attempts")) ||
+      accountLocking.maxLoginAttempts;
+
+    return {
+      maxAttempts,
+      lockDuration: accountLocking.lockDuration,
+      maxLockDuration: accountLocking.maxLockDuration,
+    };
+  }
+
+  /**
+   * Count a failed login attempt against the lockout policy and the history
+   * @param {Object} user - User document
+   * @param {Object} request - Express request object
+   * @returns {Object} { locked, lockUntil, newlyLocked, attemptsLeft }
+   */
+  static async registerFailedAttempt(user, request) {
+    const result = await user.registerFailedLogin(
+      await UserSecurity.getLockoutPolicy()
+    );
+
+    await user.recordLoginAttempt({
+      ip: request.ip || request.connection.remoteAddress,
+      userAgent: request.get("User-Agent") || "Unknown",
+      success: false,
+    });
+
+    return result;
+  }
+
+  /**
+   * Secure login with progressive lockout, IP and browser tracking
    * @param {string} email - Email address
    * @param {string} password - Password
    * @param {Object} request - Express request object
-   * @returns {Object} User object or error
+   * @returns {Object} { success, user, reason, lockUntil, newlyLocked }
    */
   static async secureLogin(email, password, request) {
-    try {
-      const loginInfo = {
-        ip: request.ip || request.connection.remoteAddress,
-        userAgent: request.get("User-Agent") || "Unknown",
-      };
+    const user = await User.findOne({
+      email: String(email).toLowerCase().trim(),
+    });
 
-      const user = await User.findByCredentials(email, password, loginInfo);
+    if (!user) {
+      return { success: false, user: null, reason: "invalid_credentials" };
+    }
 
-      // Check for suspicious activity
-      if (user.checkSuspiciousActivity()) {
-        console.warn(`Suspicious activity detected for user: ${user.email}`);
-        // Additional alerts can be added here
-      }
+    // Attempts during a lock are logged but never extend it
+    if (user.isLocked) {
+      await user.recordLoginAttempt({
+        ip: request.ip || request.connection.remoteAddress,
+        userAgent: request.get("User-Agent") || "Unknown",
+        success: false,
+      });
 
       return {
-        success: true,
-        user: user,
-        message: "Login successful",
+        success: false,
+        user,
+        reason: "account_locked",
+        lockUntil: user.lockUntil,
       };
-    } catch (error) {
+    }
+
+    if (!(await user.comparePassword(password))) {
+      const result = await UserSecurity.registerFailedAttempt(user, request);
+
       return {
         success: false,
-        user: null,
-        message: error.message,
+        user,
+        reason: result.locked ? "account_locked" : "invalid_credentials",
+        lockUntil: result.lockUntil,
+        newlyLocked: result.newlyLocked,
       };
     }
+
+    if (user.loginAttempts || user.lockCount) {
+      await user.resetLoginAttempts();
+    }
+
+    return {
+      success: true,
+      user,
+      message: "Login successful",
+    };
   }
 
   /**
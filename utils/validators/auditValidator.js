@@ -0,0 +1,50 @@
+const { param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+const AuditLog = require("../../models/AuditLog");
+
+exports.getAuditLogsValidator = [
+  query("actor").optional().isMongoId().withMessage("Invalid actor ID format"),
+
+  query("action")
+    .optional()
+    .isIn(AuditLog.schema.path("action").enumValues)
+    .withMessage("Invalid audit action"),
+
+  query("targetType")
+    .optional()
+    .isIn(AuditLog.schema.path("target.type").enumValues)
+    .withMessage("Invalid target type"),
+
+  query("targetId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid target ID format"),
+
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid start date is required"),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid end date is required"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+
+  validatorMiddleware,
+];
+
+exports.auditLogIdValidator = [
+  param("id").isMongoId().withMessage("Invalid audit log entry ID format"),
+
+  validatorMiddleware,
+];
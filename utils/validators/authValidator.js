@@ -1,6 +1,7 @@
 const { check } = require("express-validator");
 const validatorMiddleware = require("../../middlewares/validatorMiddleware");
 const User = require("../../models/User");
+const securityConfig = require("../../config/security");
 
 exports.signupValidator = [
   check("firstName")
@@ -29,8 +30,10 @@ exports.signupValidator = [
     ),
   check("role")
     .optional()
-    .isIn(["user", "partner", "admin", "master"])
-    .withMessage("Invalid user role"),
+    .equals("user")
+    .withMessage(
+      "Only user accounts can be created, apply to become a partner after signing up"
+    ),
 
   check("password")
     .notEmpty()
@@ -165,6 +168,68 @@ exports.resetPasswordValidator = [
   validatorMiddleware,
 ];
 
+exports.changePasswordValidator = [
+  check("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+
+  check("password")
+    .notEmpty()
+    .withMessage("New password is required")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters")
+    .custom((password, { req }) => {
+      if (password === req.body.currentPassword) {
+        throw new Error("New password must be different from the current one");
+      }
+      if (password !== req.body.passwordConfirm) {
+        throw new Error("Password Confirmation incorrect");
+      }
+      return true;
+    }),
+
+  check("passwordConfirm")
+    .notEmpty()
+    .withMessage("Password confirmation is required"),
+
+  validatorMiddleware,
+];
+
+exports.changeEmailValidator = [
+  check("email")
+    .notEmpty()
+    .withMessage("Email is required")
+    .isEmail()
+    .withMessage("Invalid email address")
+    .custom((val) =>
+      User.findOne({ email: val.toLowerCase() }).then((user) => {
+        if (user) {
+          return Promise.reject(new Error("Email already exists"));
+        }
+      })
+    ),
+
+  check("password").optional().isString().withMessage("Invalid password"),
+
+  validatorMiddleware,
+];
+
+exports.emailChangeTokenValidator = [
+  check("token")
+    .notEmpty()
+    .withMessage("Token is required")
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid token format"),
+
+  check("userId")
+    .notEmpty()
+    .withMessage("User ID is required")
+    .isMongoId()
+    .withMessage("Invalid user ID format"),
+
+  validatorMiddleware,
+];
+
 exports.verifyEmailValidator = [
   check("token")
     .notEmpty()
@@ -180,3 +245,116 @@ exports.verifyEmailValidator = [
 
   validatorMiddleware,
 ];
+
+exports.unlockAccountValidator = [
+  check("token")
+    .notEmpty()
+    .withMessage("Unlock token is required")
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid token format"),
+
+  check("userId")
+    .notEmpty()
+    .withMessage("User ID is required")
+    .isMongoId()
+    .withMessage("Invalid user ID format"),
+
+  validatorMiddleware,
+];
+
+exports.twoFactorChallengeValidator = [
+  check("challengeToken").notEmpty().withMessage("Challenge token is required"),
+
+  check("code")
+    .if((value, { req }) => !req.body.recoveryCode)
+    .notEmpty()
+    .withMessage("Authentication code or recovery code is required")
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+
+  check("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Invalid recovery code format"),
+
+  validatorMiddleware,
+];
+
+exports.loginChallengeValidator = [
+  check("challengeToken").notEmpty().withMessage("Challenge token is required"),
+
+  check("code")
+    .notEmpty()
+    .withMessage("Confirmation code is required")
+    .matches(/^\d{6}$/)
+    .withMessage("Confirmation code must be 6 digits"),
+
+  validatorMiddleware,
+];
+
+exports.secureAccountValidator = [
+  check("token").notEmpty().withMessage("Token is required"),
+
+  validatorMiddleware,
+];
+
+exports.erasureRequestValidator = [
+  check("password").optional().isString().withMessage("Invalid password"),
+
+  validatorMiddleware,
+];
+
+exports.twoFactorCodeValidator = [
+  check("code")
+    .notEmpty()
+    .withMessage("Authentication code is required")
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+
+  validatorMiddleware,
+];
+
+exports.disableTwoFactorValidator = [
+  check("password").notEmpty().withMessage("Password is required"),
+
+  validatorMiddleware,
+];
+
+exports.sessionIdValidator = [
+  check("id").isMongoId().withMessage("Invalid session ID format"),
+
+  validatorMiddleware,
+];
+
+exports.createApiTokenValidator = [
+  check("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Token name is required")
+    .isLength({ max: 100 })
+    .withMessage("Token name cannot exceed 100 characters"),
+
+  check("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+
+  check("scopes.*")
+    .isIn(Object.keys(securityConfig.apiTokens.scopes))
+    .withMessage("Invalid scope"),
+
+  check("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: securityConfig.apiTokens.maxExpiresInDays })
+    .withMessage(
+      `Expiry must be between 1 and ${securityConfig.apiTokens.maxExpiresInDays} days`
+    )
+    .toInt(),
+
+  validatorMiddleware,
+];
+
+exports.apiTokenIdValidator = [
+  check("id").isMongoId().withMessage("Invalid API token ID format"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,162 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+const CATEGORIES = [
+  "photography",
+  "videography",
+  "tutorials",
+  "news",
+  "tips",
+  "equipment",
+  "inspiration",
+];
+
+exports.getPostsValidator = [
+  query("category")
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage("Valid category is required"),
+
+  // Repeated parameters arrive as an array
+  query("tag")
+    .optional()
+    .isString()
+    .withMessage("Tag must be a single value")
+    .trim()
+    .toLowerCase(),
+
+  query("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  query("prefix")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Prefix must be true or false"),
+
+  validatorMiddleware,
+];
+
+exports.getPostBySlugValidator = [
+  param("slug")
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage("Valid slug is required"),
+
+  validatorMiddleware,
+];
+
+exports.addCommentValidator = [
+  param("slug")
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage("Valid slug is required"),
+
+  body("content")
+    .trim()
+    .notEmpty()
+    .withMessage("Comment content is required")
+    .isLength({ max: 500 })
+    .withMessage("Comment cannot exceed 500 characters"),
+
+  validatorMiddleware,
+];
+
+exports.createPostValidator = [
+  body("title")
+    .notEmpty()
+    .withMessage("Title is required")
+    .isLength({ max: 100 })
+    .withMessage("Title cannot exceed 100 characters"),
+
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers, and hyphens"
+    ),
+
+  body("content").notEmpty().withMessage("Content is required"),
+
+  body("category").isIn(CATEGORIES).withMessage("Valid category is required"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("status")
+    .optional()
+    .isIn(["draft", "published"])
+    .withMessage("Status must be either 'draft' or 'published'"),
+
+  body("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  validatorMiddleware,
+];
+
+exports.updatePostValidator = [
+  param("id").isMongoId().withMessage("Valid post ID is required"),
+
+  body("title")
+    .optional()
+    .notEmpty()
+    .withMessage("Title cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Title cannot exceed 100 characters"),
+
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers, and hyphens"
+    ),
+
+  body("category")
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage("Valid category is required"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  validatorMiddleware,
+];
+
+exports.postIdValidator = [
+  param("id").isMongoId().withMessage("Valid post ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.getCommentsValidator = [
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected"])
+    .withMessage("Valid comment status is required"),
+
+  validatorMiddleware,
+];
+
+exports.moderateCommentValidator = [
+  param("id").isMongoId().withMessage("Valid post ID is required"),
+
+  param("commentId").isMongoId().withMessage("Valid comment ID is required"),
+
+  body("status")
+    .isIn(["approved", "rejected"])
+    .withMessage("Status must be either 'approved' or 'rejected'"),
+
+  validatorMiddleware,
+];
+
+exports.deleteCommentValidator = [
+  param("id").isMongoId().withMessage("Valid post ID is required"),
+
+  param("commentId").isMongoId().withMessage("Valid comment ID is required"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,54 @@
+const { body, param } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+const { tiers: LICENSE_TIERS } = require("../../config/licenses");
+
+exports.addToCartValidator = [
+  body("uploadId").isMongoId().withMessage("Valid upload ID is required"),
+
+  body("license")
+    .optional()
+    .isIn(Object.keys(LICENSE_TIERS))
+    .withMessage("Valid license tier is required"),
+
+  validatorMiddleware,
+];
+
+exports.cartItemValidator = [
+  param("uploadId").isMongoId().withMessage("Valid upload ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.checkoutValidator = [
+  body("paymentMethod")
+    .isIn(["credit_card", "paypal", "bank_transfer", "wallet"])
+    .withMessage("Valid payment method is required"),
+
+  body("couponCode")
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage("Invalid coupon code"),
+
+  body("billingAddress.firstName")
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be between 2 and 50 characters"),
+
+  body("billingAddress.lastName")
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be between 2 and 50 characters"),
+
+  body("billingAddress.email")
+    .optional()
+    .isEmail()
+    .withMessage("Valid email is required"),
+
+  body("notes")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,149 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+const CATEGORIES = [
+  "photography",
+  "video",
+  "graphics",
+  "illustration",
+  "other",
+];
+
+// Rules shared by create and update, required fields are checked separately
+const couponRules = [
+  body("code")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_-]{3,30}$/)
+    .withMessage("Code must be 3 to 30 letters, digits, dashes or underscores"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+
+  body("discountType")
+    .optional()
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be percentage or fixed"),
+
+  body("value")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Value must be a positive number")
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.body.discountType === "percentage" && value > 100) {
+        throw new Error("A percentage discount cannot exceed 100");
+      }
+      return true;
+    }),
+
+  body("maxDiscount")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Max discount must be a positive number")
+    .toFloat(),
+
+  body("minOrderAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum order amount must be a positive number")
+    .toFloat(),
+
+  body("startsAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Start date must be a valid ISO8601 date")
+    .toDate(),
+
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid ISO8601 date")
+    .toDate()
+    .custom((expiresAt, { req }) => {
+      if (req.body.startsAt && expiresAt <= new Date(req.body.startsAt)) {
+        throw new Error("Expiry date must be after the start date");
+      }
+      return true;
+    }),
+
+  body("usageLimit")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Usage limit must be a positive integer")
+    .toInt(),
+
+  body("perUserLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Per user limit must be a positive integer")
+    .toInt(),
+
+  body("categories")
+    .optional()
+    .isArray()
+    .withMessage("Categories must be an array"),
+
+  body("categories.*").isIn(CATEGORIES).withMessage("Invalid category"),
+
+  body("sellers").optional().isArray().withMessage("Sellers must be an array"),
+
+  body("sellers.*").isMongoId().withMessage("Valid seller ID is required"),
+
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("Active must be a boolean")
+    .toBoolean(),
+
+  body("usedCount").not().exists().withMessage("Usage count can't be set"),
+];
+
+exports.getCouponsValidator = [
+  query("active")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Active must be true or false"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  validatorMiddleware,
+];
+
+exports.createCouponValidator = [
+  body("code").notEmpty().withMessage("Code is required"),
+
+  body("discountType").notEmpty().withMessage("Discount type is required"),
+
+  body("value").notEmpty().withMessage("Value is required"),
+
+  ...couponRules,
+
+  validatorMiddleware,
+];
+
+exports.updateCouponValidator = [
+  param("id").isMongoId().withMessage("Valid coupon ID is required"),
+
+  ...couponRules,
+
+  validatorMiddleware,
+];
+
+exports.couponIdValidator = [
+  param("id").isMongoId().withMessage("Valid coupon ID is required"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,122 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+const PAYMENT_METHODS = ["bank_transfer", "paypal", "stripe", "wallet", "cash"];
+
+exports.getEarningsValidator = [
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid start date is required"),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid end date is required"),
+
+  validatorMiddleware,
+];
+
+exports.getLedgerValidator = [
+  query("type")
+    .optional()
+    .isIn([
+      "upload_sale",
+      "mission_payment",
+      "commission",
+      "bonus",
+      "refund",
+      "withdrawal",
+    ])
+    .withMessage("Valid type is required"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "completed", "cancelled", "failed"])
+    .withMessage("Valid status is required"),
+
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid start date is required"),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid end date is required"),
+
+  validatorMiddleware,
+];
+
+exports.requestPayoutValidator = [
+  body("amount")
+    .isFloat({ gt: 0 })
+    .withMessage("Amount must be a positive number")
+    .toFloat(),
+
+  body("paymentMethod")
+    .isIn(PAYMENT_METHODS)
+    .withMessage("Valid payment method is required"),
+
+  body("payoutDetails")
+    .optional()
+    .isObject()
+    .withMessage("Payout details must be an object"),
+
+  body("notes")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+
+  validatorMiddleware,
+];
+
+exports.getPayoutsValidator = [
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "completed", "cancelled", "failed"])
+    .withMessage("Valid status is required"),
+
+  query("user").optional().isMongoId().withMessage("Valid user ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.payoutIdValidator = [
+  param("id").isMongoId().withMessage("Valid payout ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.processPayoutValidator = [
+  param("id").isMongoId().withMessage("Valid payout ID is required"),
+
+  body("paymentMethod")
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage("Valid payment method is required"),
+
+  body("transactionId")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Transaction ID cannot be empty"),
+
+  body("notes")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+
+  validatorMiddleware,
+];
+
+exports.rejectPayoutValidator = [
+  param("id").isMongoId().withMessage("Valid payout ID is required"),
+
+  body("reason")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,145 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+const CATEGORIES = [
+  "general",
+  "pricing",
+  "services",
+  "booking",
+  "technical",
+  "payment",
+  "delivery",
+];
+
+exports.getFAQsValidator = [
+  query("category")
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage("Valid category is required"),
+
+  // Repeated parameters arrive as an array
+  query("tag")
+    .optional()
+    .isString()
+    .withMessage("Tag must be a single value")
+    .trim()
+    .toLowerCase(),
+
+  query("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  query("prefix")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Prefix must be true or false"),
+
+  validatorMiddleware,
+];
+
+exports.getCategoryValidator = [
+  param("category").isIn(CATEGORIES).withMessage("Valid category is required"),
+
+  validatorMiddleware,
+];
+
+exports.faqIdValidator = [
+  param("id").isMongoId().withMessage("Valid FAQ ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.voteFAQValidator = [
+  param("id").isMongoId().withMessage("Valid FAQ ID is required"),
+
+  body("helpful").isBoolean().withMessage("helpful must be a boolean"),
+
+  validatorMiddleware,
+];
+
+exports.createFAQValidator = [
+  body("question")
+    .notEmpty()
+    .withMessage("Question is required")
+    .isLength({ max: 200 })
+    .withMessage("Question cannot exceed 200 characters"),
+
+  body("answer")
+    .notEmpty()
+    .withMessage("Answer is required")
+    .isLength({ max: 2000 })
+    .withMessage("Answer cannot exceed 2000 characters"),
+
+  body("category").isIn(CATEGORIES).withMessage("Valid category is required"),
+
+  body("status")
+    .optional()
+    .isIn(["active", "inactive", "archived"])
+    .withMessage("Valid status is required"),
+
+  body("displayOrder")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Display order must be a positive integer"),
+
+  body("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+  body("relatedServices.*")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid service ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.updateFAQValidator = [
+  param("id").isMongoId().withMessage("Valid FAQ ID is required"),
+
+  body("question")
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Question must be between 1 and 200 characters"),
+
+  body("answer")
+    .optional()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Answer must be between 1 and 2000 characters"),
+
+  body("category")
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage("Valid category is required"),
+
+  body("status")
+    .optional()
+    .isIn(["active", "inactive", "archived"])
+    .withMessage("Valid status is required"),
+
+  body("displayOrder")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Display order must be a positive integer"),
+
+  body("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  validatorMiddleware,
+];
+
+exports.reorderFAQsValidator = [
+  body("ids")
+    .isArray({ min: 1 })
+    .withMessage("ids array is required with at least one FAQ"),
+
+  body("ids.*").isMongoId().withMessage("Valid FAQ ID is required"),
+
+  validatorMiddleware,
+];
@@ -1,5 +1,116 @@
 const { body, param, query } = require("express-validator");
 const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+const { priceRanges } = require("../../config/gallery");
+
+// Facet filters take comma separated values or repeated parameters
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+const listFilter = (field, values, message) => [
+  query(field).optional().customSanitizer(toList),
+  query(`${field}.*`).isIn(values).withMessage(message),
+];
+
+// Filters, sorting and pagination shared by gallery browsing and search
+const galleryQueryRules = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  ...listFilter(
+    "category",
+    ["photography", "video", "graphics", "illustration", "other"],
+    "Invalid category"
+  ),
+
+  ...listFilter("fileType", ["image", "video"], "Invalid file type"),
+
+  ...listFilter(
+    "orientation",
+    ["landscape", "portrait", "square"],
+    "Invalid orientation"
+  ),
+
+  ...listFilter(
+    "priceRange",
+    priceRanges.map((range) => range.key),
+    "Invalid price range"
+  ),
+
+  query("seller").optional().customSanitizer(toList),
+
+  query("seller.*").isMongoId().withMessage("Invalid seller ID"),
+
+  query("tags")
+    .optional()
+    .customSanitizer((tags) =>
+      toList(tags) ? toList(tags).map((tag) => tag.toLowerCase()) : undefined
+    ),
+
+  query("minPrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum price must be a positive number"),
+
+  query("maxPrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Maximum price must be a positive number"),
+
+  query("featured")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Featured must be true or false"),
+
+  query("sortBy")
+    .optional()
+    .isIn([
+      "relevance",
+      "createdAt",
+      "popularity",
+      "price",
+      "views",
+      "downloads",
+      "likes",
+      "title",
+    ])
+    .withMessage("Invalid sort field"),
+
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Sort order must be asc or desc"),
+];
+
+exports.getGalleryValidator = [...galleryQueryRules, validatorMiddleware];
+
+exports.searchGalleryValidator = [
+  query("q")
+    .trim()
+    .notEmpty()
+    .withMessage("Search query is required")
+    .isLength({ max: 100 })
+    .withMessage("Search query cannot exceed 100 characters"),
+
+  query("prefix")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Prefix must be true or false"),
+
+  ...galleryQueryRules,
+
+  validatorMiddleware,
+];
 
 exports.getUploadDetailsValidator = [
   param("id").isMongoId().withMessage("Valid upload ID is required"),
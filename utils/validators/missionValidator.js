@@ -81,6 +81,11 @@ exports.createMissionValidator = [
     .isIn(["low", "medium", "high", "urgent"])
     .withMessage("Valid priority is required"),
   
+  body("client")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid client ID is required"),
+  
   validatorMiddleware,
 ];
 
@@ -1,5 +1,6 @@
 const { body, param, query } = require("express-validator");
 const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+const { tiers: LICENSE_TIERS } = require("../../config/licenses");
 
 exports.createOrderValidator = [
   body("items")
@@ -11,6 +12,10 @@ exports.createOrderValidator = [
           throw new Error("Upload ID is required for each item");
         }
       }
+      const uploadIds = items.map((item) => String(item.uploadId));
+      if (new Set(uploadIds).size !== uploadIds.length) {
+        throw new Error("Each upload can only be ordered once");
+      }
       return true;
     }),
   
@@ -18,10 +23,21 @@ exports.createOrderValidator = [
     .isMongoId()
     .withMessage("Valid upload ID is required"),
   
+  body("items.*.license")
+    .optional()
+    .isIn(Object.keys(LICENSE_TIERS))
+    .withMessage("Valid license tier is required"),
+  
   body("paymentMethod")
     .isIn(["credit_card", "paypal", "bank_transfer", "wallet"])
     .withMessage("Valid payment method is required"),
   
+  body("couponCode")
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage("Invalid coupon code"),
+  
   body("billingAddress.firstName")
     .optional()
     .isLength({ min: 2, max: 50 })
@@ -50,10 +66,11 @@ exports.processPaymentValidator = [
     .isMongoId()
     .withMessage("Valid order ID is required"),
   
-  body("paymentData")
+  body("idempotencyKey")
     .optional()
-    .isObject()
-    .withMessage("Payment data must be an object"),
+    .isString()
+    .isLength({ min: 8, max: 100 })
+    .withMessage("Idempotency key must be between 8 and 100 characters"),
   
   validatorMiddleware,
 ];
@@ -78,6 +95,39 @@ exports.downloadItemValidator = [
   validatorMiddleware,
 ];
 
+exports.downloadFileValidator = [
+  param("token")
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    .withMessage("Invalid download token"),
+  
+  validatorMiddleware,
+];
+
+exports.licenseCertificateValidator = [
+  param("id")
+    .isMongoId()
+    .withMessage("Valid order ID is required"),
+  
+  param("itemId")
+    .isMongoId()
+    .withMessage("Valid item ID is required"),
+  
+  query("format")
+    .optional()
+    .isIn(["html", "pdf"])
+    .withMessage("Format must be html or pdf"),
+  
+  validatorMiddleware,
+];
+
+exports.verifyLicenseValidator = [
+  param("licenseId")
+    .matches(/^[A-Za-z]+(-[0-9A-Fa-f]{4}){4}$/)
+    .withMessage("Invalid license ID"),
+  
+  validatorMiddleware,
+];
+
 exports.updateOrderStatusValidator = [
   param("id")
     .isMongoId()
@@ -0,0 +1,111 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+const TEMPLATES = ["default", "landing", "contact", "about", "services"];
+
+exports.getPublicPageValidator = [
+  query("lang")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  validatorMiddleware,
+];
+
+exports.getPageBySlugValidator = [
+  param("slug")
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage("Valid slug is required"),
+
+  query("lang")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  validatorMiddleware,
+];
+
+exports.createPageValidator = [
+  body("title")
+    .notEmpty()
+    .withMessage("Title is required")
+    .isLength({ max: 100 })
+    .withMessage("Title cannot exceed 100 characters"),
+
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers, and hyphens"
+    ),
+
+  body("content").notEmpty().withMessage("Content is required"),
+
+  body("template")
+    .optional()
+    .isIn(TEMPLATES)
+    .withMessage("Valid template is required"),
+
+  body("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  body("menuOrder")
+    .optional()
+    .isInt()
+    .withMessage("Menu order must be an integer"),
+
+  body("showInMenu")
+    .optional()
+    .isBoolean()
+    .withMessage("showInMenu must be a boolean"),
+
+  body("isHomepage")
+    .optional()
+    .isBoolean()
+    .withMessage("isHomepage must be a boolean"),
+
+  validatorMiddleware,
+];
+
+exports.updatePageValidator = [
+  param("id").isMongoId().withMessage("Valid page ID is required"),
+
+  body("title")
+    .optional()
+    .notEmpty()
+    .withMessage("Title cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Title cannot exceed 100 characters"),
+
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers, and hyphens"
+    ),
+
+  body("template")
+    .optional()
+    .isIn(TEMPLATES)
+    .withMessage("Valid template is required"),
+
+  body("language")
+    .optional()
+    .isIn(["en", "ar"])
+    .withMessage("Language must be either 'en' or 'ar'"),
+
+  body("menuOrder")
+    .optional()
+    .isInt()
+    .withMessage("Menu order must be an integer"),
+
+  validatorMiddleware,
+];
+
+exports.pageIdValidator = [
+  param("id").isMongoId().withMessage("Valid page ID is required"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,112 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+// Multipart forms send a single value as a string and repeated ones as an array
+const toArray = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+exports.submitApplicationValidator = [
+  body("portfolioLinks")
+    .customSanitizer(toArray)
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Between 1 and 10 portfolio links are required"),
+
+  body("portfolioLinks.*")
+    .trim()
+    .isURL({ require_protocol: true })
+    .withMessage("Portfolio links must be valid URLs"),
+
+  body("equipment")
+    .customSanitizer(toArray)
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Between 1 and 20 equipment items are required"),
+
+  body("equipment.*")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Equipment items must be between 2 and 100 characters"),
+
+  body("serviceCities")
+    .customSanitizer(toArray)
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Between 1 and 20 service cities are required"),
+
+  body("serviceCities.*")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Service cities must be between 2 and 100 characters"),
+
+  body("experience")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Experience cannot exceed 2000 characters"),
+
+  body("phone")
+    .optional()
+    .isMobilePhone(undefined, { strictMode: true })
+    .withMessage("Invalid phone number"),
+
+  body("country")
+    .optional()
+    .isString()
+    .withMessage("Country must be a valid string")
+    .isLength({ min: 2 })
+    .withMessage("Country name is too short"),
+
+  body("birthDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Birth date must be a valid ISO8601 date (e.g. YYYY-MM-DD)")
+    .toDate(),
+
+  validatorMiddleware,
+];
+
+exports.getApplicationsValidator = [
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected", "withdrawn"])
+    .withMessage("Valid status is required"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  validatorMiddleware,
+];
+
+exports.applicationIdValidator = [
+  param("id").isMongoId().withMessage("Valid application ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.applicationDocumentValidator = [
+  param("id").isMongoId().withMessage("Valid application ID is required"),
+
+  param("documentId").isMongoId().withMessage("Valid document ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.rejectApplicationValidator = [
+  param("id").isMongoId().withMessage("Valid application ID is required"),
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A rejection reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  validatorMiddleware,
+];
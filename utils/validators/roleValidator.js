@@ -0,0 +1,56 @@
+const { body, param } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+const permissionsConfig = require("../../config/permissions");
+
+const PERMISSIONS = Object.keys(permissionsConfig.permissions);
+
+exports.createRoleValidator = [
+  body("name")
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_]{1,29}$/)
+    .withMessage(
+      "Role name must be 2 to 30 lowercase letters, digits or underscores"
+    ),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+
+  body("permissions")
+    .isArray({ min: 1 })
+    .withMessage("At least one permission is required"),
+
+  body("permissions.*").isIn(PERMISSIONS).withMessage("Invalid permission"),
+
+  validatorMiddleware,
+];
+
+exports.updateRoleValidator = [
+  param("id").isMongoId().withMessage("Valid role ID is required"),
+
+  body("name").not().exists().withMessage("Roles can't be renamed"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("Permissions must be an array"),
+
+  body("permissions.*").isIn(PERMISSIONS).withMessage("Invalid permission"),
+
+  validatorMiddleware,
+];
+
+exports.roleIdValidator = [
+  param("id").isMongoId().withMessage("Valid role ID is required"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,275 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+const CATEGORIES = [
+  "photography",
+  "videography",
+  "drone",
+  "editing",
+  "consultation",
+];
+
+const TYPES = [
+  "wedding",
+  "event",
+  "portrait",
+  "commercial",
+  "product",
+  "real_estate",
+  "aerial",
+];
+
+exports.getServicesValidator = [
+  query("category")
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage("Valid category is required"),
+
+  query("type").optional().isIn(TYPES).withMessage("Valid type is required"),
+
+  query("status")
+    .optional()
+    .isIn(["active", "inactive", "archived"])
+    .withMessage("Valid status is required"),
+
+  validatorMiddleware,
+];
+
+exports.getServiceBySlugValidator = [
+  param("slug").trim().notEmpty().withMessage("Service slug is required"),
+
+  validatorMiddleware,
+];
+
+exports.serviceIdValidator = [
+  param("id").isMongoId().withMessage("Valid service ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.createServiceValidator = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers and hyphens"
+    ),
+
+  body("description")
+    .trim()
+    .notEmpty()
+    .withMessage("Description is required")
+    .isLength({ max: 2000 })
+    .withMessage("Description cannot exceed 2000 characters"),
+
+  body("category").isIn(CATEGORIES).withMessage("Valid category is required"),
+
+  body("type").isIn(TYPES).withMessage("Valid type is required"),
+
+  body("pricing.type")
+    .optional()
+    .isIn(["fixed", "hourly", "package", "custom"])
+    .withMessage("Valid pricing type is required"),
+
+  body("pricing.basePrice")
+    .isFloat({ min: 0 })
+    .withMessage("Base price must be a positive number"),
+
+  body("availability.advanceBooking")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Advance booking must be at least 1 day"),
+
+  body("availability.travelRadius")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Travel radius must be a positive number"),
+
+  validatorMiddleware,
+];
+
+exports.updateServiceValidator = [
+  param("id").isMongoId().withMessage("Valid service ID is required"),
+
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers and hyphens"
+    ),
+
+  body("category")
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage("Valid category is required"),
+
+  body("type").optional().isIn(TYPES).withMessage("Valid type is required"),
+
+  body("status")
+    .optional()
+    .isIn(["active", "inactive", "archived"])
+    .withMessage("Valid status is required"),
+
+  body("pricing.basePrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Base price must be a positive number"),
+
+  body("availability.advanceBooking")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Advance booking must be at least 1 day"),
+
+  body("availability.travelRadius")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Travel radius must be a positive number"),
+
+  validatorMiddleware,
+];
+
+exports.createInquiryValidator = [
+  param("slug").trim().notEmpty().withMessage("Service slug is required"),
+
+  // Guests have to say who they are, logged in customers are known
+  body("name")
+    .if((value, { req }) => !req.user)
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+
+  body("email")
+    .if((value, { req }) => !req.user)
+    .isEmail()
+    .withMessage("Valid email is required")
+    .normalizeEmail(),
+
+  body("phone")
+    .optional()
+    .isMobilePhone()
+    .withMessage("Valid phone number is required"),
+
+  body("preferredDate")
+    .isISO8601()
+    .withMessage("Valid preferred date is required"),
+
+  body("duration")
+    .optional()
+    .isFloat({ min: 0.5 })
+    .withMessage("Duration must be at least 0.5")
+    .toFloat(),
+
+  body("package")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Package cannot be empty"),
+
+  body("location.address")
+    .trim()
+    .notEmpty()
+    .withMessage("Location address is required"),
+
+  body("location.city")
+    .trim()
+    .notEmpty()
+    .withMessage("Location city is required"),
+
+  body("location.coordinates.latitude")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Valid latitude is required")
+    .toFloat(),
+
+  body("location.coordinates.longitude")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Valid longitude is required")
+    .toFloat(),
+
+  body("message")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Message cannot exceed 1000 characters"),
+
+  validatorMiddleware,
+];
+
+exports.getInquiriesValidator = [
+  query("status")
+    .optional()
+    .isIn(["new", "converted", "declined"])
+    .withMessage("Valid status is required"),
+
+  query("service")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid service ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.convertInquiryValidator = [
+  param("id").isMongoId().withMessage("Valid inquiry ID is required"),
+
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage("Title must be between 5 and 100 characters"),
+
+  body("scheduledDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid scheduled date is required"),
+
+  body("duration")
+    .optional()
+    .isFloat({ min: 0.5, max: 24 })
+    .withMessage("Duration must be between 0.5 and 24 hours"),
+
+  body("budget.min")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum budget must be a positive number"),
+
+  body("budget.max")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Maximum budget must be a positive number"),
+
+  body("priority")
+    .optional()
+    .isIn(["low", "medium", "high", "urgent"])
+    .withMessage("Valid priority is required"),
+
+  validatorMiddleware,
+];
+
+exports.declineInquiryValidator = [
+  param("id").isMongoId().withMessage("Valid inquiry ID is required"),
+
+  body("reason")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,105 @@
+const { body, param, query } = require("express-validator");
+const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+
+const SERVICE_TYPES = [
+  "photography",
+  "videography",
+  "drone",
+  "editing",
+  "consultation",
+  "general",
+];
+
+exports.getTestimonialsValidator = [
+  query("serviceType")
+    .optional()
+    .isIn(SERVICE_TYPES)
+    .withMessage("Valid service type is required"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected", "archived"])
+    .withMessage("Valid status is required"),
+
+  validatorMiddleware,
+];
+
+exports.createTestimonialValidator = [
+  body("orderId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid order ID is required"),
+
+  body("missionId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid mission ID is required")
+    .custom((missionId, { req }) => {
+      if (req.body.orderId) {
+        throw new Error("Provide either an order or a mission, not both");
+      }
+      return true;
+    }),
+
+  body("orderId").custom((orderId, { req }) => {
+    if (!orderId && !req.body.missionId) {
+      throw new Error("An order or mission is required");
+    }
+    return true;
+  }),
+
+  body("content")
+    .trim()
+    .notEmpty()
+    .withMessage("Content is required")
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("Content must be between 10 and 1000 characters"),
+
+  body("rating")
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be between 1 and 5")
+    .toInt(),
+
+  body("projectType")
+    .optional()
+    .isIn([
+      "wedding",
+      "event",
+      "portrait",
+      "commercial",
+      "product",
+      "real_estate",
+      "aerial",
+      "other",
+    ])
+    .withMessage("Valid project type is required"),
+
+  body("company")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Company cannot exceed 100 characters"),
+
+  body("position")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Position cannot exceed 100 characters"),
+
+  validatorMiddleware,
+];
+
+exports.testimonialIdValidator = [
+  param("id").isMongoId().withMessage("Valid testimonial ID is required"),
+
+  validatorMiddleware,
+];
+
+exports.rejectTestimonialValidator = [
+  param("id").isMongoId().withMessage("Valid testimonial ID is required"),
+
+  body("reason")
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage("Reason cannot exceed 200 characters"),
+
+  validatorMiddleware,
+];
@@ -1,5 +1,51 @@
 const { body, param, query } = require("express-validator");
 const validatorMiddleware = require("../../middlewares/validatorMiddleware");
+const { tiers: LICENSE_TIERS } = require("../../config/licenses");
+
+// License tiers, multipart forms send them as a JSON string
+const licensesRules = [
+  body("licenses")
+    .optional()
+    .customSanitizer((licenses) => {
+      if (typeof licenses !== "string") return licenses;
+      try {
+        return JSON.parse(licenses);
+      } catch (error) {
+        return licenses;
+      }
+    })
+    .isArray({ min: 1, max: Object.keys(LICENSE_TIERS).length })
+    .withMessage("upload.licenses_invalid")
+    .custom((licenses) => {
+      const tiers = licenses.map((license) => license && license.tier);
+      if (new Set(tiers).size !== tiers.length) {
+        throw new Error("upload.license_tier_duplicate");
+      }
+      return true;
+    }),
+
+  body("licenses.*.tier")
+    .isIn(Object.keys(LICENSE_TIERS))
+    .withMessage("upload.license_tier_invalid"),
+
+  body("licenses.*.price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("upload.license_price_invalid")
+    .toFloat(),
+
+  body("licenses.*.terms")
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage("upload.license_terms_length"),
+
+  body("licenses.*.downloadLimit")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("upload.license_download_limit_invalid")
+    .toInt(),
+];
 
 exports.createUploadValidator = [
   body("title")
@@ -20,20 +66,25 @@ exports.createUploadValidator = [
     .isIn(["photography", "video", "graphics", "illustration", "other"])
     .withMessage("upload.category_invalid"),
 
-  body("fileType")
-    .notEmpty()
-    .withMessage("upload.file_type_required")
-    .isIn(["image", "video"])
-    .withMessage("upload.file_type_invalid"),
-
   body("price")
     .notEmpty()
     .withMessage("upload.price_required")
     .isFloat({ min: 0 })
     .withMessage("upload.price_invalid"),
 
+  ...licensesRules,
+
+  // Multipart forms send a single tag as a string or a comma separated list
   body("tags")
     .optional()
+    .customSanitizer((tags) =>
+      typeof tags === "string"
+        ? tags
+            .split(",")
+            .map((tag) => tag.trim())
+            .filter(Boolean)
+        : tags
+    )
     .isArray()
     .withMessage("upload.tags_must_be_array")
     .custom((tags) => {
@@ -74,6 +125,8 @@ exports.updateUploadValidator = [
     .isFloat({ min: 0 })
     .withMessage("upload.price_invalid"),
 
+  ...licensesRules,
+
   body("tags")
     .optional()
     .isArray()
@@ -1,7 +1,16 @@
 const { body, param, query, check } = require("express-validator");
 const User = require("../../models/User");
+const Role = require("../../models/Role");
 const validatorMiddleware = require("../../middlewares/validatorMiddleware");
 
+// Roles are managed at runtime, so any role defined in the database is valid
+const isDefinedRole = async (role) => {
+  if (typeof role !== "string" || !(await Role.isDefined(role.toLowerCase()))) {
+    throw new Error();
+  }
+  return true;
+};
+
 exports.createUserValidator = [
   body("firstName")
     .notEmpty()
@@ -39,7 +48,7 @@ exports.createUserValidator = [
 
   body("role")
     .optional()
-    .isIn(["user", "admin", "master"])
+    .custom(isDefinedRole)
     .withMessage("user.role_invalid"),
 
   body("phone").optional().isMobilePhone().withMessage("user.phone_invalid"),
@@ -75,7 +84,7 @@ exports.updateUserValidator = [
 
   body("role")
     .optional()
-    .isIn(["user", "admin", "master"])
+    .custom(isDefinedRole)
     .withMessage("user.role_invalid"),
 
   body("status")
@@ -121,8 +130,9 @@ exports.promoteUserValidator = [
   body("role")
     .notEmpty()
     .withMessage("user role is required")
-    .isIn(["user", "admin", "master"])
-    .withMessage("invalid user role"),
+    .not()
+    .equals("partner")
+    .withMessage("users become partners through an approved application"),
 
   validatorMiddleware,
 ];
@@ -165,7 +175,7 @@ exports.getUsersValidator = [
 
   query("role")
     .optional()
-    .isIn(["user", "admin", "master"])
+    .custom(isDefinedRole)
     .withMessage("invalid user role"),
 
   query("status")
@@ -209,3 +219,12 @@ exports.activateAccountOrDeactivateValidator = [
   check("id").isMongoId().withMessage("Invalid User id format"),
   validatorMiddleware,
 ];
+
+exports.processErasuresValidator = [
+  check("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+  validatorMiddleware,
+];